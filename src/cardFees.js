@@ -0,0 +1,120 @@
+// src/cardFees.js
+
+const { readConfigFile } = require('./configFile');
+const { toCents } = require('./money');
+
+// Where the processing fee withheld from each card tip comes from
+const CARD_FEE_TYPES = {
+  FLAT: 'flat',     // the same percentage of every tip
+  BRAND: 'brand',   // a percentage per card brand (CardBrand column), from a rate table
+  COLUMN: 'column'  // the AmtFee column of each transaction, prorated to the tip
+};
+
+// Card brands are compared without case, spaces or punctuation ("MasterCard" = "master card")
+const normalizeBrand = brand => String(brand || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const checkPercent = (value, label, errors) => {
+  const percent = Number(value);
+  if (value === '' || value === null || value === undefined || isNaN(percent) || percent < 0 || percent > 100) {
+    errors.push(`${label} (${value}) must be a percentage between 0 and 100`);
+  }
+  return percent;
+};
+
+/**
+ * Read the --card-fee setting: a percentage for a flat fee, or "column" to use
+ * the transactions' AmtFee column
+ * @param {String|Number} value - e.g. "2.9" or "column"
+ * @return {Object} - Card fee setting ({ type, percent } or { type })
+ * @throws {Error} - If the value is neither
+ */
+function parseCardFee(value) {
+  if (String(value).trim().toLowerCase() === CARD_FEE_TYPES.COLUMN) {
+    return { type: CARD_FEE_TYPES.COLUMN };
+  }
+  const errors = [];
+  const percent = checkPercent(String(value).replace(/%$/, '').trim(), 'Card fee', errors);
+  if (errors.length > 0) {
+    throw new Error(`${errors[0]}, or "column" to read the AmtFee column`);
+  }
+  return { type: CARD_FEE_TYPES.FLAT, percent };
+}
+
+/**
+ * Check a card brand rate table
+ * @param {Object} table - { default: percent, brands: { Visa: percent, ... } }
+ * @return {Object} - Card fee setting { type: 'brand', defaultPercent, rates (normalized brand -> percent) }
+ * @throws {Error} - With every problem found, if the table is invalid
+ */
+function validateCardFeeRates(table) {
+  if (!table || typeof table !== 'object' || !table.brands || typeof table.brands !== 'object') {
+    throw new Error('Card fee rates must have a "brands" map of card brand to percentage');
+  }
+  const errors = [];
+  const rates = {};
+  Object.entries(table.brands).forEach(([brand, percent]) => {
+    rates[normalizeBrand(brand)] = checkPercent(percent, `Rate for "${brand}"`, errors);
+  });
+  const defaultPercent = table.default === undefined ? 0 : checkPercent(table.default, 'Default rate', errors);
+  if (errors.length > 0) {
+    throw new Error(`Invalid card fee rates:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { type: CARD_FEE_TYPES.BRAND, defaultPercent, rates };
+}
+
+/**
+ * Load a card brand rate table from a JSON or YAML file
+ * @param {String} filePath - Path to the rate table
+ * @return {Object} - Card fee setting
+ */
+function loadCardFeeRates(filePath) {
+  return validateCardFeeRates(readConfigFile(filePath));
+}
+
+/**
+ * Work out the fee withheld from one transaction's tip. Percentages are taken
+ * of the tip; an AmtFee column is the fee for the whole transaction, so the tip
+ * bears its share of it (AmtTip / (AmtSale + AmtTip), or all of it when there is
+ * no sale amount). The fee is rounded to the cent and never exceeds the tip.
+ * @param {Object} row - Raw transaction record
+ * @param {Number} tipCents - The transaction's tip in cents (after adjustments)
+ * @param {Object} cardFee - From parseCardFee or loadCardFeeRates; null for no fee
+ * @return {Number} - Fee in cents
+ */
+function tipFeeCents(row, tipCents, cardFee) {
+  if (!cardFee || !(tipCents > 0)) return 0;
+  let fee = 0;
+  if (cardFee.type === CARD_FEE_TYPES.FLAT) {
+    fee = tipCents * cardFee.percent / 100;
+  } else if (cardFee.type === CARD_FEE_TYPES.BRAND) {
+    const rate = cardFee.rates[normalizeBrand(row.CardBrand)];
+    fee = tipCents * (rate === undefined ? cardFee.defaultPercent : rate) / 100;
+  } else if (cardFee.type === CARD_FEE_TYPES.COLUMN) {
+    // Some exports write fees as negative amounts
+    const feeCents = Math.abs(toCents(row.AmtFee) || 0);
+    const saleCents = toCents(row.AmtSale) || 0;
+    fee = saleCents > 0 ? feeCents * tipCents / (saleCents + tipCents) : feeCents;
+  }
+  return Math.min(tipCents, Math.max(0, Math.round(fee)));
+}
+
+/**
+ * Describe a card fee setting for the console and summary
+ * @param {Object} cardFee - Card fee setting, or null
+ * @return {String}
+ */
+function describeCardFee(cardFee) {
+  if (!cardFee) return 'none';
+  if (cardFee.type === CARD_FEE_TYPES.FLAT) return `${cardFee.percent}% of card tips`;
+  if (cardFee.type === CARD_FEE_TYPES.BRAND) return `card brand rates, ${cardFee.defaultPercent}% for other brands`;
+  return 'AmtFee column, prorated to the tip';
+}
+
+module.exports = {
+  CARD_FEE_TYPES,
+  parseCardFee,
+  validateCardFeeRates,
+  loadCardFeeRates,
+  tipFeeCents,
+  describeCardFee
+};
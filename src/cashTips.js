@@ -0,0 +1,242 @@
+// src/cashTips.js
+
+const { readRows, rowsToRecords } = require('./spreadsheet');
+const { toCents, fromCents, allocateCents } = require('./money');
+const { parseInZone } = require('./timezone');
+const { createStandardInterval } = require('./utils');
+const { employeeLookup } = require('./roster');
+const { dateParsing, parseDateText } = require('./dateFormats');
+
+// Columns that identify the header row of a cash tips file
+const CASH_TIP_HEADER_COLUMNS = ['Date', 'Amount'];
+
+// How a declared amount is spread over the slots of the period it covers
+const CASH_SPREAD_RULES = {
+  EVEN: 'even',             // the same amount in every staffed slot (default)
+  CARD_SALES: 'card-sales'  // in proportion to each slot's card sales (card tips if the feed has no sale amounts)
+};
+
+// What one declaration covers
+const CASH_TIP_PERIODS = {
+  DAY: 'day',           // the whole business day
+  SHIFT: 'shift',       // the shifts of the employee who declared it that day
+  REGISTER: 'register'  // a register close, from Start to End
+};
+
+const TIME_OF_DAY = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*(AM|PM)?$/i;
+
+const pad = n => (n < 10 ? '0' + n : String(n));
+
+// "22:30" or "10:30 PM" -> minutes after midnight (NaN if not a time)
+function parseTimeOfDay(value) {
+  const match = TIME_OF_DAY.exec(String(value).trim());
+  if (!match) return NaN;
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return NaN;
+    hours = (hours % 12) + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+  }
+  return hours > 23 || minutes > 59 ? NaN : hours * 60 + minutes;
+}
+
+// Calendar date the given number of days after dateStr
+const addDays = (dateStr, days) => new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+/**
+ * Check cash tip rows. A row with only Date and Amount covers the business day,
+ * one with an Employee covers that employee's shifts that day, and one with
+ * Start and End covers a register close (End before Start runs past midnight).
+ * Dates are read with the given rules and kept as YYYY-MM-DD.
+ * @param {Array} rows - Rows with Date, Amount and optional Employee, Start, End, Register and Location columns
+ * @param {Object} parsing - How Date is written (see dateParsing; default month/day/year, ISO always accepted)
+ * @return {Array} - [{ Row, Date (YYYY-MM-DD), AmountCents, Employee, Start, End, StartMinutes, EndMinutes, Register, Location, Period }]
+ * @throws {Error} - With every problem found, if any row is invalid
+ */
+function validateCashTips(rows, parsing = dateParsing()) {
+  const errors = [];
+  const cashTips = [];
+
+  rows.forEach((row, idx) => {
+    const rowNumber = row.SourceRow || idx + 1;
+    const dateText = String(row.Date || '').trim();
+    const amount = String(row.Amount || '').trim();
+    if (!dateText && !amount) return;
+    const date = parseDateText(dateText, parsing);
+    const amountCents = toCents(amount);
+    const employee = String(row.Employee || '').trim();
+    const start = String(row.Start || '').trim();
+    const end = String(row.End || '').trim();
+    const rowErrors = [];
+
+    if (!date) {
+      rowErrors.push(`Date "${dateText}" could not be read as ${parsing.description}`);
+    }
+    if (isNaN(amountCents)) {
+      rowErrors.push(`Amount "${amount}" is not a number`);
+    } else if (amountCents < 0) {
+      rowErrors.push(`Amount ${amount} cannot be negative`);
+    }
+    if (!start !== !end) {
+      rowErrors.push('a register close needs both Start and End');
+    }
+    [['Start', start], ['End', end]].forEach(([column, value]) => {
+      if (value && isNaN(parseTimeOfDay(value))) rowErrors.push(`${column} "${value}" must be a time such as 22:30`);
+    });
+    if (rowErrors.length > 0) {
+      rowErrors.forEach(err => errors.push(`Row ${rowNumber}: ${err}`));
+      return;
+    }
+
+    cashTips.push({
+      Row: rowNumber,
+      Date: date,
+      AmountCents: amountCents,
+      Employee: employee,
+      Start: start,
+      End: end,
+      StartMinutes: start ? parseTimeOfDay(start) : null,
+      EndMinutes: end ? parseTimeOfDay(end) : null,
+      Register: String(row.Register || '').trim(),
+      Location: String(row.Location || row.Store || '').trim(),
+      Period: employee ? CASH_TIP_PERIODS.SHIFT : start ? CASH_TIP_PERIODS.REGISTER : CASH_TIP_PERIODS.DAY
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid cash tips file:\n  - ${errors.join('\n  - ')}`);
+  }
+  return cashTips;
+}
+
+/**
+ * Load declared cash tips (CSV or XLSX with Date and Amount columns, plus
+ * Employee, Start/End and Register where the cash was declared per shift or per register close)
+ * @param {String} filePath - Path to the cash tips file
+ * @param {Object} parsing - How its dates are written (see dateParsing)
+ * @return {Promise<Array>} - Validated cash tips
+ */
+async function loadCashTips(filePath, parsing = undefined) {
+  const rows = await readRows(filePath);
+  return validateCashTips(rowsToRecords(rows, CASH_TIP_HEADER_COLUMNS, { rowNumberField: 'SourceRow' }), parsing);
+}
+
+/**
+ * Check a cash spread rule name
+ * @param {String} rule - One of CASH_SPREAD_RULES
+ * @return {String} - The rule
+ * @throws {Error} - If the rule is unknown
+ */
+function validateCashSpread(rule) {
+  if (!Object.values(CASH_SPREAD_RULES).includes(rule)) {
+    throw new Error(`Cash spread rule "${rule}" must be one of: ${Object.values(CASH_SPREAD_RULES).join(', ')}`);
+  }
+  return rule;
+}
+
+/**
+ * Spread each cash declaration over the staffed slots of the period it covers,
+ * giving slots shaped like processTransactions' so cash goes through the same
+ * pools as card tips. A declaration whose period nobody worked is spread over
+ * the day instead (shift declarations) or put in the period's first slot, where
+ * it becomes unallocated and is redistributed like any other unclaimed tip.
+ * @param {Array} cashTips - From validateCashTips
+ * @param {Array} intervals - Employee time intervals
+ * @param {Array} tipsBySlot - Card tips by slot (from processTransactions), used by 'card-sales'
+ * @param {Object} options - { rule (default 'even'), intervalMinutes, timezone (location zone),
+ *                           dayStartMinutes, cleanedClock (to match Employee to clock names and IDs) }
+ * @return {Array} - Cash tips by slot ({ Date, TimeSlotStart, AmtTipCents, AmtTip })
+ */
+function spreadCashTips(cashTips, intervals, tipsBySlot, options = {}) {
+  const rule = validateCashSpread(options.rule || CASH_SPREAD_RULES.EVEN);
+  const intervalMinutes = options.intervalMinutes || 15;
+  const timeZone = options.timezone || 'America/New_York';
+  const dayStartMinutes = options.dayStartMinutes || 0;
+  const slotKey = (date, start) => `${date}|${start.toISOString()}`;
+
+  // Card activity per slot: sale amounts when the feed has them, otherwise card tips
+  const hasSales = tipsBySlot.some(slot => slot.AmtSaleCents > 0);
+  const cardWeight = {};
+  tipsBySlot.forEach(slot => {
+    cardWeight[slotKey(slot.Date, slot.TimeSlotStart)] = hasSales ? slot.AmtSaleCents || 0 : slot.AmtTipCents;
+  });
+
+  // Employee labels each clock name, label or ID stands for
+  const labelsFor = employeeLookup(options.cleanedClock || intervals);
+
+  // Local wall-clock minutes on a calendar date -> instant
+  const wallInstant = (calendarDate, minutes) =>
+    parseInZone(`${calendarDate}T${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`, timeZone);
+
+  const staffedSlots = (date, filter) => {
+    const slots = new Map();
+    intervals.forEach(rec => {
+      if (rec.Date !== date || !filter(rec)) return;
+      slots.set(slotKey(rec.Date, rec.TimeSlotStart), { Date: rec.Date, TimeSlotStart: rec.TimeSlotStart });
+    });
+    return Array.from(slots.values()).sort((a, b) => a.TimeSlotStart - b.TimeSlotStart);
+  };
+
+  const cashBySlot = new Map();
+  const addCash = (slot, cents) => {
+    const key = slotKey(slot.Date, slot.TimeSlotStart);
+    if (!cashBySlot.has(key)) cashBySlot.set(key, { Date: slot.Date, TimeSlotStart: slot.TimeSlotStart, AmtTipCents: 0 });
+    cashBySlot.get(key).AmtTipCents += cents;
+  };
+
+  cashTips.forEach(tip => {
+    if (tip.AmountCents === 0) return;
+    const label = `Cash tips row ${tip.Row} (${tip.Date}${tip.Employee ? `, ${tip.Employee}` : ''}${tip.Register ? `, ${tip.Register}` : ''})`;
+    let windowStart = null;
+    let windowEnd = null;
+    if (tip.Start) {
+      // Times before the business day start are on the next calendar day; End before Start runs past midnight
+      const startDate = addDays(tip.Date, tip.StartMinutes < dayStartMinutes ? 1 : 0);
+      windowStart = wallInstant(startDate, tip.StartMinutes);
+      windowEnd = wallInstant(addDays(startDate, tip.EndMinutes <= tip.StartMinutes ? 1 : 0), tip.EndMinutes);
+    }
+    const inWindow = rec => !windowStart ||
+      (rec.TimeSlotStart < windowEnd && rec.TimeSlotStart.getTime() + intervalMinutes * 60000 > windowStart.getTime());
+
+    let slots;
+    if (tip.Employee) {
+      const labels = new Set(labelsFor(tip.Employee));
+      slots = staffedSlots(tip.Date, rec => labels.has(rec.Employee) && inWindow(rec));
+      if (slots.length === 0) {
+        console.warn(`Warning: ${label}: ${tip.Employee} has no shift then; spreading over the day`);
+        slots = staffedSlots(tip.Date, inWindow);
+      }
+    } else {
+      slots = staffedSlots(tip.Date, inWindow);
+    }
+    if (slots.length === 0) {
+      // Nobody to pay: hold it in the period's first slot so it is redistributed like unclaimed card tips
+      const first = createStandardInterval(windowStart || wallInstant(tip.Date, dayStartMinutes), intervalMinutes, tip.Date, timeZone);
+      console.warn(`Warning: ${label}: nobody was clocked in; the amount is unallocated`);
+      addCash(first, tip.AmountCents);
+      return;
+    }
+
+    let weights = slots.map(() => 1);
+    if (rule === CASH_SPREAD_RULES.CARD_SALES) {
+      const byCard = slots.map(slot => cardWeight[slotKey(slot.Date, slot.TimeSlotStart)] || 0);
+      // No card activity in the period: fall back to an even spread
+      if (byCard.some(w => w > 0)) weights = byCard;
+    }
+    const split = allocateCents(tip.AmountCents, weights);
+    slots.forEach((slot, idx) => { if (split[idx] !== 0) addCash(slot, split[idx]); });
+  });
+
+  return Array.from(cashBySlot.values())
+    .sort((a, b) => a.TimeSlotStart - b.TimeSlotStart)
+    .map(slot => ({ ...slot, AmtTip: fromCents(slot.AmtTipCents) }));
+}
+
+module.exports = {
+  CASH_SPREAD_RULES,
+  CASH_TIP_PERIODS,
+  validateCashTips,
+  loadCashTips,
+  validateCashSpread,
+  spreadCashTips
+};
@@ -3,7 +3,11 @@
 const fs = require('fs');
 const csvParser = require('csv-parser');
 const { parseDateTime, addMinutes, createStandardInterval } = require('./utils');
-const { Readable } = require('stream');
+const { businessDateInZone } = require('./timezone');
+const { readRows, rowsToRecords } = require('./spreadsheet');
+const { employeeIdFromRow } = require('./roster');
+const { IMPORT_SOURCES, getImportFormat, resolveImportFormat, applyImportFormat } = require('./importFormats');
+const { dateParsing } = require('./dateFormats');
 
 // Reads CSV file without any pre-processing (not used for clock data)
 function readCSV(filePath) {
@@ -17,39 +21,132 @@ function readCSV(filePath) {
   });
 }
 
+// Columns that identify the header row of the "Clocks Summary" report
+const CLOCK_HEADER_COLUMNS = ['First Name', 'Last Name', 'Date In', 'Time In'];
+
 /**
- * loadClockData - Reads the raw clock times CSV, pre-processes it by:
- *  - Skipping the first two rows (which contain time range info and extra header info)
- *  - Removing the last row (totals)
- * Then parses the cleaned CSV content.
+ * loadClockData - Reads the raw clock times report, either as the CSV export or
+ * directly from the .xlsx workbook. The report starts with a title row and ends
+ * with a totals row, so the header row is located by its column names and
+ * reading stops at the "TOTALS:" row. Each row keeps its line number in the
+ * file as SourceRow so problems can be traced back to the report.
+ *
+ * Exports of other timekeeping systems (Toast, Square, ...) are translated into
+ * the report's columns using an import format (see importFormats.js), given by
+ * name or detected from the header row.
+ * @param {String} filePath - Path to the clock report
+ * @param {String|Object} format - Import format name, custom format file or validated format;
+ *                                 null (default) to detect it
+ * @param {String} dateFormat - Optional date format replacing the import format's (see compileDateFormat)
  */
-async function loadClockData(filePath) {
-  // Read entire file as text
-  const rawContent = fs.readFileSync(filePath, 'utf8');
-  // Split into lines
-  const lines = rawContent.split(/\r?\n/);
-  // Remove the first two rows and the last row (totals)
-  const cleanedLines = lines.slice(2, lines.length - 1);
-  // Join the cleaned lines back into a CSV string
-  const cleanedCSV = cleanedLines.join('\n');
-  
-  // Create a readable stream from the cleaned CSV string
-  return new Promise((resolve, reject) => {
-    let results = [];
-    Readable.from([cleanedCSV])
-      .pipe(csvParser())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', (err) => reject(err));
-  });
+async function loadClockData(filePath, format = null, dateFormat = null) {
+  const requested = typeof format === 'string' ? getImportFormat(format, IMPORT_SOURCES.CLOCK) : format;
+  const rows = await readRows(filePath);
+  const resolved = resolveImportFormat(rows, IMPORT_SOURCES.CLOCK, requested, CLOCK_HEADER_COLUMNS);
+  const records = rowsToRecords(rows, resolved.headerColumns, { rowNumberField: 'SourceRow' });
+  return applyImportFormat(records, resolved.format, IMPORT_SOURCES.CLOCK, dateFormat);
+}
+
+// Where an unpaid break given only as a duration ("Break" column, in hours) is placed in the shift
+const BREAK_PLACEMENTS = {
+  NONE: 'none',     // ignore break durations (break punches are still used)
+  MIDDLE: 'middle', // centered in the shift
+  END: 'end'        // the last minutes before clock-out
+  // 'after:<hours>' starts the break that many hours after clock-in
+};
+
+/**
+ * Parse a break placement rule ('none', 'middle', 'end' or 'after:<hours>')
+ * @param {String} value - Placement rule
+ * @return {Object} - { rule, afterHours }
+ * @throws {Error} - If the rule is not recognised
+ */
+function parseBreakPlacement(value = BREAK_PLACEMENTS.NONE) {
+  const after = /^after:(\d+(\.\d+)?)$/.exec(String(value));
+  if (after) {
+    return { rule: 'after', afterHours: parseFloat(after[1]) };
+  }
+  if (!Object.values(BREAK_PLACEMENTS).includes(value)) {
+    throw new Error(
+      `Break placement "${value}" must be one of: ${Object.values(BREAK_PLACEMENTS).join(', ')}, after:<hours>`
+    );
+  }
+  return { rule: value, afterHours: null };
+}
+
+/**
+ * Work out the unpaid breaks inside a shift. "Break Start"/"Break End" punches
+ * win; otherwise a "Break" duration (hours) is placed using the placement rule.
+ * @param {Object} row - Raw clock row
+ * @param {Date} timeIn - Parsed clock-in
+ * @param {Date} timeOut - Parsed (or imputed) clock-out
+ * @param {Object} placement - Parsed placement rule (see parseBreakPlacement)
+ * @param {String} timeZone - IANA zone the punches were recorded in (null = host zone)
+ * @param {Object} parsing - How dates are written (see dateParsing; default month/day/year)
+ * @return {Array} - [{ Start, End }] breaks clipped to the shift
+ */
+function breaksForShift(row, timeIn, timeOut, placement, timeZone = null, parsing = undefined) {
+  if (!timeOut) return [];
+
+  if (row['Break Start'] && row['Break End']) {
+    let start = parseDateTime(row['Date In'], row['Break Start'], timeZone, parsing);
+    let end = parseDateTime(row['Date In'], row['Break End'], timeZone, parsing);
+    // Punches only carry a time; breaks after midnight belong to the next day
+    if (start < timeIn) start = addMinutes(start, 24 * 60);
+    while (end < start) end = addMinutes(end, 24 * 60);
+    if (isNaN(start) || isNaN(end) || end <= timeIn || start >= timeOut) return [];
+    return [{ Start: start < timeIn ? timeIn : start, End: end > timeOut ? timeOut : end }];
+  }
+
+  const breakMinutes = Math.round((parseFloat(row['Break']) || 0) * 60);
+  const shiftMinutes = (timeOut - timeIn) / 60000;
+  if (placement.rule === BREAK_PLACEMENTS.NONE || breakMinutes <= 0 || breakMinutes >= shiftMinutes) {
+    return [];
+  }
+
+  let offset;
+  if (placement.rule === BREAK_PLACEMENTS.MIDDLE) {
+    offset = Math.round((shiftMinutes - breakMinutes) / 2);
+  } else if (placement.rule === BREAK_PLACEMENTS.END) {
+    offset = shiftMinutes - breakMinutes;
+  } else {
+    offset = Math.min(placement.afterHours * 60, shiftMinutes - breakMinutes);
+  }
+  const start = addMinutes(timeIn, offset);
+  return [{ Start: start, End: addMinutes(start, breakMinutes) }];
 }
 
+// A punch's date and time as written, e.g. "3/1/2025 10:00 AM"
+const quoted = (date, time) => `"${[date, time].filter(Boolean).join(' ')}"`;
+
 /**
  * processClockData - Transforms the raw clock data into a cleaned format.
  * Combines first and last names, parses clock in/out times, and fills missing
- * clock-out times using 'Total Less Break' (assumed to be hours).
+ * clock-out times using 'Total Less Break' (assumed to be hours). EmployeeId is
+ * taken from the report's ID column when it has one (see resolveEmployees).
+ *
+ * Unpaid breaks are attached as Breaks: [{ Start, End }] from "Break Start" /
+ * "Break End" punches, or from the "Break" duration placed according to
+ * options.breakPlacement (default 'none'). When a break will be removed, an
+ * imputed clock-out is pushed back by the break so the paid hours still match.
+ *
+ * options.timezone is the IANA zone the punches were recorded in; TimeIn/TimeOut
+ * are then absolute instants and Date is the business date of the clock-in in
+ * options.locationTimezone (default: the same zone), where the business day
+ * starts options.dayStartMinutes after midnight (default 0, e.g. 240 for 4 AM).
+ * Without a zone the host machine's zone is used and Date is the UTC date.
+ *
+ * options.dateParsing (see dateParsing) says how the report writes its dates,
+ * by default month/day/year. Punches that cannot be read are kept with an
+ * Invalid Date and a DateError naming the values, for validateClockRecords.
  */
-function processClockData(clockData) {
+function processClockData(clockData, options = {}) {
+  const placement = parseBreakPlacement(options.breakPlacement);
+  const timeZone = options.timezone || null;
+  const locationTimeZone = options.locationTimezone || timeZone;
+  const dayStartMinutes = options.dayStartMinutes || 0;
+  const parsing = options.dateParsing || dateParsing();
+
   // Debug: Count entries with missing clock-out times
   const missedClockouts = clockData.filter(row => 
     row['Time Out'] === '-' || row['Date Out'] === 'Missed Clockout');
@@ -63,21 +160,45 @@ function processClockData(clockData) {
     });
   }
   
-  const processed = clockData.map(row => {
-    const employee = `${row['First Name']} ${row['Last Name']}`;
-    const timeIn = parseDateTime(row['Date In'], row['Time In']);
-    let timeOut = row['Time Out'] && row['Time Out'] !== '-' ? parseDateTime(row['Date Out'], row['Time Out']) : null;
+  const processed = clockData.map((row, idx) => {
+    // Exports with one name column leave Last Name blank
+    const employee = `${row['First Name']} ${row['Last Name'] || ''}`.trim();
+    const timeIn = parseDateTime(row['Date In'], row['Time In'], timeZone, parsing);
+    let timeOut = row['Time Out'] && row['Time Out'] !== '-'
+      ? parseDateTime(row['Date Out'] || row['Date In'], row['Time Out'], timeZone, parsing)
+      : null;
+    const unread = [];
+    if (isNaN(timeIn)) unread.push(`Date In/Time In ${quoted(row['Date In'], row['Time In'])}`);
+    if (timeOut && isNaN(timeOut)) unread.push(`Date Out/Time Out ${quoted(row['Date Out'] || row['Date In'], row['Time Out'])}`);
+    // Without a Date Out the shift ends on the day it started, or the next day when it runs past midnight
+    if (timeOut && !row['Date Out'] && timeOut <= timeIn) timeOut = addMinutes(timeOut, 24 * 60);
+    const timeOutImputed = !timeOut && !!row['Total Less Break'];
     if (!timeOut && row['Total Less Break']) {
-      const hours = parseFloat(row['Total Less Break']);
+      let hours = parseFloat(row['Total Less Break']);
+      if (placement.rule !== BREAK_PLACEMENTS.NONE || (row['Break Start'] && row['Break End'])) {
+        hours += parseFloat(row['Break']) || 0;
+      }
       timeOut = addMinutes(timeIn, hours * 60);
     }
-    const dateStr = timeIn.toISOString().split('T')[0];
+    // Unparseable dates are kept (with an empty Date) so validateClockRecords can report them
+    let dateStr = '';
+    if (!isNaN(timeIn)) {
+      dateStr = locationTimeZone
+        ? businessDateInZone(timeIn, locationTimeZone, dayStartMinutes)
+        : timeIn.toISOString().split('T')[0];
+    }
     return {
+      SourceRow: row.SourceRow || idx + 1,
       Employee: employee,
+      EmployeeId: employeeIdFromRow(row),
       Department: row['Department'],
+      Position: row['Position'] || '',
       Date: dateStr,
       TimeIn: timeIn,
-      TimeOut: timeOut
+      TimeOut: timeOut,
+      TimeOutImputed: timeOutImputed,
+      DateError: unread.length > 0 ? `${unread.join(' and ')} could not be read as ${parsing.description}` : '',
+      Breaks: isNaN(timeIn) || isNaN(timeOut) ? [] : breaksForShift(row, timeIn, timeOut, placement, timeZone, parsing)
     };
   });
   
@@ -90,19 +211,44 @@ function processClockData(clockData) {
   return processed;
 }
 
+// How much of a slot an employee is credited with when they only work part of it
+const CREDIT_MODES = {
+  FULL: 'full',                 // any presence in a slot counts as the whole slot
+  PROPORTIONAL: 'proportional'  // credit the fraction of the slot actually worked
+};
+
 /**
  * expandToIntervals - Expands each shift into contiguous time intervals.
  * Accepts an optional interval parameter (in minutes) with a default of 15.
  * For fairness: if an employee clocks out partway through an interval,
  * they are still credited with the entire interval.
  *
+ * With options.creditMode = 'proportional' each interval instead carries the
+ * Fraction of the slot worked (a 3-minute overlap of a 15-minute slot is 0.2),
+ * and slots with no overlap (e.g. clocking out exactly on a boundary) are skipped.
+ * In the default 'full' mode Fraction is always 1.
+ *
+ * Break time (the record's Breaks) never earns credit: a slot the employee spent
+ * entirely on break is dropped, and in proportional mode the break minutes are
+ * taken out of the Fraction. Dropped slots are pushed to options.excluded (if
+ * given) with Excluded: 'Break' so they can be reported.
+ *
+ * With options.timezone (the restaurant's IANA zone) slots follow that zone's
+ * wall clock and each interval's Date is the business date of its slot (see
+ * options.dayStartMinutes), so the short spring-forward and long fall-back
+ * nights get the right slots and after-midnight slots stay on the night's day.
+ *
  * The interval must be between 2 and 60 minutes and evenly divide 1440.
  * If invalid, defaults to 15 minutes.
  * 
  * Note: Intervals are floored to standard time boundaries (like :00, :15, etc.)
  * to ensure alignment with transaction data.
  */
-function expandToIntervals(cleanedClock, intervalMinutes = 15) {
+function expandToIntervals(cleanedClock, intervalMinutes = 15, options = {}) {
+  const creditMode = options.creditMode || CREDIT_MODES.FULL;
+  const timeZone = options.timezone || null;
+  const dayStartMinutes = options.dayStartMinutes || 0;
+
   // Add date range logging to understand the scope of clock data
   const dates = new Set(cleanedClock.map(entry => entry.Date));
   const sortedDates = Array.from(dates).sort();
@@ -124,26 +270,48 @@ function expandToIntervals(cleanedClock, intervalMinutes = 15) {
   let intervals = [];
   cleanedClock.forEach(row => {
     // Floor the timeIn to the standard interval boundary
-    let standardInterval = createStandardInterval(row.TimeIn, intervalMinutes, row.Date);
+    let standardInterval = createStandardInterval(row.TimeIn, intervalMinutes, row.Date, timeZone, dayStartMinutes);
     let slotStart = standardInterval.TimeSlotStart;
 
     // Continue generating intervals as long as slotStart is before or equal to the clock-out time
     while (slotStart <= row.TimeOut) {
       // Don't pass row.Date - let createStandardInterval extract the date from slotStart
-      let standardInterval = createStandardInterval(slotStart, intervalMinutes);
+      let standardInterval = createStandardInterval(slotStart, intervalMinutes, null, timeZone, dayStartMinutes);
       
       // Log partial presence for transparency
       // if (slotStart < row.TimeOut && row.TimeOut < standardInterval.TimeSlotEnd) {
       //   console.log(`Partial presence: Employee ${row.Employee} credited for interval ending at ${standardInterval.TimeSlotEnd.toISOString()} despite clocking out at ${row.TimeOut.toISOString()}`);
       // }
 
-      intervals.push({
+      const slotFrom = standardInterval.TimeSlotStart.getTime();
+      const slotTo = standardInterval.TimeSlotEnd.getTime();
+      const onShiftMs = Math.max(0, Math.min(row.TimeOut.getTime(), slotTo) - Math.max(row.TimeIn.getTime(), slotFrom));
+      const breakMs = (row.Breaks || []).reduce((acc, b) =>
+        acc + Math.max(0, Math.min(b.End.getTime(), slotTo) - Math.max(b.Start.getTime(), slotFrom)), 0);
+      const workedMs = onShiftMs - breakMs;
+
+      let fraction = 1;
+      if (creditMode === CREDIT_MODES.PROPORTIONAL) {
+        fraction = workedMs / (intervalMinutes * 60000);
+      }
+
+      const interval = {
         Employee: row.Employee,
         Department: row.Department,
+        Position: row.Position,
+        Category: row.Category,
         Date: standardInterval.Date,
         TimeSlotStart: standardInterval.TimeSlotStart,
-        TimeSlotEnd: standardInterval.TimeSlotEnd
-      });
+        TimeSlotEnd: standardInterval.TimeSlotEnd,
+        Fraction: fraction,
+        BreakMinutes: breakMs / 60000
+      };
+
+      if (breakMs > 0 && workedMs <= 0) {
+        if (options.excluded) options.excluded.push({ ...interval, Fraction: 0, Excluded: 'Break' });
+      } else if (fraction > 0) {
+        intervals.push(interval);
+      }
 
       slotStart = standardInterval.TimeSlotEnd;
     }
@@ -153,6 +321,9 @@ function expandToIntervals(cleanedClock, intervalMinutes = 15) {
 }
 
 module.exports = {
+  CREDIT_MODES,
+  BREAK_PLACEMENTS,
+  parseBreakPlacement,
   loadClockData,
   processClockData,
   expandToIntervals,
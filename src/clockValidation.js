@@ -0,0 +1,118 @@
+// src/clockValidation.js
+
+const { formatDateTime } = require('./utils');
+
+// Problems found in cleaned clock records (and transaction tips, see processTransactions).
+// Blocking issues make the shift unusable (or ambiguous) for allocation; warnings are
+// reported but the run carries on.
+const ISSUE_TYPES = {
+  UNPARSEABLE_DATE: { code: 'UnparseableDate', blocking: true },
+  MISSING_CLOCKOUT: { code: 'MissingClockout', blocking: true },
+  TIMEOUT_BEFORE_TIMEIN: { code: 'TimeOutBeforeTimeIn', blocking: true },
+  OVERLAPPING_SHIFT: { code: 'OverlappingShift', blocking: true },
+  SHIFT_TOO_LONG: { code: 'ShiftTooLong', blocking: true },
+  MISSED_CLOCKOUT: { code: 'MissedClockout', blocking: false },
+  DUPLICATE_PUNCH: { code: 'DuplicatePunch', blocking: false },
+  INVALID_TIP: { code: 'InvalidTip', blocking: false }
+};
+
+const DEFAULT_MAX_SHIFT_HOURS = 16;
+
+/**
+ * Check cleaned clock records for anomalies before they are expanded into intervals.
+ *
+ * Records whose times cannot be used at all (unparseable dates, no clock-out,
+ * clock-out before clock-in) and exact duplicate punches are dropped; every other
+ * record is kept, even when it has an issue, so the run matches the previous
+ * behaviour unless the caller aborts on blocking issues.
+ * @param {Array} cleanedClock - Records from processClockData
+ * @param {Object} options - Optional { maxShiftHours (default 16), timezone (for the times in Details) }
+ * @return {Object} - { records, issues } where issues are
+ *                    { Row, Employee, Date, Issue, Blocking, Action, Details }
+ */
+function validateClockRecords(cleanedClock, options = {}) {
+  const maxShiftHours = options.maxShiftHours || DEFAULT_MAX_SHIFT_HOURS;
+  const describeTime = dt => (dt && !isNaN(dt) ? formatDateTime(dt, options.timezone || null) : '');
+  const issues = [];
+  const report = (rec, type, action, details) => {
+    issues.push({
+      Row: rec.SourceRow,
+      Employee: rec.Employee,
+      Date: rec.Date,
+      Issue: type.code,
+      Blocking: type.blocking,
+      Action: action,
+      Details: details
+    });
+  };
+
+  const usable = cleanedClock.filter(rec => {
+    if (isNaN(rec.TimeIn) || (rec.TimeOut && isNaN(rec.TimeOut))) {
+      report(rec, ISSUE_TYPES.UNPARSEABLE_DATE, 'Excluded',
+        rec.DateError || 'Date In/Time In or Date Out/Time Out could not be parsed');
+      return false;
+    }
+    if (!rec.TimeOut) {
+      report(rec, ISSUE_TYPES.MISSING_CLOCKOUT, 'Excluded', 'No clock-out and no Total Less Break to impute one');
+      return false;
+    }
+    if (rec.TimeOut < rec.TimeIn) {
+      report(rec, ISSUE_TYPES.TIMEOUT_BEFORE_TIMEIN, 'Excluded',
+        `TimeOut ${describeTime(rec.TimeOut)} is before TimeIn ${describeTime(rec.TimeIn)}`);
+      return false;
+    }
+    if (rec.TimeOutImputed) {
+      report(rec, ISSUE_TYPES.MISSED_CLOCKOUT, 'Imputed',
+        `Clock-out imputed as ${describeTime(rec.TimeOut)} from Total Less Break`);
+    }
+    const hours = (rec.TimeOut - rec.TimeIn) / 3600000;
+    if (hours > maxShiftHours) {
+      report(rec, ISSUE_TYPES.SHIFT_TOO_LONG, 'Kept',
+        `Shift is ${hours.toFixed(2)} hours (maximum ${maxShiftHours})`);
+    }
+    return true;
+  });
+
+  // Compare each employee's shifts in clock-in order
+  const byEmployee = {};
+  usable.forEach(rec => {
+    (byEmployee[rec.Employee] = byEmployee[rec.Employee] || []).push(rec);
+  });
+
+  const duplicates = new Set();
+  Object.values(byEmployee).forEach(shifts => {
+    shifts.sort((a, b) => a.TimeIn - b.TimeIn || a.TimeOut - b.TimeOut);
+    let latest = null; // shift reaching furthest so far
+    shifts.forEach(rec => {
+      if (latest && rec.TimeIn.getTime() === latest.TimeIn.getTime() && rec.TimeOut.getTime() === latest.TimeOut.getTime()) {
+        duplicates.add(rec);
+        report(rec, ISSUE_TYPES.DUPLICATE_PUNCH, 'Excluded', `Same punches as row ${latest.SourceRow}`);
+        return;
+      }
+      if (latest && rec.TimeIn < latest.TimeOut) {
+        report(rec, ISSUE_TYPES.OVERLAPPING_SHIFT, 'Kept',
+          `Overlaps row ${latest.SourceRow} (${describeTime(latest.TimeIn)} - ${describeTime(latest.TimeOut)})`);
+      }
+      if (!latest || rec.TimeOut > latest.TimeOut) latest = rec;
+    });
+  });
+
+  issues.sort((a, b) => a.Row - b.Row);
+  return { records: usable.filter(rec => !duplicates.has(rec)), issues };
+}
+
+/**
+ * Pick out the issues that block a strict run
+ * @param {Array} issues - Issues from validateClockRecords
+ * @return {Array} - Blocking issues only
+ */
+function blockingIssues(issues) {
+  return issues.filter(issue => issue.Blocking);
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  DEFAULT_MAX_SHIFT_HOURS,
+  validateClockRecords,
+  blockingIssues
+};
@@ -0,0 +1,24 @@
+// src/configFile.js
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Read a JSON or YAML configuration file (policy, rules, mappings, ...)
+ * @param {String} filePath - Path to a .json, .yaml or .yml file
+ * @return {Object} - Parsed content
+ */
+function readConfigFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  try {
+    return ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Could not parse ${filePath}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  readConfigFile
+};
@@ -0,0 +1,227 @@
+// src/corrections.js
+
+const { readRows, rowsToRecords } = require('./spreadsheet');
+const { parseDateTime, formatDateTime } = require('./utils');
+const { parseInZone } = require('./timezone');
+const { parseDateTimeText } = require('./dateFormats');
+
+// Columns that identify the header row of a corrections file
+const CORRECTION_HEADER_COLUMNS = ['Employee', 'TimeIn'];
+
+const EXCLUDE_VALUES = ['yes', 'y', 'true', '1', 'x'];
+
+// "10:30 PM" or "22:30" without a date
+const TIME_ONLY = /^\d{1,2}:\d{2}(:\d{2})?\s*(am|pm)?$/i;
+
+const shiftKey = (employee, timeIn) => `${employee}|${timeIn.getTime()}`;
+
+// Full date/time text written the clock's way, in the clock's zone when one is declared
+function parseTimestamp(value, timeZone, parsing) {
+  const wall = parseDateTimeText(value, parsing);
+  if (!wall) return new Date(NaN);
+  // Times with their own offset are absolute whatever the zone
+  if (timeZone || wall.offsetMinutes !== null) {
+    return parseInZone(value, timeZone || 'UTC', parsing);
+  }
+  return new Date(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second, wall.millisecond);
+}
+
+// "2025-03-01" -> "2025-03-02" (calendar arithmetic, unaffected by DST)
+const nextCalendarDate = dateStr => new Date(Date.parse(`${dateStr}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+
+/**
+ * Parse a manager-supplied clock-out. A bare time is taken on the clock-in date,
+ * rolling over to the next day when it would be before the clock-in.
+ * @param {String} value - Clock-out as written in the corrections file
+ * @param {Date} timeIn - Clock-in of the shift being corrected
+ * @param {String} timeZone - IANA zone of the clock (null = host zone)
+ * @param {Object} parsing - Date rules of the clock from dateParsing (default: month/day/year dates)
+ * @return {Date} - Parsed clock-out (Invalid Date if it cannot be read)
+ */
+function parseCorrectedTimeOut(value, timeIn, timeZone = null, parsing = undefined) {
+  if (!TIME_ONLY.test(value)) {
+    return parseTimestamp(value, timeZone, parsing);
+  }
+  const clockInDate = formatDateTime(timeIn, timeZone).slice(0, 10);
+  const timeOut = parseDateTime(clockInDate, value, timeZone);
+  if (timeOut < timeIn) {
+    return parseDateTime(nextCalendarDate(clockInDate), value, timeZone);
+  }
+  return timeOut;
+}
+
+/**
+ * Check corrections rows and turn them into correction objects
+ * @param {Array} rows - Rows with Employee, TimeIn, CorrectedTimeOut, Exclude and Note columns
+ * @param {String} timeZone - IANA zone the times are written in (null = host zone)
+ * @param {Object} parsing - Date rules of the clock from dateParsing (default: month/day/year dates)
+ * @return {Array} - [{ Row, Employee, TimeIn, CorrectedTimeOut, Exclude, Note }]
+ * @throws {Error} - With every problem found, if any row is invalid
+ */
+function validateCorrections(rows, timeZone = null, parsing = undefined) {
+  const errors = [];
+  const corrections = [];
+
+  rows.forEach((row, idx) => {
+    const rowNumber = row.SourceRow || idx + 1;
+    const employee = String(row.Employee || '').trim();
+    const timeIn = parseTimestamp(row.TimeIn, timeZone, parsing);
+    const correctedValue = String(row.CorrectedTimeOut || '').trim();
+    const exclude = EXCLUDE_VALUES.includes(String(row.Exclude || '').trim().toLowerCase());
+
+    // Rows copied from the template but left blank are not corrections
+    if (!correctedValue && !exclude) return;
+
+    if (!employee) errors.push(`Row ${rowNumber}: Employee is required`);
+    if (isNaN(timeIn)) errors.push(`Row ${rowNumber}: TimeIn "${row.TimeIn}" is not a valid date and time`);
+    if (!employee || isNaN(timeIn)) return;
+
+    let correctedTimeOut = null;
+    if (!exclude) {
+      correctedTimeOut = parseCorrectedTimeOut(correctedValue, timeIn, timeZone, parsing);
+      if (isNaN(correctedTimeOut)) {
+        errors.push(`Row ${rowNumber}: CorrectedTimeOut "${correctedValue}" is not a valid date or time`);
+        return;
+      }
+      if (correctedTimeOut <= timeIn) {
+        errors.push(`Row ${rowNumber}: CorrectedTimeOut must be after TimeIn`);
+        return;
+      }
+    }
+
+    corrections.push({
+      Row: rowNumber,
+      Employee: employee,
+      TimeIn: timeIn,
+      CorrectedTimeOut: correctedTimeOut,
+      Exclude: exclude,
+      Note: String(row.Note || '').trim()
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid corrections file:\n  - ${errors.join('\n  - ')}`);
+  }
+  return corrections;
+}
+
+/**
+ * Load a corrections file (CSV or XLSX, usually an edited corrections_template.csv)
+ * @param {String} filePath - Path to the corrections file
+ * @param {String} timeZone - IANA zone the times are written in (the clock's zone)
+ * @param {Object} parsing - Date rules of the clock from dateParsing (default: month/day/year dates)
+ * @return {Promise<Array>} - Validated corrections
+ */
+async function loadCorrections(filePath, timeZone = null, parsing = undefined) {
+  return validateCorrections(
+    rowsToRecords(await readRows(filePath), CORRECTION_HEADER_COLUMNS, { rowNumberField: 'SourceRow' }),
+    timeZone,
+    parsing
+  );
+}
+
+/**
+ * Apply manager corrections to cleaned clock records. A shift is matched by
+ * employee and clock-in; it is either dropped or given the corrected clock-out.
+ * @param {Array} cleanedClock - Records from processClockData
+ * @param {Array} corrections - Validated corrections
+ * @return {Object} - { records, applied } where applied lists every correction
+ *                    with its Action (CorrectedTimeOut, Excluded or Unmatched)
+ */
+function applyCorrections(cleanedClock, corrections = []) {
+  const byShift = new Map(corrections.map(c => [shiftKey(c.Employee, c.TimeIn), c]));
+  const matched = new Set();
+  const applied = [];
+
+  const records = [];
+  cleanedClock.forEach(rec => {
+    const correction = rec.TimeIn instanceof Date && !isNaN(rec.TimeIn)
+      ? byShift.get(shiftKey(rec.Employee, rec.TimeIn))
+      : undefined;
+    if (!correction) {
+      records.push(rec);
+      return;
+    }
+    matched.add(correction);
+
+    const entry = {
+      Row: rec.SourceRow,
+      Employee: rec.Employee,
+      Date: rec.Date,
+      TimeIn: rec.TimeIn,
+      OriginalTimeOut: rec.TimeOut,
+      WasImputed: !!rec.TimeOutImputed,
+      Note: correction.Note
+    };
+    if (correction.Exclude) {
+      applied.push({ ...entry, Action: 'Excluded', NewTimeOut: null });
+      return;
+    }
+    const timeOut = correction.CorrectedTimeOut;
+    applied.push({ ...entry, Action: 'CorrectedTimeOut', NewTimeOut: timeOut });
+    records.push({
+      ...rec,
+      TimeOut: timeOut,
+      TimeOutImputed: false,
+      TimeOutCorrected: true,
+      // Keep breaks inside the corrected shift
+      Breaks: (rec.Breaks || [])
+        .filter(b => b.Start < timeOut)
+        .map(b => ({ Start: b.Start, End: b.End > timeOut ? timeOut : b.End }))
+    });
+  });
+
+  // Corrections for shifts that are not in this clock report (wrong name, edited punch, other period)
+  corrections.filter(c => !matched.has(c)).forEach(c => {
+    applied.push({
+      Row: null,
+      Employee: c.Employee,
+      Date: '',
+      TimeIn: c.TimeIn,
+      OriginalTimeOut: null,
+      WasImputed: false,
+      Note: c.Note,
+      Action: 'Unmatched',
+      NewTimeOut: c.CorrectedTimeOut
+    });
+  });
+
+  return { records, applied };
+}
+
+/**
+ * List every shift whose clock-out was missed in the report, for a manager to
+ * review. Corrections already supplied are pre-filled so the same file can be
+ * edited and passed back with --corrections.
+ * @param {Array} cleanedClock - Records from processClockData (before corrections)
+ * @param {Array} corrections - Validated corrections (optional)
+ * @param {String} timeZone - IANA zone to write the times in (null = host zone)
+ * @return {Array} - Template rows
+ */
+function buildCorrectionsTemplate(cleanedClock, corrections = [], timeZone = null) {
+  const byShift = new Map(corrections.map(c => [shiftKey(c.Employee, c.TimeIn), c]));
+
+  return cleanedClock
+    .filter(rec => rec.TimeOutImputed)
+    .map(rec => {
+      const correction = byShift.get(shiftKey(rec.Employee, rec.TimeIn));
+      return {
+        Row: rec.SourceRow,
+        Employee: rec.Employee,
+        Department: rec.Department,
+        Date: rec.Date,
+        TimeIn: formatDateTime(rec.TimeIn, timeZone),
+        ImputedTimeOut: formatDateTime(rec.TimeOut, timeZone),
+        CorrectedTimeOut: correction && correction.CorrectedTimeOut ? formatDateTime(correction.CorrectedTimeOut, timeZone) : '',
+        Exclude: correction && correction.Exclude ? 'yes' : '',
+        Note: correction ? correction.Note : ''
+      };
+    });
+}
+
+module.exports = {
+  validateCorrections,
+  loadCorrections,
+  applyCorrections,
+  buildCorrectionsTemplate
+};
@@ -0,0 +1,270 @@
+// src/dateFormats.js
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+  'october', 'november', 'december'];
+
+// Format tokens, longest first so "MMM" wins over "MM" and "M"
+const DATE_TOKENS = {
+  YYYY: { field: 'year', pattern: '(\\d{4})' },
+  YY: { field: 'year', pattern: '(\\d{2})' },
+  MMM: { field: 'monthName', pattern: '([A-Za-z]{3,9})' },
+  MM: { field: 'month', pattern: '(\\d{1,2})' },
+  M: { field: 'month', pattern: '(\\d{1,2})' },
+  DD: { field: 'day', pattern: '(\\d{1,2})' },
+  D: { field: 'day', pattern: '(\\d{1,2})' },
+  HH: { field: 'hour', pattern: '(\\d{1,2})' },
+  H: { field: 'hour', pattern: '(\\d{1,2})' },
+  hh: { field: 'hour12', pattern: '(\\d{1,2})' },
+  h: { field: 'hour12', pattern: '(\\d{1,2})' },
+  mm: { field: 'minute', pattern: '(\\d{2})' },
+  ss: { field: 'second', pattern: '(\\d{2})' },
+  A: { field: 'meridiem', pattern: '([AP]\\.?M\\.?)' }
+};
+const TOKEN_PATTERN = new RegExp(Object.keys(DATE_TOKENS).join('|'), 'g');
+
+// The order of day, month and year in dates written with numbers only
+const DATE_ORDERS = {
+  MDY: 'month/day/year',
+  DMY: 'day/month/year',
+  YMD: 'year/month/day'
+};
+
+// Formats tried, in order, for dates without an explicit format; ISO dates are always accepted.
+// Only the locale's order reads two-digit years, so "10/11/12" is never taken as 2010-11-12.
+const ISO_DATE_FORMATS = ['YYYY-MM-DD', 'YYYY/MM/DD'];
+const ORDER_DATE_FORMATS = {
+  MDY: ['M/D/YYYY', 'M-D-YYYY', 'M.D.YYYY', 'M/D/YY', 'M-D-YY', 'M.D.YY', 'MMM D, YYYY', 'MMM D YYYY', 'D MMM YYYY',
+    'D-MMM-YYYY'],
+  DMY: ['D/M/YYYY', 'D-M-YYYY', 'D.M.YYYY', 'D/M/YY', 'D-M-YY', 'D.M.YY', 'D MMM YYYY', 'D-MMM-YYYY', 'MMM D, YYYY',
+    'MMM D YYYY'],
+  YMD: ['YYYY.M.D', 'YYYY MMM D', 'D MMM YYYY', 'D-MMM-YYYY', 'MMM D, YYYY']
+};
+
+// Time zone suffixes and their offsets in minutes; other abbreviations are ambiguous and not read
+const ZONE_OFFSETS = {
+  Z: 0, UTC: 0, GMT: 0,
+  EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360, PST: -480, PDT: -420
+};
+const ZONE_SUFFIX = /\s*(Z|UTC|GMT|[ECMP][SD]T|[+-]\d{2}:?\d{2})$/i;
+// "22:05", "10:05:30.250", "10:05 AM", "10:05pm", "10 p.m."
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?(?::(\d{2})(?:\.(\d{1,9}))?)?\s*(?:([AaPp])\.?[Mm]\.?)?$/;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+const pad = n => (n < 10 ? '0' + n : String(n));
+
+/**
+ * Compile a format such as "M/D/YYYY", "DD.MM.YYYY", "DD-MMM-YY" or
+ * "YYYY-MM-DD HH:mm" into a matcher. YYYY takes four digits and YY two (years
+ * 20xx), MM/M and DD/D one or two, and MMM a month name or its
+ * abbreviation. A format may go on with a time: HH/H (0-23) or hh/h (1-12,
+ * with A for AM/PM), mm and ss. Anything else must appear as written.
+ * @param {String} format - Date format
+ * @return {Object} - { format, regex (anchored at the start of the text), fields }
+ * @throws {Error} - If the format lacks a year, month or day, or has an incomplete time
+ */
+function compileDateFormat(format) {
+  const fields = [];
+  let pattern = '';
+  let last = 0;
+  String(format).replace(TOKEN_PATTERN, (token, offset) => {
+    pattern += escapeRegExp(format.slice(last, offset)) + DATE_TOKENS[token].pattern;
+    fields.push(DATE_TOKENS[token].field);
+    last = offset + token.length;
+    return token;
+  });
+  pattern += escapeRegExp(String(format).slice(last));
+  const has = field => fields.includes(field);
+  if (!has('year') || !(has('month') || has('monthName')) || !has('day')) {
+    throw new Error(`Date format "${format}" needs a year (YYYY or YY), a month (MM, M or MMM) and a day (DD or D)`);
+  }
+  if ((has('hour') || has('hour12') || has('second')) && !has('minute')) {
+    throw new Error(`Date format "${format}" needs minutes (mm) with its hour`);
+  }
+  if (has('minute') && !has('hour') && !has('hour12')) {
+    throw new Error(`Date format "${format}" needs an hour (HH, H, hh or h) with its minutes`);
+  }
+  if (has('hour12') !== has('meridiem')) {
+    throw new Error(`Date format "${format}" must use AM/PM (A) with a 12-hour hour (hh or h) and only then`);
+  }
+  return { format, regex: new RegExp(`^${pattern}`, 'i'), fields };
+}
+
+// Month number (1-12) of a name or an abbreviation of at least three letters, or 0
+const monthOfName = name => {
+  const text = name.toLowerCase();
+  return MONTH_NAMES.findIndex(month => month.startsWith(text)) + 1;
+};
+
+/**
+ * Read the date at the start of a text with a compiled format
+ * @param {String} text - e.g. "3/1/2025" or "3/1/2025 9:27 AM"
+ * @param {Object} compiled - From compileDateFormat
+ * @return {Object|null} - { date: "YYYY-MM-DD", rest (the text after the date, trimmed; when the format has a
+ *                         time, that time as "HH:mm:ss" followed by anything after it) },
+ *                         or null when the text does not start with a valid date in the format
+ */
+function matchDate(text, compiled) {
+  const value = String(text === undefined || text === null ? '' : text).trim();
+  const match = compiled.regex.exec(value);
+  if (!match) return null;
+  let rest = value.slice(match[0].length);
+  // The date must end at a separator, not in the middle of a number
+  if (rest && !/^[\sT,]/.test(rest)) return null;
+  rest = rest.replace(/^[\sT,]+/, '').trim();
+
+  const parts = {};
+  compiled.fields.forEach((field, idx) => { parts[field] = match[idx + 1]; });
+  const year = parts.year.length === 2 ? 2000 + Number(parts.year) : Number(parts.year);
+  const month = parts.monthName ? monthOfName(parts.monthName) : Number(parts.month);
+  const day = Number(parts.day);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (month < 1 || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+
+  if (parts.minute === undefined) return { date, rest };
+  let hour = Number(parts.hour !== undefined ? parts.hour : parts.hour12);
+  if (parts.meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (/^p/i.test(parts.meridiem) ? 12 : 0);
+  }
+  const minute = Number(parts.minute);
+  const second = Number(parts.second || 0);
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  const time = `${pad(hour)}:${pad(minute)}:${pad(second)}`;
+  return { date, rest: rest ? `${time} ${rest}` : time };
+}
+
+/**
+ * Read a time of day with an optional zone suffix: 24-hour ("22:05",
+ * "22:05:30.250") or 12-hour ("10:05 PM", "10:05pm", "10 PM") clock, then
+ * optionally "Z", an offset ("+05:00", "-0500"), UTC/GMT or a US zone
+ * abbreviation (EST, CDT, ...).
+ * @param {String} text - Time text
+ * @return {Object|null} - { hour, minute, second, millisecond, offsetMinutes (null when the text has no zone) },
+ *                         or null when it is not a valid time
+ */
+function parseTimeOfDay(text) {
+  let value = String(text === undefined || text === null ? '' : text).trim();
+  let offsetMinutes = null;
+  const zone = ZONE_SUFFIX.exec(value);
+  if (zone) {
+    const suffix = zone[1].toUpperCase();
+    if (suffix in ZONE_OFFSETS) {
+      offsetMinutes = ZONE_OFFSETS[suffix];
+    } else {
+      const digits = suffix.replace(':', '');
+      offsetMinutes = (digits[0] === '-' ? -1 : 1) * (Number(digits.slice(1, 3)) * 60 + Number(digits.slice(3, 5)));
+    }
+    value = value.slice(0, zone.index);
+  }
+
+  const match = TIME_PATTERN.exec(value);
+  // A bare number is only a time with AM/PM ("10 PM")
+  if (!match || (match[2] === undefined && !match[5])) return null;
+  let hour = Number(match[1]);
+  if (match[5]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (match[5].toLowerCase() === 'p' ? 12 : 0);
+  }
+  const minute = Number(match[2] || 0);
+  const second = Number(match[3] || 0);
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  const millisecond = match[4] ? Number(match[4].slice(0, 3).padEnd(3, '0')) : 0;
+  return { hour, minute, second, millisecond, offsetMinutes };
+}
+
+/**
+ * Work out the day/month order of a locale's numeric dates, e.g. en-US is
+ * month first and en-GB day first
+ * @param {String} locale - BCP 47 locale tag
+ * @return {String} - Key of DATE_ORDERS ('MDY', 'DMY' or 'YMD')
+ * @throws {Error} - If the locale is not a valid tag or is not supported
+ */
+function dateOrderForLocale(locale) {
+  let supported;
+  try {
+    supported = Intl.DateTimeFormat.supportedLocalesOf(locale);
+  } catch (err) {
+    supported = [];
+  }
+  if (supported.length === 0) {
+    throw new Error(`Unknown date locale "${locale}" (use a locale tag such as en-US or en-GB)`);
+  }
+  const order = new Intl.DateTimeFormat(locale, { timeZone: 'UTC' })
+    .formatToParts(new Date(Date.UTC(2025, 11, 31)))
+    .map(part => part.type)
+    .filter(type => type === 'year' || type === 'month' || type === 'day')
+    .map(type => type[0].toUpperCase())
+    .join('');
+  return order in DATE_ORDERS ? order : 'MDY';
+}
+
+/**
+ * Build the rules for reading one source's dates. With a format every date
+ * must follow it (ISO dates, as written by the import formats, are accepted
+ * too); without one dates are read in the locale's day/month order.
+ * @param {Object} options - { format: date format (see compileDateFormat), locale: BCP 47 tag
+ *                            (default en-US: month first) }
+ * @return {Object} - { formats (compiled, tried in order), description (for error messages) }
+ * @throws {Error} - If the format or locale is not valid
+ */
+function dateParsing({ format = null, locale = null } = {}) {
+  if (format) {
+    return {
+      formats: [compileDateFormat(format)].concat(ISO_DATE_FORMATS.map(compileDateFormat)),
+      description: `${format} dates`
+    };
+  }
+  const order = locale ? dateOrderForLocale(locale) : 'MDY';
+  return {
+    formats: ISO_DATE_FORMATS.concat(ORDER_DATE_FORMATS[order]).map(compileDateFormat),
+    description: `${DATE_ORDERS[order]} dates`
+  };
+}
+
+const DEFAULT_PARSING = dateParsing();
+
+/**
+ * Read a date and time such as "3/1/2025 10:05 PM", "2025-03-01T22:05:00Z" or
+ * "01.03.2025 22:05" without the host's lenient Date parser
+ * @param {String} text - Date and time text
+ * @param {Object} parsing - From dateParsing (default: month/day/year dates)
+ * @return {Object|null} - Wall clock parts { year, month, day, hour, minute, second, millisecond } and
+ *                         offsetMinutes (null when the text has no zone), or null when it cannot be read
+ */
+function parseDateTimeText(text, parsing = DEFAULT_PARSING) {
+  for (const compiled of parsing.formats) {
+    const matched = matchDate(text, compiled);
+    if (!matched) continue;
+    const time = parseTimeOfDay(matched.rest);
+    if (!time) return null;
+    const [year, month, day] = matched.date.split('-').map(Number);
+    return { year, month, day, ...time };
+  }
+  return null;
+}
+
+/**
+ * Read a date on its own, such as a business date
+ * @param {String} text - e.g. "3/1/2025" or "2025-03-01"
+ * @param {Object} parsing - Date rules from dateParsing (default: month/day/year dates)
+ * @return {String|null} - "YYYY-MM-DD", or null when the text is not just a date the rules read
+ */
+function parseDateText(text, parsing = DEFAULT_PARSING) {
+  for (const compiled of parsing.formats) {
+    const matched = matchDate(text, compiled);
+    if (matched && !matched.rest) return matched.date;
+  }
+  return null;
+}
+
+module.exports = {
+  DATE_ORDERS,
+  compileDateFormat,
+  matchDate,
+  parseTimeOfDay,
+  dateOrderForLocale,
+  dateParsing,
+  parseDateTimeText,
+  parseDateText
+};
@@ -1,14 +1,19 @@
 const { categorizeDepartment } = require('./employeeClassification');
 
 /**
- * Analyze department classifications from clock data
+ * Analyze department classifications from clock data. Employees who work in
+ * more than one department (e.g. a cook picking up expo shifts) keep every role.
  * @param {Array} clockData - The clock data records
- * @returns {Object} Analysis results including departments, staff categories, and employee departments
+ * @returns {Object} Analysis results including departments, staff categories, employee
+ *                   departments ({ [Employee]: [Department] }) and employee roles
+ *                   ({ [Employee]: [{ Department, Category, Shifts }] })
  */
 function analyzeDepartments(clockData) {
   const departments = {};
   const staffCategories = { FOH: 0, BOH: 0, Exec: 0, Unknown: 0 };
   const employeeDepts = {};
+  const employeeRoles = {};
+  const deptCategories = {};
   
   // Count unique employees by department
   clockData.forEach(record => {
@@ -16,7 +21,21 @@ function analyzeDepartments(clockData) {
     if (!departments[dept]) departments[dept] = new Set();
     departments[dept].add(record.Employee);
     
-    employeeDepts[record.Employee] = dept;
+    // Records classified by a rules file carry their category
+    if (record.Category && !deptCategories[dept]) deptCategories[dept] = record.Category;
+
+    const roles = employeeRoles[record.Employee] = employeeRoles[record.Employee] || [];
+    const category = record.Category || categorizeDepartment(dept);
+    let role = roles.find(r => r.Department === dept && r.Category === category);
+    if (!role) {
+      role = { Department: dept, Category: category, Shifts: 0 };
+      roles.push(role);
+    }
+    role.Shifts += 1;
+  });
+  Object.keys(employeeRoles).forEach(employee => {
+    employeeRoles[employee].sort((a, b) => b.Shifts - a.Shifts || String(a.Department).localeCompare(String(b.Department)));
+    employeeDepts[employee] = Array.from(new Set(employeeRoles[employee].map(r => r.Department)));
   });
   
   // Determine category counts
@@ -26,7 +45,7 @@ function analyzeDepartments(clockData) {
     const count = departments[dept].size;
     
     // Use the centralized categorization logic
-    const category = categorizeDepartment(dept);
+    const category = deptCategories[dept] || categorizeDepartment(dept);
     
     // Update the appropriate counter based on the category
     if (category === 'FOH') {
@@ -49,9 +68,18 @@ function analyzeDepartments(clockData) {
   if (staffCategories.Unknown > 0) {
     console.log(`  Unknown: ${staffCategories.Unknown} employees`);
   }
+
+  const multiRole = Object.keys(employeeRoles).filter(employee => employeeRoles[employee].length > 1).sort();
+  if (multiRole.length > 0) {
+    console.log('\nEmployees with more than one role:');
+    multiRole.forEach(employee => {
+      const roles = employeeRoles[employee].map(r => `${r.Department} (${r.Category}, ${r.Shifts} shift${r.Shifts === 1 ? '' : 's'})`);
+      console.log(`  ${employee}: ${roles.join(', ')}`);
+    });
+  }
   console.log('----------------------------------');
   
-  return { departments, staffCategories, employeeDepts };
+  return { departments, staffCategories, employeeDepts, employeeRoles };
 }
 
 module.exports = {
@@ -2,6 +2,19 @@
  * Functions for classifying employees and departments
  */
 
+const { readConfigFile } = require('./configFile');
+
+// Category for records no classification rule matched; blocks the run
+const UNCLASSIFIED = 'UNCLASSIFIED';
+
+// Own keys only, so names such as "constructor" do not find Object's members
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// Whole words only, so names such as "CJ Smith" and departments such as "Pagmenting" do not match
+const EXEC_TITLE = /\b(CEO|COO|Chief Operations Officer)\b/;
+const BOH_DEPARTMENT = /\b(boh|back of house)\b/i;
+const EXEC_DEPARTMENT = /\b(exec|executives?|managers?|management|gm)\b/i;
+
 /**
  * Categorize an employee based on their title
  * @param {String} employeeTitle - The employee's title/name
@@ -11,10 +24,7 @@ function categorizeByTitle(employeeTitle) {
   if (!employeeTitle) return null;
   
   // Check for executive titles
-  if (employeeTitle.includes('CEO') ||
-      employeeTitle.includes('COO') || 
-      employeeTitle.includes('Chief Operations Officer') ||
-      /\bC[A-Z]{2}\b/.test(employeeTitle)) { // Match any 3-letter C-suite title (CFO, CTO, CIO, etc.)
+  if (EXEC_TITLE.test(employeeTitle)) {
     return 'EXEC';
   }
   
@@ -29,21 +39,12 @@ function categorizeByTitle(employeeTitle) {
 function categorizeDepartment(department) {
   if (!department) return 'FOH'; // Default if no department
   
-  const deptLower = department.toLowerCase();
-  
-  if (deptLower.includes('boh') || 
-      deptLower.includes('back of house')) {
+  if (BOH_DEPARTMENT.test(department)) {
     return 'BOH';
   } 
-  else if (deptLower.includes('exec') || 
-           deptLower.includes('manager') || 
-           deptLower.includes('management') ||
-           deptLower.includes('gm')) {
+  else if (EXEC_DEPARTMENT.test(department)) {
     return 'EXEC';
   }
-  else if (deptLower.includes('front')) {
-    return 'FOH';
-  }
   else {
     // Default to FOH for other departments
     return 'FOH';
@@ -66,8 +67,129 @@ function categorizeEmployee(employee) {
   return categorizeDepartment(employee.Department);
 }
 
+/**
+ * Check a classification rules object and compile its patterns.
+ * Rules file layout (JSON or YAML):
+ *   departments: { "Front of House": FOH, "Back of House": BOH, "Management": EXEC }
+ *   patterns:    [ { match: "^kitchen", flags: "i", field: "Department", category: BOH } ]
+ *   employees:   { "Jill Dragutsky": EXEC, "1042": BOH }   (names as reported or clocked, or employee IDs)
+ * @param {Object} rules - Rules as written in the rules file
+ * @return {Object} - Normalized rules with compiled RegExp patterns
+ * @throws {Error} - With every problem found, if the rules are invalid
+ */
+function validateClassificationRules(rules) {
+  if (!rules || typeof rules !== 'object') {
+    throw new Error('Classification rules must be an object');
+  }
+  const errors = [];
+  const isCategory = value => typeof value === 'string' && value.trim() !== '' && value !== UNCLASSIFIED;
+
+  const departments = rules.departments || {};
+  Object.entries(departments).forEach(([dept, category]) => {
+    if (!isCategory(category)) errors.push(`Department "${dept}" must map to a category name`);
+  });
+
+  const employees = rules.employees || {};
+  Object.entries(employees).forEach(([employee, category]) => {
+    if (!isCategory(category)) errors.push(`Employee "${employee}" must map to a category name`);
+  });
+
+  const patterns = (rules.patterns || []).map((rule, idx) => {
+    const label = `Pattern #${idx + 1}`;
+    if (!rule || !rule.match || !isCategory(rule.category)) {
+      errors.push(`${label} needs a "match" regex and a "category"`);
+      return null;
+    }
+    const field = rule.field || 'Department';
+    if (!['Department', 'Position'].includes(field)) {
+      errors.push(`${label} field must be "Department" or "Position"`);
+    }
+    try {
+      return { regex: new RegExp(rule.match, rule.flags || ''), field, category: rule.category };
+    } catch (err) {
+      errors.push(`${label} has an invalid regex: ${err.message}`);
+      return null;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid classification rules:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { departments, employees, patterns };
+}
+
+/**
+ * Load classification rules from a JSON or YAML file
+ * @param {String} filePath - Path to the rules file
+ * @return {Object} - Validated rules
+ */
+function loadClassificationRules(filePath) {
+  return validateClassificationRules(readConfigFile(filePath));
+}
+
+/**
+ * Categorize an employee record with a rules file instead of substring matching.
+ * An employee override wins, then an exact department name, then the first
+ * matching pattern; anything else is UNCLASSIFIED.
+ * @param {Object} employee - Record with Employee, Department and Position fields (and ClockName and
+ *                            EmployeeId once resolved against the clock IDs or a roster)
+ * @param {Object} rules - Validated classification rules
+ * @returns {String} - The mapped category or 'UNCLASSIFIED'
+ */
+function categorizeByRules(employee, rules) {
+  // Overrides may use the reported name, the name on the clock report or the employee ID
+  const override = [employee.Employee, employee.ClockName, employee.EmployeeId]
+    .find(name => name && hasOwn(rules.employees, name));
+  if (override) {
+    return rules.employees[override];
+  }
+  if (employee.Department && hasOwn(rules.departments, employee.Department)) {
+    return rules.departments[employee.Department];
+  }
+  const pattern = rules.patterns.find(p => p.regex.test(employee[p.field] || ''));
+  return pattern ? pattern.category : UNCLASSIFIED;
+}
+
+/**
+ * Attach a Category to each cleaned clock record
+ * @param {Array} records - Cleaned clock records
+ * @param {Object} rules - Optional validated classification rules; without them
+ *                         the built-in department/title matching is used
+ * @returns {Array} - Copies of the records with a Category field
+ */
+function classifyRecords(records, rules = null) {
+  return records.map(record => ({
+    ...record,
+    Category: rules ? categorizeByRules(record, rules) : categorizeEmployee(record)
+  }));
+}
+
+/**
+ * List the departments whose records could not be classified
+ * @param {Array} records - Records with a Category field
+ * @returns {Array} - [{ Department, Employees: [...] }] sorted by department
+ */
+function findUnclassified(records) {
+  const byDept = {};
+  records.filter(r => r.Category === UNCLASSIFIED).forEach(r => {
+    const dept = r.Department || '(blank)';
+    if (!byDept[dept]) byDept[dept] = new Set();
+    byDept[dept].add(r.Employee);
+  });
+  return Object.keys(byDept).sort().map(dept => ({
+    Department: dept,
+    Employees: Array.from(byDept[dept]).sort()
+  }));
+}
+
 module.exports = {
+  UNCLASSIFIED,
   categorizeEmployee,
   categorizeDepartment,
-  categorizeByTitle
+  categorizeByTitle,
+  validateClassificationRules,
+  loadClassificationRules,
+  categorizeByRules,
+  classifyRecords,
+  findUnclassified
 };
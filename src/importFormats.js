@@ -0,0 +1,425 @@
+// src/importFormats.js
+
+const path = require('path');
+const { readConfigFile } = require('./configFile');
+const { compileDateFormat, matchDate } = require('./dateFormats');
+
+// The two kinds of input file a format can describe
+const IMPORT_SOURCES = {
+  CLOCK: 'clock',
+  TRANSACTIONS: 'transactions'
+};
+
+// The layout the loaders were written for; rows in it are used as they are
+const NATIVE_FORMAT = 'native';
+
+// Internal columns a format can fill, per source. Besides the loaders' own columns:
+//   Employee           - full name, for exports without separate first and last names
+//   ClockIn, ClockOut  - clock-in/out date and time in one column
+//   TransDate, TransTime - transaction date and time in separate columns
+const TARGET_COLUMNS = {
+  clock: ['Employee', 'First Name', 'Last Name', 'Employee ID', 'Department', 'Position', 'ClockIn', 'ClockOut',
+    'Date In', 'Time In', 'Date Out', 'Time Out', 'Total Less Break', 'Break', 'Break Start', 'Break End', 'Location'],
+  transactions: ['TransDateTime', 'TransDate', 'TransTime', 'AmtTip', 'AmtSale', 'AmtFee', 'Approved', 'Type',
+    'TransactionId', 'CheckId', 'OriginalTransactionId', 'Server', 'ServerId', 'SaleCategory', 'CardBrand', 'Location']
+};
+
+// Columns whose values start with a date, read with the format's dateFormat
+const DATE_COLUMNS = ['ClockIn', 'ClockOut', 'Date In', 'Date Out', 'TransDateTime', 'TransDate'];
+
+/**
+ * Built-in formats, following each product's default export. Each source has:
+ *   detect     - header columns that identify the export (default: every mapped column)
+ *   columns    - { internal column: source column, or a list of source columns (the first present is used) }
+ *   dateFormat - how dates are written (see compileDateFormat); times are read as they are
+ *   values     - { internal column: { source value: internal value } }, matched without case
+ *   defaults   - { internal column: value } for columns the export does not have or leaves blank
+ * An export that differs from these can be described in a custom JSON or YAML file of the same shape.
+ */
+const IMPORT_FORMATS = {
+  toast: {
+    name: 'Toast',
+    clock: {
+      detect: ['Employee', 'Job Title', 'In Date', 'Out Date'],
+      columns: {
+        Employee: 'Employee',
+        'Employee ID': ['Employee External Id', 'Employee Id'],
+        Department: 'Job Title',
+        Position: 'Job Title',
+        ClockIn: 'In Date',
+        ClockOut: 'Out Date',
+        'Total Less Break': 'Payable Hours',
+        Break: 'Unpaid Break Time',
+        Location: 'Location'
+      },
+      dateFormat: 'M/D/YYYY'
+    },
+    transactions: {
+      detect: ['Payment Id', 'Paid Date', 'Tip', 'Status'],
+      columns: {
+        TransDateTime: 'Paid Date',
+        AmtTip: 'Tip',
+        AmtSale: 'Amount',
+        AmtFee: 'V/MC/D Fees',
+        Approved: 'Status',
+        TransactionId: 'Payment Id',
+        CheckId: 'Check Id',
+        Server: 'Server',
+        CardBrand: 'Card Type',
+        Location: 'Location'
+      },
+      dateFormat: 'M/D/YYYY',
+      values: {
+        Approved: { CAPTURED: 'Yes', AUTHORIZED: 'Yes', CAPTURE_IN_PROGRESS: 'Yes', DENIED: 'No', VOIDED: 'No' }
+      }
+    }
+  },
+  square: {
+    name: 'Square',
+    clock: {
+      detect: ['Team Member', 'Clockin Date', 'Clockin Time'],
+      columns: {
+        Employee: 'Team Member',
+        'Employee ID': 'Team Member ID',
+        Department: 'Job Title',
+        Position: 'Job Title',
+        'Date In': 'Clockin Date',
+        'Time In': 'Clockin Time',
+        'Date Out': 'Clockout Date',
+        'Time Out': 'Clockout Time',
+        'Total Less Break': 'Total Paid Hours',
+        Location: 'Location'
+      },
+      dateFormat: 'M/D/YYYY'
+    },
+    transactions: {
+      detect: ['Date', 'Time', 'Tip', 'Transaction ID', 'Event Type'],
+      columns: {
+        TransDate: 'Date',
+        TransTime: 'Time',
+        AmtTip: 'Tip',
+        AmtSale: 'Net Sales',
+        AmtFee: 'Fees',
+        Type: 'Event Type',
+        TransactionId: 'Payment ID',
+        CheckId: 'Transaction ID',
+        Server: 'Staff Name',
+        ServerId: 'Staff ID',
+        CardBrand: 'Card Brand',
+        Location: 'Location'
+      },
+      dateFormat: 'YYYY-MM-DD',
+      // Square only exports completed payments
+      defaults: { Approved: 'Yes' }
+    }
+  },
+  clover: {
+    name: 'Clover',
+    clock: {
+      detect: ['Employee', 'Clock In', 'Clock Out'],
+      columns: {
+        Employee: 'Employee',
+        'Employee ID': 'Employee ID',
+        Department: 'Role',
+        Position: 'Role',
+        ClockIn: 'Clock In',
+        ClockOut: 'Clock Out',
+        'Total Less Break': 'Hours Worked'
+      },
+      dateFormat: 'DD-MMM-YYYY'
+    },
+    transactions: {
+      detect: ['Payment ID', 'Payment Date', 'Tip Amount', 'Result'],
+      columns: {
+        TransDateTime: 'Payment Date',
+        AmtTip: 'Tip Amount',
+        AmtSale: 'Amount',
+        Approved: 'Result',
+        TransactionId: 'Payment ID',
+        CheckId: 'Order ID',
+        Server: 'Employee',
+        CardBrand: 'Card Brand'
+      },
+      dateFormat: 'DD-MMM-YYYY',
+      values: {
+        Approved: { SUCCESS: 'Yes', FAIL: 'No', DECLINED: 'No', VOIDED: 'No' }
+      }
+    }
+  },
+  '7shifts': {
+    name: '7shifts',
+    clock: {
+      detect: ['First Name', 'Last Name', 'Clocked In', 'Clocked Out'],
+      columns: {
+        'First Name': 'First Name',
+        'Last Name': 'Last Name',
+        'Employee ID': ['Employee ID', 'Payroll ID'],
+        Department: ['Department', 'Role'],
+        Position: 'Role',
+        ClockIn: 'Clocked In',
+        ClockOut: 'Clocked Out',
+        'Total Less Break': 'Total Hours',
+        Location: 'Location'
+      },
+      dateFormat: 'YYYY-MM-DD'
+    }
+  },
+  homebase: {
+    name: 'Homebase',
+    clock: {
+      detect: ['First name', 'Last name', 'Clock in', 'Clock out'],
+      columns: {
+        'First Name': 'First name',
+        'Last Name': 'Last name',
+        'Employee ID': 'Payroll ID',
+        Department: ['Department', 'Role'],
+        Position: 'Role',
+        'Date In': 'Date',
+        'Time In': 'Clock in',
+        'Time Out': 'Clock out',
+        'Total Less Break': 'Total paid hours',
+        Location: 'Location'
+      },
+      dateFormat: 'M/D/YYYY'
+    }
+  }
+};
+
+// Header cells are compared without case or surrounding spaces
+const normalizeHeader = value => String(value || '').trim().toLowerCase();
+const asList = value => [].concat(value);
+
+/**
+ * Check one source of a format and fill in its defaults
+ * @param {Object} spec - { detect, columns, dateFormat, values, defaults }
+ * @param {String} source - 'clock' or 'transactions'
+ * @param {Array} errors - Collected validation errors (appended to)
+ * @return {Object} - { detect, columns, date (compiled dateFormat or null), values, defaults }
+ */
+function validateSourceFormat(spec, source, errors) {
+  const label = `${source} format`;
+  if (!spec || typeof spec !== 'object' || !spec.columns || typeof spec.columns !== 'object') {
+    errors.push(`The ${label} must have a "columns" map of internal column to export column`);
+    return null;
+  }
+  Object.entries(spec.columns).forEach(([target, column]) => {
+    if (!TARGET_COLUMNS[source].includes(target)) {
+      errors.push(`The ${label} maps unknown column "${target}" (use ${TARGET_COLUMNS[source].join(', ')})`);
+    }
+    if (asList(column).length === 0 || asList(column).some(c => typeof c !== 'string' || !c.trim())) {
+      errors.push(`The ${label} column for "${target}" must be a column name or a list of them`);
+    }
+  });
+  const mapped = Object.keys(spec.columns);
+  const needs = source === IMPORT_SOURCES.CLOCK
+    ? [['Employee', 'First Name'], ['ClockIn', 'Date In']]
+    : [['AmtTip'], ['TransDateTime', 'TransDate']];
+  needs.forEach(alternatives => {
+    if (!alternatives.some(target => mapped.includes(target))) {
+      errors.push(`The ${label} must map ${alternatives.map(t => `"${t}"`).join(' or ')}`);
+    }
+  });
+
+  let date = null;
+  if (spec.dateFormat !== undefined) {
+    try {
+      date = compileDateFormat(spec.dateFormat);
+    } catch (err) {
+      errors.push(`The ${label} ${err.message.charAt(0).toLowerCase()}${err.message.slice(1)}`);
+    }
+  }
+  const values = {};
+  Object.entries(spec.values || {}).forEach(([target, map]) => {
+    if (!map || typeof map !== 'object') {
+      errors.push(`The ${label} values for "${target}" must map export values to internal ones`);
+      return;
+    }
+    values[target] = {};
+    Object.entries(map).forEach(([from, to]) => { values[target][normalizeHeader(from)] = String(to); });
+  });
+
+  const detect = spec.detect || mapped.map(target => asList(spec.columns[target])[0]);
+  return { detect: asList(detect), columns: spec.columns, date, values, defaults: spec.defaults || {} };
+}
+
+/**
+ * Check a format definition (a built-in or a custom file)
+ * @param {Object} format - { name, clock: {...}, transactions: {...} } (either source may be left out)
+ * @return {Object} - The format with each source validated
+ * @throws {Error} - With every problem found, if the format is invalid
+ */
+function validateImportFormat(format) {
+  if (!format || typeof format !== 'object') {
+    throw new Error('An import format must be an object with "clock" and/or "transactions" mappings');
+  }
+  const errors = [];
+  const validated = { name: format.name || 'custom' };
+  Object.values(IMPORT_SOURCES).forEach(source => {
+    if (format[source] !== undefined) validated[source] = validateSourceFormat(format[source], source, errors);
+  });
+  if (!validated.clock && !validated.transactions && errors.length === 0) {
+    errors.push('An import format needs a "clock" or a "transactions" mapping');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid import format "${validated.name}":\n  - ${errors.join('\n  - ')}`);
+  }
+  return validated;
+}
+
+/**
+ * Read a --clock-format / --txn-format setting: a built-in format name,
+ * "native", or the path to a custom JSON or YAML format
+ * @param {String} value - Setting, or null to detect the format from the header row
+ * @param {String} source - 'clock' or 'transactions'
+ * @return {Object|String|null} - Validated format, NATIVE_FORMAT, or null (detect)
+ * @throws {Error} - If the name is unknown or the format has no mapping for the source
+ */
+function getImportFormat(value, source) {
+  if (value === null || value === undefined || value === '' || normalizeHeader(value) === 'auto') return null;
+  const key = normalizeHeader(value);
+  if (key === NATIVE_FORMAT) return NATIVE_FORMAT;
+
+  let format;
+  if (IMPORT_FORMATS[key]) {
+    format = validateImportFormat(IMPORT_FORMATS[key]);
+  } else if (['.json', '.yaml', '.yml'].includes(path.extname(String(value)).toLowerCase())) {
+    format = validateImportFormat(readConfigFile(value));
+  } else {
+    throw new Error(`Unknown import format "${value}" (use ${[NATIVE_FORMAT, ...Object.keys(IMPORT_FORMATS)].join(', ')} ` +
+      'or a .json/.yaml format file)');
+  }
+  if (!format[source]) {
+    throw new Error(`The ${format.name} format has no ${source} mapping`);
+  }
+  return format;
+}
+
+// Index of the first row containing every column (without case), and the cells as written there
+const findHeader = (rows, columns) => {
+  const wanted = columns.map(normalizeHeader);
+  const index = rows.findIndex(row => wanted.every(col => row.some(cell => normalizeHeader(cell) === col)));
+  if (index === -1) return null;
+  return { index, columns: wanted.map(col => rows[index].find(cell => normalizeHeader(cell) === col)) };
+};
+
+/**
+ * Work out which format a file's rows are in. The native layout is tried
+ * first, then every built-in format in turn.
+ * @param {Array} rows - Row arrays of the file (see readRows)
+ * @param {String} source - 'clock' or 'transactions'
+ * @param {Object|String|null} requested - From getImportFormat (null to detect)
+ * @param {Array} nativeColumns - Header columns of the native layout
+ * @return {Object} - { format (null for the native layout), headerColumns (as written in the file) }
+ * @throws {Error} - If the header row of the requested format, or of any format, is not found
+ */
+function resolveImportFormat(rows, source, requested, nativeColumns) {
+  if (requested === NATIVE_FORMAT || requested === null) {
+    const header = findHeader(rows, nativeColumns);
+    if (header) return { format: null, headerColumns: header.columns };
+    if (requested === NATIVE_FORMAT) {
+      throw new Error(`Could not find a header row containing: ${nativeColumns.join(', ')}`);
+    }
+  }
+  if (requested && requested !== NATIVE_FORMAT) {
+    const header = findHeader(rows, requested[source].detect);
+    if (!header) {
+      throw new Error(`Could not find the ${requested.name} ${source} header row (${requested[source].detect.join(', ')})`);
+    }
+    return { format: requested, headerColumns: header.columns };
+  }
+
+  for (const key of Object.keys(IMPORT_FORMATS)) {
+    if (!IMPORT_FORMATS[key][source]) continue;
+    const format = validateImportFormat(IMPORT_FORMATS[key]);
+    const header = findHeader(rows, format[source].detect);
+    if (header) {
+      console.log(`Reading the ${source} data as a ${format.name} export`);
+      return { format, headerColumns: header.columns };
+    }
+  }
+  const flag = source === IMPORT_SOURCES.CLOCK ? '--clock-format' : '--txn-format';
+  throw new Error(`Could not recognise the ${source} columns (expected ${nativeColumns.join(', ')} or a known export); ` +
+    `pass ${flag} with ${Object.keys(IMPORT_FORMATS).join(', ')} or a .json/.yaml format file`);
+}
+
+/**
+ * Translate exported records into the loaders' columns. Mapped columns are
+ * looked up without case; dates are rewritten as YYYY-MM-DD (values that do
+ * not match the dateFormat are kept for validation to report), combined
+ * date/time columns are split and value maps and defaults applied. Columns
+ * the format does not map are dropped.
+ * @param {Array} records - Records keyed by the export's header row
+ * @param {Object|null} format - Validated format (null leaves the records as they are)
+ * @param {String} source - 'clock' or 'transactions'
+ * @param {String} dateFormat - Optional date format used instead of the format's own (see compileDateFormat)
+ * @return {Array} - Records in the loaders' columns (SourceRow is kept)
+ */
+function applyImportFormat(records, format, source, dateFormat = null) {
+  if (!format) return records;
+  const spec = format[source];
+  const date = dateFormat ? compileDateFormat(dateFormat) : spec.date;
+  const readDate = value => {
+    const match = date ? matchDate(value, date) : null;
+    return match ? [match.date, match.rest] : null;
+  };
+
+  return records.map(record => {
+    const byHeader = {};
+    Object.keys(record).forEach(key => { byHeader[normalizeHeader(key)] = key; });
+    const valueOf = columns => {
+      const key = asList(columns).map(normalizeHeader).find(col => byHeader[col] !== undefined);
+      return key === undefined ? undefined : String(record[byHeader[key]]).trim();
+    };
+
+    const row = {};
+    Object.entries(spec.columns).forEach(([target, columns]) => {
+      const value = valueOf(columns);
+      if (value !== undefined) row[target] = value;
+    });
+    Object.entries(spec.defaults).forEach(([target, value]) => {
+      if (row[target] === undefined || row[target] === '') row[target] = String(value);
+    });
+    Object.entries(spec.values).forEach(([target, map]) => {
+      const mappedValue = map[normalizeHeader(row[target])];
+      if (mappedValue !== undefined) row[target] = mappedValue;
+    });
+
+    // Dates in the format's order, as YYYY-MM-DD
+    DATE_COLUMNS.forEach(target => {
+      if (!row[target]) return;
+      const parsed = readDate(row[target]);
+      if (parsed) row[target] = parsed[1] ? `${parsed[0]} ${parsed[1]}` : parsed[0];
+    });
+
+    if (row.Employee !== undefined) {
+      row['First Name'] = row.Employee;
+      row['Last Name'] = '';
+      delete row.Employee;
+    }
+    // Date and time in one column: the date is whatever comes before the time
+    [['ClockIn', 'Date In', 'Time In'], ['ClockOut', 'Date Out', 'Time Out']].forEach(([combined, dateCol, timeCol]) => {
+      if (row[combined] === undefined) return;
+      const match = /^(.*?)[\sT]+(\d{1,2}:\d{2}.*)$/.exec(row[combined]);
+      row[dateCol] = match ? match[1] : row[combined];
+      row[timeCol] = match ? match[2] : '';
+      delete row[combined];
+    });
+    if (row.TransDate !== undefined || row.TransTime !== undefined) {
+      row.TransDateTime = `${row.TransDate || ''} ${row.TransTime || ''}`.trim();
+      delete row.TransDate;
+      delete row.TransTime;
+    }
+    if (record.SourceRow !== undefined) row.SourceRow = record.SourceRow;
+    return row;
+  });
+}
+
+module.exports = {
+  IMPORT_SOURCES,
+  IMPORT_FORMATS,
+  NATIVE_FORMAT,
+  validateImportFormat,
+  getImportFormat,
+  resolveImportFormat,
+  applyImportFormat
+};
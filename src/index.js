@@ -1,387 +1,401 @@
 // src/index.js
 
 const minimist = require('minimist');
-const path = require('path');
 const fs = require('fs');
-const { loadClockData, processClockData, expandToIntervals } = require('./clockData');
-const { loadTransactions, processTransactions, printTipsByDay } = require('./transactions');
+const path = require('path');
+const { loadClockData, parseBreakPlacement } = require('./clockData');
+const { loadTransactions } = require('./transactions');
+const { runAllocation, validateAllocationOptions, resolveTimezones, resolveDateParsing } = require('./pipeline');
 const {
-  countStaffPerSlot,
-  computeTipPools,
-  calculateIndividualTipShares,
-  identifyUnallocatedTips,
-  redistributeUnallocatedTips,
-  aggregateFinalTips
-} = require('./tipAllocation');
-const { analyzeDepartments } = require('./departmentAnalysis');
-const { createObjectCsvWriter } = require('csv-writer');
-const { formatDateTime } = require('./utils');
+  writeAllocationOutputs,
+  writePayrollExport,
+  writeValidationReport,
+  writeCorrectionsTemplate,
+  writeLocationOutputs,
+  printAllocationSummary,
+  printLocationSummary
+} = require('./outputs');
+const { loadCorrections } = require('./corrections');
+const { parseDayStart } = require('./timezone');
+const { parsePayPeriod } = require('./payPeriods');
+const { validateExportFormat, loadPayrollIds } = require('./payrollExport');
+const { loadRoster } = require('./roster');
+const { loadCashTips } = require('./cashTips');
+const { parseCardFee, loadCardFeeRates, describeCardFee } = require('./cardFees');
+const { loadTipPolicy } = require('./tipPolicy');
+const { loadClassificationRules } = require('./employeeClassification');
+const { locationDir, splitByLocation, loadLocationManifest, consolidateLocations } = require('./locations');
+const { IMPORT_SOURCES, getImportFormat } = require('./importFormats');
 
-// Helper: Write CSV
-function writeCSV(filePath, header, records) {
-  const csvWriter = createObjectCsvWriter({
-    path: filePath,
-    header: header,
-  });
-  return csvWriter.writeRecords(records);
-}
+const USAGE = 'Usage: node src/index.js --clock <clock_data.csv|.xlsx> --transactions <transactions.csv|.xlsx> --output <output_directory>\n' +
+  '       node src/index.js --locations <manifest.yaml|.json> --output <output_directory>';
 
-// Parse command line arguments
-const args = minimist(process.argv.slice(2), {
-  string: ['clock', 'transactions', 'output', 'from-tz', 'to-tz', 'boh-pct'],
-  alias: { 
-    c: 'clock', 
-    t: 'transactions', 
-    o: 'output', 
-    n: 'no-tz-conversion',
-    from: 'from-tz',
-    to: 'to-tz',
-    b: 'boh-pct'
-  },
-  default: {
-    clock: './input-data/clock-times.csv',
-    transactions: './input-data/transactions.csv',
-    output: './output/',
-    interval: '15',
-    'no-tz-conversion': false,
-    'from-tz': 'America/Chicago',
-    'to-tz': 'America/New_York',
-    'boh-pct': null
-  },
-  boolean: ['no-tz-conversion']
-});
+/**
+ * Parse command line arguments into CLI options
+ * @param {Array} argv - Arguments without the node executable and script path
+ * @return {Object} - Parsed options
+ */
+function parseArgs(argv) {
+  const args = minimist(argv, {
+    string: ['clock', 'transactions', 'output', 'from-tz', 'to-tz', 'clock-tz', 'boh-pct', 'policy', 'rules', 'credit-mode', 'redistribution', 'break-placement', 'max-shift-hours', 'corrections', 'business-day-start', 'pay-period', 'pay-period-anchor', 'export', 'payroll-ids', 'earning-code', 'roster', 'cash-tips', 'cash-spread', 'cash-earning-code', 'card-fee', 'card-fee-rates', 'locations', 'clock-format', 'txn-format', 'clock-date-format', 'txn-date-format', 'cash-date-format', 'date-locale'],
+    alias: {
+      c: 'clock',
+      t: 'transactions',
+      o: 'output',
+      n: 'no-tz-conversion',
+      from: 'from-tz',
+      'transactions-tz': 'from-tz',
+      to: 'to-tz',
+      timezone: 'to-tz',
+      b: 'boh-pct',
+      p: 'policy',
+      r: 'rules'
+    },
+    default: {
+      clock: './input-data/clock-times.csv',
+      transactions: './input-data/transactions.csv',
+      output: './output/',
+      interval: '15',
+      'no-tz-conversion': false,
+      'from-tz': 'America/Chicago',
+      'to-tz': 'America/New_York',
+      'clock-tz': null,
+      'boh-pct': null,
+      policy: null,
+      rules: null,
+      'credit-mode': 'full',
+      redistribution: 'equal',
+      'break-placement': 'none',
+      'max-shift-hours': null,
+      corrections: null,
+      'business-day-start': '00:00',
+      'pay-period': 'weekly',
+      'pay-period-anchor': null,
+      export: null,
+      'payroll-ids': null,
+      'earning-code': null,
+      roster: null,
+      'cash-tips': null,
+      'cash-spread': 'even',
+      'cash-earning-code': null,
+      'card-fee': null,
+      'card-fee-rates': null,
+      locations: null,
+      'clock-format': null,
+      'txn-format': null,
+      'clock-date-format': null,
+      'txn-date-format': null,
+      'cash-date-format': null,
+      'date-locale': null,
+      strict: false
+    },
+    boolean: ['no-tz-conversion', 'strict']
+  });
 
-if (!args.clock || !args.transactions || !args.output) {
-  console.error('Usage: node src/index.js --clock <clock_data.csv> --transactions <transactions.csv> --output <output_directory>');
-  process.exit(1);
+  return {
+    clockFile: args.clock,
+    transactionsFile: args.transactions,
+    outputDir: args.output,
+    intervalMinutes: parseInt(args.interval, 10),
+    convertTimezone: !args['no-tz-conversion'], // Invert the logic - now true by default
+    // Transactions are recorded in --from-tz, clock punches in --clock-tz (default: the
+    // restaurant zone) and slots/dates follow the restaurant zone --to-tz
+    timezones: { transactions: args['from-tz'], location: args['to-tz'], clock: args['clock-tz'] },
+    bohPct: args['boh-pct'] ? parseInt(args['boh-pct'], 10) : null,
+    policyFile: args.policy,
+    rulesFile: args.rules,
+    creditMode: args['credit-mode'],
+    redistributionStrategy: args.redistribution,
+    breakPlacement: args['break-placement'],
+    maxShiftHours: args['max-shift-hours'] ? parseFloat(args['max-shift-hours']) : undefined,
+    strict: args.strict,
+    correctionsFile: args.corrections,
+    businessDayStart: args['business-day-start'],
+    payPeriod: args['pay-period'],
+    payPeriodAnchor: args['pay-period-anchor'],
+    exportFormat: args.export,
+    payrollIdsFile: args['payroll-ids'],
+    earningCode: args['earning-code'],
+    cashEarningCode: args['cash-earning-code'],
+    rosterFile: args.roster,
+    cashTipsFile: args['cash-tips'],
+    cashSpread: args['cash-spread'],
+    cardFee: args['card-fee'],
+    cardFeeRatesFile: args['card-fee-rates'],
+    locationsFile: args.locations,
+    clockFormat: args['clock-format'],
+    transactionsFormat: args['txn-format'],
+    // How dates are written: a format per source, or the locale's day/month order
+    dateFormats: { clock: args['clock-date-format'], transactions: args['txn-date-format'], cashTips: args['cash-date-format'] },
+    dateLocale: args['date-locale']
+  };
 }
 
-const clockFile = args.clock;
-const transactionsFile = args.transactions;
-const outputDir = args.output;
-const intervalMinutes = parseInt(args.interval, 10);
-const convertTimezone = !args['no-tz-conversion']; // Invert the logic - now true by default
-const fromTimezone = args['from-tz'];
-const toTimezone = args['to-tz'];
-const bohPctOverride = args['boh-pct'] ? parseInt(args['boh-pct'], 10) : null;
+/**
+ * Allocate one location's tips and write its outputs
+ * @param {String} outputDir - Directory to write into (created if missing)
+ * @param {Object} inputs - runAllocation options for this location
+ * @param {Object} options - Parsed CLI options (payroll export settings)
+ * @param {Object} payrollIds - { [Employee]: payroll ID } for the export
+ * @return {Promise<Object>} - { code, result }; code is non-zero when the data stopped the run
+ */
+async function allocateLocation(outputDir, inputs, options, payrollIds) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
 
-// Validate interval
-const minutesInDay = 24 * 60; // 1440 minutes in a day
-if (minutesInDay % intervalMinutes !== 0) {
-  console.error(`Error: The interval (${intervalMinutes}) must divide the day evenly.`);
-  console.error('Valid intervals include: 1, 2, 3, 4, 5, 6, 8, 10, 12, 15, 20, 30, 60, etc.');
-  console.error('These are intervals that divide 1440 minutes (24 hours) with no remainder.');
-  process.exit(1);
-}
+  let result;
+  try {
+    result = runAllocation(inputs);
+  } catch (err) {
+    // Blocking data problems (e.g. unclassified departments) stop the run before any allocation output is written
+    if (err.validationIssues) {
+      await writeValidationReport(outputDir, err.validationIssues);
+      await writeCorrectionsTemplate(outputDir, err.correctionsTemplate || []);
+      console.error(`Error: ${err.message}`);
+      console.error(`See ${path.join(outputDir, 'validation_report.csv')}`);
+      return { code: 1, result: null };
+    }
+    if (err.unclassified || err.unparseableDates) {
+      console.error(`Error: ${err.message}`);
+      return { code: 1, result: null };
+    }
+    throw err;
+  }
 
-// Validate BOH percentage if provided
-if (bohPctOverride !== null && (bohPctOverride < 0 || bohPctOverride > 100)) {
-  console.error(`Error: BOH percentage (${bohPctOverride}) must be between 0 and 100.`);
-  process.exit(1);
-}
+  const { summary } = result;
+  console.log(`  Note: Slots and dates follow ${summary.timezone}; clock punches read in ${summary.clockTimezone}, ` +
+    `transaction times read in ${summary.transactionTimezone}`);
 
-// Ensure output directory exists
-if (!fs.existsSync(outputDir)) {
-  fs.mkdirSync(outputDir, { recursive: true });
+  await writeAllocationOutputs(outputDir, result);
+  if (options.exportFormat) {
+    await writePayrollExport(outputDir, result, {
+      format: options.exportFormat,
+      payrollIds,
+      earningCode: options.earningCode,
+      cashEarningCode: options.cashEarningCode
+    });
+  }
+  printAllocationSummary(result);
+  return { code: 0, result };
 }
 
-async function main() {
-  // Step 1: Process clock data
-  console.log('Step 1: Processing clock data...');
-  const rawClockData = await loadClockData(clockFile);
-  const cleanedClock = processClockData(rawClockData);
-  
-  // Add department analysis before further processing
-  console.log('\nAnalyzing department classifications:');
-  const deptAnalysis = analyzeDepartments(cleanedClock);
-  
-  const intervals = expandToIntervals(cleanedClock, intervalMinutes);
-  await writeCSV(path.join(outputDir, 'step1_cleaned_clock_data.csv'),
-    [
-      { id: 'Employee', title: 'Employee' },
-      { id: 'Department', title: 'Department' },
-      { id: 'Date', title: 'Date' },
-      { id: 'TimeIn', title: 'TimeIn' },
-      { id: 'TimeOut', title: 'TimeOut' }
-    ],
-    cleanedClock.map(r => ({
-      Employee: r.Employee,
-      Department: r.Department,
-      Date: r.Date,
-      TimeIn: formatDateTime(r.TimeIn),
-      TimeOut: formatDateTime(r.TimeOut)
-    }))
-  );
-  await writeCSV(path.join(outputDir, 'step2_time_intervals.csv'),
-    [
-      { id: 'Employee', title: 'Employee' },
-      { id: 'Department', title: 'Department' },
-      { id: 'Date', title: 'Date' },
-      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
-      { id: 'TimeSlotEnd', title: 'TimeSlotEnd' }
-    ],
-    intervals.map(r => ({
-      Employee: r.Employee,
-      Department: r.Department,
-      Date: r.Date,
-      TimeSlotStart: formatDateTime(r.TimeSlotStart),
-      TimeSlotEnd: formatDateTime(r.TimeSlotEnd)
-    }))
-  );
-  console.log('Clock data processed and saved.');
-
-  // Step 2: Process transaction data
-  console.log('Step 2: Processing transaction data...');
-  const rawTransactions = await loadTransactions(transactionsFile);
-  const tipsBySlot = processTransactions(rawTransactions, intervalMinutes, convertTimezone, fromTimezone, toTimezone);
+/**
+ * CLI entry point: loads the input files, runs the allocation and writes outputs.
+ * With --locations, or clock and transaction files that have a Location column,
+ * each location is allocated on its own into a folder of the output directory
+ * and a consolidated cross-location payout is written alongside.
+ * @param {Array} argv - Arguments without the node executable and script path
+ * @return {Promise<Number>} - Process exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
 
-  if (!convertTimezone) {
-    console.log('  Note: Transaction times NOT converted from source timezone');
-  } else {
-    console.log(`  Note: Transaction times converted from ${fromTimezone} to ${toTimezone} (default)`);
+  if (!options.outputDir || (!options.locationsFile && (!options.clockFile || !options.transactionsFile))) {
+    console.error(USAGE);
+    return 1;
   }
-  
-  // Add this call to print tips by day and save to CSV
-  printTipsByDay(tipsBySlot, path.join(outputDir, 'tips_by_day.csv'));
-  
-  await writeCSV(path.join(outputDir, 'step3_tips_by_slot.csv'),
-    [
-      { id: 'Date', title: 'Date' },
-      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
-      { id: 'AmtTip', title: 'AmtTip' }
-    ],
-    tipsBySlot.map(r => ({
-      Date: r.Date,
-      TimeSlotStart: formatDateTime(r.TimeSlotStart),
-      AmtTip: r.AmtTip.toFixed(2)
-    }))
-  );
-  console.log('Transaction data processed and saved.');
-
-  // Step 3: Compute tip pools
-  console.log('Step 3: Computing tip pools...');
-  const staffMap = countStaffPerSlot(intervals, intervalMinutes);
-  const tipPools = computeTipPools(tipsBySlot, staffMap, bohPctOverride);
-  await writeCSV(path.join(outputDir, 'step4_tip_pools.csv'),
-    [
-      { id: 'Date', title: 'Date' },
-      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
-      { id: 'AmtTip', title: 'AmtTip' },
-      { id: 'FOHCount', title: 'FOHCount' },
-      { id: 'BOHCount', title: 'BOHCount' },
-      { id: 'ExecCount', title: 'ExecCount' },
-      { id: 'FOHTipPool', title: 'FOHTipPool' },
-      { id: 'BOHTipPool', title: 'BOHTipPool' },
-      { id: 'TotalStaff', title: 'TotalStaff' }
-    ],
-    tipPools.map(r => ({
-      Date: r.Date,
-      TimeSlotStart: formatDateTime(r.TimeSlotStart),
-      AmtTip: r.AmtTip.toFixed(2),
-      FOHCount: r.FOHCount,
-      BOHCount: r.BOHCount,
-      ExecCount: r.ExecCount || 0,
-      FOHTipPool: r.FOHTipPool.toFixed(2),
-      BOHTipPool: r.BOHTipPool.toFixed(2),
-      TotalStaff: r.TotalStaff
-    }))
-  );
-  console.log('Tip pools computed and saved.');
 
-  // Step 4: Calculate individual tip shares
-  console.log('Step 4: Calculating individual tip shares...');
-  const individualTipShares = calculateIndividualTipShares(intervals, tipPools, intervalMinutes);  // Add intervalMinutes parameter
-  await writeCSV(path.join(outputDir, 'step5_individual_tip_shares.csv'),
-    [
-      { id: 'Employee', title: 'Employee' },
-      { id: 'Department', title: 'Department' },
-      { id: 'Date', title: 'Date' },
-      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
-      { id: 'TimeSlotEnd', title: 'TimeSlotEnd' },
-      { id: 'IndividualTipShare', title: 'IndividualTipShare' }
-    ],
-    individualTipShares.map(r => ({
-      Employee: r.Employee,
-      Department: r.Department,
-      Date: r.Date,
-      TimeSlotStart: formatDateTime(r.TimeSlotStart),
-      TimeSlotEnd: formatDateTime(r.TimeSlotEnd),
-      IndividualTipShare: r.IndividualTipShare.toFixed(2)
-    }))
-  );
-  console.log('Individual tip shares calculated and saved.');
+  let policy = null;
+  let classificationRules = null;
+  let corrections = [];
+  let payrollIds = {};
+  let roster = null;
+  let cashTips = [];
+  let cardFee = null;
+  let manifest = null;
+  let clockFormat = null;
+  let transactionsFormat = null;
+  try {
+    validateAllocationOptions(options.intervalMinutes, options.bohPct, options.creditMode, options.redistributionStrategy,
+      options.cashSpread);
+    const zones = resolveTimezones(options.timezones, options.convertTimezone);
+    const dateParsing = resolveDateParsing(options.dateFormats, options.dateLocale);
+    parseDayStart(options.businessDayStart);
+    parseBreakPlacement(options.breakPlacement);
+    parsePayPeriod(options.payPeriod, options.payPeriodAnchor);
+    if (options.maxShiftHours !== undefined && !(options.maxShiftHours > 0)) {
+      throw new Error('--max-shift-hours must be a number greater than 0');
+    }
+    if (options.policyFile) {
+      if (options.bohPct !== null) {
+        throw new Error('--policy and --boh-pct cannot be used together; set the percentages in the policy file');
+      }
+      policy = loadTipPolicy(options.policyFile);
+      console.log(`Using tip policy "${policy.name}" from ${options.policyFile}`);
+    }
+    if (options.rulesFile) {
+      classificationRules = loadClassificationRules(options.rulesFile);
+      console.log(`Using classification rules from ${options.rulesFile}`);
+    }
+    if (options.correctionsFile) {
+      corrections = await loadCorrections(options.correctionsFile, zones.clock, dateParsing.clock);
+      console.log(`Using ${corrections.length} clock corrections from ${options.correctionsFile}`);
+    }
+    if (options.rosterFile) {
+      roster = await loadRoster(options.rosterFile);
+      console.log(`Using roster of ${roster.entries.length} employees from ${options.rosterFile}`);
+    }
+    if (options.locationsFile && options.cashTipsFile) {
+      throw new Error('--cash-tips cannot be used with --locations; give each location its cashTips file in the manifest');
+    }
+    if (options.cashTipsFile) {
+      cashTips = await loadCashTips(options.cashTipsFile, dateParsing.cashTips);
+      console.log(`Using ${cashTips.length} cash tip declarations from ${options.cashTipsFile}`);
+    }
+    if (options.cardFee !== null && options.cardFeeRatesFile) {
+      throw new Error('--card-fee and --card-fee-rates cannot be used together');
+    }
+    if (options.cardFee !== null) cardFee = parseCardFee(options.cardFee);
+    if (options.cardFeeRatesFile) cardFee = loadCardFeeRates(options.cardFeeRatesFile);
+    if (cardFee) console.log(`Withholding card processing fees from card tips: ${describeCardFee(cardFee)}`);
+    if (options.exportFormat) validateExportFormat(options.exportFormat);
+    if (options.payrollIdsFile) {
+      if (!options.exportFormat) throw new Error('--payroll-ids needs --export to pick a payroll format');
+      payrollIds = await loadPayrollIds(options.payrollIdsFile);
+      console.log(`Using ${Object.keys(payrollIds).length} payroll IDs from ${options.payrollIdsFile}`);
+    }
+    clockFormat = getImportFormat(options.clockFormat, IMPORT_SOURCES.CLOCK);
+    transactionsFormat = getImportFormat(options.transactionsFormat, IMPORT_SOURCES.TRANSACTIONS);
+    if (options.locationsFile) {
+      manifest = await Promise.all(loadLocationManifest(options.locationsFile).map(async location => {
+        // Each location may have its own zones and policy; the command line gives the defaults
+        const timezones = { ...options.timezones, ...location.timezones };
+        resolveTimezones(timezones, options.convertTimezone);
+        const dateFormats = { ...options.dateFormats, ...location.dateFormats };
+        const dateLocale = location.dateLocale || options.dateLocale;
+        const locationParsing = resolveDateParsing(dateFormats, dateLocale);
+        const locationPolicy = location.policyFile ? loadTipPolicy(location.policyFile) : policy;
+        const locationCash = location.cashTipsFile
+          ? await loadCashTips(location.cashTipsFile, locationParsing.cashTips)
+          : [];
+        return {
+          ...location,
+          timezones,
+          dateFormats,
+          dateLocale,
+          policy: locationPolicy,
+          cashTips: locationCash,
+          clockFormat: location.clockFormat ? getImportFormat(location.clockFormat, IMPORT_SOURCES.CLOCK) : clockFormat,
+          transactionsFormat: location.transactionsFormat
+            ? getImportFormat(location.transactionsFormat, IMPORT_SOURCES.TRANSACTIONS)
+            : transactionsFormat
+        };
+      }));
+      console.log(`Using ${manifest.length} locations from ${options.locationsFile}`);
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return 1;
+  }
 
-  // Step 5: Identify and redistribute unallocated tips
-  console.log('Step 5: Identifying unallocated tips...');
-  const unallocatedTips = identifyUnallocatedTips(tipPools, intervalMinutes);  // Add intervalMinutes parameter
-  
-  // Add summary of unallocated tips by day
-  const unallocatedByDay = {};
-  unallocatedTips.forEach(tip => {
-    if (!unallocatedByDay[tip.Date]) unallocatedByDay[tip.Date] = 0;
-    unallocatedByDay[tip.Date] += tip.UnallocatedTip;
-  });
-  
-  console.log('\nUnallocated Tips Summary by Day:');
-  Object.keys(unallocatedByDay).sort().forEach(date => {
-    console.log(`  ${date}: $${unallocatedByDay[date].toFixed(2)}`);
-  });
-  
-  await writeCSV(path.join(outputDir, 'step6_unallocated_tips.csv'),
-    [
-      { id: 'Date', title: 'Date' },
-      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
-      { id: 'UnallocatedTip', title: 'UnallocatedTip' }
-    ],
-    unallocatedTips.map(r => ({
-      Date: r.Date,
-      TimeSlotStart: formatDateTime(r.TimeSlotStart),
-      UnallocatedTip: r.UnallocatedTip.toFixed(2)
-    }))
-  );
-  console.log('Unallocated tips identified and saved.');
+  // Settings shared by every location
+  const shared = {
+    cashSpread: options.cashSpread,
+    cardFee,
+    intervalMinutes: options.intervalMinutes,
+    bohPct: options.bohPct,
+    classificationRules,
+    creditMode: options.creditMode,
+    redistributionStrategy: options.redistributionStrategy,
+    breakPlacement: options.breakPlacement,
+    maxShiftHours: options.maxShiftHours,
+    strict: options.strict,
+    corrections,
+    roster,
+    convertTimezone: options.convertTimezone,
+    businessDayStart: options.businessDayStart,
+    payPeriod: options.payPeriod,
+    payPeriodAnchor: options.payPeriodAnchor
+  };
 
-  console.log('Step 6: Redistributing unallocated tips by day...');
-  const redistribution = require('./tipAllocation').redistributeUnallocatedTips(unallocatedTips, intervals, intervalMinutes);  // Add intervalMinutes parameter
-  await writeCSV(path.join(outputDir, 'step7_unallocated_tip_distribution.csv'),
-    [
-      { id: 'Date', title: 'Date' },
-      { id: 'Employee', title: 'Employee' },
-      { id: 'UnallocatedTipShare', title: 'UnallocatedTipShare' }
-    ],
-    redistribution.map(r => ({
-      Date: r.Date,
-      Employee: r.Employee,
-      UnallocatedTipShare: r.UnallocatedTipShare.toFixed(2)
-    }))
-  );
-  console.log('Unallocated tips redistributed and saved.');
+  let locations;
+  if (manifest) {
+    locations = [];
+    for (const location of manifest) {
+      console.log(`Loading clock data for ${location.name}...`);
+      const clockRows = await loadClockData(location.clockFile, location.clockFormat, location.dateFormats.clock);
+      console.log(`Loading transaction data for ${location.name}...`);
+      const transactionRows = await loadTransactions(location.transactionsFile, location.transactionsFormat,
+        location.dateFormats.transactions);
+      locations.push({ ...location, clockRows, transactionRows });
+    }
+  } else {
+    console.log('Loading clock data...');
+    const clockRows = await loadClockData(options.clockFile, clockFormat, options.dateFormats.clock);
+    console.log('Loading transaction data...');
+    const transactionRows = await loadTransactions(options.transactionsFile, transactionsFormat,
+      options.dateFormats.transactions);
 
-  // Step 7: Aggregate final tip totals per employee
-  console.log('Step 7: Aggregating final tip totals per employee...');
-  const finalTotals = aggregateFinalTips(individualTipShares, redistribution);
-  await writeCSV(path.join(outputDir, 'step8_final_employee_totals.csv'),
-    [
-      { id: 'Employee', title: 'Employee' },
-      { id: 'AllocatedTips', title: 'Allocated Tips' },
-      { id: 'UnallocatedTips', title: 'Unallocated Tips' },
-      { id: 'TotalTips', title: 'Total Tips' }
-    ],
-    finalTotals.map(r => ({
-      Employee: r.Employee,
-      AllocatedTips: r.AllocatedTips.toFixed(2),
-      UnallocatedTips: r.UnallocatedTips.toFixed(2),
-      TotalTips: r.TotalTips.toFixed(2)
-    }))
-  );
-  
-  // Print unallocated tips percentage
-  const totalAllocated = finalTotals.reduce((acc, r) => acc + r.AllocatedTips, 0);
-  const totalUnallocated = finalTotals.reduce((acc, r) => acc + r.UnallocatedTips, 0);
-  const totalTips = totalAllocated + totalUnallocated;
-  
-  console.log('\nTip Allocation Summary:');
-  console.log(`  Total Allocated Tips: $${totalAllocated.toFixed(2)} (${(totalAllocated/totalTips*100).toFixed(1)}%)`);
-  console.log(`  Total Unallocated Tips: $${totalUnallocated.toFixed(2)} (${(totalUnallocated/totalTips*100).toFixed(1)}%)`);
-  console.log(`  Total Tips: $${totalTips.toFixed(2)}`);
-  
-  // Add detailed diagnostics to understand unallocated tips
-  console.log('\nDIAGNOSTIC INFORMATION:');
-  
-  // Check for timeslots with tips but no staff
-  const tipSlotsWithNoStaff = tipPools.filter(tp => tp.AmtTip > 0 && tp.TotalStaff === 0);
-  if (tipSlotsWithNoStaff.length > 0) {
-    console.log(`\nFound ${tipSlotsWithNoStaff.length} time slots with tips but NO STAFF present:`);
-    tipSlotsWithNoStaff.slice(0, 5).forEach(slot => {
-      console.log(`  Date: ${slot.Date}, Time: ${formatDateTime(slot.TimeSlotStart)}, Tips: $${slot.AmtTip.toFixed(2)}`);
-    });
-    if (tipSlotsWithNoStaff.length > 5) {
-      console.log(`  ... and ${tipSlotsWithNoStaff.length - 5} more slots`);
+    try {
+      locations = splitByLocation({ clockRows, transactionRows, cashTips });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      return 1;
     }
-  }
-  
-  // Check for imbalanced staff (e.g., FOH but no BOH, or vice versa)
-  const imbalancedStaffSlots = tipPools.filter(tp => 
-    tp.AmtTip > 0 && tp.TotalStaff > 0 && (tp.FOHCount === 0 || tp.BOHCount === 0)
-  );
-  if (imbalancedStaffSlots.length > 0) {
-    console.log(`\nFound ${imbalancedStaffSlots.length} time slots with tips but IMBALANCED STAFF:`);
-    imbalancedStaffSlots.slice(0, 5).forEach(slot => {
-      console.log(`  Date: ${slot.Date}, Time: ${formatDateTime(slot.TimeSlotStart)}, Tips: $${slot.AmtTip.toFixed(2)}, FOH: ${slot.FOHCount}, BOH: ${slot.BOHCount}`);
-    });
-    if (imbalancedStaffSlots.length > 5) {
-      console.log(`  ... and ${imbalancedStaffSlots.length - 5} more slots`);
+    if (!locations) {
+      const { code } = await allocateLocation(options.outputDir, {
+        ...shared, clockRows, transactionRows, cashTips, policy, timezones: options.timezones,
+        dateFormats: options.dateFormats, dateLocale: options.dateLocale
+      }, options, payrollIds);
+      return code;
     }
+    locations = locations.map(location => ({
+      ...location, policy, timezones: options.timezones, dateFormats: options.dateFormats, dateLocale: options.dateLocale
+    }));
+    console.log(`Found ${locations.length} locations: ${locations.map(location => location.name).join(', ')}`);
   }
-  
-  // Analyze distribution of unallocated tips by hour of day
-  const unallocatedByHour = {};
-  unallocatedTips.forEach(tip => {
-    const hour = new Date(tip.TimeSlotStart).getHours();
-    if (!unallocatedByHour[hour]) unallocatedByHour[hour] = 0;
-    unallocatedByHour[hour] += tip.UnallocatedTip;
-  });
-  
-  console.log('\nUnallocated tips by hour of day:');
-  Object.keys(unallocatedByHour).sort((a, b) => Number(a) - Number(b)).forEach(hour => {
-    const hourFormatted = hour.padStart(2, '0') + ':00';
-    console.log(`  ${hourFormatted}: $${unallocatedByHour[hour].toFixed(2)}`);
-  });
-  
-  // Add a diagnostic CSV output with detailed information about each timeslot
-  await writeCSV(path.join(outputDir, 'diagnostic_timeslot_analysis.csv'),
-    [
-      { id: 'Date', title: 'Date' },
-      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
-      { id: 'AmtTip', title: 'AmtTip' },
-      { id: 'FOHCount', title: 'FOHCount' },
-      { id: 'BOHCount', title: 'BOHCount' },
-      { id: 'ExecCount', title: 'ExecCount' },
-      { id: 'TotalStaff', title: 'TotalStaff' },
-      { id: 'FOHTipPool', title: 'FOHTipPool' },
-      { id: 'BOHTipPool', title: 'BOHTipPool' },
-      { id: 'UnallocatedTip', title: 'UnallocatedTip' },
-      { id: 'HasStaffIssue', title: 'HasStaffIssue' }
-    ],
-    tipPools.map(tp => {
-      // Find corresponding unallocated tip entry
-      const unallocated = unallocatedTips.find(ut => 
-        ut.Date === tp.Date && 
-        new Date(ut.TimeSlotStart).getTime() === new Date(tp.TimeSlotStart).getTime()
-      );
-      
-      return {
-        Date: tp.Date,
-        TimeSlotStart: formatDateTime(tp.TimeSlotStart),
-        AmtTip: tp.AmtTip.toFixed(2),
-        FOHCount: tp.FOHCount,
-        BOHCount: tp.BOHCount,
-        ExecCount: tp.ExecCount || 0,
-        TotalStaff: tp.TotalStaff,
-        FOHTipPool: tp.FOHTipPool.toFixed(2),
-        BOHTipPool: tp.BOHTipPool.toFixed(2),
-        UnallocatedTip: unallocated ? unallocated.UnallocatedTip.toFixed(2) : "0.00",
-        HasStaffIssue: (tp.AmtTip > 0 && (tp.TotalStaff === 0 || tp.FOHCount === 0 || tp.BOHCount === 0)) ? "YES" : "NO"
-      };
-    })
-  );
-  
-  console.log('Created diagnostic_timeslot_analysis.csv with detailed information about each timeslot.');
-  console.log('Final employee tip totals aggregated and saved.');
 
-  // Step 8: Sanity check
-  console.log('Step 8: Running sanity check...');
-  const finalSum = finalTotals.reduce((acc, rec) => acc + rec.TotalTips, 0);
-  const txnTotal = tipsBySlot.reduce((acc, rec) => acc + rec.AmtTip, 0);
-  console.log(`Final Adjusted Employee Total: $${finalSum.toFixed(2)}`);
-  console.log(`Transaction Tip Total: $${txnTotal.toFixed(2)}`);
-  if (Math.abs(finalSum - txnTotal) < 0.01) {
-    console.log('Sanity Check Passed: Totals match!');
-  } else {
-    console.error('Sanity Check FAILED: Totals do not match!');
+  // Each location is allocated on its own, into its own folder
+  const runs = [];
+  const failed = [];
+  for (const location of locations) {
+    console.log(`\n=== ${location.name} ===`);
+    const { code, result } = await allocateLocation(path.join(options.outputDir, locationDir(location.name)), {
+      ...shared,
+      clockRows: location.clockRows,
+      transactionRows: location.transactionRows,
+      cashTips: location.cashTips,
+      policy: location.policy,
+      timezones: location.timezones,
+      dateFormats: location.dateFormats,
+      dateLocale: location.dateLocale
+    }, options, payrollIds);
+    if (code !== 0) failed.push(location.name);
+    else runs.push({ name: location.name, result });
   }
+  if (failed.length > 0) {
+    console.error(`Error: ${failed.join(', ')} could not be allocated; no consolidated payout was written`);
+    return 1;
+  }
+
+  const consolidated = consolidateLocations(runs, { byEmployeeId: Boolean(roster) });
+  await writeLocationOutputs(options.outputDir, consolidated);
+  printLocationSummary(consolidated);
+  return 0;
+}
+
+if (require.main === module) {
+  main()
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error('Error in processing:', err);
+      process.exitCode = 1;
+    });
 }
 
-main().catch(err => {
-  console.error('Error in processing:', err);
-});
\ No newline at end of file
+module.exports = {
+  runAllocation,
+  loadTipPolicy,
+  loadClassificationRules,
+  loadCorrections,
+  loadRoster,
+  loadCashTips,
+  parseCardFee,
+  loadCardFeeRates,
+  loadLocationManifest,
+  splitByLocation,
+  consolidateLocations,
+  parseArgs,
+  main
+};
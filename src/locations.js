@@ -0,0 +1,305 @@
+// src/locations.js
+
+const path = require('path');
+const { readConfigFile } = require('./configFile');
+const { isValidTimeZone } = require('./timezone');
+const { compileDateFormat, dateOrderForLocale } = require('./dateFormats');
+const { sumCents, fromCents } = require('./money');
+
+// Columns naming the restaurant a clock, transaction or cash tip row belongs to
+const LOCATION_COLUMNS = ['Location', 'Store'];
+
+const locationOf = row => {
+  const column = LOCATION_COLUMNS.find(col => row[col] !== undefined);
+  return column ? String(row[column]).trim() : '';
+};
+const hasLocationColumn = rows => rows.some(row => LOCATION_COLUMNS.some(col => row[col] !== undefined));
+
+// Names and locations are matched without case or repeated spaces
+const normalize = value => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Name of a location's output folder: the location name with anything other
+ * than letters, digits, dots and dashes replaced by underscores
+ * @param {String} name - Location name
+ * @return {String}
+ */
+function locationDir(name) {
+  return String(name).trim().replace(/[^A-Za-z0-9.-]+/g, '_');
+}
+
+// Rows without a location, e.g. "3 clock rows have no Location (rows 4, 9, 12)"
+const missingLocations = (rows, label, rowNumber) => {
+  const missing = rows.map((row, idx) => (locationOf(row) ? null : rowNumber(row, idx))).filter(n => n !== null);
+  if (missing.length === 0) return null;
+  const shown = missing.slice(0, 5).join(', ') + (missing.length > 5 ? ', ...' : '');
+  return `${missing.length} ${label} have no ${LOCATION_COLUMNS[0]} (rows ${shown})`;
+};
+
+/**
+ * Split the rows of a multi-location export by their Location (or Store)
+ * column, so each restaurant can be allocated on its own. The clock data and
+ * the transactions must both have the column; cash tips are split too when
+ * there are any.
+ * @param {Object} sources - { clockRows, transactionRows, cashTips }
+ * @return {Array|null} - [{ name, clockRows, transactionRows, cashTips }] in order of first appearance,
+ *                        or null when the files name fewer than two locations
+ * @throws {Error} - If only one file has the column, a row has no location, or a location has
+ *                   transactions but no clock data
+ */
+function splitByLocation({ clockRows, transactionRows, cashTips = [] }) {
+  const clockHas = hasLocationColumn(clockRows);
+  const transactionsHave = hasLocationColumn(transactionRows);
+  // Single-store exports often name their store too
+  const names = new Set(clockRows.concat(transactionRows, cashTips).map(row => normalize(locationOf(row))).filter(Boolean));
+  if (names.size < 2) return null;
+  if (!clockHas || !transactionsHave) {
+    throw new Error(`The ${clockHas ? 'clock data' : 'transactions'} have a ${LOCATION_COLUMNS[0]} column but the ` +
+      `${clockHas ? 'transactions' : 'clock data'} do not; add one to both or use --locations`);
+  }
+  if (cashTips.length > 0 && !cashTips.some(tip => tip.Location)) {
+    throw new Error(`Cash tips need a ${LOCATION_COLUMNS[0]} column when the clock data and transactions have one`);
+  }
+
+  const errors = [
+    missingLocations(clockRows, 'clock rows', (row, idx) => row.SourceRow || idx + 1),
+    missingLocations(transactionRows, 'transactions', (row, idx) => idx + 1),
+    missingLocations(cashTips, 'cash tips', (tip, idx) => tip.Row || idx + 1)
+  ].filter(Boolean);
+  if (errors.length > 0) {
+    throw new Error(`Invalid location data:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const locations = new Map();
+  const locationFor = row => {
+    const key = normalize(locationOf(row));
+    if (!locations.has(key)) {
+      locations.set(key, { name: locationOf(row), clockRows: [], transactionRows: [], cashTips: [] });
+    }
+    return locations.get(key);
+  };
+  clockRows.forEach(row => locationFor(row).clockRows.push(row));
+  transactionRows.forEach(row => locationFor(row).transactionRows.push(row));
+  cashTips.forEach(tip => locationFor(tip).cashTips.push(tip));
+
+  const split = Array.from(locations.values());
+  const noClock = split.filter(loc => loc.clockRows.length === 0).map(loc => loc.name);
+  if (noClock.length > 0) {
+    throw new Error(`No clock data for location${noClock.length > 1 ? 's' : ''} ${noClock.join(', ')}`);
+  }
+  checkOutputFolders(split.map(loc => loc.name));
+  return split;
+}
+
+// Two locations must not write into the same output folder
+const checkOutputFolders = (names, errors = null) => {
+  const seen = new Map();
+  names.forEach(name => {
+    const dir = locationDir(name).toLowerCase();
+    // The same name listed twice is reported on its own
+    if (seen.has(dir) && normalize(seen.get(dir)) !== normalize(name)) {
+      const message = `Locations "${seen.get(dir)}" and "${name}" would share the output folder ${locationDir(name)}`;
+      if (!errors) throw new Error(message);
+      errors.push(message);
+    }
+    seen.set(dir, name);
+  });
+};
+
+/**
+ * Check a location manifest listing each restaurant's files and settings:
+ *   locations:
+ *     - name: Downtown
+ *       clock: downtown/clock.xlsx
+ *       transactions: downtown/transactions.csv
+ *       timezone: America/New_York          # optional, default --to-tz
+ *       transactionsTimezone: America/Chicago  # optional, default --from-tz
+ *       clockTimezone: America/New_York     # optional, default the location zone
+ *       policy: policies/downtown.yaml      # optional, default --policy
+ *       cashTips: downtown/cash.csv         # optional
+ *       clockFormat: toast                  # optional, default --clock-format (see importFormats.js)
+ *       transactionsFormat: formats/pos.json  # optional, default --txn-format
+ *       clockDateFormat: DD/MM/YYYY         # optional, default --clock-date-format (see dateFormats.js)
+ *       transactionsDateFormat: DD/MM/YYYY  # optional, default --txn-date-format
+ *       cashTipsDateFormat: DD/MM/YYYY      # optional, default --cash-date-format
+ *       dateLocale: en-GB                   # optional, default --date-locale
+ * File paths are relative to the manifest.
+ * @param {Object} manifest - Parsed manifest
+ * @param {String} baseDir - Directory the file paths are relative to
+ * @return {Array} - [{ name, clockFile, transactionsFile, policyFile, cashTipsFile, clockFormat, transactionsFormat,
+ *                     timezones: { location, transactions, clock }, dateFormats: { clock, transactions,
+ *                     cashTips } (only those given), dateLocale }]
+ * @throws {Error} - With every problem found, if the manifest is invalid
+ */
+function validateLocationManifest(manifest, baseDir = '.') {
+  if (!manifest || !Array.isArray(manifest.locations) || manifest.locations.length === 0) {
+    throw new Error('A location manifest must have a "locations" list');
+  }
+  const errors = [];
+  const resolve = file => (file ? path.resolve(baseDir, String(file)) : null);
+  const seenNames = new Set();
+
+  const locations = manifest.locations.map((loc, idx) => {
+    const name = loc && loc.name !== undefined ? String(loc.name).trim() : '';
+    const label = name ? `Location "${name}"` : `Location ${idx + 1}`;
+    if (!loc || typeof loc !== 'object') {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+    if (!name) errors.push(`${label} must have a name`);
+    if (name && seenNames.has(normalize(name))) errors.push(`${label} is listed more than once`);
+    seenNames.add(normalize(name));
+    ['clock', 'transactions'].forEach(field => {
+      if (!loc[field]) errors.push(`${label} must have a "${field}" file`);
+    });
+    const timezones = {};
+    [['timezone', 'location'], ['transactionsTimezone', 'transactions'], ['clockTimezone', 'clock']].forEach(([field, source]) => {
+      if (loc[field] === undefined) return;
+      if (!isValidTimeZone(loc[field])) {
+        errors.push(`${label} ${field} "${loc[field]}" is not an IANA zone such as America/Chicago`);
+      }
+      timezones[source] = loc[field];
+    });
+    const dateFormats = {};
+    const dateFields = [['clockDateFormat', 'clock'], ['transactionsDateFormat', 'transactions'], ['cashTipsDateFormat', 'cashTips']];
+    dateFields.forEach(([field, source]) => {
+      if (loc[field] === undefined) return;
+      try {
+        compileDateFormat(loc[field]);
+      } catch (err) {
+        errors.push(`${label} ${field}: ${err.message}`);
+      }
+      dateFormats[source] = loc[field];
+    });
+    if (loc.dateLocale !== undefined) {
+      try {
+        dateOrderForLocale(loc.dateLocale);
+      } catch (err) {
+        errors.push(`${label} dateLocale: ${err.message}`);
+      }
+    }
+    return {
+      name,
+      clockFile: resolve(loc.clock),
+      transactionsFile: resolve(loc.transactions),
+      policyFile: resolve(loc.policy),
+      cashTipsFile: resolve(loc.cashTips),
+      // A format name, or a custom format file next to the manifest
+      clockFormat: /\.(json|ya?ml)$/i.test(loc.clockFormat || '') ? resolve(loc.clockFormat) : loc.clockFormat || null,
+      transactionsFormat: /\.(json|ya?ml)$/i.test(loc.transactionsFormat || '')
+        ? resolve(loc.transactionsFormat)
+        : loc.transactionsFormat || null,
+      timezones,
+      dateFormats,
+      dateLocale: loc.dateLocale || null
+    };
+  }).filter(Boolean);
+  checkOutputFolders(locations.filter(loc => loc.name).map(loc => loc.name), errors);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid location manifest:\n  - ${errors.join('\n  - ')}`);
+  }
+  return locations;
+}
+
+/**
+ * Load a location manifest from a JSON or YAML file
+ * @param {String} filePath - Path to the manifest
+ * @return {Array} - Validated locations (see validateLocationManifest)
+ */
+function loadLocationManifest(filePath) {
+  return validateLocationManifest(readConfigFile(filePath), path.dirname(path.resolve(filePath)));
+}
+
+/**
+ * Combine the allocations of several locations. Each location's tips stay with
+ * the staff who worked there; an employee who worked at more than one location
+ * gets one consolidated row with the tips of each. Employees are matched by
+ * roster employee ID when a roster is used (clock IDs are per store), otherwise
+ * by name. The house/unclaimed lines are combined into one, last.
+ * @param {Array} runs - [{ name, result }] with result from runAllocation
+ * @param {Object} options - { byEmployeeId (match employees by EmployeeId) }
+ * @return {Object} - { locations: [{ Location, Employees, HoursWorked, TotalTipsCents, CardTipsCents,
+ *                      CashTipsCents, HouseCents, CardFeeCents, Balanced, ... }],
+ *                      employees: [{ Employee, EmployeeId, House, Locations, HoursWorked,
+ *                      ByLocationCents, TotalTipsCents, CardTipsCents, CashTipsCents, ... }],
+ *                      totalTipsCents, balanced }
+ */
+function consolidateLocations(runs, options = {}) {
+  const employees = new Map();
+  const keyFor = row => {
+    if (row.House) return 'house';
+    return options.byEmployeeId && row.EmployeeId ? `id|${row.EmployeeId}` : `name|${normalize(row.Employee)}`;
+  };
+
+  const locations = runs.map(({ name, result }) => {
+    const hours = {};
+    result.dailyTotals.forEach(day => { hours[day.Employee] = (hours[day.Employee] || 0) + day.HoursWorked; });
+
+    result.finalTotals.forEach(row => {
+      const key = keyFor(row);
+      if (!employees.has(key)) {
+        employees.set(key, {
+          Employee: row.Employee,
+          EmployeeId: options.byEmployeeId ? row.EmployeeId : '',
+          House: row.House,
+          Locations: [],
+          HoursWorked: 0,
+          ByLocationCents: {},
+          TotalTipsCents: 0,
+          CardTipsCents: 0,
+          CashTipsCents: 0
+        });
+      }
+      const emp = employees.get(key);
+      if (!emp.Locations.includes(name)) emp.Locations.push(name);
+      emp.HoursWorked += hours[row.Employee] || 0;
+      emp.ByLocationCents[name] = (emp.ByLocationCents[name] || 0) + row.TotalTipsCents;
+      emp.TotalTipsCents += row.TotalTipsCents;
+      emp.CardTipsCents += row.CardTipsCents;
+      emp.CashTipsCents += row.CashTipsCents;
+    });
+
+    const { summary } = result;
+    return {
+      Location: name,
+      Employees: result.finalTotals.filter(row => !row.House).length,
+      HoursWorked: Object.values(hours).reduce((acc, h) => acc + h, 0),
+      TotalTipsCents: summary.totalTipsCents,
+      CardTipsCents: summary.totalCardCents,
+      CashTipsCents: summary.totalCashCents,
+      HouseCents: summary.totalHouseCents,
+      CardFeeCents: summary.cardFeeCents,
+      Balanced: summary.balanced,
+      TotalTips: fromCents(summary.totalTipsCents)
+    };
+  });
+
+  const employeeRows = Array.from(employees.values())
+    .sort((a, b) => a.House - b.House || a.Employee.localeCompare(b.Employee))
+    .map(emp => ({
+      ...emp,
+      TotalTips: fromCents(emp.TotalTipsCents),
+      CardTips: fromCents(emp.CardTipsCents),
+      CashTips: fromCents(emp.CashTipsCents)
+    }));
+  const totalTipsCents = sumCents(locations.map(loc => loc.TotalTipsCents));
+
+  return {
+    locations,
+    employees: employeeRows,
+    totalTipsCents,
+    totalTips: fromCents(totalTipsCents),
+    // Every location balances on its own, and the consolidated payout adds up to their tips
+    balanced: locations.every(loc => loc.Balanced) && sumCents(employeeRows.map(e => e.TotalTipsCents)) === totalTipsCents
+  };
+}
+
+module.exports = {
+  LOCATION_COLUMNS,
+  locationDir,
+  splitByLocation,
+  validateLocationManifest,
+  loadLocationManifest,
+  consolidateLocations
+};
@@ -0,0 +1,98 @@
+// src/money.js
+
+/**
+ * Convert a dollar amount (number or string such as "$1,234.50") to integer cents
+ * @param {Number|String} value - Dollar amount
+ * @return {Number} - Integer cents, or NaN if the value is not a number
+ */
+function toCents(value) {
+  if (typeof value === 'number') {
+    return Math.round(value * 100);
+  }
+  if (typeof value !== 'string') {
+    return NaN;
+  }
+  const cleaned = value.replace(/[$,\s]/g, '');
+  if (cleaned === '' || isNaN(Number(cleaned))) {
+    return NaN;
+  }
+  return Math.round(Number(cleaned) * 100);
+}
+
+/**
+ * Convert integer cents back to a dollar number
+ * @param {Number} cents - Integer cents
+ * @return {Number} - Dollars
+ */
+function fromCents(cents) {
+  return cents / 100;
+}
+
+/**
+ * Format integer cents as a fixed two-decimal dollar string (no currency sign)
+ * @param {Number} cents - Integer cents
+ * @return {String} - e.g. "12.34" or "-0.05"
+ */
+function formatCents(cents) {
+  if (!Number.isFinite(cents)) return 'NaN';
+  const sign = cents < 0 ? '-' : '';
+  const abs = Math.abs(Math.round(cents));
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Split an integer number of cents proportionally to weights using the
+ * largest-remainder method. Every share is floored, then the leftover cents
+ * go one at a time to the largest fractional remainders; ties go to the
+ * earliest entry, so the same input always gives the same split.
+ * The returned shares always sum exactly to totalCents.
+ * @param {Number} totalCents - Integer amount to split (may be negative)
+ * @param {Array} weights - Non-negative weights, one per recipient
+ * @return {Array} - Integer cents per recipient, in the same order as weights
+ */
+function allocateCents(totalCents, weights) {
+  const shares = weights.map(() => 0);
+  const weightSum = weights.reduce((acc, w) => acc + w, 0);
+  if (weights.length === 0 || weightSum <= 0 || !totalCents) {
+    return shares;
+  }
+
+  const sign = totalCents < 0 ? -1 : 1;
+  const amount = Math.abs(totalCents);
+
+  const remainders = weights.map((w, idx) => {
+    const exact = (amount * w) / weightSum;
+    shares[idx] = Math.floor(exact);
+    return { idx, remainder: exact - shares[idx] };
+  });
+
+  let leftover = amount - shares.reduce((acc, s) => acc + s, 0);
+  remainders
+    .filter(r => weights[r.idx] > 0)
+    .sort((a, b) => b.remainder - a.remainder || a.idx - b.idx)
+    .forEach(r => {
+      if (leftover > 0) {
+        shares[r.idx] += 1;
+        leftover -= 1;
+      }
+    });
+
+  return shares.map(s => s * sign);
+}
+
+/**
+ * Sum integer cents
+ * @param {Array} values - Integer cents
+ * @return {Number} - Total cents
+ */
+function sumCents(values) {
+  return values.reduce((acc, v) => acc + v, 0);
+}
+
+module.exports = {
+  toCents,
+  fromCents,
+  formatCents,
+  allocateCents,
+  sumCents
+};
@@ -0,0 +1,799 @@
+// src/outputs.js
+
+const path = require('path');
+const { createObjectCsvWriter } = require('csv-writer');
+const { printTipsByDay } = require('./transactions');
+const { formatDateTime } = require('./utils');
+const { zonedParts } = require('./timezone');
+const { formatCents } = require('./money');
+const { ATTRIBUTION_MODES } = require('./tipPolicy');
+const { buildPayrollExport } = require('./payrollExport');
+
+// Helper: Write CSV
+function writeCSV(filePath, header, records) {
+  const csvWriter = createObjectCsvWriter({
+    path: filePath,
+    header: header,
+  });
+  return csvWriter.writeRecords(records);
+}
+
+// Head-counts and slot fractions are fractional in proportional credit mode
+const formatCount = value => Number((value || 0).toFixed(3));
+
+// Card and cash parts of a row from combineTipSources (rows without a cash part are all card)
+const cashCents = r => r.CashTipsCents || 0;
+const cardCents = (r, totalCents) => totalCents - cashCents(r);
+
+/**
+ * Write the clock data validation issues (see validateClockRecords)
+ * @param {String} outputDir - Directory to write into (must exist)
+ * @param {Array} issues - Validation issues
+ */
+function writeValidationReport(outputDir, issues) {
+  return writeCSV(path.join(outputDir, 'validation_report.csv'),
+    [
+      { id: 'Row', title: 'Row' },
+      { id: 'Employee', title: 'Employee' },
+      { id: 'Date', title: 'Date' },
+      { id: 'Issue', title: 'Issue' },
+      { id: 'Severity', title: 'Severity' },
+      { id: 'Action', title: 'Action' },
+      { id: 'Details', title: 'Details' }
+    ],
+    issues.map(issue => ({ ...issue, Severity: issue.Blocking ? 'Blocking' : 'Warning' }))
+  );
+}
+
+/**
+ * Write the clock names and IDs that could not be matched cleanly to one employee (see resolveEmployees)
+ * @param {String} outputDir - Directory to write into (must exist)
+ * @param {Array} issues - Identity issues
+ */
+function writeIdentityReport(outputDir, issues) {
+  return writeCSV(path.join(outputDir, 'employee_identity_report.csv'),
+    ['Issue', 'ClockName', 'ClockId', 'EmployeeId', 'Employee', 'Rows', 'Details'].map(id => ({ id, title: id })),
+    issues.map(issue => ({ ...issue, Rows: issue.Rows.join('; ') }))
+  );
+}
+
+/**
+ * Write every refund, void and tip adjustment found in the transactions and what was done with it
+ * (see reconcileTransactions)
+ * @param {String} outputDir - Directory to write into (must exist)
+ * @param {Array} adjustments - Adjustments from processTransactions
+ * @param {String} timeZone - IANA zone to write the times in
+ */
+function writeTransactionAdjustments(outputDir, adjustments, timeZone) {
+  const formatTime = dt => (dt && !isNaN(dt) ? formatDateTime(dt, timeZone) : '');
+  const formatAmount = cents => (cents === null || isNaN(cents) ? '' : formatCents(cents));
+  return writeCSV(path.join(outputDir, 'transaction_adjustments.csv'),
+    ['Record', 'TransactionId', 'LinkedId', 'Type', 'TransDateTime', 'OriginalDateTime', 'Date', 'TimeSlotStart',
+      'Amount', 'TipBefore', 'TipAfter', 'Change', 'SaleChange', 'Action', 'Details'].map(id => ({ id, title: id })),
+    adjustments.map(a => ({
+      ...a,
+      TransDateTime: formatTime(a.TransDateTime),
+      OriginalDateTime: formatTime(a.OriginalDateTime),
+      TimeSlotStart: formatTime(a.TimeSlotStart),
+      Amount: formatAmount(a.AmountCents),
+      TipBefore: formatAmount(a.TipBeforeCents),
+      TipAfter: formatAmount(a.TipAfterCents),
+      Change: formatCents(a.ChangeCents),
+      SaleChange: formatCents(a.SaleChangeCents || 0)
+    }))
+  );
+}
+
+/**
+ * Write what each server kept and tipped out per business day, and the tips
+ * that could not be attributed to a server (see attributeServerTips)
+ * @param {String} outputDir - Directory to write into (must exist)
+ * @param {Array} serverDays - Server days from attributeServerTips
+ * @param {Array} tipOutNames - Tip-out names of the policy, one column each
+ */
+function writeServerTips(outputDir, serverDays, tipOutNames) {
+  return writeCSV(path.join(outputDir, 'server_tips.csv'),
+    ['Date', 'Server', 'ServerId', 'Employee', 'Status', 'Tips', 'Sales', ...tipOutNames, 'TipOutTotal', 'Kept', 'Details']
+      .map(id => ({ id, title: id })),
+    serverDays.map(d => ({
+      ...d,
+      Tips: formatCents(d.TipsCents),
+      Sales: formatCents(d.SalesCents),
+      ...Object.fromEntries(tipOutNames.map(name => [name, formatCents(d.TipOutsCents[name] || 0)])),
+      TipOutTotal: formatCents(d.TipOutTotalCents),
+      Kept: formatCents(d.KeptCents)
+    }))
+  );
+}
+
+/**
+ * Write the missed clockout review template (see buildCorrectionsTemplate)
+ * @param {String} outputDir - Directory to write into (must exist)
+ * @param {Array} template - Template rows
+ */
+function writeCorrectionsTemplate(outputDir, template) {
+  return writeCSV(path.join(outputDir, 'corrections_template.csv'),
+    ['Row', 'Employee', 'Department', 'Date', 'TimeIn', 'ImputedTimeOut', 'CorrectedTimeOut', 'Exclude', 'Note']
+      .map(id => ({ id, title: id })),
+    template
+  );
+}
+
+/**
+ * Write the audit trail of corrections applied to the clock data (see applyCorrections)
+ * @param {String} outputDir - Directory to write into (must exist)
+ * @param {Array} applied - Applied corrections
+ * @param {String} timeZone - IANA zone to write the times in
+ */
+function writeAppliedCorrections(outputDir, applied, timeZone) {
+  const formatTime = dt => (dt ? formatDateTime(dt, timeZone) : '');
+  return writeCSV(path.join(outputDir, 'corrections_applied.csv'),
+    [
+      { id: 'Row', title: 'Row' },
+      { id: 'Employee', title: 'Employee' },
+      { id: 'Date', title: 'Date' },
+      { id: 'TimeIn', title: 'TimeIn' },
+      { id: 'OriginalTimeOut', title: 'OriginalTimeOut' },
+      { id: 'WasImputed', title: 'WasImputed' },
+      { id: 'Action', title: 'Action' },
+      { id: 'NewTimeOut', title: 'NewTimeOut' },
+      { id: 'Note', title: 'Note' }
+    ],
+    applied.map(c => ({
+      ...c,
+      Row: c.Row || '',
+      TimeIn: formatTime(c.TimeIn),
+      OriginalTimeOut: formatTime(c.OriginalTimeOut),
+      WasImputed: c.WasImputed ? 'YES' : 'NO',
+      NewTimeOut: formatTime(c.NewTimeOut)
+    }))
+  );
+}
+
+/**
+ * Write every step of an allocation result (see runAllocation) to CSV files
+ * @param {String} outputDir - Directory to write into (must exist)
+ * @param {Object} result - Result returned by runAllocation
+ */
+async function writeAllocationOutputs(outputDir, result) {
+  const {
+    policy,
+    cleanedClock,
+    intervals,
+    breakExclusions = [],
+    tipsBySlot,
+    cashTipsBySlot = [],
+    transactionAdjustments = [],
+    serverDays = [],
+    tipPools,
+    individualTipShares,
+    unallocatedTips,
+    redistribution,
+    finalTotals,
+    roleTotals = [],
+    dailyTotals = [],
+    payPeriodTotals = [],
+    identityIssues = [],
+    validationIssues = [],
+    correctionsTemplate = [],
+    correctionsApplied = [],
+    summary
+  } = result;
+  // Times are written on the restaurant's wall clock
+  const timeZone = summary.timezone;
+
+  await writeIdentityReport(outputDir, identityIssues);
+  await writeValidationReport(outputDir, validationIssues);
+  await writeCorrectionsTemplate(outputDir, correctionsTemplate);
+  await writeAppliedCorrections(outputDir, correctionsApplied, timeZone);
+
+  await writeCSV(path.join(outputDir, 'step1_cleaned_clock_data.csv'),
+    [
+      { id: 'Employee', title: 'Employee' },
+      { id: 'EmployeeId', title: 'EmployeeId' },
+      { id: 'Department', title: 'Department' },
+      { id: 'Category', title: 'Category' },
+      { id: 'Date', title: 'Date' },
+      { id: 'TimeIn', title: 'TimeIn' },
+      { id: 'TimeOut', title: 'TimeOut' },
+      { id: 'Breaks', title: 'Breaks' }
+    ],
+    cleanedClock.map(r => ({
+      Employee: r.Employee,
+      EmployeeId: r.EmployeeId || '',
+      Department: r.Department,
+      Category: r.Category,
+      Date: r.Date,
+      TimeIn: formatDateTime(r.TimeIn, timeZone),
+      TimeOut: formatDateTime(r.TimeOut, timeZone),
+      Breaks: (r.Breaks || []).map(b => `${formatDateTime(b.Start, timeZone)} - ${formatDateTime(b.End, timeZone)}`).join('; ')
+    }))
+  );
+  await writeCSV(path.join(outputDir, 'step2_time_intervals.csv'),
+    [
+      { id: 'Employee', title: 'Employee' },
+      { id: 'Department', title: 'Department' },
+      { id: 'Category', title: 'Category' },
+      { id: 'Date', title: 'Date' },
+      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
+      { id: 'TimeSlotEnd', title: 'TimeSlotEnd' },
+      { id: 'Fraction', title: 'Fraction' },
+      { id: 'BreakMinutes', title: 'BreakMinutes' },
+      { id: 'Status', title: 'Status' }
+    ],
+    // Slots spent entirely on break are listed alongside the credited ones, marked as excluded
+    intervals.concat(breakExclusions)
+      .sort((a, b) => a.Employee.localeCompare(b.Employee) || a.TimeSlotStart - b.TimeSlotStart)
+      .map(r => ({
+        Employee: r.Employee,
+        Department: r.Department,
+        Category: r.Category,
+        Date: r.Date,
+        TimeSlotStart: formatDateTime(r.TimeSlotStart, timeZone),
+        TimeSlotEnd: formatDateTime(r.TimeSlotEnd, timeZone),
+        Fraction: formatCount(r.Fraction),
+        BreakMinutes: formatCount(r.BreakMinutes),
+        Status: r.Excluded ? `Excluded (${r.Excluded})` : 'Credited'
+      }))
+  );
+  console.log('Clock data saved.');
+
+  printTipsByDay(tipsBySlot, path.join(outputDir, 'tips_by_day.csv'));
+  await writeTransactionAdjustments(outputDir, transactionAdjustments, timeZone);
+  // Server attribution: the slot and share columns below gain what servers kept and tipped out
+  const serverMode = summary.attribution === ATTRIBUTION_MODES.SERVER;
+  if (serverMode) await writeServerTips(outputDir, serverDays, policy.tipOuts.map(t => t.name));
+
+  // Card tips (before and after the processing fee), the cash spread onto each slot and the card sales, side by side
+  const slotTips = new Map();
+  const slotTipsRow = r => {
+    const key = `${r.Date}|${r.TimeSlotStart.toISOString()}`;
+    if (!slotTips.has(key)) {
+      slotTips.set(key, {
+        Date: r.Date, TimeSlotStart: r.TimeSlotStart, GrossCents: 0, FeeCents: 0, CardCents: 0, CashCents: 0, SaleCents: 0, SalesByCategory: {}
+      });
+    }
+    return slotTips.get(key);
+  };
+  tipsBySlot.forEach(r => {
+    const row = slotTipsRow(r);
+    row.CardCents += r.AmtTipCents;
+    row.GrossCents += r.GrossTipCents === undefined ? r.AmtTipCents : r.GrossTipCents;
+    row.FeeCents += r.FeeCents || 0;
+    row.SaleCents += r.AmtSaleCents || 0;
+    Object.entries(r.SalesByCategory || {}).forEach(([category, cents]) => {
+      row.SalesByCategory[category] = (row.SalesByCategory[category] || 0) + cents;
+    });
+  });
+  cashTipsBySlot.forEach(r => { slotTipsRow(r).CashCents += r.AmtTipCents; });
+
+  // One sales column per sale category in the feed (SaleCategory column)
+  const saleCategories = Array.from(new Set(tipsBySlot.flatMap(r => Object.keys(r.SalesByCategory || {})))).sort();
+  const saleColumns = saleCategories.map(category => ({ id: `Sales (${category})`, title: `Sales (${category})` }));
+  const salesByCategory = r => Object.fromEntries(saleCategories.map(category => [
+    `Sales (${category})`, formatCents((r.SalesByCategory || {})[category] || 0)
+  ]));
+
+  await writeCSV(path.join(outputDir, 'step3_tips_by_slot.csv'),
+    [
+      { id: 'Date', title: 'Date' },
+      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
+      { id: 'GrossTip', title: 'GrossTip' },
+      { id: 'CardFee', title: 'CardFee' },
+      { id: 'AmtTip', title: 'AmtTip' },
+      { id: 'CashTip', title: 'CashTip' },
+      { id: 'Sales', title: 'Sales' },
+      ...saleColumns
+    ],
+    Array.from(slotTips.values()).sort((a, b) => a.TimeSlotStart - b.TimeSlotStart).map(r => ({
+      Date: r.Date,
+      TimeSlotStart: formatDateTime(r.TimeSlotStart, timeZone),
+      GrossTip: formatCents(r.GrossCents),
+      CardFee: formatCents(r.FeeCents),
+      AmtTip: formatCents(r.CardCents),
+      CashTip: formatCents(r.CashCents),
+      Sales: formatCents(r.SaleCents),
+      ...salesByCategory(r)
+    }))
+  );
+  console.log('Transaction data saved.');
+
+  // One count and one pool column per policy group (FOH/BOH with the default policy)
+  const groupNames = policy.groups.map(g => g.name);
+  const tipOutNames = serverMode ? policy.tipOuts.map(t => t.name) : [];
+  const serverColumns = ids => (serverMode ? ids.map(id => ({ id, title: id })) : []);
+  const isImbalanced = tp => groupNames.some(name => tp.GroupCounts[name] === 0);
+
+  await writeCSV(path.join(outputDir, 'step4_tip_pools.csv'),
+    [
+      { id: 'Date', title: 'Date' },
+      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
+      { id: 'AmtTip', title: 'AmtTip' },
+      { id: 'GrossTip', title: 'GrossTip' },
+      { id: 'CardFee', title: 'CardFee' },
+      { id: 'CardTip', title: 'CardTip' },
+      { id: 'CashTip', title: 'CashTip' },
+      { id: 'Sales', title: 'Sales' },
+      ...saleColumns,
+      ...groupNames.map(name => ({ id: `${name}Count`, title: `${name}Count` })),
+      { id: 'ExecCount', title: 'ExecCount' },
+      ...groupNames.map(name => ({ id: `${name}TipPool`, title: `${name}TipPool` })),
+      ...serverColumns(['ServerTips', ...tipOutNames.map(name => `${name}TipOut`)]),
+      { id: 'TotalStaff', title: 'TotalStaff' }
+    ],
+    tipPools.map(r => ({
+      Date: r.Date,
+      TimeSlotStart: formatDateTime(r.TimeSlotStart, timeZone),
+      AmtTip: formatCents(r.AmtTipCents),
+      // Card tips before the processing fee; pools are split from the net amount
+      GrossTip: formatCents(cardCents(r, r.GrossTipCents === undefined ? r.AmtTipCents : r.GrossTipCents)),
+      CardFee: formatCents(r.FeeCents || 0),
+      CardTip: formatCents(cardCents(r, r.AmtTipCents)),
+      CashTip: formatCents(cashCents(r)),
+      Sales: formatCents(r.AmtSaleCents || 0),
+      ...salesByCategory(r),
+      ...Object.fromEntries(groupNames.map(name => [`${name}Count`, formatCount(r.GroupCounts[name])])),
+      ExecCount: formatCount(r.ExecCount),
+      ...Object.fromEntries(groupNames.map(name => [
+        `${name}TipPool`, formatCents(r.GroupCounts[name] > 0 ? r.GroupPoolsCents[name] : 0)
+      ])),
+      // Kept by the servers who rang the tips up, and tipped out of them to each support pool
+      ServerTips: formatCents(r.ServerTipsCents || 0),
+      ...Object.fromEntries(tipOutNames.map(name => [`${name}TipOut`, formatCents((r.TipOutPoolsCents || {})[name] || 0)])),
+      TotalStaff: formatCount(r.TotalStaff)
+    }))
+  );
+  console.log('Tip pools saved.');
+
+  await writeCSV(path.join(outputDir, 'step5_individual_tip_shares.csv'),
+    [
+      { id: 'Employee', title: 'Employee' },
+      { id: 'Department', title: 'Department' },
+      { id: 'Category', title: 'Category' },
+      { id: 'Date', title: 'Date' },
+      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
+      { id: 'TimeSlotEnd', title: 'TimeSlotEnd' },
+      { id: 'Weight', title: 'Weight' },
+      { id: 'Fraction', title: 'Fraction' },
+      { id: 'IndividualTipShare', title: 'IndividualTipShare' },
+      { id: 'CardTipShare', title: 'CardTipShare' },
+      { id: 'CashTipShare', title: 'CashTipShare' },
+      ...serverColumns(['OwnTips', 'TipOutsReceived'])
+    ],
+    individualTipShares.map(r => ({
+      Employee: r.Employee,
+      Department: r.Department,
+      Category: r.Category,
+      Date: r.Date,
+      TimeSlotStart: formatDateTime(r.TimeSlotStart, timeZone),
+      TimeSlotEnd: formatDateTime(r.TimeSlotEnd, timeZone),
+      Weight: r.Weight,
+      Fraction: formatCount(r.Fraction),
+      IndividualTipShare: formatCents(r.IndividualTipShareCents),
+      CardTipShare: formatCents(cardCents(r, r.IndividualTipShareCents)),
+      CashTipShare: formatCents(cashCents(r)),
+      OwnTips: formatCents(r.OwnTipsCents || 0),
+      TipOutsReceived: formatCents(r.TipOutsReceivedCents || 0)
+    }))
+  );
+  console.log('Individual tip shares saved.');
+
+  await writeCSV(path.join(outputDir, 'step6_unallocated_tips.csv'),
+    [
+      { id: 'Date', title: 'Date' },
+      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
+      { id: 'UnallocatedTip', title: 'UnallocatedTip' },
+      { id: 'CardTip', title: 'CardTip' },
+      { id: 'CashTip', title: 'CashTip' }
+    ],
+    unallocatedTips.map(r => ({
+      Date: r.Date,
+      TimeSlotStart: formatDateTime(r.TimeSlotStart, timeZone),
+      UnallocatedTip: formatCents(r.UnallocatedTipCents),
+      CardTip: formatCents(cardCents(r, r.UnallocatedTipCents)),
+      CashTip: formatCents(cashCents(r))
+    }))
+  );
+  console.log('Unallocated tips saved.');
+
+  await writeCSV(path.join(outputDir, 'step7_unallocated_tip_distribution.csv'),
+    [
+      { id: 'Date', title: 'Date' },
+      { id: 'Employee', title: 'Employee' },
+      { id: 'Group', title: 'Group' },
+      { id: 'Strategy', title: 'Strategy' },
+      { id: 'UnallocatedTipShare', title: 'UnallocatedTipShare' },
+      { id: 'CardTipShare', title: 'CardTipShare' },
+      { id: 'CashTipShare', title: 'CashTipShare' }
+    ],
+    redistribution.map(r => ({
+      Date: r.Date,
+      Employee: r.Employee,
+      Group: r.Group || '',
+      Strategy: r.Strategy || summary.redistributionStrategy,
+      UnallocatedTipShare: formatCents(r.UnallocatedTipShareCents),
+      CardTipShare: formatCents(cardCents(r, r.UnallocatedTipShareCents)),
+      CashTipShare: formatCents(cashCents(r))
+    }))
+  );
+  console.log('Unallocated tip redistribution saved.');
+
+  // One column per category worked (FOH/BOH with the default classification)
+  const categories = Array.from(new Set(roleTotals.map(r => r.Category).filter(Boolean))).sort();
+  await writeCSV(path.join(outputDir, 'step8_final_employee_totals.csv'),
+    [
+      { id: 'Employee', title: 'Employee' },
+      { id: 'EmployeeId', title: 'Employee ID' },
+      { id: 'AllocatedTips', title: 'Allocated Tips' },
+      { id: 'UnallocatedTips', title: 'Unallocated Tips' },
+      { id: 'TotalTips', title: 'Total Tips' },
+      { id: 'CardTips', title: 'Card Tips' },
+      { id: 'CashTips', title: 'Cash Tips' },
+      ...categories.map(category => ({ id: `${category}Tips`, title: `${category} Tips` }))
+    ],
+    finalTotals.map(r => ({
+      Employee: r.Employee,
+      EmployeeId: r.EmployeeId || '',
+      AllocatedTips: formatCents(r.AllocatedTipsCents),
+      UnallocatedTips: formatCents(r.UnallocatedTipsCents),
+      TotalTips: formatCents(r.TotalTipsCents),
+      CardTips: formatCents(cardCents(r, r.TotalTipsCents)),
+      CashTips: formatCents(cashCents(r)),
+      ...Object.fromEntries(categories.map(category => [
+        `${category}Tips`, formatCents((r.ByCategoryCents || {})[category] || 0)
+      ]))
+    }))
+  );
+  await writeCSV(path.join(outputDir, 'step8_employee_role_totals.csv'),
+    [
+      { id: 'Employee', title: 'Employee' },
+      { id: 'EmployeeId', title: 'Employee ID' },
+      { id: 'Category', title: 'Category' },
+      { id: 'Department', title: 'Department' },
+      { id: 'AllocatedTips', title: 'Allocated Tips' },
+      { id: 'UnallocatedTips', title: 'Unallocated Tips' },
+      { id: 'TotalTips', title: 'Total Tips' }
+    ],
+    roleTotals.map(r => ({
+      Employee: r.Employee,
+      EmployeeId: r.EmployeeId || '',
+      Category: r.Category,
+      Department: r.Department,
+      AllocatedTips: formatCents(r.AllocatedTipsCents),
+      UnallocatedTips: formatCents(r.UnallocatedTipsCents),
+      TotalTips: formatCents(r.TotalTipsCents)
+    }))
+  );
+  console.log('Final employee tip totals saved.');
+
+  // Hours beside tips so payroll can check the effective tip rate
+  const formatHours = hours => (hours || 0).toFixed(2);
+  const formatRate = rate => (rate === null ? '' : rate.toFixed(2));
+  await writeCSV(path.join(outputDir, 'step8_employee_daily_totals.csv'),
+    [
+      { id: 'Employee', title: 'Employee' },
+      { id: 'EmployeeId', title: 'Employee ID' },
+      { id: 'Date', title: 'Date' },
+      { id: 'HoursWorked', title: 'Hours Worked' },
+      { id: 'AllocatedTips', title: 'Allocated Tips' },
+      { id: 'UnallocatedTips', title: 'Unallocated Tips' },
+      { id: 'TotalTips', title: 'Total Tips' },
+      { id: 'CardTips', title: 'Card Tips' },
+      { id: 'CashTips', title: 'Cash Tips' },
+      { id: 'TipsPerHour', title: 'Tips Per Hour' }
+    ],
+    dailyTotals.map(r => ({
+      Employee: r.Employee,
+      EmployeeId: r.EmployeeId,
+      Date: r.Date,
+      HoursWorked: formatHours(r.HoursWorked),
+      AllocatedTips: formatCents(r.AllocatedTipsCents),
+      UnallocatedTips: formatCents(r.UnallocatedTipsCents),
+      TotalTips: formatCents(r.TotalTipsCents),
+      CardTips: formatCents(cardCents(r, r.TotalTipsCents)),
+      CashTips: formatCents(cashCents(r)),
+      TipsPerHour: formatRate(r.TipsPerHour)
+    }))
+  );
+  await writeCSV(path.join(outputDir, 'step8_pay_period_totals.csv'),
+    [
+      { id: 'Employee', title: 'Employee' },
+      { id: 'EmployeeId', title: 'Employee ID' },
+      { id: 'PeriodStart', title: 'Period Start' },
+      { id: 'PeriodEnd', title: 'Period End' },
+      { id: 'Days', title: 'Days' },
+      { id: 'HoursWorked', title: 'Hours Worked' },
+      { id: 'AllocatedTips', title: 'Allocated Tips' },
+      { id: 'UnallocatedTips', title: 'Unallocated Tips' },
+      { id: 'TotalTips', title: 'Total Tips' },
+      { id: 'CardTips', title: 'Card Tips' },
+      { id: 'CashTips', title: 'Cash Tips' },
+      { id: 'TipsPerHour', title: 'Tips Per Hour' }
+    ],
+    payPeriodTotals.map(r => ({
+      Employee: r.Employee,
+      EmployeeId: r.EmployeeId,
+      PeriodStart: r.PeriodStart,
+      PeriodEnd: r.PeriodEnd,
+      Days: r.Days,
+      HoursWorked: formatHours(r.HoursWorked),
+      AllocatedTips: formatCents(r.AllocatedTipsCents),
+      UnallocatedTips: formatCents(r.UnallocatedTipsCents),
+      TotalTips: formatCents(r.TotalTipsCents),
+      CardTips: formatCents(cardCents(r, r.TotalTipsCents)),
+      CashTips: formatCents(cashCents(r)),
+      TipsPerHour: formatRate(r.TipsPerHour)
+    }))
+  );
+  console.log(`Daily and ${summary.payPeriod} pay period totals saved.`);
+
+  // Add a diagnostic CSV output with detailed information about each timeslot
+  await writeCSV(path.join(outputDir, 'diagnostic_timeslot_analysis.csv'),
+    [
+      { id: 'Date', title: 'Date' },
+      { id: 'TimeSlotStart', title: 'TimeSlotStart' },
+      { id: 'AmtTip', title: 'AmtTip' },
+      ...groupNames.map(name => ({ id: `${name}Count`, title: `${name}Count` })),
+      { id: 'ExecCount', title: 'ExecCount' },
+      { id: 'TotalStaff', title: 'TotalStaff' },
+      ...groupNames.map(name => ({ id: `${name}TipPool`, title: `${name}TipPool` })),
+      { id: 'UnallocatedTip', title: 'UnallocatedTip' },
+      { id: 'HasStaffIssue', title: 'HasStaffIssue' }
+    ],
+    tipPools.map(tp => {
+      // Find corresponding unallocated tip entry
+      const unallocated = unallocatedTips.find(ut =>
+        ut.Date === tp.Date &&
+        new Date(ut.TimeSlotStart).getTime() === new Date(tp.TimeSlotStart).getTime()
+      );
+
+      return {
+        Date: tp.Date,
+        TimeSlotStart: formatDateTime(tp.TimeSlotStart, timeZone),
+        AmtTip: formatCents(tp.AmtTipCents),
+        ...Object.fromEntries(groupNames.map(name => [`${name}Count`, formatCount(tp.GroupCounts[name])])),
+        ExecCount: formatCount(tp.ExecCount),
+        TotalStaff: formatCount(tp.TotalStaff),
+        ...Object.fromEntries(groupNames.map(name => [
+          `${name}TipPool`, formatCents(tp.GroupCounts[name] > 0 ? tp.GroupPoolsCents[name] : 0)
+        ])),
+        UnallocatedTip: unallocated ? formatCents(unallocated.UnallocatedTipCents) : "0.00",
+        HasStaffIssue: (tp.AmtTip > 0 && (tp.TotalStaff === 0 || isImbalanced(tp))) ? "YES" : "NO"
+      };
+    })
+  );
+  console.log('Created diagnostic_timeslot_analysis.csv with detailed information about each timeslot.');
+}
+
+/**
+ * Write the pay-period totals in a payroll provider's import layout (see buildPayrollExport)
+ * @param {String} outputDir - Directory to write into (must exist)
+ * @param {Object} result - Result returned by runAllocation
+ * @param {Object} options - { format, payrollIds, earningCode, cashEarningCode }
+ * @return {Promise<Object>} - The export, including the employees that have no payroll ID
+ */
+async function writePayrollExport(outputDir, result, options) {
+  const payroll = buildPayrollExport(options.format, result.payPeriodTotals, options);
+  const fileName = `payroll_export_${payroll.format}.csv`;
+  await writeCSV(path.join(outputDir, fileName), payroll.columns.map(id => ({ id, title: id })), payroll.rows);
+  console.log(`Payroll export saved to ${fileName} (${payroll.rows.length} rows).`);
+  if (payroll.unmapped.length > 0) {
+    console.warn(`Warning: ${payroll.unmapped.length} employees have no payroll ID and were exported with a blank ID:`);
+    payroll.unmapped.forEach(name => console.warn(`  - ${name}`));
+  }
+  return payroll;
+}
+
+/**
+ * Print the allocation summary, diagnostics and sanity check to the console
+ * @param {Object} result - Result returned by runAllocation
+ */
+function printAllocationSummary(result) {
+  const {
+    policy, tipPools, unallocatedTips, summary, identityIssues = [], validationIssues = [], correctionsApplied = []
+  } = result;
+  const groupNames = policy.groups.map(g => g.name);
+  const timeZone = summary.timezone;
+
+  if (correctionsApplied.length > 0) {
+    console.log('\nClock corrections (see corrections_applied.csv):');
+    correctionsApplied.forEach(c => {
+      const change = c.Action === 'CorrectedTimeOut'
+        ? `clock-out ${c.OriginalTimeOut ? formatDateTime(c.OriginalTimeOut, timeZone) : '(none)'} -> ${formatDateTime(c.NewTimeOut, timeZone)}`
+        : c.Action === 'Excluded' ? 'shift excluded' : 'no matching shift in the clock report';
+      console.log(`  ${c.Employee}, in ${formatDateTime(c.TimeIn, timeZone)}: ${change}${c.Note ? ` (${c.Note})` : ''}`);
+    });
+  }
+
+  if (identityIssues.length > 0) {
+    console.log(`\nEmployee identity: ${identityIssues.length} names or IDs need review, see employee_identity_report.csv`);
+  }
+
+  if (summary.adjustmentsApplied || summary.adjustmentsNotApplied) {
+    const change = summary.adjustmentTotalCents;
+    console.log(`\nTransaction adjustments: ${summary.adjustmentsApplied} applied ` +
+      `(net change ${change < 0 ? '-' : ''}$${formatCents(Math.abs(change))}), ${summary.adjustmentsNotApplied} not applied, ` +
+      'see transaction_adjustments.csv');
+  }
+
+  if (validationIssues.length > 0) {
+    const blocking = validationIssues.filter(issue => issue.Blocking).length;
+    console.log(`\nData validation: ${validationIssues.length} issues (${blocking} blocking), see validation_report.csv`);
+  }
+
+  // Add summary of unallocated tips by day
+  const unallocatedByDay = {};
+  unallocatedTips.forEach(tip => {
+    if (!unallocatedByDay[tip.Date]) unallocatedByDay[tip.Date] = 0;
+    unallocatedByDay[tip.Date] += tip.UnallocatedTipCents;
+  });
+
+  console.log('\nUnallocated Tips Summary by Day:');
+  Object.keys(unallocatedByDay).sort().forEach(date => {
+    console.log(`  ${date}: $${formatCents(unallocatedByDay[date])}`);
+  });
+
+  const { totalAllocated, totalUnallocated, totalTips } = summary;
+  console.log('\nTip Allocation Summary:');
+  console.log(`  Total Allocated Tips: $${totalAllocated.toFixed(2)} (${(totalAllocated/totalTips*100).toFixed(1)}%)`);
+  console.log(`  Total Unallocated Tips: $${totalUnallocated.toFixed(2)} (${(totalUnallocated/totalTips*100).toFixed(1)}%)` +
+    ` redistributed by "${summary.redistributionStrategy}"`);
+  if (summary.totalHouseCents) {
+    console.log(`  Held on the house/unclaimed line: $${formatCents(summary.totalHouseCents)} (manager decision)`);
+  }
+  console.log(`  Total Tips: $${totalTips.toFixed(2)}`);
+  if (summary.cashTipTotalCents) {
+    console.log(`  Card Tips: $${formatCents(summary.totalCardCents)}, Cash Tips: $${formatCents(summary.totalCashCents)}` +
+      ` (cash spread "${summary.cashSpread}")`);
+  }
+  if (summary.attribution === ATTRIBUTION_MODES.SERVER) {
+    console.log(`  Kept by servers: $${formatCents(summary.serverKeptCents)}, tipped out: $${formatCents(summary.tipOutTotalCents)}` +
+      (summary.unattributedServerDays ? `, ${summary.unattributedServerDays} server-days pooled (see server_tips.csv)` : ''));
+  }
+  if (summary.cardFeeCents) {
+    console.log(`  Card processing fees withheld: $${formatCents(summary.cardFeeCents)} of $${formatCents(summary.grossCardTipsCents)}` +
+      ` gross card tips (${summary.cardFee})`);
+  }
+
+  // Add detailed diagnostics to understand unallocated tips
+  console.log('\nDIAGNOSTIC INFORMATION:');
+
+  // Check for timeslots with tips but no staff
+  const tipSlotsWithNoStaff = tipPools.filter(tp => tp.AmtTip > 0 && tp.TotalStaff === 0);
+  if (tipSlotsWithNoStaff.length > 0) {
+    console.log(`\nFound ${tipSlotsWithNoStaff.length} time slots with tips but NO STAFF present:`);
+    tipSlotsWithNoStaff.slice(0, 5).forEach(slot => {
+      console.log(`  Date: ${slot.Date}, Time: ${formatDateTime(slot.TimeSlotStart, timeZone)}, Tips: $${slot.AmtTip.toFixed(2)}`);
+    });
+    if (tipSlotsWithNoStaff.length > 5) {
+      console.log(`  ... and ${tipSlotsWithNoStaff.length - 5} more slots`);
+    }
+  }
+
+  // Check for imbalanced staff (e.g., FOH but no BOH, or vice versa)
+  const imbalancedStaffSlots = tipPools.filter(tp =>
+    tp.AmtTip > 0 && tp.TotalStaff > 0 && groupNames.some(name => tp.GroupCounts[name] === 0)
+  );
+  if (imbalancedStaffSlots.length > 0) {
+    console.log(`\nFound ${imbalancedStaffSlots.length} time slots with tips but IMBALANCED STAFF:`);
+    imbalancedStaffSlots.slice(0, 5).forEach(slot => {
+      const counts = groupNames.map(name => `${name}: ${formatCount(slot.GroupCounts[name])}`).join(', ');
+      console.log(`  Date: ${slot.Date}, Time: ${formatDateTime(slot.TimeSlotStart, timeZone)}, Tips: $${slot.AmtTip.toFixed(2)}, ${counts}`);
+    });
+    if (imbalancedStaffSlots.length > 5) {
+      console.log(`  ... and ${imbalancedStaffSlots.length - 5} more slots`);
+    }
+  }
+
+  // Analyze distribution of unallocated tips by hour of day
+  const unallocatedByHour = {};
+  unallocatedTips.forEach(tip => {
+    const hour = zonedParts(new Date(tip.TimeSlotStart), timeZone).hour;
+    if (!unallocatedByHour[hour]) unallocatedByHour[hour] = 0;
+    unallocatedByHour[hour] += tip.UnallocatedTip;
+  });
+
+  console.log('\nUnallocated tips by hour of day:');
+  Object.keys(unallocatedByHour).sort((a, b) => Number(a) - Number(b)).forEach(hour => {
+    const hourFormatted = hour.padStart(2, '0') + ':00';
+    console.log(`  ${hourFormatted}: $${unallocatedByHour[hour].toFixed(2)}`);
+  });
+
+  console.log('\nSanity check:');
+  console.log(`Final Adjusted Employee Total: $${formatCents(summary.totalTipsCents)}`);
+  console.log(`Transaction Tip Total: $${formatCents(summary.transactionTotalCents)}` + (summary.cardFeeCents
+    ? ` (gross $${formatCents(summary.grossCardTipsCents)} less $${formatCents(summary.cardFeeCents)} card fees)`
+    : ''));
+  if (summary.cashTipTotalCents) {
+    console.log(`Declared Cash Tip Total: $${formatCents(summary.cashTipTotalCents)}`);
+  }
+  if (summary.balanced) {
+    console.log('Sanity Check Passed: Totals match!');
+  } else {
+    console.error('Sanity Check FAILED: Totals do not match!');
+  }
+}
+
+/**
+ * Write the cross-location results of a multi-location run (see consolidateLocations):
+ * locations_summary.csv with each location's totals, and consolidated_payout.csv with
+ * one row per employee and one column of tips per location
+ * @param {String} outputDir - Directory to write into (must exist)
+ * @param {Object} consolidated - From consolidateLocations
+ */
+async function writeLocationOutputs(outputDir, consolidated) {
+  const { locations, employees } = consolidated;
+  await writeCSV(path.join(outputDir, 'locations_summary.csv'),
+    ['Location', 'Employees', 'HoursWorked', 'TotalTips', 'CardTips', 'CashTips', 'House', 'CardFees', 'Balanced']
+      .map(id => ({ id, title: id })),
+    locations.map(loc => ({
+      Location: loc.Location,
+      Employees: loc.Employees,
+      HoursWorked: loc.HoursWorked.toFixed(2),
+      TotalTips: formatCents(loc.TotalTipsCents),
+      CardTips: formatCents(loc.CardTipsCents),
+      CashTips: formatCents(loc.CashTipsCents),
+      House: formatCents(loc.HouseCents),
+      CardFees: formatCents(loc.CardFeeCents),
+      Balanced: loc.Balanced ? 'Yes' : 'No'
+    }))
+  );
+
+  const names = locations.map(loc => loc.Location);
+  await writeCSV(path.join(outputDir, 'consolidated_payout.csv'),
+    [
+      { id: 'Employee', title: 'Employee' },
+      { id: 'EmployeeId', title: 'EmployeeId' },
+      { id: 'Locations', title: 'Locations' },
+      { id: 'HoursWorked', title: 'HoursWorked' },
+      ...names.map(name => ({ id: `${name}Tips`, title: `${name}Tips` })),
+      { id: 'CardTips', title: 'CardTips' },
+      { id: 'CashTips', title: 'CashTips' },
+      { id: 'TotalTips', title: 'TotalTips' }
+    ],
+    employees.map(emp => ({
+      Employee: emp.Employee,
+      EmployeeId: emp.EmployeeId,
+      Locations: emp.Locations.join('; '),
+      HoursWorked: emp.HoursWorked.toFixed(2),
+      ...Object.fromEntries(names.map(name => [`${name}Tips`, formatCents(emp.ByLocationCents[name] || 0)])),
+      CardTips: formatCents(emp.CardTipsCents),
+      CashTips: formatCents(emp.CashTipsCents),
+      TotalTips: formatCents(emp.TotalTipsCents)
+    }))
+  );
+}
+
+/**
+ * Print the cross-location summary of a multi-location run
+ * @param {Object} consolidated - From consolidateLocations
+ */
+function printLocationSummary(consolidated) {
+  const { locations, employees } = consolidated;
+  console.log('\nConsolidated Summary (see locations_summary.csv and consolidated_payout.csv):');
+  locations.forEach(loc => {
+    console.log(`  ${loc.Location}: $${formatCents(loc.TotalTipsCents)} to ${loc.Employees} employees` +
+      (loc.Balanced ? '' : ' (sanity check FAILED)'));
+  });
+  const multiple = employees.filter(emp => !emp.House && emp.Locations.length > 1);
+  if (multiple.length > 0) {
+    console.log(`  ${multiple.length} employees worked at more than one location: ${multiple.map(emp => emp.Employee).join(', ')}`);
+  }
+  console.log(`  All locations: $${formatCents(consolidated.totalTipsCents)}`);
+  if (consolidated.balanced) {
+    console.log('Consolidated Sanity Check Passed: Totals match!');
+  } else {
+    console.error('Consolidated Sanity Check FAILED: Totals do not match!');
+  }
+}
+
+module.exports = {
+  writeCSV,
+  writeValidationReport,
+  writeCorrectionsTemplate,
+  writeAllocationOutputs,
+  writePayrollExport,
+  writeLocationOutputs,
+  printAllocationSummary,
+  printLocationSummary
+};
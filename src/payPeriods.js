@@ -0,0 +1,184 @@
+// src/payPeriods.js
+
+const { fromCents, sumCents } = require('./money');
+
+const PAY_PERIOD_TYPES = {
+  WEEKLY: 'weekly',           // 7 days starting on the anchor date's weekday (Monday by default)
+  BIWEEKLY: 'biweekly',       // 14 days counted from the anchor date
+  SEMIMONTHLY: 'semimonthly'  // the 1st-15th and the 16th-end of each month
+};
+
+const DAY_MS = 86400000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+// 1970-01-05 was a Monday: weekly periods start on Mondays unless anchored elsewhere
+const DEFAULT_WEEKLY_ANCHOR = '1970-01-05';
+
+// Business dates are calendar dates, so all arithmetic is done on UTC midnights
+const dayNumber = dateStr => Math.floor(Date.parse(`${dateStr}T00:00:00Z`) / DAY_MS);
+const dateOfDay = day => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Check a pay period setting
+ * @param {String} type - One of PAY_PERIOD_TYPES
+ * @param {String} anchor - First day of any pay period ("YYYY-MM-DD"); required for bi-weekly
+ * @return {Object} - { type, anchor }
+ * @throws {Error} - If the type is unknown or the anchor is missing or not a date
+ */
+function parsePayPeriod(type = PAY_PERIOD_TYPES.WEEKLY, anchor = null) {
+  if (!Object.values(PAY_PERIOD_TYPES).includes(type)) {
+    throw new Error(`Pay period "${type}" must be one of: ${Object.values(PAY_PERIOD_TYPES).join(', ')}`);
+  }
+  if (anchor !== null && anchor !== undefined && (!ISO_DATE.test(anchor) || isNaN(dayNumber(anchor)))) {
+    throw new Error(`Pay period anchor "${anchor}" must be a date such as 2025-01-06`);
+  }
+  if (type === PAY_PERIOD_TYPES.BIWEEKLY && !anchor) {
+    throw new Error('Bi-weekly pay periods need an anchor date (the first day of any pay period)');
+  }
+  return { type, anchor: anchor || null };
+}
+
+/**
+ * Find the pay period a business date falls in
+ * @param {String} dateStr - Business date ("YYYY-MM-DD")
+ * @param {Object} payPeriod - From parsePayPeriod
+ * @return {Object} - { PeriodStart, PeriodEnd } dates, both inclusive
+ */
+function payPeriodFor(dateStr, payPeriod) {
+  if (payPeriod.type === PAY_PERIOD_TYPES.SEMIMONTHLY) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const prefix = dateStr.slice(0, 8);
+    return day <= 15
+      ? { PeriodStart: `${prefix}01`, PeriodEnd: `${prefix}15` }
+      : { PeriodStart: `${prefix}16`, PeriodEnd: `${prefix}${lastDay}` };
+  }
+  const length = payPeriod.type === PAY_PERIOD_TYPES.BIWEEKLY ? 14 : 7;
+  const anchor = dayNumber(payPeriod.anchor || DEFAULT_WEEKLY_ANCHOR);
+  const day = dayNumber(dateStr);
+  // Works for dates before the anchor too
+  const start = day - (((day - anchor) % length) + length) % length;
+  return { PeriodStart: dateOfDay(start), PeriodEnd: dateOfDay(start + length - 1) };
+}
+
+// Tips per hour worked in dollars, or null when no hours were worked
+const tipsPerHour = (tipsCents, hours) => (hours > 0 ? Math.round(tipsCents / hours) / 100 : null);
+
+/**
+ * Total each employee's hours and tips per business date. Hours come from the
+ * shifts (clock-in to clock-out less breaks), tips from the slot shares and the
+ * redistribution. The house/unclaimed line is kept as its own row so the
+ * totals still add up to the card tips.
+ * @param {Array} cleanedClock - Shifts used for the allocation
+ * @param {Array} individualTipShares - From calculateIndividualTipShares
+ * @param {Array} redistribution - From redistributeUnallocatedTips
+ * @return {Array} - [{ Employee, EmployeeId, ClockName, Date, HoursWorked, AllocatedTipsCents, UnallocatedTipsCents,
+ *                    TotalTipsCents, CardTipsCents, CashTipsCents, TipsPerHour, House, ... }] sorted by employee and date
+ */
+function summarizeDaily(cleanedClock, individualTipShares, redistribution) {
+  const employeeIds = {};
+  cleanedClock.forEach(rec => { if (rec.EmployeeId) employeeIds[rec.Employee] = rec.EmployeeId; });
+  // The name on the clock report, which a roster may have replaced (first one seen)
+  const clockNames = {};
+  cleanedClock.forEach(rec => { if (rec.ClockName && !clockNames[rec.Employee]) clockNames[rec.Employee] = rec.ClockName; });
+  const rows = new Map();
+  const rowFor = (employee, date) => {
+    const key = `${employee}|${date}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        Employee: employee,
+        EmployeeId: employeeIds[employee] || '',
+        ClockName: clockNames[employee] || '',
+        Date: date,
+        HoursWorked: 0,
+        AllocatedTipsCents: 0,
+        UnallocatedTipsCents: 0,
+        CashTipsCents: 0,
+        House: false
+      });
+    }
+    return rows.get(key);
+  };
+
+  cleanedClock.forEach(rec => {
+    const breakMs = (rec.Breaks || []).reduce((acc, b) => acc + (b.End - b.Start), 0);
+    rowFor(rec.Employee, rec.Date).HoursWorked += (rec.TimeOut - rec.TimeIn - breakMs) / 3600000;
+  });
+  individualTipShares.forEach(rec => {
+    const row = rowFor(rec.Employee, rec.Date);
+    row.AllocatedTipsCents += rec.IndividualTipShareCents;
+    row.CashTipsCents += rec.CashTipsCents || 0;
+  });
+  redistribution.forEach(rec => {
+    const row = rowFor(rec.Employee, rec.Date);
+    row.UnallocatedTipsCents += rec.UnallocatedTipShareCents;
+    row.CashTipsCents += rec.CashTipsCents || 0;
+    row.House = !!rec.House;
+  });
+
+  return Array.from(rows.values())
+    .sort((a, b) => a.House - b.House || a.Employee.localeCompare(b.Employee) || a.Date.localeCompare(b.Date))
+    .map(withTotals);
+}
+
+// Add the total and dollar views to a row of cents
+function withTotals(row) {
+  const totalTips = sumCents([row.AllocatedTipsCents, row.UnallocatedTipsCents]);
+  return {
+    ...row,
+    TotalTipsCents: totalTips,
+    CardTipsCents: totalTips - row.CashTipsCents,
+    AllocatedTips: fromCents(row.AllocatedTipsCents),
+    UnallocatedTips: fromCents(row.UnallocatedTipsCents),
+    TotalTips: fromCents(totalTips),
+    CardTips: fromCents(totalTips - row.CashTipsCents),
+    CashTips: fromCents(row.CashTipsCents),
+    TipsPerHour: tipsPerHour(totalTips, row.HoursWorked)
+  };
+}
+
+/**
+ * Roll the daily rows up into pay periods
+ * @param {Array} dailyTotals - From summarizeDaily
+ * @param {Object} payPeriod - From parsePayPeriod
+ * @return {Array} - [{ Employee, EmployeeId, ClockName, PeriodStart, PeriodEnd, Days, HoursWorked, AllocatedTipsCents,
+ *                    UnallocatedTipsCents, TotalTipsCents, CardTipsCents, CashTipsCents, TipsPerHour, House, ... }]
+ */
+function summarizePayPeriods(dailyTotals, payPeriod) {
+  const rows = new Map();
+  dailyTotals.forEach(day => {
+    const period = payPeriodFor(day.Date, payPeriod);
+    const key = `${day.Employee}|${period.PeriodStart}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        Employee: day.Employee,
+        EmployeeId: day.EmployeeId,
+        ClockName: day.ClockName,
+        ...period,
+        Days: 0,
+        HoursWorked: 0,
+        AllocatedTipsCents: 0,
+        UnallocatedTipsCents: 0,
+        CashTipsCents: 0,
+        House: day.House
+      });
+    }
+    const row = rows.get(key);
+    row.Days += 1;
+    row.HoursWorked += day.HoursWorked;
+    row.AllocatedTipsCents += day.AllocatedTipsCents;
+    row.UnallocatedTipsCents += day.UnallocatedTipsCents;
+    row.CashTipsCents += day.CashTipsCents || 0;
+  });
+
+  return Array.from(rows.values())
+    .sort((a, b) => a.House - b.House || a.Employee.localeCompare(b.Employee) || a.PeriodStart.localeCompare(b.PeriodStart))
+    .map(withTotals);
+}
+
+module.exports = {
+  PAY_PERIOD_TYPES,
+  parsePayPeriod,
+  payPeriodFor,
+  summarizeDaily,
+  summarizePayPeriods
+};
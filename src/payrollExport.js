@@ -0,0 +1,186 @@
+// src/payrollExport.js
+
+const { readRows, rowsToRecords } = require('./spreadsheet');
+const { formatCents } = require('./money');
+
+// Columns that identify the header row of a payroll ID mapping file
+const PAYROLL_ID_HEADER_COLUMNS = ['Employee', 'PayrollId'];
+
+const DEFAULT_EARNING_CODE = 'Tips - Credit Card';
+const DEFAULT_CASH_EARNING_CODE = 'Tips - Cash';
+
+// Own keys only, so names such as "constructor" do not find Object's members
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// "Pedro De Dios" -> { first: 'Pedro', last: 'De Dios' }
+const splitName = name => {
+  const [first, ...rest] = String(name).trim().split(/\s+/);
+  return { first, last: rest.join(' ') };
+};
+
+// Column layouts of each provider's earnings import. `row` maps one pay-period
+// line ({ PayrollId, Employee, PeriodStart, PeriodEnd, HoursWorked, AmountCents,
+// EarningCode }) to the provider's columns. Layouts with a cash tips column get
+// card and cash on one line (AmountCents and CashCents); the others get a
+// separate line per earning code.
+const EXPORTERS = {
+  gusto: {
+    columns: ['employee_id', 'last_name', 'first_name', 'pay_period_start', 'pay_period_end', 'paycheck_tips', 'cash_tips'],
+    cashColumn: true,
+    row: line => ({
+      employee_id: line.PayrollId,
+      last_name: splitName(line.Employee).last,
+      first_name: splitName(line.Employee).first,
+      pay_period_start: line.PeriodStart,
+      pay_period_end: line.PeriodEnd,
+      paycheck_tips: formatCents(line.AmountCents),
+      cash_tips: formatCents(line.CashCents)
+    })
+  },
+  adp: {
+    columns: ['File #', 'Employee Name', 'Pay Period Start', 'Pay Period End', 'Earnings Code', 'Earnings Amount'],
+    row: line => ({
+      'File #': line.PayrollId,
+      'Employee Name': line.Employee,
+      'Pay Period Start': line.PeriodStart,
+      'Pay Period End': line.PeriodEnd,
+      'Earnings Code': line.EarningCode,
+      'Earnings Amount': formatCents(line.AmountCents)
+    })
+  },
+  quickbooks: {
+    columns: ['Employee ID', 'Employee', 'Pay Item', 'Pay Period Start', 'Pay Period End', 'Amount'],
+    row: line => ({
+      'Employee ID': line.PayrollId,
+      'Employee': line.Employee,
+      'Pay Item': line.EarningCode,
+      'Pay Period Start': line.PeriodStart,
+      'Pay Period End': line.PeriodEnd,
+      'Amount': formatCents(line.AmountCents)
+    })
+  },
+  generic: {
+    columns: ['EmployeeId', 'Employee', 'EarningCode', 'PeriodStart', 'PeriodEnd', 'Hours', 'Amount'],
+    row: line => ({
+      EmployeeId: line.PayrollId,
+      Employee: line.Employee,
+      EarningCode: line.EarningCode,
+      PeriodStart: line.PeriodStart,
+      PeriodEnd: line.PeriodEnd,
+      Hours: line.HoursWorked.toFixed(2),
+      Amount: formatCents(line.AmountCents)
+    })
+  }
+};
+
+const EXPORT_FORMATS = Object.keys(EXPORTERS);
+
+/**
+ * Check an export format name
+ * @param {String} format - One of EXPORT_FORMATS
+ * @return {String} - The format
+ * @throws {Error} - If there is no exporter for it
+ */
+function validateExportFormat(format) {
+  if (!EXPORTERS[format]) {
+    throw new Error(`Export format "${format}" must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Check mapping rows and build the employee -> payroll ID map
+ * @param {Array} rows - Rows with Employee (a name or employee ID) and PayrollId columns
+ * @return {Object} - { [employee name or ID]: payroll ID }
+ * @throws {Error} - With every problem found, if any row is invalid
+ */
+function validatePayrollIds(rows) {
+  const errors = [];
+  const ids = {};
+  rows.forEach((row, idx) => {
+    const rowNumber = row.SourceRow || idx + 1;
+    const employee = String(row.Employee || '').trim();
+    const payrollId = String(row.PayrollId || '').trim();
+    if (!employee && !payrollId) return;
+    if (!employee) errors.push(`Row ${rowNumber}: Employee is required`);
+    if (!payrollId) errors.push(`Row ${rowNumber}: PayrollId is required for "${employee}"`);
+    if (!employee || !payrollId) return;
+    if (ids[employee] && ids[employee] !== payrollId) {
+      errors.push(`Row ${rowNumber}: "${employee}" is mapped to both ${ids[employee]} and ${payrollId}`);
+    }
+    ids[employee] = payrollId;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid payroll ID file:\n  - ${errors.join('\n  - ')}`);
+  }
+  return ids;
+}
+
+/**
+ * Load a payroll ID mapping file (CSV or XLSX with Employee and PayrollId columns)
+ * @param {String} filePath - Path to the mapping file
+ * @return {Promise<Object>} - { [employee name]: payroll ID }
+ */
+async function loadPayrollIds(filePath) {
+  return validatePayrollIds(
+    rowsToRecords(await readRows(filePath), PAYROLL_ID_HEADER_COLUMNS, { rowNumberField: 'SourceRow' })
+  );
+}
+
+/**
+ * Lay out the pay-period totals in a payroll provider's import format. The
+ * house/unclaimed line and periods with no tips are left out. Card and cash
+ * tips are reported separately (cash under cashEarningCode). Payroll IDs are
+ * looked up by employee name, then by the name on the clock report (which a
+ * roster may have replaced), then by employee ID (from the clock report or
+ * roster); employees not in the mapping are exported with a blank ID and
+ * listed in `unmapped`.
+ * @param {String} format - One of EXPORT_FORMATS
+ * @param {Array} payPeriodTotals - From summarizePayPeriods
+ * @param {Object} options - Optional { payrollIds (name -> ID), earningCode, cashEarningCode }
+ * @return {Object} - { format, columns, rows, unmapped } where unmapped lists employee names
+ */
+function buildPayrollExport(format, payPeriodTotals, options = {}) {
+  const exporter = EXPORTERS[validateExportFormat(format)];
+  const payrollIds = options.payrollIds || {};
+  const earningCode = options.earningCode || DEFAULT_EARNING_CODE;
+  const cashEarningCode = options.cashEarningCode || DEFAULT_CASH_EARNING_CODE;
+  const unmapped = new Set();
+
+  const rows = [];
+  payPeriodTotals
+    .filter(period => !period.House && period.TotalTipsCents !== 0)
+    .forEach(period => {
+      const key = [period.Employee, period.ClockName, period.EmployeeId].find(name => name && hasOwn(payrollIds, name));
+      const payrollId = key ? payrollIds[key] : '';
+      if (!payrollId) unmapped.add(period.Employee);
+      const cashCents = period.CashTipsCents || 0;
+      const line = {
+        PayrollId: payrollId,
+        Employee: period.Employee,
+        PeriodStart: period.PeriodStart,
+        PeriodEnd: period.PeriodEnd,
+        HoursWorked: period.HoursWorked
+      };
+      if (exporter.cashColumn) {
+        rows.push(exporter.row({ ...line, AmountCents: period.TotalTipsCents - cashCents, CashCents: cashCents, EarningCode: earningCode }));
+        return;
+      }
+      [[period.TotalTipsCents - cashCents, earningCode], [cashCents, cashEarningCode]]
+        .filter(([cents]) => cents !== 0)
+        .forEach(([cents, code]) => rows.push(exporter.row({ ...line, AmountCents: cents, EarningCode: code })));
+    });
+
+  return { format, columns: exporter.columns, rows, unmapped: Array.from(unmapped).sort() };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_EARNING_CODE,
+  DEFAULT_CASH_EARNING_CODE,
+  validateExportFormat,
+  validatePayrollIds,
+  loadPayrollIds,
+  buildPayrollExport
+};
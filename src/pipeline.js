@@ -0,0 +1,396 @@
+// src/pipeline.js
+
+const { CREDIT_MODES, processClockData, expandToIntervals } = require('./clockData');
+const { ADJUSTMENT_ACTIONS, processTransactions } = require('./transactions');
+const {
+  REDISTRIBUTION_STRATEGIES,
+  countStaffPerSlot,
+  computeTipPools,
+  computeTipOutPools,
+  calculateIndividualTipShares,
+  identifyUnallocatedTips,
+  redistributeUnallocatedTips,
+  addServerTips,
+  combineTipSources,
+  aggregateTipsByRole,
+  aggregateFinalTips
+} = require('./tipAllocation');
+const { analyzeDepartments } = require('./departmentAnalysis');
+const { classifyRecords, findUnclassified } = require('./employeeClassification');
+const { validateClockRecords, blockingIssues } = require('./clockValidation');
+const { applyCorrections, buildCorrectionsTemplate } = require('./corrections');
+const { resolveEmployees } = require('./roster');
+const { CASH_SPREAD_RULES, validateCashSpread, spreadCashTips } = require('./cashTips');
+const { describeCardFee } = require('./cardFees');
+const { ATTRIBUTION_STATUSES, attributeServerTips } = require('./serverTips');
+const { sumCents, fromCents } = require('./money');
+const { ATTRIBUTION_MODES, defaultTipPolicy, validateTipPolicy, tipOutPolicy } = require('./tipPolicy');
+const { isValidTimeZone, parseDayStart } = require('./timezone');
+const { dateParsing } = require('./dateFormats');
+const { PAY_PERIOD_TYPES, parsePayPeriod, summarizeDaily, summarizePayPeriods } = require('./payPeriods');
+
+// IANA zones of each data source (clock punches default to the location's zone);
+// slots and dates follow the location's wall clock
+const DEFAULT_TIMEZONES = {
+  location: 'America/New_York',
+  transactions: 'America/Chicago'
+};
+
+/**
+ * Resolve the zone of each source. The older { from, to } names are accepted
+ * for the transactions and location zones.
+ * @param {Object} timezones - { location, clock, transactions } (or { from, to })
+ * @param {Boolean} convertTimezone - False when transaction times are already in the location zone
+ * @return {Object} - { location, clock, transactions } IANA zone names
+ * @throws {Error} - If a zone is not a known IANA zone
+ */
+function resolveTimezones(timezones = {}, convertTimezone = true) {
+  const location = timezones.location || timezones.to || DEFAULT_TIMEZONES.location;
+  const resolved = {
+    location,
+    clock: timezones.clock || location,
+    transactions: convertTimezone
+      ? timezones.transactions || timezones.from || DEFAULT_TIMEZONES.transactions
+      : location
+  };
+  Object.entries(resolved).forEach(([source, zone]) => {
+    if (!isValidTimeZone(zone)) {
+      throw new Error(`Unknown ${source} time zone "${zone}" (use an IANA name such as America/Chicago)`);
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Resolve how each source writes its dates: an explicit format per source, or
+ * the locale's day/month order (month first when there is no locale).
+ * @param {Object} dateFormats - { clock, transactions, cashTips } date formats (see compileDateFormat)
+ * @param {String} dateLocale - BCP 47 locale tag for dates without a format, e.g. 'en-GB'
+ * @return {Object} - { clock, transactions, cashTips } date rules (see dateParsing)
+ * @throws {Error} - If a format or the locale is not valid
+ */
+function resolveDateParsing(dateFormats = {}, dateLocale = null) {
+  return {
+    clock: dateParsing({ format: dateFormats.clock || null, locale: dateLocale }),
+    transactions: dateParsing({ format: dateFormats.transactions || null, locale: dateLocale }),
+    cashTips: dateParsing({ format: dateFormats.cashTips || null, locale: dateLocale })
+  };
+}
+
+/**
+ * Validate allocation options, throwing on values the pipeline cannot use
+ * @param {Number} intervalMinutes - Size of time interval in minutes
+ * @param {Number} bohPct - Optional BOH percentage override (0-100)
+ * @param {String} creditMode - Partial-interval credit mode (see CREDIT_MODES)
+ * @param {String} redistributionStrategy - Unallocated tip strategy (see REDISTRIBUTION_STRATEGIES)
+ * @param {String} cashSpread - How cash tips are spread over their period (see CASH_SPREAD_RULES)
+ */
+function validateAllocationOptions(intervalMinutes, bohPct, creditMode = CREDIT_MODES.FULL,
+  redistributionStrategy = REDISTRIBUTION_STRATEGIES.EQUAL, cashSpread = CASH_SPREAD_RULES.EVEN) {
+  const minutesInDay = 24 * 60; // 1440 minutes in a day
+  if (!Number.isInteger(intervalMinutes) || intervalMinutes <= 0 || minutesInDay % intervalMinutes !== 0) {
+    throw new Error(
+      `The interval (${intervalMinutes}) must divide the day evenly. ` +
+      'Valid intervals include: 1, 2, 3, 4, 5, 6, 8, 10, 12, 15, 20, 30, 60, etc.'
+    );
+  }
+  if (bohPct !== null && (typeof bohPct !== 'number' || isNaN(bohPct) || bohPct < 0 || bohPct > 100)) {
+    throw new Error(`BOH percentage (${bohPct}) must be between 0 and 100.`);
+  }
+  if (!Object.values(CREDIT_MODES).includes(creditMode)) {
+    throw new Error(`Credit mode "${creditMode}" must be one of: ${Object.values(CREDIT_MODES).join(', ')}`);
+  }
+  if (!Object.values(REDISTRIBUTION_STRATEGIES).includes(redistributionStrategy)) {
+    throw new Error(
+      `Redistribution strategy "${redistributionStrategy}" must be one of: ${Object.values(REDISTRIBUTION_STRATEGIES).join(', ')}`
+    );
+  }
+  validateCashSpread(cashSpread);
+}
+
+/**
+ * Run the full tip allocation on already-loaded clock and transaction rows.
+ * No files are read or written; every intermediate table is returned so callers
+ * can persist, inspect or test whichever steps they need.
+ * @param {Object} options
+ * @param {Array} options.clockRows - Raw clock report rows (as returned by loadClockData)
+ * @param {Array} options.transactionRows - Raw transaction rows (as returned by loadTransactions)
+ * @param {Array} options.cashTips - Optional declared cash tips (see loadCashTips), pooled with the
+ *                                   card tips but totalled separately
+ * @param {String} options.cashSpread - How each cash declaration is spread over its period's slots:
+ *                                      'even' (default) or 'card-sales'
+ * @param {Object} options.cardFee - Optional card processing fee withheld from each card tip before
+ *                                   pooling (see parseCardFee and loadCardFeeRates)
+ * @param {Number} options.intervalMinutes - Size of time interval in minutes (default: 15)
+ * @param {Number} options.bohPct - Optional BOH percentage override (0-100) for the default policy
+ * @param {Object} options.policy - Optional tip policy (see tipPolicy.js) replacing the default 85/15 split;
+ *                                  attribution 'server' lets servers keep their own card tips less its tipOuts
+ * @param {Object} options.classificationRules - Optional validated rules (see loadClassificationRules);
+ *                                                without them the built-in department matching is used
+ * @param {String} options.creditMode - 'full' (default) credits any presence in a slot as the whole slot;
+ *                                      'proportional' credits the fraction of the slot worked
+ * @param {String} options.redistributionStrategy - Where a day's unallocated tips go: 'equal' (default),
+ *                                                  'hours', 'allocated-tips', 'nearest-slot',
+ *                                                  'missing-category' or 'house'
+ * @param {String} options.breakPlacement - Where a "Break" duration is placed when there are no break
+ *                                          punches: 'none' (default), 'middle', 'end' or 'after:<hours>'
+ * @param {Object} options.roster - Optional employee roster (see loadRoster) matching clock names
+ *                                  and IDs to stable employee IDs
+ * @param {Array} options.corrections - Optional manager corrections (see loadCorrections) overriding
+ *                                      imputed clock-outs or excluding shifts
+ * @param {Number} options.maxShiftHours - Shifts longer than this are reported (default 16)
+ * @param {Boolean} options.strict - Throw (with err.validationIssues) when clock data has blocking issues
+ * @param {Boolean} options.convertTimezone - False when transaction times are already in the location zone (default: true)
+ * @param {Object} options.timezones - IANA zones { location, clock, transactions }: clock punches and
+ *                                     transactions are read in their own zone, slots and dates
+ *                                     follow the location's wall clock
+ * @param {Object} options.dateFormats - Optional { clock, transactions } date formats such as 'DD/MM/YYYY';
+ *                                       ISO dates are always accepted
+ * @param {String} options.dateLocale - Locale whose day/month order is used for dates without a format
+ *                                      (default: month first, as in en-US)
+ * @param {String} options.businessDayStart - Local time the business day starts (default '00:00');
+ *                                            e.g. '04:00' keeps 1:30 AM tips and slots on the night before
+ * @param {String} options.payPeriod - 'weekly' (default), 'biweekly' or 'semimonthly'
+ * @param {String} options.payPeriodAnchor - First day of any pay period ("YYYY-MM-DD"); required for
+ *                                           bi-weekly, sets the weekday weekly periods start on (default Monday)
+ * @return {Object} - All intermediate tables plus a reconciliation summary
+ */
+function runAllocation({
+  clockRows,
+  transactionRows,
+  cashTips = [],
+  cashSpread = CASH_SPREAD_RULES.EVEN,
+  cardFee = null,
+  intervalMinutes = 15,
+  bohPct = null,
+  policy = null,
+  classificationRules = null,
+  creditMode = CREDIT_MODES.FULL,
+  redistributionStrategy = REDISTRIBUTION_STRATEGIES.EQUAL,
+  breakPlacement = 'none',
+  corrections = [],
+  roster = null,
+  maxShiftHours = undefined,
+  strict = false,
+  convertTimezone = true,
+  timezones = {},
+  dateFormats = {},
+  dateLocale = null,
+  businessDayStart = '00:00',
+  payPeriod = PAY_PERIOD_TYPES.WEEKLY,
+  payPeriodAnchor = null
+} = {}) {
+  if (!Array.isArray(clockRows) || !Array.isArray(transactionRows)) {
+    throw new Error('runAllocation requires clockRows and transactionRows arrays');
+  }
+  validateAllocationOptions(intervalMinutes, bohPct, creditMode, redistributionStrategy, cashSpread);
+  if (policy && bohPct !== null) {
+    throw new Error('Use either a tip policy or a BOH percentage override, not both');
+  }
+  const tipPolicy = policy ? validateTipPolicy(policy) : defaultTipPolicy(bohPct);
+  const zones = resolveTimezones(timezones, convertTimezone);
+  const parsing = resolveDateParsing(dateFormats, dateLocale);
+  const dayStartMinutes = parseDayStart(businessDayStart);
+  const period = parsePayPeriod(payPeriod, payPeriodAnchor);
+
+  const identified = resolveEmployees(processClockData(clockRows, {
+    breakPlacement,
+    timezone: zones.clock,
+    locationTimezone: zones.location,
+    dayStartMinutes,
+    dateParsing: parsing.clock
+  }), roster);
+  const processedClock = identified.records;
+  const correctionsTemplate = buildCorrectionsTemplate(processedClock, corrections, zones.clock);
+  const corrected = applyCorrections(processedClock, corrections);
+  const validation = validateClockRecords(corrected.records, { maxShiftHours, timezone: zones.location });
+  const blocking = blockingIssues(validation.issues);
+  if (strict && blocking.length > 0) {
+    const err = new Error(
+      `Clock data has ${blocking.length} blocking issues (strict mode):\n` +
+      blocking.map(i => `  - Row ${i.Row} ${i.Employee}: ${i.Issue} - ${i.Details}`).join('\n')
+    );
+    err.validationIssues = validation.issues;
+    err.correctionsTemplate = correctionsTemplate;
+    throw err;
+  }
+
+  const cleanedClock = classifyRecords(validation.records, classificationRules);
+  const unclassified = findUnclassified(cleanedClock);
+  if (unclassified.length > 0) {
+    const err = new Error(
+      'Some departments are not covered by the classification rules:\n' +
+      unclassified.map(u => `  - ${u.Department}: ${u.Employees.join(', ')}`).join('\n')
+    );
+    err.unclassified = unclassified;
+    throw err;
+  }
+  const departmentAnalysis = analyzeDepartments(cleanedClock);
+  const breakExclusions = [];
+  const intervals = expandToIntervals(cleanedClock, intervalMinutes, {
+    creditMode,
+    excluded: breakExclusions,
+    timezone: zones.location,
+    dayStartMinutes
+  });
+
+  const transactionAdjustments = [];
+  const transactionIssues = [];
+  const tipsBySlot = processTransactions(
+    transactionRows, intervalMinutes, true, zones.transactions, zones.location, dayStartMinutes,
+    { adjustments: transactionAdjustments, issues: transactionIssues, cardFee, dateParsing: parsing.transactions }
+  );
+
+  const cashTipsBySlot = spreadCashTips(cashTips, intervals, tipsBySlot, {
+    rule: cashSpread,
+    intervalMinutes,
+    timezone: zones.location,
+    dayStartMinutes,
+    cleanedClock
+  });
+
+  const staffMap = countStaffPerSlot(intervals, intervalMinutes);
+  // Card and cash tips share the pools but are split separately so each can be paid out on its own
+  const allocatePools = (pools, allocationPolicy, strategy) => {
+    const shares = calculateIndividualTipShares(intervals, pools, intervalMinutes, allocationPolicy);
+    const unallocated = identifyUnallocatedTips(pools, intervalMinutes);
+    return {
+      tipPools: pools,
+      individualTipShares: shares,
+      unallocatedTips: unallocated,
+      redistribution: redistributeUnallocatedTips(unallocated, intervals, intervalMinutes, {
+        strategy,
+        policy: allocationPolicy,
+        individualTipShares: shares
+      })
+    };
+  };
+  const allocate = slots => allocatePools(computeTipPools(slots, staffMap, null, tipPolicy), tipPolicy, redistributionStrategy);
+
+  // Servers keep their own card tips less the tip-outs; what cannot be attributed is pooled
+  let serverDays = [];
+  let rolePolicy = tipPolicy;
+  let cardAllocation;
+  if (tipPolicy.attribution === ATTRIBUTION_MODES.SERVER) {
+    const attributed = attributeServerTips(tipsBySlot, intervals, tipPolicy, { cleanedClock });
+    const outPolicy = tipOutPolicy(tipPolicy);
+    // A tip-out nobody from its categories was working for goes to those who worked that day
+    const tipOuts = allocatePools(computeTipOutPools(attributed.tipOutSlots, staffMap, outPolicy), outPolicy,
+      REDISTRIBUTION_STRATEGIES.MISSING_CATEGORY);
+    cardAllocation = addServerTips(allocate(attributed.pooledSlots), attributed, tipOuts);
+    serverDays = attributed.serverDays;
+    rolePolicy = { ...tipPolicy, groups: tipPolicy.groups.concat(outPolicy.groups) };
+  } else {
+    cardAllocation = allocate(tipsBySlot);
+  }
+  const noCash = { tipPools: [], individualTipShares: [], unallocatedTips: [], redistribution: [] };
+  const {
+    tipPools,
+    individualTipShares,
+    unallocatedTips,
+    redistribution
+  } = combineTipSources(cardAllocation, cashTipsBySlot.length > 0 ? allocate(cashTipsBySlot) : noCash);
+  const employeeIds = {};
+  cleanedClock.forEach(rec => { if (rec.EmployeeId) employeeIds[rec.Employee] = rec.EmployeeId; });
+  const roleTotals = aggregateTipsByRole(individualTipShares, redistribution, intervals, intervalMinutes, rolePolicy)
+    .map(row => ({ ...row, EmployeeId: employeeIds[row.Employee] || '' }));
+  const finalTotals = aggregateFinalTips(individualTipShares, redistribution, employeeIds, roleTotals);
+  const dailyTotals = summarizeDaily(cleanedClock, individualTipShares, redistribution);
+  const payPeriodTotals = summarizePayPeriods(dailyTotals, period);
+
+  const totalAllocatedCents = sumCents(finalTotals.map(r => r.AllocatedTipsCents));
+  const totalHouseCents = sumCents(redistribution.filter(r => r.House).map(r => r.UnallocatedTipShareCents));
+  const totalUnallocatedCents = sumCents(finalTotals.map(r => r.UnallocatedTipsCents));
+  const totalTipsCents = totalAllocatedCents + totalUnallocatedCents;
+  const transactionTotalCents = sumCents(tipsBySlot.map(r => r.AmtTipCents));
+  const grossCardTipsCents = sumCents(tipsBySlot.map(r => r.GrossTipCents));
+  const cardFeeCents = sumCents(tipsBySlot.map(r => r.FeeCents));
+  const cashTipTotalCents = sumCents(cashTips.map(t => t.AmountCents));
+  const appliedAdjustments = transactionAdjustments.filter(a => a.Action === ADJUSTMENT_ACTIONS.APPLIED);
+  const totalCashCents = sumCents(finalTotals.map(r => r.CashTipsCents));
+  const totalCardCents = totalTipsCents - totalCashCents;
+
+  return {
+    policy: tipPolicy,
+    identityIssues: identified.issues,
+    validationIssues: validation.issues.concat(transactionIssues),
+    correctionsTemplate,
+    correctionsApplied: corrected.applied,
+    cleanedClock,
+    departmentAnalysis,
+    intervals,
+    breakExclusions,
+    transactionAdjustments,
+    tipsBySlot,
+    serverDays,
+    cashTipsBySlot,
+    staffMap,
+    tipPools,
+    individualTipShares,
+    unallocatedTips,
+    redistribution,
+    finalTotals,
+    roleTotals,
+    dailyTotals,
+    payPeriodTotals,
+    summary: {
+      intervalMinutes,
+      bohPct,
+      policyName: tipPolicy.name,
+      creditMode,
+      redistributionStrategy,
+      cashSpread,
+      attribution: tipPolicy.attribution,
+      serverKeptCents: sumCents(serverDays.map(d => d.KeptCents)),
+      tipOutTotalCents: sumCents(serverDays.map(d => d.TipOutTotalCents)),
+      unattributedServerDays: serverDays.filter(d => d.Status !== ATTRIBUTION_STATUSES.ATTRIBUTED).length,
+      cardFee: describeCardFee(cardFee),
+      breakPlacement,
+      correctionsApplied: corrected.applied.filter(c => c.Action !== 'Unmatched').length,
+      correctionsUnmatched: corrected.applied.filter(c => c.Action === 'Unmatched').length,
+      identityIssueCount: identified.issues.length,
+      adjustmentsApplied: appliedAdjustments.length,
+      adjustmentsNotApplied: transactionAdjustments.length - appliedAdjustments.length,
+      adjustmentTotalCents: sumCents(appliedAdjustments.map(a => a.ChangeCents)),
+      validationIssueCount: validation.issues.length + transactionIssues.length,
+      blockingIssueCount: blocking.length,
+      convertTimezone,
+      timezone: zones.location,
+      clockTimezone: zones.clock,
+      transactionTimezone: zones.transactions,
+      businessDayStart,
+      payPeriod: period.type,
+      payPeriodAnchor: period.anchor,
+      totalAllocatedCents,
+      totalUnallocatedCents,
+      totalHouseCents,
+      totalTipsCents,
+      totalCardCents,
+      totalCashCents,
+      transactionTotalCents,
+      grossCardTipsCents,
+      cardFeeCents,
+      cashTipTotalCents,
+      totalAllocated: fromCents(totalAllocatedCents),
+      totalUnallocated: fromCents(totalUnallocatedCents),
+      totalHouse: fromCents(totalHouseCents),
+      totalTips: fromCents(totalTipsCents),
+      totalCard: fromCents(totalCardCents),
+      totalCash: fromCents(totalCashCents),
+      transactionTotal: fromCents(transactionTotalCents),
+      grossCardTips: fromCents(grossCardTipsCents),
+      cardFeeTotal: fromCents(cardFeeCents),
+      cashTipTotal: fromCents(cashTipTotalCents),
+      // Every step works in integer cents, so the payout must match the card (net of fees) and cash tips exactly
+      balanced: totalCardCents === transactionTotalCents && totalCashCents === cashTipTotalCents
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONES,
+  resolveTimezones,
+  resolveDateParsing,
+  runAllocation,
+  validateAllocationOptions
+};
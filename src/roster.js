@@ -0,0 +1,211 @@
+// src/roster.js
+
+const { readRows, rowsToRecords } = require('./spreadsheet');
+
+// Columns that identify the header row of a roster file
+const ROSTER_HEADER_COLUMNS = ['EmployeeId', 'LegalName'];
+
+// Problems found while matching clock names and IDs to employees. None of them
+// stops the run; they are listed in employee_identity_report.csv.
+const IDENTITY_ISSUES = {
+  UNMATCHED_NAME: 'UnmatchedName', // name is not a legal name or alias in the roster
+  AMBIGUOUS_NAME: 'AmbiguousName', // name is shared by several roster entries
+  UNKNOWN_ID: 'UnknownId',         // neither the clock report's employee ID nor the name is in the roster
+  NAME_VARIANT: 'NameVariant',     // another spelling for a known ID (merged into one employee)
+  SHARED_NAME: 'SharedName'        // different IDs with the same name (kept apart)
+};
+
+// Clock report columns that carry a stable employee ID, in order of preference
+const EMPLOYEE_ID_COLUMNS = ['Employee ID', 'Employee Number', 'Clock ID'];
+
+// Names are compared without case or extra spaces ("TY-TIANA  LOMAX" = "Ty-Tiana Lomax")
+const normalizeName = name => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Read the employee ID of a raw clock row from the first ID column that has one
+ * @param {Object} row - Raw clock row
+ * @return {String} - Employee ID, or '' if the report has none
+ */
+function employeeIdFromRow(row) {
+  const column = EMPLOYEE_ID_COLUMNS.find(col => String(row[col] || '').trim() !== '');
+  return column ? String(row[column]).trim() : '';
+}
+
+/**
+ * Check roster rows and index them by ID and by every name an employee goes by
+ * @param {Array} rows - Rows with EmployeeId, LegalName, Aliases (separated by ; or |) and DefaultRole
+ * @return {Object} - { entries, byId: Map, byName: Map(normalized name -> [entries]) }
+ * @throws {Error} - With every problem found, if any row is invalid
+ */
+function validateRoster(rows) {
+  const errors = [];
+  const entries = [];
+  const byId = new Map();
+  const byName = new Map();
+
+  rows.forEach((row, idx) => {
+    const rowNumber = row.SourceRow || idx + 1;
+    const employeeId = String(row.EmployeeId || '').trim();
+    const legalName = String(row.LegalName || '').trim().replace(/\s+/g, ' ');
+    if (!employeeId && !legalName) return;
+    if (!employeeId) errors.push(`Row ${rowNumber}: EmployeeId is required for "${legalName}"`);
+    if (!legalName) errors.push(`Row ${rowNumber}: LegalName is required for ${employeeId}`);
+    if (!employeeId || !legalName) return;
+    if (byId.has(employeeId)) {
+      errors.push(`Row ${rowNumber}: EmployeeId ${employeeId} is already used by "${byId.get(employeeId).LegalName}"`);
+      return;
+    }
+
+    const entry = {
+      EmployeeId: employeeId,
+      LegalName: legalName,
+      Aliases: String(row.Aliases || '').split(/[;|]/).map(a => a.trim()).filter(Boolean),
+      DefaultRole: String(row.DefaultRole || '').trim()
+    };
+    entries.push(entry);
+    byId.set(employeeId, entry);
+    new Set([legalName, ...entry.Aliases].map(normalizeName)).forEach(name => {
+      byName.set(name, (byName.get(name) || []).concat(entry));
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid roster file:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { entries, byId, byName };
+}
+
+/**
+ * Load an employee roster (CSV or XLSX with EmployeeId, LegalName, Aliases and DefaultRole columns)
+ * @param {String} filePath - Path to the roster file
+ * @return {Promise<Object>} - Validated roster
+ */
+async function loadRoster(filePath) {
+  return validateRoster(rowsToRecords(await readRows(filePath), ROSTER_HEADER_COLUMNS, { rowNumberField: 'SourceRow' }));
+}
+
+/**
+ * Give every clock record a stable identity. Records are matched to the roster
+ * by employee ID when the report has one the roster knows, otherwise by legal
+ * name or alias; without a roster the report's ID is used as is. All spellings
+ * of one ID become one employee, and different IDs sharing a name are kept
+ * apart as "Name (#ID)". Employee stays the key used by every later step.
+ * @param {Array} records - Records from processClockData
+ * @param {Object} roster - Optional validated roster (see loadRoster)
+ * @return {Object} - { records, issues } where records gain EmployeeId and ClockName and
+ *                    issues are { Issue, ClockName, ClockId, EmployeeId, Employee, Rows, Details }
+ */
+function resolveEmployees(records, roster = null) {
+  const issues = new Map();
+  const report = (issue, rec, identity, details) => {
+    const key = `${issue}|${rec.Employee}|${rec.EmployeeId || ''}`;
+    if (!issues.has(key)) {
+      issues.set(key, {
+        Issue: issue,
+        ClockName: rec.Employee,
+        ClockId: rec.EmployeeId || '',
+        EmployeeId: identity.id,
+        Employee: identity.name,
+        Rows: [],
+        Details: details
+      });
+    }
+    issues.get(key).Rows.push(rec.SourceRow);
+  };
+
+  const firstNameForId = new Map();
+  const identities = records.map(rec => {
+    const clockId = rec.EmployeeId || '';
+    let entry = null;
+    if (roster) {
+      entry = clockId ? roster.byId.get(clockId) || null : null;
+      if (entry) {
+        if (!(roster.byName.get(normalizeName(rec.Employee)) || []).includes(entry)) {
+          report(IDENTITY_ISSUES.NAME_VARIANT, rec, { id: entry.EmployeeId, name: entry.LegalName },
+            `Not a legal name or alias of ${entry.EmployeeId}; add it to Aliases`);
+        }
+      } else {
+        // Rosters keyed by payroll numbers will not know the clock's IDs: fall back to the name
+        const matches = roster.byName.get(normalizeName(rec.Employee)) || [];
+        if (matches.length === 1) {
+          entry = matches[0];
+        } else if (matches.length > 1) {
+          report(IDENTITY_ISSUES.AMBIGUOUS_NAME, rec, { id: clockId, name: rec.Employee },
+            `Matches ${matches.map(m => `${m.EmployeeId} (${m.LegalName})`).join(', ')}`);
+        } else if (clockId) {
+          report(IDENTITY_ISSUES.UNKNOWN_ID, rec, { id: clockId, name: rec.Employee },
+            `Neither employee ID ${clockId} nor the name is in the roster`);
+        } else {
+          report(IDENTITY_ISSUES.UNMATCHED_NAME, rec, { id: '', name: rec.Employee }, 'Not in the roster');
+        }
+      }
+    }
+
+    if (entry) return { id: entry.EmployeeId, name: entry.LegalName, entry };
+    if (!clockId) return { id: '', name: rec.Employee, entry: null };
+    // Otherwise the first spelling seen for an ID names the employee
+    if (!firstNameForId.has(clockId)) firstNameForId.set(clockId, rec.Employee);
+    const name = firstNameForId.get(clockId);
+    if (normalizeName(name) !== normalizeName(rec.Employee)) {
+      report(IDENTITY_ISSUES.NAME_VARIANT, rec, { id: clockId, name }, `Merged with "${name}", who has the same ID`);
+    }
+    return { id: clockId, name, entry: null };
+  });
+
+  // Names carried by more than one identity get the ID appended
+  const keysByName = new Map();
+  identities.forEach(identity => {
+    const name = normalizeName(identity.name);
+    if (!keysByName.has(name)) keysByName.set(name, new Set());
+    keysByName.get(name).add(identity.id || `name:${name}`);
+  });
+  const labelOf = identity => (keysByName.get(normalizeName(identity.name)).size > 1 && identity.id
+    ? `${identity.name} (#${identity.id})`
+    : identity.name);
+
+  const resolved = records.map((rec, idx) => {
+    const identity = identities[idx];
+    const label = labelOf(identity);
+    if (label !== identity.name) {
+      report(IDENTITY_ISSUES.SHARED_NAME, rec, { id: identity.id, name: label },
+        `Another employee is also called "${identity.name}"; reported as "${label}"`);
+    }
+    return {
+      ...rec,
+      EmployeeId: identity.id,
+      ClockName: rec.Employee,
+      Employee: label,
+      Position: rec.Position || (identity.entry ? identity.entry.DefaultRole : '')
+    };
+  });
+
+  return { records: resolved, issues: Array.from(issues.values()) };
+}
+
+/**
+ * Index resolved records by every name and ID an employee goes by, for files
+ * (cash tips, transactions) that name employees the way people write them
+ * @param {Array} records - Records from resolveEmployees (Employee, ClockName, EmployeeId)
+ * @return {Function} - (name or ID) -> the Employee labels it stands for ([] if none, several if ambiguous)
+ */
+function employeeLookup(records) {
+  const labelsFor = new Map();
+  records.forEach(rec => {
+    [rec.Employee, rec.ClockName, rec.EmployeeId].filter(Boolean).forEach(name => {
+      const key = normalizeName(name);
+      if (!labelsFor.has(key)) labelsFor.set(key, new Set());
+      labelsFor.get(key).add(rec.Employee);
+    });
+  });
+  return name => Array.from(labelsFor.get(normalizeName(name)) || []);
+}
+
+module.exports = {
+  IDENTITY_ISSUES,
+  EMPLOYEE_ID_COLUMNS,
+  employeeIdFromRow,
+  validateRoster,
+  loadRoster,
+  resolveEmployees,
+  employeeLookup
+};
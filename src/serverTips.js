@@ -0,0 +1,199 @@
+// src/serverTips.js
+
+const { allocateCents, fromCents, sumCents } = require('./money');
+const { TIP_OUT_BASES } = require('./tipPolicy');
+const { employeeLookup } = require('./roster');
+
+// How a server's tips for a business day were handled
+const ATTRIBUTION_STATUSES = {
+  ATTRIBUTED: 'Attributed',            // kept by the server, less the tip-outs
+  NO_SERVER: 'NoServer',               // transactions without a server: pooled
+  UNKNOWN_SERVER: 'UnknownServer',     // not a clock name, roster name or employee ID: pooled
+  AMBIGUOUS_SERVER: 'AmbiguousServer', // matches more than one employee: pooled
+  NOT_CLOCKED_IN: 'NotClockedIn'       // did not work that business day: pooled
+};
+
+const slotKey = rec => `${rec.Date}|${rec.TimeSlotStart.toISOString()}`;
+
+// The sales a tip-out is taken of: all of them, or only those of its sale categories
+const salesFor = (tipOut, sales) => (tipOut.salesCategories && tipOut.salesCategories.length > 0
+  ? sumCents(tipOut.salesCategories.map(category => (sales.SalesByCategory || {})[category] || 0))
+  : sales.AmtSaleCents || 0);
+
+/**
+ * Attribute each slot's card tips to the servers who rang them up. A server's
+ * tips for the day are credited to their own intervals (the one in the same
+ * slot, or the nearest one that day for checks closed after clocking out),
+ * less the policy's tip-outs, which are taken per slot so each support pool
+ * goes to the staff working when the tips were made. Tip-outs are capped at
+ * the server's tips for the day. Tips that cannot be attributed stay in their
+ * slot to be pooled as usual.
+ * @param {Array} tipsBySlot - Card tips by slot (from processTransactions, with ServerTips)
+ * @param {Array} intervals - Employee time intervals
+ * @param {Object} policy - Validated tip policy (tipOuts)
+ * @param {Object} options - { cleanedClock (to match servers to clock names and IDs) }
+ * @return {Object} - { pooledSlots: tipsBySlot left for the pools (with ServerTipsCents and TipOutCents),
+ *                     ownTipsCents: kept tips per interval (in the order of intervals),
+ *                     tipOutSlots: [{ Date, TimeSlotStart, PoolCents: { tip-out name: cents } }],
+ *                     serverDays: [{ Server, ServerId, Employee, Date, Status, Details, TipsCents, SalesCents,
+ *                                   SalesByCategory, TipOutsCents, TipOutTotalCents, KeptCents, ... }] }
+ */
+function attributeServerTips(tipsBySlot, intervals, policy, options = {}) {
+  const labelsFor = employeeLookup(options.cleanedClock || intervals);
+  const tipOuts = policy.tipOuts || [];
+
+  // Interval indexes per employee and business date
+  const intervalsByDay = new Map();
+  intervals.forEach((rec, idx) => {
+    const key = `${rec.Employee}|${rec.Date}`;
+    if (!intervalsByDay.has(key)) intervalsByDay.set(key, []);
+    intervalsByDay.get(key).push(idx);
+  });
+
+  // One row per server and business day; unattributed servers keep their own rows
+  const days = new Map();
+  tipsBySlot.forEach(slot => {
+    const servers = slot.ServerTips ||
+      [{ Server: '', ServerId: '', AmtTipCents: slot.AmtTipCents, AmtSaleCents: slot.AmtSaleCents || 0 }];
+    servers.forEach(entry => {
+      let labels = entry.ServerId ? labelsFor(entry.ServerId) : [];
+      if (labels.length === 0 && entry.Server) labels = labelsFor(entry.Server);
+      let status = ATTRIBUTION_STATUSES.ATTRIBUTED;
+      let details = '';
+      if (!entry.Server && !entry.ServerId) {
+        status = ATTRIBUTION_STATUSES.NO_SERVER;
+        details = 'No server on the transactions; pooled';
+      } else if (labels.length === 0) {
+        status = ATTRIBUTION_STATUSES.UNKNOWN_SERVER;
+        details = 'Not a clock name or employee ID; pooled';
+      } else if (labels.length > 1) {
+        status = ATTRIBUTION_STATUSES.AMBIGUOUS_SERVER;
+        details = `Matches ${labels.join(', ')}; pooled`;
+      } else if (!intervalsByDay.has(`${labels[0]}|${slot.Date}`)) {
+        status = ATTRIBUTION_STATUSES.NOT_CLOCKED_IN;
+        details = `${labels[0]} did not work that day; pooled`;
+      }
+      const employee = status === ATTRIBUTION_STATUSES.ATTRIBUTED ? labels[0] : '';
+      const key = employee
+        ? `${employee}|${slot.Date}`
+        : `${status}|${entry.ServerId}|${entry.Server.toLowerCase()}|${slot.Date}`;
+      if (!days.has(key)) {
+        days.set(key, {
+          Server: entry.Server,
+          ServerId: entry.ServerId,
+          Employee: employee,
+          Date: slot.Date,
+          Status: status,
+          Details: details,
+          TipsCents: 0,
+          SalesCents: 0,
+          SalesByCategory: {},
+          slots: []
+        });
+      }
+      const day = days.get(key);
+      day.TipsCents += entry.AmtTipCents;
+      day.SalesCents += entry.AmtSaleCents || 0;
+      Object.entries(entry.SalesByCategory || {}).forEach(([category, cents]) => {
+        day.SalesByCategory[category] = (day.SalesByCategory[category] || 0) + cents;
+      });
+      day.slots.push({ slot, tipCents: entry.AmtTipCents, sales: entry });
+    });
+  });
+
+  // The server's interval in the slot, or the nearest one that day (the earlier one wins a tie)
+  const intervalFor = (employee, slot) => (intervalsByDay.get(`${employee}|${slot.Date}`) || [])
+    .reduce((best, idx) => {
+      if (best === null) return idx;
+      const distance = i => Math.abs(intervals[i].TimeSlotStart - slot.TimeSlotStart);
+      return distance(idx) < distance(best) ||
+        (distance(idx) === distance(best) && intervals[idx].TimeSlotStart < intervals[best].TimeSlotStart) ? idx : best;
+    }, null);
+
+  const ownTipsCents = intervals.map(() => 0);
+  const slotAmounts = new Map();
+  const tipOutSlots = new Map();
+  const addTo = (map, slot, field, cents) => {
+    const key = slotKey(slot);
+    if (!map.has(key)) map.set(key, {});
+    map.get(key)[field] = (map.get(key)[field] || 0) + cents;
+  };
+
+  const serverDays = Array.from(days.values()).map(({ slots, ...day }) => {
+    if (day.Status !== ATTRIBUTION_STATUSES.ATTRIBUTED) {
+      slots.forEach(({ slot, tipCents }) => addTo(slotAmounts, slot, 'PooledCents', tipCents));
+      return { ...day, TipOutsCents: {}, TipOutTotalCents: 0, KeptCents: 0 };
+    }
+
+    // Each tip-out per slot, from the server's tips or sales in that slot
+    let outs = [];
+    slots.forEach(({ slot, tipCents, sales }, slotIdx) => {
+      tipOuts.forEach(tipOut => {
+        const base = tipOut.of === TIP_OUT_BASES.SALES ? salesFor(tipOut, sales) : tipCents;
+        outs.push({ slotIdx, name: tipOut.name, cents: Math.round(base * tipOut.percent / 100) });
+      });
+    });
+    let details = day.Details;
+    const owedCents = sumCents(outs.map(o => o.cents));
+    if (owedCents > day.TipsCents) {
+      // A server cannot tip out more than they made that day
+      const capped = allocateCents(day.TipsCents, outs.map(o => o.cents));
+      outs = outs.map((o, idx) => ({ ...o, cents: capped[idx] }));
+      details = `Tip-outs of $${fromCents(owedCents).toFixed(2)} capped at the day's tips`;
+    }
+
+    const TipOutsCents = {};
+    outs.forEach(o => {
+      TipOutsCents[o.name] = (TipOutsCents[o.name] || 0) + o.cents;
+      if (o.cents === 0) return;
+      const slot = slots[o.slotIdx].slot;
+      if (!tipOutSlots.has(slotKey(slot))) {
+        tipOutSlots.set(slotKey(slot), { Date: slot.Date, TimeSlotStart: slot.TimeSlotStart, PoolCents: {} });
+      }
+      const pools = tipOutSlots.get(slotKey(slot)).PoolCents;
+      pools[o.name] = (pools[o.name] || 0) + o.cents;
+      addTo(slotAmounts, slot, 'TipOutCents', o.cents);
+    });
+    const TipOutTotalCents = sumCents(outs.map(o => o.cents));
+    const KeptCents = day.TipsCents - TipOutTotalCents;
+
+    // What the server keeps follows their tips across the day's slots
+    const kept = allocateCents(KeptCents, slots.map(s => s.tipCents));
+    slots.forEach(({ slot }, idx) => {
+      ownTipsCents[intervalFor(day.Employee, slot)] += kept[idx];
+      addTo(slotAmounts, slot, 'ServerTipsCents', kept[idx]);
+    });
+    return { ...day, Details: details, TipOutsCents, TipOutTotalCents, KeptCents };
+  });
+
+  const pooledSlots = tipsBySlot.map(slot => {
+    const amounts = slotAmounts.get(slotKey(slot)) || {};
+    return {
+      ...slot,
+      AmtTipCents: amounts.PooledCents || 0,
+      AmtTip: fromCents(amounts.PooledCents || 0),
+      ServerTipsCents: amounts.ServerTipsCents || 0,
+      TipOutCents: amounts.TipOutCents || 0
+    };
+  });
+
+  return {
+    pooledSlots,
+    ownTipsCents,
+    tipOutSlots: Array.from(tipOutSlots.values()),
+    serverDays: serverDays
+      .sort((a, b) => a.Date.localeCompare(b.Date) || (a.Employee || a.Server).localeCompare(b.Employee || b.Server))
+      .map(day => ({
+        ...day,
+        Tips: fromCents(day.TipsCents),
+        Sales: fromCents(day.SalesCents),
+        TipOutTotal: fromCents(day.TipOutTotalCents),
+        Kept: fromCents(day.KeptCents)
+      }))
+  };
+}
+
+module.exports = {
+  ATTRIBUTION_STATUSES,
+  attributeServerTips
+};
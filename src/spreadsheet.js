@@ -0,0 +1,168 @@
+// src/spreadsheet.js
+
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const ExcelJS = require('exceljs');
+
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xlsm', '.xls'];
+// Excel 97-2003 workbooks, which the workbook reader cannot open
+const LEGACY_WORKBOOK_EXTENSION = '.xls';
+
+/**
+ * Check whether a file should be read as an Excel workbook rather than CSV
+ * @param {String} filePath - Path to the input file
+ * @return {Boolean} - True for .xlsx/.xlsm/.xls files
+ */
+function isWorkbookFile(filePath) {
+  return WORKBOOK_EXTENSIONS.includes(path.extname(filePath || '').toLowerCase());
+}
+
+/**
+ * Text of a date cell. Dates come out as ISO dates ("2025-03-01", or
+ * "2025-03-01 22:05:00" with a time) and times of day as "22:05:00", which
+ * every date format and locale reads.
+ * @param {Date} value - Cell date (the sheet's wall clock, as UTC)
+ * @return {String} - Date and/or time text
+ */
+function dateCellText(value) {
+  const iso = new Date(Math.round(value.getTime() / 1000) * 1000).toISOString();
+  const date = iso.slice(0, 10);
+  const time = iso.slice(11, 19);
+  // Excel keeps a time of day as a fraction of day zero (December 30, 1899)
+  if (date === '1899-12-30') return time;
+  return time === '00:00:00' ? date : `${date} ${time}`;
+}
+
+/**
+ * Text of one workbook cell, as a "Save as CSV" export would have it
+ * @param {Object} cell - Worksheet cell
+ * @return {String} - Cell text
+ */
+function cellText(cell) {
+  // Cells covered by a merge are blank; the text stays in the first one
+  if (cell.type === ExcelJS.ValueType.Merge) return '';
+  const value = cell.type === ExcelJS.ValueType.Formula ? cell.result : cell.value;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return dateCellText(value);
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'object' && value.error) return value.error;
+  return cell.text;
+}
+
+/**
+ * Read the rows of a workbook sheet as arrays of display strings, padded to the
+ * width of the sheet. Dates and times are written out as ISO text (see
+ * dateCellText) and formulas as their last computed result.
+ * @param {String} filePath - Path to the workbook (.xlsx or .xlsm)
+ * @param {String} sheetName - Optional sheet name (defaults to the first sheet)
+ * @return {Promise<Array>} - Array of row arrays
+ * @throws {Error} - If the file is an .xls workbook or the sheet is missing
+ */
+async function readWorkbookRows(filePath, sheetName = null) {
+  if (path.extname(filePath).toLowerCase() === LEGACY_WORKBOOK_EXTENSION) {
+    throw new Error(`${filePath} is an Excel 97-2003 workbook; save it as .xlsx or CSV`);
+  }
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+  if (!sheet) {
+    throw new Error(sheetName ? `Sheet "${sheetName}" not found in ${filePath}` : `${filePath} has no sheets`);
+  }
+
+  const rows = [];
+  for (let r = 1; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+    const cells = [];
+    for (let c = 1; c <= sheet.columnCount; c++) {
+      cells.push(cellText(row.getCell(c)).trim());
+    }
+    rows.push(cells);
+  }
+  return rows;
+}
+
+/**
+ * Parse CSV text into arrays of strings without assuming where the header is
+ * @param {String} text - Raw CSV content
+ * @return {Array} - Array of row arrays
+ */
+function parseDelimitedRows(text) {
+  return Papa.parse(text, { skipEmptyLines: false }).data
+    .map(row => row.map(cell => String(cell).trim()));
+}
+
+/**
+ * Read any supported tabular file (CSV or workbook) as arrays of strings
+ * @param {String} filePath - Path to the input file
+ * @return {Promise<Array>} - Array of row arrays
+ */
+async function readRows(filePath) {
+  if (isWorkbookFile(filePath)) {
+    return readWorkbookRows(filePath);
+  }
+  return parseDelimitedRows(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Locate the header row: the first row that contains every required column
+ * @param {Array} rows - Array of row arrays
+ * @param {Array} requiredColumns - Column names that must all be present
+ * @return {Number} - Index of the header row, or -1 if none matches
+ */
+function findHeaderRow(rows, requiredColumns) {
+  return rows.findIndex(row => requiredColumns.every(col => row.includes(col)));
+}
+
+/**
+ * Check whether a row is a report totals row (e.g. "TOTALS:" in the first cell)
+ * @param {Array} row - Row array
+ * @return {Boolean}
+ */
+function isTotalsRow(row) {
+  const first = row.find(cell => cell !== '');
+  return first !== undefined && /^(grand\s+)?totals?:?$/i.test(first);
+}
+
+/**
+ * Turn a report-style sheet into record objects keyed by the header row.
+ * Title rows above the header are skipped, blank rows are ignored and reading
+ * stops at the totals row.
+ * @param {Array} rows - Array of row arrays
+ * @param {Array} requiredColumns - Columns used to recognise the header row
+ * @param {Object} options - Optional { rowNumberField } naming a field that receives
+ *                           each record's 1-based row number in the source file
+ * @return {Array} - Array of record objects
+ */
+function rowsToRecords(rows, requiredColumns, options = {}) {
+  const headerIndex = findHeaderRow(rows, requiredColumns);
+  if (headerIndex === -1) {
+    throw new Error(`Could not find a header row containing: ${requiredColumns.join(', ')}`);
+  }
+  const header = rows[headerIndex];
+
+  const records = [];
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (isTotalsRow(row)) break;
+    if (row.every(cell => cell === '')) continue;
+
+    const record = {};
+    header.forEach((col, idx) => {
+      if (col) record[col] = row[idx] !== undefined ? row[idx] : '';
+    });
+    if (options.rowNumberField) record[options.rowNumberField] = i + 1;
+    records.push(record);
+  }
+  return records;
+}
+
+module.exports = {
+  isWorkbookFile,
+  readWorkbookRows,
+  parseDelimitedRows,
+  readRows,
+  findHeaderRow,
+  isTotalsRow,
+  rowsToRecords
+};
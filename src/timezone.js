@@ -0,0 +1,215 @@
+// src/timezone.js
+
+// Time zone helpers built on Intl, so results never depend on the zone of the
+// machine running the script. Instants are plain Date objects (absolute time);
+// "wall clock" parts are what a clock on the wall in a given IANA zone shows.
+
+const { parseDateTimeText } = require('./dateFormats');
+
+const formatters = {};
+
+function partsFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return formatters[timeZone];
+}
+
+/**
+ * Check that a string is an IANA time zone known to this Node build
+ * @param {String} timeZone - Zone name (e.g. 'America/Chicago')
+ * @return {Boolean} - True if the zone can be used
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Wall clock reading of an instant in a zone
+ * @param {Date} instant - Absolute time
+ * @param {String} timeZone - IANA zone
+ * @return {Object} - { year, month (1-12), day, hour, minute, second }
+ */
+function zonedParts(instant, timeZone) {
+  const parts = {};
+  partsFormatter(timeZone).formatToParts(instant).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Offset of a zone from UTC at a given instant (e.g. -300 for EST, -240 for EDT)
+ * @param {Date} instant - Absolute time
+ * @param {String} timeZone - IANA zone
+ * @return {Number} - Offset in minutes
+ */
+function zoneOffsetMinutes(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const wholeSeconds = instant.getTime() - instant.getMilliseconds();
+  return Math.round((asUTC - wholeSeconds) / 60000);
+}
+
+/**
+ * Find the instant at which a zone's wall clock shows the given reading.
+ * On the fall-back night an ambiguous reading (e.g. 1:30 AM) resolves to the
+ * first occurrence; on the spring-forward night a reading inside the skipped
+ * hour (e.g. 2:30 AM) moves forward by the gap (3:30 AM), as a clock would.
+ * @param {Object} wall - { year, month (1-12), day, hour, minute, second, millisecond }
+ * @param {String} timeZone - IANA zone
+ * @return {Date} - Absolute instant
+ */
+function zonedTimeToInstant(wall, timeZone) {
+  const asUTC = Date.UTC(
+    wall.year, wall.month - 1, wall.day,
+    wall.hour || 0, wall.minute || 0, wall.second || 0, wall.millisecond || 0
+  );
+  const firstOffset = zoneOffsetMinutes(new Date(asUTC), timeZone);
+  const guess = new Date(asUTC - firstOffset * 60000);
+  const secondOffset = zoneOffsetMinutes(guess, timeZone);
+  if (secondOffset === firstOffset) return guess;
+
+  const candidate = new Date(asUTC - secondOffset * 60000);
+  const p = zonedParts(candidate, timeZone);
+  if (p.hour === (wall.hour || 0) && p.minute === (wall.minute || 0)) return candidate;
+  return guess; // the reading does not exist (skipped hour)
+}
+
+/**
+ * Read the wall clock parts from a date/time string without involving the
+ * host zone or its lenient Date parser (e.g. "2025-03-01 10:05 AM",
+ * "03/01/2025 22:05", "2025-03-01T10:05:00").
+ * @param {String} value - Date and time text
+ * @param {Object} parsing - Date rules from dateParsing (default: month/day/year dates)
+ * @return {Object|null} - Wall clock parts and offsetMinutes (null when the text
+ *                         has no zone), or null if unparseable
+ */
+function parseWallClock(value, parsing = undefined) {
+  if (value === null || value === undefined) return null;
+  return parseDateTimeText(value, parsing);
+}
+
+/**
+ * Parse a date/time string as wall clock time in a zone. Strings carrying
+ * their own offset (ISO "Z", "+05:00", UTC or a US zone abbreviation) keep it.
+ * @param {String} value - Date and time text
+ * @param {String} timeZone - IANA zone the text was recorded in
+ * @param {Object} parsing - Date rules from dateParsing (default: month/day/year dates)
+ * @return {Date} - Absolute instant (Invalid Date if unparseable)
+ */
+function parseInZone(value, timeZone, parsing = undefined) {
+  const wall = parseWallClock(value, parsing);
+  if (!wall) return new Date(NaN);
+  if (wall.offsetMinutes !== null) {
+    return new Date(Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second,
+      wall.millisecond) - wall.offsetMinutes * 60000);
+  }
+  return zonedTimeToInstant(wall, timeZone);
+}
+
+const pad = n => (n < 10 ? '0' + n : String(n));
+
+/**
+ * Format an instant as "YYYY-MM-DD HH:MM:SS" on a zone's wall clock
+ * @param {Date} instant - Absolute time
+ * @param {String} timeZone - IANA zone
+ * @return {String} - Formatted local time
+ */
+function formatInZone(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/**
+ * Local calendar date of an instant in a zone
+ * @param {Date} instant - Absolute time
+ * @param {String} timeZone - IANA zone
+ * @return {String} - "YYYY-MM-DD"
+ */
+function localDateInZone(instant, timeZone) {
+  return formatInZone(instant, timeZone).slice(0, 10);
+}
+
+/**
+ * Business date of an instant: the local calendar date, except that times
+ * before the business-day start (e.g. 4:00 AM) belong to the previous day
+ * @param {Date} instant - Absolute time
+ * @param {String} timeZone - IANA zone
+ * @param {Number} dayStartMinutes - Minutes after local midnight the business day starts (0 = midnight)
+ * @return {String} - "YYYY-MM-DD"
+ */
+function businessDateInZone(instant, timeZone, dayStartMinutes = 0) {
+  const p = zonedParts(instant, timeZone);
+  const date = Date.UTC(p.year, p.month - 1, p.day);
+  const minutesOfDay = p.hour * 60 + p.minute;
+  // Step back a calendar day on the date alone, so DST never affects the result
+  const businessDate = minutesOfDay < dayStartMinutes ? date - 86400000 : date;
+  return new Date(businessDate).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a business-day start time such as "4:00", "04:30" or "4"
+ * @param {String|Number} value - Time of day (24-hour clock)
+ * @return {Number} - Minutes after midnight
+ * @throws {Error} - If the value is not a time between 00:00 and 23:59
+ */
+function parseDayStart(value) {
+  const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(value === undefined || value === null ? '0' : value).trim());
+  const hours = match ? parseInt(match[1], 10) : NaN;
+  const minutes = match && match[2] ? parseInt(match[2], 10) : 0;
+  if (!match || hours > 23 || minutes > 59) {
+    throw new Error(`Business day start "${value}" must be a time of day such as 04:00`);
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Floor an instant to the start of its slot on the zone's wall clock
+ * (slots are counted from local midnight)
+ * @param {Date} instant - Absolute time
+ * @param {Number} intervalMinutes - Slot size in minutes
+ * @param {String} timeZone - IANA zone
+ * @return {Date} - Slot start instant
+ */
+function floorToIntervalInZone(instant, intervalMinutes, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const remainder = (p.hour * 60 + p.minute) % intervalMinutes;
+  return new Date(instant.getTime() - remainder * 60000 - p.second * 1000 - instant.getMilliseconds());
+}
+
+module.exports = {
+  isValidTimeZone,
+  zonedParts,
+  zoneOffsetMinutes,
+  zonedTimeToInstant,
+  parseWallClock,
+  parseInZone,
+  formatInZone,
+  localDateInZone,
+  businessDateInZone,
+  parseDayStart,
+  floorToIntervalInZone
+};
@@ -2,6 +2,30 @@
 
 const { formatDateTime } = require('./utils');
 const { categorizeEmployee } = require('./employeeClassification');
+const { allocateCents, fromCents, sumCents } = require('./money');
+const { ABSENT_RULES, defaultTipPolicy, groupForCategory, weightFor } = require('./tipPolicy');
+
+// Category assigned by classifyRecords, falling back to the built-in matching
+const categoryOf = rec => rec.Category || categorizeEmployee(rec);
+
+// Where a day's unallocated tips go
+const REDISTRIBUTION_STRATEGIES = {
+  EQUAL: 'equal',                       // equal shares for everyone who worked that day (default)
+  HOURS: 'hours',                       // pooled staff that day, in proportion to hours worked
+  ALLOCATED_TIPS: 'allocated-tips',     // in proportion to the tips each person was already allocated that day
+  NEAREST_SLOT: 'nearest-slot',         // to the closest slot that day with staff from the missing group
+  MISSING_CATEGORY: 'missing-category', // to the missing group's staff that day, by hours worked
+  HOUSE: 'house'                        // held on a house/unclaimed line for a manager to decide
+};
+
+// Employee name used for tips nobody is eligible for (or held under the 'house' strategy)
+const HOUSE_LINE = 'HOUSE (unclaimed)';
+
+// Cash part of a row built by combineTipSources (rows without one are all card tips)
+const cashCentsOf = rec => rec.CashTipsCents || 0;
+
+// Share of the slot the interval covers (below 1 only in proportional credit mode)
+const fractionOf = rec => (rec.Fraction === undefined ? 1 : rec.Fraction);
 
 function countStaffPerSlot(intervals, intervalMinutes) {
   const slotStaffMap = {};
@@ -18,18 +42,15 @@ function countStaffPerSlot(intervals, intervalMinutes) {
       slotStaffMap[key] = { FOH: 0, BOH: 0, EXEC: 0, total: 0 };
     }
 
-    const category = categorizeEmployee(rec);
-    if (category === 'FOH') {
-      slotStaffMap[key].FOH += 1;
-    } else if (category === 'BOH') {
-      slotStaffMap[key].BOH += 1;
-    } else if (category === 'EXEC') {
-      slotStaffMap[key].EXEC += 1;
-    }
+    // Categories other than FOH/BOH/EXEC (e.g. from a custom policy) are counted too.
+    // Partial intervals count as the fraction worked (effective head-count).
+    const category = categoryOf(rec);
+    const headCount = fractionOf(rec);
+    slotStaffMap[key][category] = (slotStaffMap[key][category] || 0) + headCount;
     
     // Only count non-executives toward total staff for tip allocation
     if (category !== 'EXEC') {
-      slotStaffMap[key].total += 1;
+      slotStaffMap[key].total += headCount;
     }
   });
 
@@ -42,46 +63,61 @@ function countStaffPerSlot(intervals, intervalMinutes) {
   return slotStaffMap;
 }
 
+/**
+ * Split a slot's tips between the policy's pool groups.
+ * Present groups get their percentage; an absent group's percentage either goes
+ * to the present groups (in proportion to their own percentages) or stays
+ * unallocated, depending on its whenAbsent rule.
+ * @param {Number} amountCents - Slot tips in integer cents
+ * @param {Object} groupCounts - Head count per group name
+ * @param {Object} policy - Validated tip policy
+ * @return {Object} - Pool cents per group name (absent groups hold unallocated cents)
+ */
+function splitSlotByPolicy(amountCents, groupCounts, policy) {
+  const present = policy.groups.filter(g => groupCounts[g.name] > 0);
+  const presentPercent = present.reduce((acc, g) => acc + g.percent, 0);
+  const sharedPercent = policy.groups
+    .filter(g => !(groupCounts[g.name] > 0) && g.whenAbsent === ABSENT_RULES.SHARE_WITH_PRESENT)
+    .reduce((acc, g) => acc + g.percent, 0);
+
+  const weights = policy.groups.map(g => {
+    if (groupCounts[g.name] > 0) {
+      if (presentPercent > 0) return g.percent * (1 + sharedPercent / presentPercent);
+      // Every present group is on 0% - they share what the absent groups give up equally
+      return sharedPercent / present.length;
+    }
+    // Absent: keep the share (unallocated) unless it can be handed to someone present
+    return g.whenAbsent === ABSENT_RULES.SHARE_WITH_PRESENT && present.length > 0 ? 0 : g.percent;
+  });
+
+  const split = allocateCents(amountCents, weights);
+  const pools = {};
+  policy.groups.forEach((g, idx) => { pools[g.name] = split[idx]; });
+  return pools;
+}
+
 /**
  * Compute tip pools by time slot
  * @param {Array} tipsBySlot - Tips aggregated by time slot
  * @param {Object} staffMap - Map of staff counts by time slot
  * @param {Number} bohPctOverride - Optional override for BOH percentage (0-100)
- * @return {Array} - Array of tip pools by time slot with allocation info
+ * @param {Object} policy - Optional tip policy (see tipPolicy.js); defaults to the 85/15 FOH/BOH split
+ * @return {Array} - Array of tip pools by time slot with allocation info (pools in integer cents). Only
+ *                   AmtTipCents (net of any card processing fee) is pooled; GrossTipCents, FeeCents,
+ *                   AmtSaleCents and SalesByCategory are carried through from the slot for reporting
  */
-function computeTipPools(tipsBySlot, staffMap, bohPctOverride = null) {
-  // Configure tip distribution ratio
-  const BOH_RATIO = bohPctOverride !== null ? (bohPctOverride / 100) : 0.15; // 15% to BOH by default
-  const FOH_RATIO = 1 - BOH_RATIO; // 85% to FOH by default
-  
+function computeTipPools(tipsBySlot, staffMap, bohPctOverride = null, policy = defaultTipPolicy(bohPctOverride)) {
   // Display the tip distribution being used
-  console.log(`Tip Distribution: FOH=${(FOH_RATIO*100).toFixed(0)}%, BOH=${(BOH_RATIO*100).toFixed(0)}%`);
-  
-  // Sample the first few intervals
-  const sampleKeys = Object.keys(staffMap).slice(0, 3);
-  console.log('Sample staff map keys (first 3):');
-  sampleKeys.forEach(key => {
-    const staff = staffMap[key];
-    console.log(`  Key: ${key}, Staff: FOH=${staff.FOH}, BOH=${staff.BOH}`);
-  });
-  
-  // Check for staff presence by date
-  const staffByDate = {};
-  Object.keys(staffMap).forEach(key => {
-    const [date, _] = key.split('|');
-    if (!staffByDate[date]) staffByDate[date] = { FOH: false, BOH: false };
-    
-    const staff = staffMap[key];
-    if (staff.FOH > 0) staffByDate[date].FOH = true;
-    if (staff.BOH > 0) staffByDate[date].BOH = true;
-  });
-  
-  console.log('Staff by date summary:');
-  Object.keys(staffByDate).sort().forEach(date => {
-    const staff = staffByDate[date];
-    console.log(`  ${date}: FOH=${staff.FOH ? 'present' : 'absent'}, BOH=${staff.BOH ? 'present' : 'absent'}`);
-  });
-  
+  console.log(`Tip Distribution (${policy.name}): ${policy.groups.map(g => `${g.name}=${g.percent}%`).join(', ')}`);
+
+  const countGroups = (staff) => {
+    const counts = {};
+    policy.groups.forEach(g => {
+      counts[g.name] = g.categories.reduce((acc, category) => acc + (staff[category] || 0), 0);
+    });
+    return counts;
+  };
+
   return tipsBySlot.map(slot => {
     const key = `${slot.Date}|${slot.TimeSlotStart.toISOString()}`;
     const staff = staffMap[key] || { FOH: 0, BOH: 0, EXEC: 0 };
@@ -89,96 +125,168 @@ function computeTipPools(tipsBySlot, staffMap, bohPctOverride = null) {
     const FOHCount = staff.FOH || 0;
     const BOHCount = staff.BOH || 0;
     const ExecCount = staff.EXEC || 0;
-    const TotalStaff = FOHCount + BOHCount + ExecCount;
+    const TotalStaff = Object.keys(staff)
+      .filter(category => category !== 'total')
+      .reduce((acc, category) => acc + staff[category], 0);
     
-    let FOHTipPool = 0;
-    let BOHTipPool = 0;
-    
-    // Handle cases based on staff presence
-    if (TotalStaff === 0) {
-      // No staff - all tips become unallocated
-      FOHTipPool = 0;
-      BOHTipPool = 0;
-    } 
-    else if (FOHCount > 0 && BOHCount > 0) {
-      // Both FOH and BOH present - use specified distribution
-      FOHTipPool = slot.AmtTip * FOH_RATIO;
-      BOHTipPool = slot.AmtTip * BOH_RATIO;
-    }
-    else if (FOHCount > 0 && BOHCount === 0) {
-      // Only FOH present - allocate all tips to FOH
-      FOHTipPool = slot.AmtTip;
-      BOHTipPool = 0;
-    }
-    else if (BOHCount > 0 && FOHCount === 0) {
-      // Only BOH present - allocate all tips to BOH
-      FOHTipPool = 0;
-      BOHTipPool = slot.AmtTip;
-    }
+    const GroupCounts = countGroups(staff);
+    const anyGroupPresent = policy.groups.some(g => GroupCounts[g.name] > 0);
+
+    // No pooled staff - all tips become unallocated
+    const GroupPoolsCents = anyGroupPresent
+      ? splitSlotByPolicy(slot.AmtTipCents, GroupCounts, policy)
+      : Object.fromEntries(policy.groups.map(g => [g.name, 0]));
+
+    // Amounts held for absent groups are not paid from this slot
+    const allocatedCents = sumCents(policy.groups
+      .filter(g => GroupCounts[g.name] > 0)
+      .map(g => GroupPoolsCents[g.name]));
+    const UnallocatedCents = slot.AmtTipCents - allocatedCents;
+    // Which group each unallocated cent was meant for; with nobody pooled on, the
+    // whole slot is split by the policy percentages
+    const heldPools = anyGroupPresent
+      ? GroupPoolsCents
+      : splitSlotByPolicy(slot.AmtTipCents, {}, policy);
+    const UnallocatedGroupCents = Object.fromEntries(policy.groups
+      .filter(g => !(GroupCounts[g.name] > 0) && heldPools[g.name] !== 0)
+      .map(g => [g.name, heldPools[g.name]]));
+
+    const FOHTipPoolCents = GroupCounts.FOH > 0 ? GroupPoolsCents.FOH : 0;
+    const BOHTipPoolCents = GroupCounts.BOH > 0 ? GroupPoolsCents.BOH : 0;
     
     return {
       Date: slot.Date,
       TimeSlotStart: slot.TimeSlotStart,
-      AmtTip: slot.AmtTip,
+      AmtTipCents: slot.AmtTipCents,
+      AmtTip: fromCents(slot.AmtTipCents),
+      GrossTipCents: slot.GrossTipCents === undefined ? slot.AmtTipCents : slot.GrossTipCents,
+      FeeCents: slot.FeeCents || 0,
+      AmtSaleCents: slot.AmtSaleCents || 0,
+      SalesByCategory: slot.SalesByCategory || {},
       FOHCount,
       BOHCount,
       ExecCount,
       TotalStaff,
-      FOHTipPool,
-      BOHTipPool
+      GroupCounts,
+      GroupPoolsCents,
+      UnallocatedCents,
+      UnallocatedGroupCents,
+      FOHTipPoolCents,
+      BOHTipPoolCents,
+      FOHTipPool: fromCents(FOHTipPoolCents),
+      BOHTipPool: fromCents(BOHTipPoolCents)
+    };
+  });
+}
+
+/**
+ * Build tip pools for the tip-outs taken from servers (see attributeServerTips):
+ * each slot's tip-out pools go to the staff of their categories clocked in to
+ * that slot, and a pool nobody from its categories is working stays
+ * unallocated for that group.
+ * @param {Array} tipOutSlots - [{ Date, TimeSlotStart, PoolCents: { tip-out name: cents } }]
+ * @param {Object} staffMap - Map of staff counts by time slot
+ * @param {Object} policy - Tip-out policy (see tipOutPolicy)
+ * @return {Array} - Tip pools by slot, shaped like computeTipPools'
+ */
+function computeTipOutPools(tipOutSlots, staffMap, policy) {
+  return tipOutSlots.map(slot => {
+    const staff = staffMap[`${slot.Date}|${slot.TimeSlotStart.toISOString()}`] || {};
+    const GroupCounts = {};
+    const GroupPoolsCents = {};
+    const UnallocatedGroupCents = {};
+    policy.groups.forEach(g => {
+      GroupCounts[g.name] = g.categories.reduce((acc, category) => acc + (staff[category] || 0), 0);
+      GroupPoolsCents[g.name] = slot.PoolCents[g.name] || 0;
+      if (!(GroupCounts[g.name] > 0) && GroupPoolsCents[g.name] !== 0) {
+        UnallocatedGroupCents[g.name] = GroupPoolsCents[g.name];
+      }
+    });
+    const AmtTipCents = sumCents(Object.values(GroupPoolsCents));
+    return {
+      Date: slot.Date,
+      TimeSlotStart: slot.TimeSlotStart,
+      AmtTipCents,
+      AmtTip: fromCents(AmtTipCents),
+      GroupCounts,
+      GroupPoolsCents,
+      UnallocatedCents: sumCents(Object.values(UnallocatedGroupCents)),
+      UnallocatedGroupCents
     };
   });
 }
 
-function calculateIndividualTipShares(intervals, tipPools, intervalMinutes) {
+/**
+ * Split each slot's group pools among the employees clocked in to that slot,
+ * in proportion to their policy weights (points; equal shares by default)
+ * times the fraction of the slot they worked.
+ * Shares are computed in integer cents with largest-remainder rounding (ties go
+ * to employees in name order), so each pool is paid out to the penny.
+ * @param {Array} intervals - Employee time intervals
+ * @param {Array} tipPools - Tip pools by time slot (from computeTipPools)
+ * @param {Number} intervalMinutes - Size of time interval in minutes
+ * @param {Object} policy - Tip policy used to compute the pools
+ * @return {Array} - One share record per interval, in the order of intervals
+ */
+function calculateIndividualTipShares(intervals, tipPools, intervalMinutes, policy = defaultTipPolicy()) {
   let tipPoolMap = {};
   tipPools.forEach(pool => {
     const key = pool.Date + '|' + pool.TimeSlotStart.toISOString();
     tipPoolMap[key] = pool;
   });
-  let individualTipShares = [];
-  intervals.forEach(rec => {
+
+  // Group interval indexes by slot and pool group so each pool is split in one pass
+  let members = {};
+  intervals.forEach((rec, idx) => {
     const key = rec.Date + '|' + rec.TimeSlotStart.toISOString();
-    const pool = tipPoolMap[key];
-    let share = 0;
-    if (pool) {
-      const category = categorizeEmployee(rec);
-      if (category === 'FOH' && pool.FOHCount > 0) {
-        share = pool.FOHTipPool / pool.FOHCount;
-      } else if (category === 'BOH' && pool.BOHCount > 0) {
-        share = pool.BOHTipPool / pool.BOHCount;
-      }
-    }
-    individualTipShares.push({
-      Employee: rec.Employee,
-      Department: rec.Department,
-      Date: rec.Date,
-      TimeSlotStart: rec.TimeSlotStart,
-      TimeSlotEnd: rec.TimeSlotEnd,
-      IndividualTipShare: share
-    });
+    if (!tipPoolMap[key]) return;
+    const group = groupForCategory(policy, categoryOf(rec));
+    if (!group) return;
+    const groupKey = key + '|' + group.name;
+    if (!members[groupKey]) members[groupKey] = { pool: tipPoolMap[key], group: group.name, indexes: [] };
+    members[groupKey].indexes.push(idx);
   });
-  return individualTipShares;
+
+  const weights = intervals.map(rec => weightFor(policy, rec));
+  let shareCents = intervals.map(() => 0);
+  Object.values(members).forEach(({ pool, group, indexes }) => {
+    const poolCents = pool.GroupPoolsCents[group] || 0;
+    const ordered = indexes.slice().sort((a, b) =>
+      intervals[a].Employee < intervals[b].Employee ? -1 : intervals[a].Employee > intervals[b].Employee ? 1 : a - b
+    );
+    const split = allocateCents(poolCents, ordered.map(idx => weights[idx] * fractionOf(intervals[idx])));
+    ordered.forEach((idx, i) => { shareCents[idx] = split[i]; });
+  });
+
+  return intervals.map((rec, idx) => ({
+    Employee: rec.Employee,
+    Department: rec.Department,
+    Category: categoryOf(rec),
+    Date: rec.Date,
+    TimeSlotStart: rec.TimeSlotStart,
+    TimeSlotEnd: rec.TimeSlotEnd,
+    Weight: weights[idx],
+    Fraction: fractionOf(rec),
+    IndividualTipShareCents: shareCents[idx],
+    IndividualTipShare: fromCents(shareCents[idx])
+  }));
 }
 
 function identifyUnallocatedTips(tipPools, intervalMinutes) {
   const unallocatedTips = [];
   
   tipPools.forEach(r => {
-    let orphaned = 0;
-    
-    if (r.TotalStaff === 0) {
-      orphaned = r.AmtTip;
-    } else if (r.AmtTip > 0) {
-      if (r.FOHCount === 0) orphaned += r.FOHTipPool;
-      if (r.BOHCount === 0) orphaned += r.BOHTipPool;
-    }
+    // Everything not paid to a present group: slots with no pooled staff, and
+    // shares held for absent groups whose policy leaves them unallocated
+    const orphaned = r.UnallocatedCents;
     
-    if (orphaned > 0) {
+    if (orphaned !== 0) {
       unallocatedTips.push({
         Date: r.Date,
         TimeSlotStart: r.TimeSlotStart,
-        UnallocatedTip: orphaned
+        UnallocatedTipCents: orphaned,
+        UnallocatedTip: fromCents(orphaned),
+        UnallocatedGroupCents: r.UnallocatedGroupCents
       });
     }
   });
@@ -186,74 +294,420 @@ function identifyUnallocatedTips(tipPools, intervalMinutes) {
   return unallocatedTips;
 }
 
-function redistributeUnallocatedTips(unallocatedTips, intervals, intervalMinutes) {
-  let unallocByDay = {};
-  unallocatedTips.forEach(rec => {
-    if (!unallocByDay[rec.Date]) unallocByDay[rec.Date] = 0;
-    unallocByDay[rec.Date] += rec.UnallocatedTip;
+/**
+ * Pay a day's unallocated tips back out using the chosen strategy (see
+ * REDISTRIBUTION_STRATEGIES). Amounts nobody is eligible for - e.g. a day with
+ * no pooled staff - go to the house/unclaimed line rather than disappearing.
+ * Shares are integer cents with largest-remainder rounding (ties go to
+ * employees in name order).
+ * @param {Array} unallocatedTips - Unallocated tips by slot (from identifyUnallocatedTips)
+ * @param {Array} intervals - Employee time intervals
+ * @param {Number} intervalMinutes - Size of time interval in minutes
+ * @param {Object} options - Optional { strategy (default 'equal'), policy, individualTipShares
+ *                           (needed for 'allocated-tips') }
+ * @return {Array} - [{ Date, Employee, Group, Strategy, House, UnallocatedTipShareCents, UnallocatedTipShare }]
+ */
+function redistributeUnallocatedTips(unallocatedTips, intervals, intervalMinutes, options = {}) {
+  const strategy = options.strategy || REDISTRIBUTION_STRATEGIES.EQUAL;
+  const policy = options.policy || defaultTipPolicy();
+  if (!Object.values(REDISTRIBUTION_STRATEGIES).includes(strategy)) {
+    throw new Error(`Redistribution strategy "${strategy}" must be one of: ${Object.values(REDISTRIBUTION_STRATEGIES).join(', ')}`);
+  }
+
+  const shares = new Map();
+  const credit = (date, employee, group, cents) => {
+    if (cents === 0) return;
+    const key = `${date}|${employee}|${group}`;
+    const entry = shares.get(key) || { date, employee, group, cents: 0 };
+    entry.cents += cents;
+    shares.set(key, entry);
+  };
+  // Split among { employee: weight }; with nobody to pay, the amount is held for the house
+  const payOut = (date, group, amountCents, weightsByEmployee) => {
+    const employees = Object.keys(weightsByEmployee).filter(emp => weightsByEmployee[emp] > 0).sort();
+    if (employees.length === 0) {
+      credit(date, HOUSE_LINE, group, amountCents);
+      return;
+    }
+    const split = allocateCents(amountCents, employees.map(emp => weightsByEmployee[emp]));
+    employees.forEach((emp, idx) => credit(date, emp, group, split[idx]));
+  };
+  const groupOf = rec => groupForCategory(policy, categoryOf(rec));
+  const addTo = (map, key, employee, amount) => {
+    if (!map[key]) map[key] = {};
+    map[key][employee] = (map[key][employee] || 0) + amount;
+  };
+  // The group each unallocated cent was held for (unknown for records built by hand)
+  const heldByGroup = rec => rec.UnallocatedGroupCents || { '': rec.UnallocatedTipCents };
+
+  if (strategy === REDISTRIBUTION_STRATEGIES.NEAREST_SLOT) {
+    // Slots that had pooled staff, per date and group
+    const staffedSlots = {};
+    intervals.forEach(rec => {
+      const group = groupOf(rec);
+      if (!group || fractionOf(rec) <= 0) return;
+      const key = `${rec.Date}|${group.name}`;
+      const start = rec.TimeSlotStart.getTime();
+      if (!staffedSlots[key]) staffedSlots[key] = {};
+      if (!staffedSlots[key][start]) staffedSlots[key][start] = {};
+      const members = staffedSlots[key][start];
+      members[rec.Employee] = (members[rec.Employee] || 0) + weightFor(policy, rec) * fractionOf(rec);
+    });
+    unallocatedTips.forEach(rec => {
+      const start = rec.TimeSlotStart.getTime();
+      Object.entries(heldByGroup(rec)).forEach(([group, cents]) => {
+        const slots = staffedSlots[`${rec.Date}|${group}`] || {};
+        // Closest staffed slot that day; the earlier one wins a tie
+        const nearest = Object.keys(slots).map(Number).sort((a, b) => a - b)
+          .reduce((best, t) => (best === null || Math.abs(t - start) < Math.abs(best - start) ? t : best), null);
+        payOut(rec.Date, group, cents, nearest === null ? {} : slots[nearest]);
+      });
+    });
+  } else if (strategy === REDISTRIBUTION_STRATEGIES.MISSING_CATEGORY) {
+    // Staff of the missing group who worked that day, by hours worked
+    const hoursByGroup = {};
+    intervals.forEach(rec => {
+      const group = groupOf(rec);
+      if (group) addTo(hoursByGroup, `${rec.Date}|${group.name}`, rec.Employee, fractionOf(rec) * intervalMinutes / 60);
+    });
+    const byDayGroup = {};
+    unallocatedTips.forEach(rec => {
+      Object.entries(heldByGroup(rec)).forEach(([group, cents]) => addTo(byDayGroup, rec.Date, group, cents));
+    });
+    Object.entries(byDayGroup).forEach(([date, groups]) => {
+      Object.entries(groups).forEach(([group, cents]) => payOut(date, group, cents, hoursByGroup[`${date}|${group}`] || {}));
+    });
+  } else {
+    const unallocByDay = {};
+    unallocatedTips.forEach(rec => {
+      unallocByDay[rec.Date] = (unallocByDay[rec.Date] || 0) + rec.UnallocatedTipCents;
+    });
+
+    const weightsByDay = {};
+    if (strategy === REDISTRIBUTION_STRATEGIES.EQUAL) {
+      // Everyone who worked that day, executives included (the original behaviour)
+      intervals.forEach(rec => {
+        if (!weightsByDay[rec.Date]) weightsByDay[rec.Date] = {};
+        weightsByDay[rec.Date][rec.Employee] = 1;
+      });
+    } else if (strategy === REDISTRIBUTION_STRATEGIES.HOURS) {
+      intervals.filter(groupOf).forEach(rec => addTo(weightsByDay, rec.Date, rec.Employee, fractionOf(rec) * intervalMinutes / 60));
+    } else if (strategy === REDISTRIBUTION_STRATEGIES.ALLOCATED_TIPS) {
+      (options.individualTipShares || []).forEach(rec => addTo(weightsByDay, rec.Date, rec.Employee, rec.IndividualTipShareCents));
+    }
+    Object.entries(unallocByDay).forEach(([date, cents]) => payOut(date, '', cents, weightsByDay[date] || {}));
+  }
+
+  return Array.from(shares.values())
+    .map(({ date, employee, group, cents }) => ({
+      Date: date,
+      Employee: employee,
+      Group: group,
+      Strategy: strategy,
+      House: employee === HOUSE_LINE,
+      UnallocatedTipShareCents: cents,
+      UnallocatedTipShare: fromCents(cents)
+    }))
+    .sort(compareRedistribution);
+}
+
+// By date, the house line last within a day, then employee and group
+function compareRedistribution(a, b) {
+  return (a.Date < b.Date ? -1 : a.Date > b.Date ? 1 : 0) ||
+    (a.House - b.House) ||
+    (a.Employee < b.Employee ? -1 : a.Employee > b.Employee ? 1 : 0) ||
+    (a.Group < b.Group ? -1 : a.Group > b.Group ? 1 : 0);
+}
+
+// Add two { name: cents } maps
+const addCentsMaps = (a = {}, b = {}) => {
+  const sum = { ...a };
+  Object.entries(b).forEach(([name, cents]) => { sum[name] = (sum[name] || 0) + cents; });
+  return sum;
+};
+
+// Merge rows of both sources that share a key: addInto adds the second row's amounts
+// to the first, and each merged row records how much came from card and from cash
+function mergeBySource(cardRows, cashRows, keyOf, amountOf, addInto) {
+  const merged = new Map();
+  const take = (rows, field) => rows.forEach(rec => {
+    const key = keyOf(rec);
+    if (!merged.has(key)) {
+      merged.set(key, { ...rec, CardTipsCents: 0, CashTipsCents: 0 });
+    } else {
+      addInto(merged.get(key), rec);
+    }
+    merged.get(key)[field] += amountOf(rec);
+  });
+  take(cardRows, 'CardTipsCents');
+  take(cashRows, 'CashTipsCents');
+  return Array.from(merged.values());
+}
+
+/**
+ * Add the tips servers kept and the tip-outs they paid to the allocation of the
+ * tips left in the pools, giving one card allocation. Pool rows show the whole
+ * slot (AmtTipCents) split into PooledTipCents, ServerTipsCents and
+ * TipOutCents; shares gain OwnTipsCents and TipOutsReceivedCents.
+ * @param {Object} pooled - Allocation of attributed.pooledSlots through the policy pools
+ * @param {Object} attributed - From attributeServerTips
+ * @param {Object} tipOuts - Allocation of the tip-out pools (see computeTipOutPools)
+ * @return {Object} - { tipPools, individualTipShares, unallocatedTips, redistribution }
+ */
+function addServerTips(pooled, attributed, tipOuts) {
+  const slotKey = rec => `${rec.Date}|${rec.TimeSlotStart.toISOString()}`;
+  const bySlot = (a, b) => (a.Date < b.Date ? -1 : a.Date > b.Date ? 1 : 0) || a.TimeSlotStart - b.TimeSlotStart;
+  const slots = new Map(attributed.pooledSlots.map(slot => [slotKey(slot), slot]));
+  const tipOutPools = new Map(tipOuts.tipPools.map(pool => [slotKey(pool), pool]));
+
+  const tipPools = pooled.tipPools.map(pool => {
+    const slot = slots.get(slotKey(pool)) || {};
+    const serverTipsCents = slot.ServerTipsCents || 0;
+    const tipOutCents = slot.TipOutCents || 0;
+    const totalCents = pool.AmtTipCents + serverTipsCents + tipOutCents;
+    return {
+      ...pool,
+      AmtTipCents: totalCents,
+      AmtTip: fromCents(totalCents),
+      PooledTipCents: pool.AmtTipCents,
+      ServerTipsCents: serverTipsCents,
+      TipOutCents: tipOutCents,
+      TipOutPoolsCents: tipOutPools.has(slotKey(pool)) ? tipOutPools.get(slotKey(pool)).GroupPoolsCents : {}
+    };
+  });
+
+  const individualTipShares = pooled.individualTipShares.map((rec, idx) => {
+    const ownCents = attributed.ownTipsCents[idx] || 0;
+    const tipOutCents = tipOuts.individualTipShares[idx] ? tipOuts.individualTipShares[idx].IndividualTipShareCents : 0;
+    const totalCents = rec.IndividualTipShareCents + ownCents + tipOutCents;
+    return {
+      ...rec,
+      PooledTipsCents: rec.IndividualTipShareCents,
+      OwnTipsCents: ownCents,
+      TipOutsReceivedCents: tipOutCents,
+      IndividualTipShareCents: totalCents,
+      IndividualTipShare: fromCents(totalCents)
+    };
+  });
+
+  return {
+    tipPools,
+    individualTipShares,
+    unallocatedTips: pooled.unallocatedTips.concat(tipOuts.unallocatedTips).sort(bySlot),
+    redistribution: pooled.redistribution.concat(tipOuts.redistribution).sort(compareRedistribution)
+  };
+}
+
+/**
+ * Combine the card and cash allocations. Each source is pooled, split and
+ * redistributed on its own (so each balances to the penny); the combined rows
+ * carry the total plus CardTipsCents and CashTipsCents.
+ * @param {Object} card - { tipPools, individualTipShares, unallocatedTips, redistribution } for card tips
+ * @param {Object} cash - The same for cash tips, computed over the same intervals
+ * @return {Object} - { tipPools, individualTipShares, unallocatedTips, redistribution }
+ */
+function combineTipSources(card, cash) {
+  const slotKey = rec => `${rec.Date}|${rec.TimeSlotStart.toISOString()}`;
+  const bySlot = (a, b) => (a.Date < b.Date ? -1 : a.Date > b.Date ? 1 : 0) || a.TimeSlotStart - b.TimeSlotStart;
+
+  const tipPools = mergeBySource(card.tipPools, cash.tipPools, slotKey, rec => rec.AmtTipCents, (pool, rec) => {
+    pool.AmtTipCents += rec.AmtTipCents;
+    pool.AmtTip = fromCents(pool.AmtTipCents);
+    pool.GrossTipCents += rec.GrossTipCents;
+    pool.FeeCents += rec.FeeCents;
+    pool.AmtSaleCents += rec.AmtSaleCents;
+    pool.SalesByCategory = addCentsMaps(pool.SalesByCategory, rec.SalesByCategory);
+    pool.GroupPoolsCents = addCentsMaps(pool.GroupPoolsCents, rec.GroupPoolsCents);
+    pool.UnallocatedCents += rec.UnallocatedCents;
+    pool.UnallocatedGroupCents = addCentsMaps(pool.UnallocatedGroupCents, rec.UnallocatedGroupCents);
+    pool.FOHTipPoolCents += rec.FOHTipPoolCents;
+    pool.BOHTipPoolCents += rec.BOHTipPoolCents;
+    pool.FOHTipPool = fromCents(pool.FOHTipPoolCents);
+    pool.BOHTipPool = fromCents(pool.BOHTipPoolCents);
+  }).sort(bySlot);
+
+  const unallocatedTips = mergeBySource(card.unallocatedTips, cash.unallocatedTips, slotKey, rec => rec.UnallocatedTipCents,
+    (tip, rec) => {
+      tip.UnallocatedTipCents += rec.UnallocatedTipCents;
+      tip.UnallocatedTip = fromCents(tip.UnallocatedTipCents);
+      tip.UnallocatedGroupCents = addCentsMaps(tip.UnallocatedGroupCents, rec.UnallocatedGroupCents);
+    }).sort(bySlot);
+
+  // Both sources are split over the same intervals, so shares line up by position
+  const individualTipShares = card.individualTipShares.map((rec, idx) => {
+    const cashCents = cash.individualTipShares[idx] ? cash.individualTipShares[idx].IndividualTipShareCents : 0;
+    const totalCents = rec.IndividualTipShareCents + cashCents;
+    return {
+      ...rec,
+      CardTipsCents: rec.IndividualTipShareCents,
+      CashTipsCents: cashCents,
+      IndividualTipShareCents: totalCents,
+      IndividualTipShare: fromCents(totalCents)
+    };
+  });
+
+  const redistribution = mergeBySource(card.redistribution, cash.redistribution,
+    rec => `${rec.Date}|${rec.Employee}|${rec.Group}`, rec => rec.UnallocatedTipShareCents, (share, rec) => {
+      share.UnallocatedTipShareCents += rec.UnallocatedTipShareCents;
+      share.UnallocatedTipShare = fromCents(share.UnallocatedTipShareCents);
+    }).sort(compareRedistribution);
+
+  return { tipPools, individualTipShares, unallocatedTips, redistribution };
+}
+
+/**
+ * Total each employee's tips per role (category and department), for people who
+ * work more than one. Slot shares already belong to the role of the shift; a
+ * day's redistributed share is split over the roles worked that day in
+ * proportion to the hours in each (only roles in the share's group, for the
+ * per-group strategies).
+ * @param {Array} individualTipShares - From calculateIndividualTipShares
+ * @param {Array} redistribution - From redistributeUnallocatedTips
+ * @param {Array} intervals - Employee time intervals
+ * @param {Number} intervalMinutes - Size of time interval in minutes
+ * @param {Object} policy - Tip policy used for the allocation
+ * @return {Array} - [{ Employee, Category, Department, AllocatedTipsCents, UnallocatedTipsCents,
+ *                    TotalTipsCents, ... }] sorted by employee and role; the house line comes last
+ */
+function aggregateTipsByRole(individualTipShares, redistribution, intervals, intervalMinutes, policy = defaultTipPolicy()) {
+  const totals = new Map();
+  const add = (employee, category, department, field, cents) => {
+    const key = `${employee}|${category}|${department}`;
+    if (!totals.has(key)) {
+      totals.set(key, { Employee: employee, Category: category, Department: department, AllocatedTipsCents: 0, UnallocatedTipsCents: 0 });
+    }
+    totals.get(key)[field] += cents;
+  };
+
+  individualTipShares.forEach(rec => {
+    add(rec.Employee, rec.Category || categoryOf(rec), rec.Department, 'AllocatedTipsCents', rec.IndividualTipShareCents);
   });
-  let employeesByDay = {};
+
+  // Hours per role for each employee and day
+  const rolesByDay = {};
   intervals.forEach(rec => {
-    if (!employeesByDay[rec.Date]) employeesByDay[rec.Date] = new Set();
-    employeesByDay[rec.Date].add(rec.Employee);
+    const dayKey = `${rec.Date}|${rec.Employee}`;
+    const category = categoryOf(rec);
+    const roleKey = `${category}|${rec.Department}`;
+    if (!rolesByDay[dayKey]) rolesByDay[dayKey] = {};
+    if (!rolesByDay[dayKey][roleKey]) rolesByDay[dayKey][roleKey] = { category, department: rec.Department, minutes: 0 };
+    rolesByDay[dayKey][roleKey].minutes += fractionOf(rec) * intervalMinutes;
   });
-  let redistribution = [];
-  for (let date in unallocByDay) {
-    const totalUnalloc = unallocByDay[date];
-    const employees = Array.from(employeesByDay[date] || []);
-    const share = employees.length > 0 ? totalUnalloc / employees.length : 0;
-    employees.forEach(emp => {
-      redistribution.push({
-        Date: date,
-        Employee: emp,
-        UnallocatedTipShare: share
-      });
+
+  redistribution.forEach(rec => {
+    const group = rec.Group ? policy.groups.find(g => g.name === rec.Group) : null;
+    let roles = Object.keys(rolesByDay[`${rec.Date}|${rec.Employee}`] || {}).sort()
+      .map(roleKey => rolesByDay[`${rec.Date}|${rec.Employee}`][roleKey]);
+    if (group && roles.some(r => group.categories.includes(r.category))) {
+      roles = roles.filter(r => group.categories.includes(r.category));
+    }
+    if (roles.length === 0) {
+      add(rec.Employee, '', '', 'UnallocatedTipsCents', rec.UnallocatedTipShareCents);
+      return;
+    }
+    const split = allocateCents(rec.UnallocatedTipShareCents, roles.map(r => r.minutes));
+    roles.forEach((r, idx) => add(rec.Employee, r.category, r.department, 'UnallocatedTipsCents', split[idx]));
+  });
+
+  return Array.from(totals.values())
+    .sort((a, b) =>
+      (a.Employee === HOUSE_LINE) - (b.Employee === HOUSE_LINE) ||
+      a.Employee.localeCompare(b.Employee) ||
+      String(a.Category).localeCompare(String(b.Category)) ||
+      String(a.Department).localeCompare(String(b.Department)))
+    .map(row => {
+      const totalTips = sumCents([row.AllocatedTipsCents, row.UnallocatedTipsCents]);
+      return {
+        ...row,
+        House: row.Employee === HOUSE_LINE,
+        TotalTipsCents: totalTips,
+        AllocatedTips: fromCents(row.AllocatedTipsCents),
+        UnallocatedTips: fromCents(row.UnallocatedTipsCents),
+        TotalTips: fromCents(totalTips)
+      };
     });
-  }
-  return redistribution;
 }
 
-function aggregateFinalTips(individualTipShares, redistribution) {
+/**
+ * Total each employee's allocated and redistributed tips
+ * @param {Array} individualTipShares - From calculateIndividualTipShares
+ * @param {Array} redistribution - From redistributeUnallocatedTips
+ * @param {Object} employeeIds - Optional { [Employee]: EmployeeId }
+ * @param {Array} roleTotals - Optional rows from aggregateTipsByRole, summed into
+ *                             ByCategoryCents ({ FOH: cents, BOH: cents, ... })
+ * @return {Array} - One row per employee in integer cents and dollars, with the total split into
+ *                   CardTipsCents and CashTipsCents; the house line comes last
+ */
+function aggregateFinalTips(individualTipShares, redistribution, employeeIds = {}, roleTotals = []) {
   let tipByEmployee = {};
   
   individualTipShares.forEach(rec => {
     if (!tipByEmployee[rec.Employee]) {
       tipByEmployee[rec.Employee] = {
         allocatedTips: 0,
-        unallocatedTips: 0
+        unallocatedTips: 0,
+        cashTips: 0
       };
     }
-    tipByEmployee[rec.Employee].allocatedTips += rec.IndividualTipShare;
+    tipByEmployee[rec.Employee].allocatedTips += rec.IndividualTipShareCents;
+    tipByEmployee[rec.Employee].cashTips += cashCentsOf(rec);
   });
   
   redistribution.forEach(rec => {
     if (!tipByEmployee[rec.Employee]) {
       tipByEmployee[rec.Employee] = {
         allocatedTips: 0,
-        unallocatedTips: 0
+        unallocatedTips: 0,
+        cashTips: 0
       };
     }
-    tipByEmployee[rec.Employee].unallocatedTips += rec.UnallocatedTipShare;
+    tipByEmployee[rec.Employee].unallocatedTips += rec.UnallocatedTipShareCents;
+    tipByEmployee[rec.Employee].cashTips += cashCentsOf(rec);
   });
   
+  const byCategory = {};
+  roleTotals.filter(r => r.Category).forEach(r => {
+    if (!byCategory[r.Employee]) byCategory[r.Employee] = {};
+    byCategory[r.Employee][r.Category] = (byCategory[r.Employee][r.Category] || 0) + r.TotalTipsCents;
+  });
+
   let finalTotals = [];
   for (let emp in tipByEmployee) {
+    const { allocatedTips, unallocatedTips, cashTips } = tipByEmployee[emp];
+    const totalTips = sumCents([allocatedTips, unallocatedTips]);
     finalTotals.push({
       Employee: emp,
-      AllocatedTips: tipByEmployee[emp].allocatedTips,
-      UnallocatedTips: tipByEmployee[emp].unallocatedTips,
-      TotalTips: tipByEmployee[emp].allocatedTips + tipByEmployee[emp].unallocatedTips
+      EmployeeId: employeeIds[emp] || '',
+      House: emp === HOUSE_LINE,
+      ByCategoryCents: byCategory[emp] || {},
+      AllocatedTipsCents: allocatedTips,
+      UnallocatedTipsCents: unallocatedTips,
+      TotalTipsCents: totalTips,
+      CardTipsCents: totalTips - cashTips,
+      CashTipsCents: cashTips,
+      AllocatedTips: fromCents(allocatedTips),
+      UnallocatedTips: fromCents(unallocatedTips),
+      TotalTips: fromCents(totalTips),
+      CardTips: fromCents(totalTips - cashTips),
+      CashTips: fromCents(cashTips)
     });
   }
   
-  return finalTotals;
+  // The house/unclaimed line is not an employee; keep it at the bottom
+  return finalTotals.sort((a, b) => a.House - b.House);
 }
 
 module.exports = {
+  REDISTRIBUTION_STRATEGIES,
+  HOUSE_LINE,
   countStaffPerSlot,
   computeTipPools,
+  computeTipOutPools,
   calculateIndividualTipShares,
   identifyUnallocatedTips,
   redistributeUnallocatedTips,
+  addServerTips,
+  combineTipSources,
+  aggregateTipsByRole,
   aggregateFinalTips
 };
\ No newline at end of file
@@ -0,0 +1,285 @@
+// src/tipPolicy.js
+
+const { readConfigFile } = require('./configFile');
+
+// What happens to a group's share of a slot when nobody from that group is clocked in
+const ABSENT_RULES = {
+  SHARE_WITH_PRESENT: 'shareWithPresent', // give it to the groups that are present, in proportion to their percentages
+  UNALLOCATED: 'unallocated'              // leave it unallocated so it is redistributed for the day
+};
+
+// How card tips reach employees
+const ATTRIBUTION_MODES = {
+  POOLED: 'pooled', // every tip goes into the pools of its slot (default)
+  SERVER: 'server'  // servers keep the tips on their own transactions, less the tip-outs
+};
+
+// What a tip-out percentage is taken of
+const TIP_OUT_BASES = {
+  TIPS: 'tips',  // the server's tips
+  SALES: 'sales' // the server's sales (AmtSale column)
+};
+
+// Own keys only, so names such as "constructor" do not find Object's members
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * Build the built-in policy: 85% FOH / 15% BOH, a missing group's share goes
+ * to the group that is present, executives excluded.
+ * @param {Number} bohPct - Optional BOH percentage override (0-100)
+ * @return {Object} - Tip policy
+ */
+function defaultTipPolicy(bohPct = null) {
+  const boh = bohPct !== null && bohPct !== undefined ? bohPct : 15;
+  return {
+    name: 'Default FOH/BOH split',
+    excludeExecutives: true,
+    attribution: ATTRIBUTION_MODES.POOLED,
+    tipOuts: [],
+    weights: { default: 1, roles: {}, employees: {} },
+    groups: [
+      { name: 'FOH', percent: 100 - boh, categories: ['FOH'], whenAbsent: ABSENT_RULES.SHARE_WITH_PRESENT },
+      { name: 'BOH', percent: boh, categories: ['BOH'], whenAbsent: ABSENT_RULES.SHARE_WITH_PRESENT }
+    ]
+  };
+}
+
+/**
+ * Fill in optional fields and check a policy for mistakes
+ * @param {Object} policy - Tip policy as written in the policy file
+ * @return {Object} - Normalized policy
+ * @throws {Error} - With every problem found, if the policy is invalid
+ */
+function validateTipPolicy(policy) {
+  const errors = [];
+  if (!policy || typeof policy !== 'object') {
+    throw new Error('Tip policy must be an object');
+  }
+  if (!Array.isArray(policy.groups) || policy.groups.length === 0) {
+    throw new Error('Tip policy must define at least one pool group');
+  }
+
+  const excludeExecutives = policy.excludeExecutives !== false;
+  const defaultWhenAbsent = policy.whenGroupAbsent || ABSENT_RULES.SHARE_WITH_PRESENT;
+  const seenNames = new Set();
+  const seenCategories = {};
+
+  const groups = policy.groups.map((group, idx) => {
+    const label = group && group.name ? `Group "${group.name}"` : `Group #${idx + 1}`;
+    if (!group || !group.name) {
+      errors.push(`${label} is missing a name`);
+      return group;
+    }
+    if (seenNames.has(group.name)) errors.push(`${label} is defined more than once`);
+    seenNames.add(group.name);
+
+    const percent = Number(group.percent);
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+      errors.push(`${label} percent must be between 0 and 100`);
+    }
+
+    const categories = group.categories || [group.name];
+    if (!Array.isArray(categories) || categories.length === 0) {
+      errors.push(`${label} must list the employee categories it pools`);
+    } else {
+      categories.forEach(category => {
+        if (seenCategories[category]) {
+          errors.push(`Category "${category}" is in both "${seenCategories[category]}" and "${group.name}"`);
+        }
+        seenCategories[category] = group.name;
+        if (category === 'EXEC' && excludeExecutives) {
+          errors.push(`${label} includes EXEC but the policy excludes executives`);
+        }
+      });
+    }
+
+    const whenAbsent = group.whenAbsent || defaultWhenAbsent;
+    if (!Object.values(ABSENT_RULES).includes(whenAbsent)) {
+      errors.push(`${label} whenAbsent must be one of: ${Object.values(ABSENT_RULES).join(', ')}`);
+    }
+
+    return { name: group.name, percent, categories, whenAbsent };
+  });
+
+  const weights = validateWeights(policy.weights, errors);
+  const attribution = policy.attribution || ATTRIBUTION_MODES.POOLED;
+  if (!Object.values(ATTRIBUTION_MODES).includes(attribution)) {
+    errors.push(`attribution must be one of: ${Object.values(ATTRIBUTION_MODES).join(', ')}`);
+  }
+  const tipOuts = validateTipOuts(policy.tipOuts, errors);
+  if (tipOuts.length > 0 && attribution !== ATTRIBUTION_MODES.SERVER) {
+    errors.push(`tipOuts only apply when attribution is "${ATTRIBUTION_MODES.SERVER}"`);
+  }
+
+  const totalPercent = groups.reduce((acc, g) => acc + (g && !isNaN(g.percent) ? g.percent : 0), 0);
+  if (Math.abs(totalPercent - 100) > 1e-9) {
+    errors.push(`Group percentages must add up to 100 (got ${totalPercent})`);
+  }
+  if (!excludeExecutives && !seenCategories.EXEC) {
+    errors.push('excludeExecutives is false but no group includes the EXEC category');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid tip policy:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { ...policy, name: policy.name || 'Custom policy', excludeExecutives, attribution, tipOuts, groups, weights };
+}
+
+/**
+ * Normalize the optional tip-outs of a server-attribution policy. Each one
+ * takes a percentage of a server's tips or sales (optionally only the sales of
+ * some sale categories) for a support pool, which is shared by the employees of
+ * its categories clocked in to the slot:
+ *   tipOuts: [ { name: Bussers, percent: 3, of: sales, categories: [Busser] },
+ *              { name: Bar, percent: 5, of: sales, salesCategories: [alcohol], categories: [BAR] } ]
+ * @param {Array} tipOuts - Tip-outs as written in the policy file
+ * @param {Array} errors - Collected validation errors (appended to)
+ * @return {Array} - [{ name, percent, of, salesCategories (lower case), categories }]
+ */
+function validateTipOuts(tipOuts, errors) {
+  if (tipOuts === undefined || tipOuts === null) return [];
+  if (!Array.isArray(tipOuts)) {
+    errors.push('tipOuts must be a list');
+    return [];
+  }
+  const seenNames = new Set();
+  const seenCategories = {};
+  const normalized = tipOuts.map((tipOut, idx) => {
+    const label = tipOut && tipOut.name ? `Tip-out "${tipOut.name}"` : `Tip-out #${idx + 1}`;
+    if (!tipOut || !tipOut.name) {
+      errors.push(`${label} is missing a name`);
+      return null;
+    }
+    if (seenNames.has(tipOut.name)) errors.push(`${label} is defined more than once`);
+    seenNames.add(tipOut.name);
+
+    const percent = Number(tipOut.percent);
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+      errors.push(`${label} percent must be between 0 and 100`);
+    }
+    const of = tipOut.of || TIP_OUT_BASES.TIPS;
+    if (!Object.values(TIP_OUT_BASES).includes(of)) {
+      errors.push(`${label} "of" must be one of: ${Object.values(TIP_OUT_BASES).join(', ')}`);
+    }
+    // Sale categories (SaleCategory column) a sales-based tip-out is limited to; all sales by default
+    const salesCategories = [].concat(tipOut.salesCategories || []).map(c => String(c).trim().toLowerCase());
+    if (salesCategories.length > 0 && of !== TIP_OUT_BASES.SALES) {
+      errors.push(`${label} salesCategories need "of: ${TIP_OUT_BASES.SALES}"`);
+    }
+    const categories = tipOut.categories || [tipOut.name];
+    if (!Array.isArray(categories) || categories.length === 0) {
+      errors.push(`${label} must list the employee categories it is paid to`);
+    } else {
+      categories.forEach(category => {
+        if (seenCategories[category]) {
+          errors.push(`Category "${category}" is in both tip-outs "${seenCategories[category]}" and "${tipOut.name}"`);
+        }
+        seenCategories[category] = tipOut.name;
+      });
+    }
+    return { name: tipOut.name, percent, of, salesCategories, categories };
+  }).filter(Boolean);
+
+  const ofTips = normalized.filter(t => t.of === TIP_OUT_BASES.TIPS && !isNaN(t.percent))
+    .reduce((acc, t) => acc + t.percent, 0);
+  if (ofTips > 100) errors.push(`Tip-outs of tips add up to more than 100 (got ${ofTips})`);
+  return normalized;
+}
+
+/**
+ * Normalize the optional points section of a policy:
+ *   weights: { default: 1, roles: { Server: 1, Busser: 0.5 }, employees: { 'Jane Doe': 1.2 } }
+ * @param {Object} weights - Weights as written in the policy file
+ * @param {Array} errors - Collected validation errors (appended to)
+ * @return {Object} - Normalized weights
+ */
+function validateWeights(weights, errors) {
+  const normalized = { default: 1, roles: {}, employees: {} };
+  if (weights === undefined || weights === null) return normalized;
+
+  const check = (label, value) => {
+    const weight = Number(value);
+    if (isNaN(weight) || weight <= 0) {
+      errors.push(`Weight for ${label} must be a number greater than 0`);
+    }
+    return weight;
+  };
+
+  if (weights.default !== undefined) normalized.default = check('default', weights.default);
+  Object.entries(weights.roles || {}).forEach(([role, value]) => {
+    normalized.roles[role] = check(`role "${role}"`, value);
+  });
+  Object.entries(weights.employees || {}).forEach(([employee, value]) => {
+    normalized.employees[employee] = check(`employee "${employee}"`, value);
+  });
+  return normalized;
+}
+
+/**
+ * Build the policy the tip-out pools are shared by: one group per tip-out, paid
+ * to its categories with the policy's weights; a tip-out nobody from its
+ * categories is clocked in for stays unallocated
+ * @param {Object} policy - Validated tip policy with tipOuts
+ * @return {Object} - Tip policy for the tip-out pools
+ */
+function tipOutPolicy(policy) {
+  return {
+    name: `${policy.name} tip-outs`,
+    excludeExecutives: policy.excludeExecutives,
+    weights: policy.weights,
+    groups: (policy.tipOuts || []).map(tipOut => ({
+      name: tipOut.name,
+      percent: tipOut.percent,
+      categories: tipOut.categories,
+      whenAbsent: ABSENT_RULES.UNALLOCATED
+    }))
+  };
+}
+
+/**
+ * Load a tip policy from a JSON or YAML file
+ * @param {String} filePath - Path to a .json, .yaml or .yml policy file
+ * @return {Object} - Validated policy
+ */
+function loadTipPolicy(filePath) {
+  return validateTipPolicy(readConfigFile(filePath));
+}
+
+/**
+ * Find the pool group an employee category belongs to
+ * @param {Object} policy - Validated tip policy
+ * @param {String} category - Employee category (e.g. 'FOH')
+ * @return {Object|null} - The group, or null if the category is not pooled
+ */
+function groupForCategory(policy, category) {
+  return policy.groups.find(g => g.categories.includes(category)) || null;
+}
+
+/**
+ * Look up an employee's share weight (points) for a time slot.
+ * An individual override wins, then the weight for their position, then their
+ * department, then the policy default (1 = equal shares).
+ * @param {Object} policy - Validated tip policy
+ * @param {Object} record - Interval record with Employee, Position and Department
+ * @return {Number} - Share weight
+ */
+function weightFor(policy, record) {
+  const weights = policy.weights || { default: 1, roles: {}, employees: {} };
+  if (record.Employee && hasOwn(weights.employees, record.Employee)) return weights.employees[record.Employee];
+  if (record.Position && hasOwn(weights.roles, record.Position)) return weights.roles[record.Position];
+  if (record.Department && hasOwn(weights.roles, record.Department)) return weights.roles[record.Department];
+  return weights.default;
+}
+
+module.exports = {
+  ABSENT_RULES,
+  ATTRIBUTION_MODES,
+  TIP_OUT_BASES,
+  defaultTipPolicy,
+  validateTipPolicy,
+  loadTipPolicy,
+  tipOutPolicy,
+  groupForCategory,
+  weightFor
+};
@@ -2,7 +2,14 @@
 
 const fs = require('fs');
 const csvParser = require('csv-parser');
-const { floorToInterval, convertTimezone, createStandardInterval } = require('./utils');
+const { createStandardInterval } = require('./utils');
+const { parseInZone } = require('./timezone');
+const { toCents, fromCents } = require('./money');
+const { tipFeeCents } = require('./cardFees');
+const { isWorkbookFile, readWorkbookRows, rowsToRecords } = require('./spreadsheet');
+const { IMPORT_SOURCES, getImportFormat, resolveImportFormat, applyImportFormat } = require('./importFormats');
+const { dateParsing } = require('./dateFormats');
+const { ISSUE_TYPES } = require('./clockValidation');
 
 function readCSV(filePath) {
   return new Promise((resolve, reject) => {
@@ -15,51 +22,349 @@ function readCSV(filePath) {
   });
 }
 
-async function loadTransactions(filePath) {
-  const data = await readCSV(filePath);
-  return data;
+// Columns that identify the header row of a transactions export
+const TRANSACTION_HEADER_COLUMNS = ['TransDateTime', 'AmtTip'];
+
+// Optional columns naming who rang up a transaction, in order of preference
+const SERVER_NAME_COLUMNS = ['Server', 'Employee'];
+const SERVER_ID_COLUMNS = ['ServerId', 'EmployeeId'];
+// Optional column with the kind of sale (e.g. food, alcohol), for tip-outs of a category's sales
+const SALE_CATEGORY_COLUMNS = ['SaleCategory', 'Category'];
+const firstValue = (row, columns) => {
+  const column = columns.find(col => String(row[col] || '').trim() !== '');
+  return column ? String(row[column]).trim() : '';
+};
+
+// Record types in the optional Type column; a blank type is a sale
+const TRANSACTION_TYPES = {
+  SALE: 'sale',
+  REFUND: 'refund',         // takes AmtTip (or, when blank, the whole tip) back off the original
+  VOID: 'void',             // cancels the original's tip
+  TIP_ADJUST: 'tip-adjust'  // AmtTip is the original's corrected tip
+};
+
+// What happened to each refund, void or tip adjustment
+const ADJUSTMENT_ACTIONS = {
+  APPLIED: 'Applied',
+  UNMATCHED: 'Unmatched',   // no approved sale with the linked ID
+  AMBIGUOUS: 'Ambiguous',   // the check ID belongs to several sales
+  DECLINED: 'Declined',     // the adjustment itself was not approved
+  UNKNOWN_TYPE: 'UnknownType'
+};
+
+const isApproved = r => !!r.Approved && r.Approved.toLowerCase() === 'yes';
+const isDeclined = r => !!r.Approved && r.Approved.trim().toLowerCase() === 'no';
+const idOf = value => String(value === undefined || value === null ? '' : value).trim();
+
+// "Tip Adjust", "TIP_ADJUSTMENT", "Refund" -> TRANSACTION_TYPES value (null if unknown)
+function transactionType(row) {
+  const text = idOf(row.Type).toLowerCase().replace(/[\s_-]+/g, '');
+  if (text === '' || text === 'sale' || text === 'payment') return TRANSACTION_TYPES.SALE;
+  if (text.startsWith('refund') || text === 'return') return TRANSACTION_TYPES.REFUND;
+  if (text.startsWith('void')) return TRANSACTION_TYPES.VOID;
+  if (text.startsWith('tipadj')) return TRANSACTION_TYPES.TIP_ADJUST;
+  return null;
+}
+
+/**
+ * Net refunds, voids and tip adjustments against the sales they belong to. An
+ * adjustment is linked to its sale by OriginalTransactionId, otherwise by
+ * CheckId, otherwise by its own TransactionId; adjustments are applied in time
+ * order and a tip never goes below zero. Sale amounts (AmtSale) are netted the
+ * same way: a void cancels the sale, a refund takes its AmtSale back (a refund
+ * with AmtSale but no AmtTip leaves the tip; one with neither refunds both).
+ * A sale with a blank AmtTip has no tip; one whose AmtTip is not an amount is
+ * counted as no tip too and listed in invalidTips.
+ * @param {Array} transactions - Raw transaction records
+ * @param {Function} parseTime - Reads a TransDateTime value into a Date
+ * @return {Object} - { sales: [{ row, tipCents, saleCents, time }], adjustments: [{ ..., sale }],
+ *                     invalidTips: [{ Record, AmtTip, sale }] }
+ */
+function reconcileTransactions(transactions, parseTime) {
+  const sales = [];
+  const byTransactionId = new Map();
+  const byCheckId = new Map();
+  const pending = [];
+  const invalidTips = [];
+
+  transactions.forEach((row, idx) => {
+    const type = transactionType(row);
+    if (type === TRANSACTION_TYPES.SALE) {
+      if (!isApproved(row)) return;
+      const tipCents = toCents(row.AmtTip);
+      const sale = { row, tipCents: isNaN(tipCents) ? 0 : tipCents, saleCents: toCents(row.AmtSale) || 0, time: parseTime(row.TransDateTime) };
+      if (isNaN(tipCents) && idOf(row.AmtTip) !== '') invalidTips.push({ Record: idx + 1, AmtTip: idOf(row.AmtTip), sale });
+      sales.push(sale);
+      if (idOf(row.TransactionId)) byTransactionId.set(idOf(row.TransactionId), sale);
+      if (idOf(row.CheckId)) byCheckId.set(idOf(row.CheckId), (byCheckId.get(idOf(row.CheckId)) || []).concat(sale));
+      return;
+    }
+    pending.push({ row, idx, type, time: parseTime(row.TransDateTime) });
+  });
+
+  const adjustments = pending
+    .sort((a, b) => (a.time - b.time) || (a.idx - b.idx))
+    .map(({ row, idx, type, time }) => {
+      const adjustment = {
+        Record: idx + 1,
+        TransactionId: idOf(row.TransactionId),
+        LinkedId: idOf(row.OriginalTransactionId) || idOf(row.CheckId) || idOf(row.TransactionId),
+        Type: type || idOf(row.Type),
+        TransDateTime: time,
+        AmountCents: toCents(row.AmtTip),
+        TipBeforeCents: null,
+        TipAfterCents: null,
+        ChangeCents: 0,
+        SaleChangeCents: 0,
+        sale: null
+      };
+      const outcome = (action, details) => ({ ...adjustment, Action: action, Details: details });
+
+      if (!type) return outcome(ADJUSTMENT_ACTIONS.UNKNOWN_TYPE, `Unknown transaction type "${idOf(row.Type)}"; ignored`);
+      if (isDeclined(row)) return outcome(ADJUSTMENT_ACTIONS.DECLINED, 'Adjustment was not approved; ignored');
+
+      let sale = null;
+      if (idOf(row.OriginalTransactionId)) {
+        sale = byTransactionId.get(idOf(row.OriginalTransactionId)) || null;
+      } else if (idOf(row.CheckId)) {
+        const matches = byCheckId.get(idOf(row.CheckId)) || [];
+        if (matches.length > 1) {
+          return outcome(ADJUSTMENT_ACTIONS.AMBIGUOUS,
+            `Check ${idOf(row.CheckId)} has ${matches.length} sales; add OriginalTransactionId to pick one`);
+        }
+        sale = matches[0] || null;
+      } else if (idOf(row.TransactionId)) {
+        sale = byTransactionId.get(idOf(row.TransactionId)) || null;
+      }
+      if (!sale) {
+        return outcome(ADJUSTMENT_ACTIONS.UNMATCHED,
+          adjustment.LinkedId ? `No approved sale with ID ${adjustment.LinkedId}` : 'No transaction or check ID to link it to');
+      }
+
+      // A refund of only part of the sale (AmtSale without AmtTip) leaves the tip alone
+      const refundCents = toCents(row.AmtSale);
+      const before = sale.tipCents;
+      let after = before;
+      if (type === TRANSACTION_TYPES.VOID) {
+        after = 0;
+      } else if (type === TRANSACTION_TYPES.REFUND) {
+        if (!isNaN(adjustment.AmountCents)) after = before - Math.abs(adjustment.AmountCents);
+        else if (isNaN(refundCents)) after = 0;
+      } else if (isNaN(adjustment.AmountCents)) {
+        return { ...outcome(ADJUSTMENT_ACTIONS.UNMATCHED, 'Tip adjustment has no AmtTip'), sale };
+      } else {
+        after = adjustment.AmountCents;
+      }
+      after = Math.max(0, after);
+      sale.tipCents = after;
+
+      const saleBefore = sale.saleCents;
+      if (type === TRANSACTION_TYPES.VOID ||
+        (type === TRANSACTION_TYPES.REFUND && isNaN(refundCents) && isNaN(adjustment.AmountCents))) {
+        sale.saleCents = 0;
+      } else if (type === TRANSACTION_TYPES.REFUND && !isNaN(refundCents)) {
+        sale.saleCents = Math.max(0, saleBefore - Math.abs(refundCents));
+      }
+      return {
+        ...outcome(ADJUSTMENT_ACTIONS.APPLIED, after === 0 && before > 0 ? 'Tip reduced to zero' : ''),
+        TipBeforeCents: before,
+        TipAfterCents: after,
+        ChangeCents: after - before,
+        SaleChangeCents: sale.saleCents - saleBefore,
+        sale
+      };
+    });
+
+  return { sales, adjustments, invalidTips };
+}
+
+// Unreadable dates listed in the error before the rest are only counted
+const MAX_LISTED_DATES = 20;
+
+/**
+ * Stop before slotting when a transaction that counts has a time that cannot
+ * be read; declined sales and ignored adjustments are left out of the check.
+ * @param {Array} transactions - Raw transaction records
+ * @param {Object} reconciled - From reconcileTransactions
+ * @param {Object} parsing - Date rules (see dateParsing), for the message
+ * @throws {Error} - Listing every unreadable value, with err.unparseableDates
+ */
+function checkTransactionDates(transactions, reconciled, parsing) {
+  const recordOf = new Map(transactions.map((row, idx) => [row, idx + 1]));
+  const ignored = [ADJUSTMENT_ACTIONS.UNKNOWN_TYPE, ADJUSTMENT_ACTIONS.DECLINED];
+  const unreadable = reconciled.sales
+    .filter(sale => isNaN(sale.time))
+    .map(sale => ({ Record: recordOf.get(sale.row), TransDateTime: idOf(sale.row.TransDateTime) }))
+    .concat(reconciled.adjustments
+      .filter(adjustment => isNaN(adjustment.TransDateTime) && !ignored.includes(adjustment.Action))
+      .map(adjustment => ({ Record: adjustment.Record, TransDateTime: idOf(transactions[adjustment.Record - 1].TransDateTime) })))
+    .sort((a, b) => a.Record - b.Record);
+  if (unreadable.length === 0) return;
+
+  const shown = unreadable.slice(0, MAX_LISTED_DATES)
+    .map(u => `  - Record ${u.Record}: ${u.TransDateTime ? `"${u.TransDateTime}"` : 'no TransDateTime'}`);
+  if (unreadable.length > MAX_LISTED_DATES) shown.push(`  - ... and ${unreadable.length - MAX_LISTED_DATES} more`);
+  const err = new Error(
+    `Could not read the TransDateTime of ${unreadable.length} transactions as ${parsing.description} ` +
+    '(set --txn-date-format or --date-locale to match the export):\n' + shown.join('\n')
+  );
+  err.unparseableDates = unreadable;
+  throw err;
 }
 
 /**
- * Process transaction data to aggregate tips by time slot
+ * Load transaction records from a CSV file or an .xlsx export. POS exports
+ * (Toast, Square, Clover, ...) are translated into the TransDateTime/AmtTip/
+ * Approved columns using an import format (see importFormats.js), given by name
+ * or detected from the header row.
+ * @param {String} filePath - Path to the transactions file
+ * @param {String|Object} format - Import format name, custom format file or validated format;
+ *                                 null (default) to detect it
+ * @param {String} dateFormat - Optional date format replacing the import format's (see compileDateFormat)
+ * @return {Promise<Array>} - Array of raw transaction records
+ */
+async function loadTransactions(filePath, format = null, dateFormat = null) {
+  const requested = typeof format === 'string' ? getImportFormat(format, IMPORT_SOURCES.TRANSACTIONS) : format;
+  const rows = isWorkbookFile(filePath) ? await readWorkbookRows(filePath) : null;
+  const data = rows ? null : await readCSV(filePath);
+  if (data && data.length === 0) return data;
+
+  // A CSV's header row is the keys of its records
+  const resolved = resolveImportFormat(rows || [Object.keys(data[0])], IMPORT_SOURCES.TRANSACTIONS, requested,
+    TRANSACTION_HEADER_COLUMNS);
+  const records = rows ? rowsToRecords(rows, resolved.headerColumns) : data;
+  return applyImportFormat(records, resolved.format, IMPORT_SOURCES.TRANSACTIONS, dateFormat);
+}
+
+/**
+ * Process transaction data to aggregate tips by time slot.
+ * TransDateTime is read as wall clock time in the processor's zone (fromTz) and
+ * slotted on the restaurant's wall clock (toTz); timestamps with an explicit
+ * offset ("Z", "+05:00") keep it. Both zones are IANA names, so the result does
+ * not depend on the machine's zone or on DST at the time the script runs.
  * @param {Array} transactions - Array of transaction records
  * @param {Number} intervalMinutes - Size of time interval in minutes
- * @param {Boolean} convertTz - Whether to convert between timezones
- * @param {String} fromTz - Source timezone (default: 'America/Chicago')
- * @param {String} toTz - Target timezone (default: 'America/New_York')
- * @return {Array} - Array of tips by time slot
+ * @param {Boolean} convertTz - False when the timestamps are already in the restaurant's zone (toTz)
+ * @param {String} fromTz - Zone the timestamps were recorded in (default: 'America/Chicago')
+ * @param {String} toTz - Restaurant zone (default: 'America/New_York')
+ * @param {Number} dayStartMinutes - Business day start in minutes after midnight (default 0);
+ *                                   tips before it count toward the previous day
+ * @param {Object} options - { adjustments: optional array that receives every refund, void and tip adjustment
+ *                            (see reconcileTransactions) with the slot of the sale it was netted against,
+ *                            cardFee: processing fee withheld from each tip (see cardFees.js; default none),
+ *                            dateParsing: how TransDateTime dates are written (see dateParsing;
+ *                            default month/day/year),
+ *                            issues: optional array that receives an InvalidTip validation issue for each
+ *                            approved sale whose AmtTip is not an amount (counted as no tip) }
+ * @return {Array} - Array of tips by time slot (AmtTipCents in integer cents, AmtTip in dollars) net of the
+ *                   card fee, with GrossTipCents and FeeCents before and withheld;
+ *                   AmtSaleCents totals the optional AmtSale column net of refunds and voids (0 when the
+ *                   feed has none) and SalesByCategory splits it by the optional SaleCategory column
+ *                   (lower case); ServerTips breaks the slot down by the optional Server/ServerId columns
+ *                   ([{ Server, ServerId, AmtTipCents, AmtSaleCents, SalesByCategory }], Server '' for rows without one)
+ * @throws {Error} - With err.unparseableDates ([{ Record, TransDateTime }]) when approved sales or
+ *                   adjustments have a TransDateTime that cannot be read
  */
-function processTransactions(transactions, intervalMinutes = 15, convertTz = true, fromTz = 'America/Chicago', toTz = 'America/New_York') {
-  let approved = transactions.filter(r => r.Approved && r.Approved.toLowerCase() === 'yes')
-    .map(r => {
-      let transDT = new Date(r.TransDateTime);
-
-      // Convert timezone if specified, using the more robust method
-      if (convertTz) {
-        transDT = convertTimezone(transDT, fromTz, toTz);
-      }
+function processTransactions(transactions, intervalMinutes = 15, convertTz = true, fromTz = 'America/Chicago', toTz = 'America/New_York', dayStartMinutes = 0, options = {}) {
+  const { adjustments = null, issues = null, cardFee = null, dateParsing: parsing = dateParsing() } = options;
+  const sourceTz = convertTz ? fromTz : toTz;
+  const reconciled = reconcileTransactions(transactions, value => parseInZone(value, sourceTz, parsing));
+  checkTransactionDates(transactions, reconciled, parsing);
+  const slotOf = time => createStandardInterval(time, intervalMinutes, null, toTz, dayStartMinutes);
+
+  if (adjustments) {
+    reconciled.adjustments.forEach(({ sale, ...adjustment }) => {
+      const slot = sale ? slotOf(sale.time) : null;
+      adjustments.push({
+        ...adjustment,
+        OriginalDateTime: sale ? sale.time : null,
+        Date: slot ? slot.Date : '',
+        TimeSlotStart: slot ? slot.TimeSlotStart : null
+      });
+    });
+  }
+
+  if (issues) {
+    reconciled.invalidTips.forEach(({ Record, AmtTip, sale }) => {
+      issues.push({
+        Row: Record,
+        Employee: firstValue(sale.row, SERVER_NAME_COLUMNS),
+        Date: slotOf(sale.time).Date,
+        Issue: ISSUE_TYPES.INVALID_TIP.code,
+        Blocking: ISSUE_TYPES.INVALID_TIP.blocking,
+        Action: 'Counted as no tip',
+        Details: `Transaction record ${Record} has AmtTip "${AmtTip}", which is not an amount`
+      });
+    });
+  }
+
+  // Each sale keeps its own slot; refunds, voids and tip adjustments only change its tip
+  let approved = reconciled.sales
+    .map(({ row: r, tipCents, saleCents, time }) => {
+      const transDT = time;
 
       // Use the standardized interval function
-      const standardInterval = createStandardInterval(transDT, intervalMinutes);
+      const standardInterval = slotOf(transDT);
+      // The fee is taken from the tip as it stands after refunds and adjustments
+      const feeCents = tipFeeCents(r, tipCents, cardFee);
       
       return {
         TransDateTime: transDT,
-        AmtTip: parseFloat(r.AmtTip),
+        GrossTipCents: tipCents,
+        FeeCents: feeCents,
+        AmtTipCents: tipCents - feeCents,
+        AmtSaleCents: saleCents,
+        SaleCategory: firstValue(r, SALE_CATEGORY_COLUMNS).toLowerCase(),
+        Server: firstValue(r, SERVER_NAME_COLUMNS),
+        ServerId: firstValue(r, SERVER_ID_COLUMNS),
         TimeSlotStart: standardInterval.TimeSlotStart,
         Date: standardInterval.Date
       };
     });
 
+  // Sales are totalled overall and per sale category
+  const addSale = (totals, txn) => {
+    totals.AmtSaleCents += txn.AmtSaleCents;
+    if (txn.SaleCategory && txn.AmtSaleCents !== 0) {
+      totals.SalesByCategory[txn.SaleCategory] = (totals.SalesByCategory[txn.SaleCategory] || 0) + txn.AmtSaleCents;
+    }
+  };
+
   let slotMap = {};
   approved.forEach(txn => {
     const key = txn.Date + '|' + txn.TimeSlotStart.toISOString();
     if (!slotMap[key]) {
-      slotMap[key] = { Date: txn.Date, TimeSlotStart: txn.TimeSlotStart, AmtTip: 0 };
+      slotMap[key] = {
+        Date: txn.Date,
+        TimeSlotStart: txn.TimeSlotStart,
+        AmtTipCents: 0,
+        GrossTipCents: 0,
+        FeeCents: 0,
+        AmtSaleCents: 0,
+        SalesByCategory: {},
+        servers: new Map()
+      };
+    }
+    const slot = slotMap[key];
+    slot.AmtTipCents += txn.AmtTipCents;
+    slot.GrossTipCents += txn.GrossTipCents;
+    slot.FeeCents += txn.FeeCents;
+    addSale(slot, txn);
+
+    const serverKey = `${txn.ServerId}|${txn.Server.toLowerCase()}`;
+    if (!slot.servers.has(serverKey)) {
+      slot.servers.set(serverKey, { Server: txn.Server, ServerId: txn.ServerId, AmtTipCents: 0, AmtSaleCents: 0, SalesByCategory: {} });
     }
-    slotMap[key].AmtTip += txn.AmtTip;
+    slot.servers.get(serverKey).AmtTipCents += txn.AmtTipCents;
+    addSale(slot.servers.get(serverKey), txn);
   });
 
-  return Object.values(slotMap);
+  // Amounts are summed in integer cents; AmtTip is the dollar view of the same value
+  return Object.values(slotMap).map(({ servers, ...slot }) => ({
+    ...slot,
+    AmtTip: fromCents(slot.AmtTipCents),
+    ServerTips: Array.from(servers.values())
+  }));
 }
 
 /**
@@ -81,7 +386,8 @@ function printTipsByDay(transactions, csvFilePath = null) {
   
   // Create an array of objects for easier handling
   const tipsData = Object.keys(tipsByDay).sort().map(date => {
-    const dayOfWeek = new Date(date).toLocaleDateString('en-US', { weekday: 'long' });
+    // Date is a calendar date; read it in UTC so the weekday does not shift with the host zone
+    const dayOfWeek = new Date(date).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
     const tipAmount = tipsByDay[date];
     console.log(`  ${date} (${dayOfWeek}): $${tipAmount.toFixed(2)}`);
     
@@ -117,7 +423,10 @@ function saveTipsByDayToCSV(tipsData, filePath) {
 }
 
 module.exports = {
+  TRANSACTION_TYPES,
+  ADJUSTMENT_ACTIONS,
   loadTransactions,
+  reconcileTransactions,
   processTransactions,
   readCSV,
   printTipsByDay,
@@ -1,11 +1,30 @@
 // src/utils.js
 
-const parseDateTime = (dateStr, timeStr) => {
-  // Expects dateStr like "2025-02-18" and timeStr like "10:30 AM"
-  return new Date(`${dateStr} ${timeStr}`);
+const { parseWallClock, parseInZone, formatInZone, floorToIntervalInZone, businessDateInZone } = require('./timezone');
+
+// The optional timeZone arguments below take an IANA zone. With a zone, text is
+// read as that zone's wall clock and results are computed on it; without one the
+// host machine's zone is used (the original behaviour, kept for callers that
+// already work in host-local Dates).
+
+const parseDateTime = (dateStr, timeStr, timeZone = null, parsing = undefined) => {
+  // Expects dateStr like "2025-02-18" and timeStr like "10:30 AM"; parsing (see dateParsing)
+  // says how dates are written, by default month/day/year
+  if (!dateStr || !timeStr) return new Date(NaN);
+  const text = `${dateStr} ${timeStr}`;
+  const wall = parseWallClock(text, parsing);
+  if (!wall) return new Date(NaN);
+  // Times with their own offset are absolute whatever the zone
+  if (timeZone || wall.offsetMinutes !== null) {
+    return parseInZone(text, timeZone || 'UTC', parsing);
+  }
+  return new Date(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second, wall.millisecond);
 };
 
-const formatDateTime = (dt) => {
+const formatDateTime = (dt, timeZone = null) => {
+  if (timeZone) {
+    return formatInZone(dt, timeZone);
+  }
   const pad = (n) => (n < 10 ? '0' + n : n);
   return (
     dt.getFullYear() +
@@ -22,11 +41,15 @@ const formatDateTime = (dt) => {
   );
 };
 
-const floorToInterval = (dt, intervalMinutes = 15) => {
+const floorToInterval = (dt, intervalMinutes = 15, timeZone = null) => {
   // Ensure intervalMinutes is a positive number, default to 15 if not
   intervalMinutes = typeof intervalMinutes === 'number' && intervalMinutes > 0 
     ? intervalMinutes 
     : 15;
+
+  if (timeZone) {
+    return floorToIntervalInZone(dt, intervalMinutes, timeZone);
+  }
     
   const minutes = dt.getMinutes();
   const remainder = minutes % intervalMinutes;
@@ -42,6 +65,7 @@ const addMinutes = (dt, minutes) => {
 
 /**
  * Converts a datetime from Central Time to Eastern Time using proper timezone handling
+ * @deprecated Depends on the host zone and today's offset; parse with parseDateTime(date, time, zone) instead
  * @param {Date} centralTime - Date object in Central Time
  * @return {Date} - Date object converted to Eastern Time
  */
@@ -93,6 +117,7 @@ function convertCentralToEastern(centralTime) {
 
 /**
  * More robust timezone conversion using direct timezone string manipulation
+ * @deprecated Round-trips through the host zone; parse with parseDateTime(date, time, zone) instead
  * @param {Date} date - The original date object
  * @param {string} fromTZ - Source timezone (e.g., 'America/Chicago')
  * @param {string} toTZ - Target timezone (e.g., 'America/New_York')
@@ -125,21 +150,26 @@ function convertTimezone(date, fromTZ, toTZ) {
  * @param {Date} datetime - The original datetime to floor
  * @param {Number} intervalMinutes - Size of time interval in minutes
  * @param {String} dateStr - Optional ISO date string (YYYY-MM-DD), will be extracted from datetime if not provided
+ * @param {String} timeZone - Optional IANA zone whose wall clock the slots (and Date) follow
+ * @param {Number} dayStartMinutes - With a zone, minutes after midnight the business day starts;
+ *                                   earlier slots get the previous day's Date (default 0)
  * @return {Object} - Standardized interval object with TimeSlotStart and TimeSlotEnd
  */
-function createStandardInterval(datetime, intervalMinutes = 15, dateStr = null) {
+function createStandardInterval(datetime, intervalMinutes = 15, dateStr = null, timeZone = null, dayStartMinutes = 0) {
   if (!datetime || !(datetime instanceof Date) || isNaN(datetime.getTime())) {
     return null;
   }
   
   // Floor the time to the interval boundary
-  const slotStart = floorToInterval(datetime, intervalMinutes);
+  const slotStart = floorToInterval(datetime, intervalMinutes, timeZone);
   const slotEnd = addMinutes(slotStart, intervalMinutes);
   
   // Use provided dateStr or extract from the datetime
   let date;
   try {
-    date = dateStr || slotStart.toISOString().split('T')[0];
+    date = dateStr || (timeZone
+      ? businessDateInZone(slotStart, timeZone, dayStartMinutes)
+      : slotStart.toISOString().split('T')[0]);
   } catch (error) {
     // If there's any issue with the date, use a fallback format
     date = dateStr || 'invalid-date';
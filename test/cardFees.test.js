@@ -0,0 +1,51 @@
+const {
+  CARD_FEE_TYPES,
+  parseCardFee,
+  validateCardFeeRates,
+  tipFeeCents
+} = require('../src/cardFees');
+
+describe('cardFees', () => {
+  test('should read a flat percentage or the fee column setting', () => {
+    expect(parseCardFee('2.9')).toEqual({ type: CARD_FEE_TYPES.FLAT, percent: 2.9 });
+    expect(parseCardFee('3%')).toEqual({ type: CARD_FEE_TYPES.FLAT, percent: 3 });
+    expect(parseCardFee('Column')).toEqual({ type: CARD_FEE_TYPES.COLUMN });
+  });
+
+  test('should reject a fee that is not a percentage', () => {
+    expect(() => parseCardFee('120')).toThrow('Card fee (120) must be a percentage between 0 and 100');
+    expect(() => parseCardFee('abc')).toThrow('or "column" to read the AmtFee column');
+  });
+
+  test('should list every invalid rate in a brand table', () => {
+    expect(() => validateCardFeeRates({ default: -1, brands: { Visa: 2.5, Amex: 'high' } })).toThrow(
+      'Invalid card fee rates:\n' +
+      '  - Rate for "Amex" (high) must be a percentage between 0 and 100\n' +
+      '  - Default rate (-1) must be a percentage between 0 and 100');
+    expect(() => validateCardFeeRates({ default: 3 })).toThrow('must have a "brands" map');
+  });
+
+  test('should take a flat percentage of the tip, rounded to the cent', () => {
+    const cardFee = parseCardFee('2.9');
+    expect(tipFeeCents({}, 1000, cardFee)).toBe(29);
+    expect(tipFeeCents({}, 155, cardFee)).toBe(4);
+    expect(tipFeeCents({}, 0, cardFee)).toBe(0);
+    expect(tipFeeCents({}, 1000, null)).toBe(0);
+  });
+
+  test('should use the rate of the card brand, or the default for other brands', () => {
+    const cardFee = validateCardFeeRates({ default: 3, brands: { Visa: 2, 'American Express': 3.5 } });
+    expect(tipFeeCents({ CardBrand: 'VISA' }, 1000, cardFee)).toBe(20);
+    expect(tipFeeCents({ CardBrand: 'american-express' }, 1000, cardFee)).toBe(35);
+    expect(tipFeeCents({ CardBrand: 'Discover' }, 1000, cardFee)).toBe(30);
+    expect(tipFeeCents({}, 1000, cardFee)).toBe(30);
+  });
+
+  test('should prorate the AmtFee column between the sale and the tip', () => {
+    const cardFee = parseCardFee('column');
+    expect(tipFeeCents({ AmtSale: '40.00', AmtFee: '1.50' }, 1000, cardFee)).toBe(30);
+    expect(tipFeeCents({ AmtFee: '0.45' }, 1000, cardFee)).toBe(45);
+    expect(tipFeeCents({ AmtFee: '12.00' }, 1000, cardFee)).toBe(1000);
+    expect(tipFeeCents({ AmtSale: '40.00' }, 1000, cardFee)).toBe(0);
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  CASH_TIP_PERIODS,
+  validateCashTips,
+  validateCashSpread,
+  spreadCashTips
+} = require('../src/cashTips');
+const { dateParsing } = require('../src/dateFormats');
+
+describe('cashTips', () => {
+  const at = (date, time) => new Date(`${date}T${time}:00Z`);
+  const interval = (employee, date, time) => ({ Employee: employee, Date: date, TimeSlotStart: at(date, time) });
+  // Ana works 17:00-17:45, Ben 17:30-18:00, both on March 1st
+  const intervals = [
+    interval('Ana Server', '2025-03-01', '17:00'),
+    interval('Ana Server', '2025-03-01', '17:15'),
+    interval('Ana Server', '2025-03-01', '17:30'),
+    interval('Ben Cook', '2025-03-01', '17:30'),
+    interval('Ben Cook', '2025-03-01', '17:45')
+  ];
+  const options = { intervalMinutes: 15, timezone: 'UTC' };
+  const spread = slots => slots.map(s => [s.TimeSlotStart.toISOString().slice(11, 16), s.AmtTipCents]);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should read day, shift and register close declarations', () => {
+    const cashTips = validateCashTips([
+      { SourceRow: 2, Date: '2025-03-01', Amount: '$40.00' },
+      { SourceRow: 3, Date: '2025-03-01', Amount: '12.50', Employee: 'Ana Server' },
+      { SourceRow: 4, Date: '2025-03-01', Amount: '30', Start: '10:00 PM', End: '01:30', Register: 'Bar' },
+      { SourceRow: 5, Date: '', Amount: '' }
+    ]);
+
+    expect(cashTips.map(t => [t.Row, t.Period, t.AmountCents])).toEqual([
+      [2, CASH_TIP_PERIODS.DAY, 4000],
+      [3, CASH_TIP_PERIODS.SHIFT, 1250],
+      [4, CASH_TIP_PERIODS.REGISTER, 3000]
+    ]);
+    expect(cashTips[2]).toMatchObject({ StartMinutes: 22 * 60, EndMinutes: 90, Register: 'Bar' });
+  });
+
+  test('should list every invalid row', () => {
+    expect(() => validateCashTips([
+      { SourceRow: 2, Date: '13/01/2025', Amount: '10' },
+      { SourceRow: 3, Date: '2025-03-01', Amount: '-5' },
+      { SourceRow: 4, Date: '2025-03-01', Amount: '5', Start: '22:00' },
+      { SourceRow: 5, Date: '2025-03-01', Amount: 'ten', Start: '25:00', End: '23:00' }
+    ])).toThrow('Invalid cash tips file:\n' +
+      '  - Row 2: Date "13/01/2025" could not be read as month/day/year dates\n' +
+      '  - Row 3: Amount -5 cannot be negative\n' +
+      '  - Row 4: a register close needs both Start and End\n' +
+      '  - Row 5: Amount "ten" is not a number\n' +
+      '  - Row 5: Start "25:00" must be a time such as 22:30');
+  });
+
+  test('should read dates in the given format or locale order', () => {
+    const rows = [
+      { SourceRow: 2, Date: '03/01/2025', Amount: '10' },
+      { SourceRow: 3, Date: '2025-03-02', Amount: '5' },
+      { SourceRow: 4, Date: '3/1/25', Amount: '5' }
+    ];
+    expect(validateCashTips(rows).map(t => t.Date)).toEqual(['2025-03-01', '2025-03-02', '2025-03-01']);
+    expect(validateCashTips(rows, dateParsing({ locale: 'en-GB' })).map(t => t.Date))
+      .toEqual(['2025-01-03', '2025-03-02', '2025-01-03']);
+    expect(() => validateCashTips(rows, dateParsing({ format: 'DD/MM/YYYY' })))
+      .toThrow('Invalid cash tips file:\n  - Row 4: Date "3/1/25" could not be read as DD/MM/YYYY dates');
+  });
+
+  test('should reject an unknown spread rule', () => {
+    expect(() => validateCashSpread('hourly')).toThrow('Cash spread rule "hourly" must be one of: even, card-sales');
+  });
+
+  test('should spread a day declaration evenly over the staffed slots', () => {
+    const cashTips = validateCashTips([{ Date: '2025-03-01', Amount: '10.00' }]);
+    expect(spread(spreadCashTips(cashTips, intervals, [], options))).toEqual([
+      ['17:00', 250], ['17:15', 250], ['17:30', 250], ['17:45', 250]
+    ]);
+  });
+
+  test('should spread in proportion to card sales, or card tips when the feed has no sales', () => {
+    const cashTips = validateCashTips([{ Date: '2025-03-01', Amount: '10.00' }]);
+    const cardSlot = (time, tipCents, saleCents) => ({ Date: '2025-03-01', TimeSlotStart: at('2025-03-01', time), AmtTipCents: tipCents, AmtSaleCents: saleCents });
+
+    const bySales = spreadCashTips(cashTips, intervals, [cardSlot('17:00', 100, 3000), cardSlot('17:30', 900, 1000)],
+      { ...options, rule: 'card-sales' });
+    expect(spread(bySales)).toEqual([['17:00', 750], ['17:30', 250]]);
+
+    const byTips = spreadCashTips(cashTips, intervals, [cardSlot('17:00', 100, 0), cardSlot('17:30', 900, 0)],
+      { ...options, rule: 'card-sales' });
+    expect(spread(byTips)).toEqual([['17:00', 100], ['17:30', 900]]);
+  });
+
+  test('should spread a shift declaration over the shifts of the employee who declared it', () => {
+    const cashTips = validateCashTips([{ Date: '2025-03-01', Amount: '5.00', Employee: 'ben cook' }]);
+    expect(spread(spreadCashTips(cashTips, intervals, [], options))).toEqual([['17:30', 250], ['17:45', 250]]);
+  });
+
+  test('should spread a register close over the slots between Start and End', () => {
+    const cashTips = validateCashTips([{ Date: '2025-03-01', Amount: '3.00', Start: '17:20', End: '17:45' }]);
+    expect(spread(spreadCashTips(cashTips, intervals, [], options))).toEqual([['17:15', 150], ['17:30', 150]]);
+  });
+
+  test('should run a register close past midnight onto the next calendar day', () => {
+    const late = [interval('Ana Server', '2025-03-01', '23:45'), interval('Ana Server', '2025-03-01', '00:15')]
+      .map((rec, idx) => (idx === 1 ? { ...rec, TimeSlotStart: at('2025-03-02', '00:15') } : rec));
+    const cashTips = validateCashTips([{ Date: '2025-03-01', Amount: '2.00', Start: '23:00', End: '01:00' }]);
+
+    const slots = spreadCashTips(cashTips, late, [], { ...options, dayStartMinutes: 4 * 60 });
+    expect(slots.map(s => [s.Date, s.TimeSlotStart.toISOString(), s.AmtTipCents])).toEqual([
+      ['2025-03-01', '2025-03-01T23:45:00.000Z', 100],
+      ['2025-03-01', '2025-03-02T00:15:00.000Z', 100]
+    ]);
+  });
+
+  test('should hold cash nobody worked for in the first slot of the day so it is unallocated', () => {
+    const cashTips = validateCashTips([{ Date: '2025-03-02', Amount: '8.00' }]);
+    const slots = spreadCashTips(cashTips, intervals, [], { ...options, dayStartMinutes: 4 * 60 });
+
+    expect(slots.map(s => [s.Date, s.TimeSlotStart.toISOString(), s.AmtTipCents])).toEqual([
+      ['2025-03-02', '2025-03-02T04:00:00.000Z', 800]
+    ]);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('nobody was clocked in'));
+  });
+});
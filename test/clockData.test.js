@@ -6,6 +6,7 @@ const {
   loadClockData,
   processClockData,
   expandToIntervals,
+  parseBreakPlacement,
   readCSV
 } = require('../src/clockData');
 
@@ -114,3 +115,105 @@ describe('ClockData', () => {
     });
   });
 });
+
+describe('expandToIntervals credit modes', () => {
+  const shift = [{
+    Employee: 'Ana Server',
+    Department: 'Front of House',
+    Position: 'Server',
+    Category: 'FOH',
+    Date: '2025-03-01',
+    TimeIn: new Date(2025, 2, 1, 10, 5),
+    TimeOut: new Date(2025, 2, 1, 10, 33)
+  }];
+
+  it('should credit every touched slot in full by default', () => {
+    const intervals = expandToIntervals(shift, 15);
+
+    expect(intervals.map(r => r.Fraction)).to.deep.equal([1, 1, 1]);
+  });
+
+  it('should credit the fraction of each slot worked in proportional mode', () => {
+    const intervals = expandToIntervals(shift, 15, { creditMode: 'proportional' });
+
+    expect(intervals).to.have.length(3);
+    expect(intervals[0].Fraction).to.be.closeTo(10 / 15, 1e-9);
+    expect(intervals[1].Fraction).to.equal(1);
+    expect(intervals[2].Fraction).to.be.closeTo(3 / 15, 1e-9);
+  });
+
+  it('should skip the slot that starts exactly at clock-out in proportional mode', () => {
+    const onBoundary = [{ ...shift[0], TimeIn: new Date(2025, 2, 1, 10, 0), TimeOut: new Date(2025, 2, 1, 10, 30) }];
+
+    expect(expandToIntervals(onBoundary, 15, { creditMode: 'proportional' })).to.have.length(2);
+  });
+});
+
+describe('Break-aware shifts', () => {
+  const row = {
+    'First Name': 'Ana', 'Last Name': 'Server', 'Department': 'Front of House',
+    'Date In': '2025-03-01', 'Time In': '10:00 AM', 'Date Out': '2025-03-01', 'Time Out': '2:00 PM',
+    'Break': '0.5', 'Total Less Break': '3.5'
+  };
+  let consoleLogStub;
+
+  beforeEach(() => {
+    consoleLogStub = sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    consoleLogStub.restore();
+  });
+
+  it('should ignore break durations unless a placement rule is given', () => {
+    expect(processClockData([row])[0].Breaks).to.deep.equal([]);
+  });
+
+  it('should use break punches when the report has them', () => {
+    const [shift] = processClockData([{ ...row, 'Break Start': '12:00 PM', 'Break End': '12:30 PM' }]);
+
+    expect(shift.Breaks).to.deep.equal([
+      { Start: new Date(2025, 2, 1, 12, 0), End: new Date(2025, 2, 1, 12, 30) }
+    ]);
+  });
+
+  it('should place a break duration in the middle, at the end or after a number of hours', () => {
+    const startOf = breakPlacement => processClockData([row], { breakPlacement })[0].Breaks[0].Start;
+
+    expect(startOf('middle')).to.deep.equal(new Date(2025, 2, 1, 11, 45));
+    expect(startOf('end')).to.deep.equal(new Date(2025, 2, 1, 13, 30));
+    expect(startOf('after:2')).to.deep.equal(new Date(2025, 2, 1, 12, 0));
+  });
+
+  it('should add the break back onto an imputed clock-out', () => {
+    const missed = { ...row, 'Date Out': 'Missed Clockout', 'Time Out': '-' };
+
+    expect(processClockData([missed], { breakPlacement: 'end' })[0].TimeOut)
+      .to.deep.equal(new Date(2025, 2, 1, 14, 0));
+  });
+
+  it('should reject unknown placement rules', () => {
+    expect(() => parseBreakPlacement('lunch')).to.throw('Break placement "lunch"');
+  });
+
+  it('should drop slots spent on break and report them as excluded', () => {
+    const shifts = processClockData([{ ...row, 'Break Start': '12:00 PM', 'Break End': '12:40 PM' }]);
+    const excluded = [];
+    const intervals = expandToIntervals(shifts, 15, { excluded });
+
+    expect(excluded.map(r => r.TimeSlotStart.getHours() * 60 + r.TimeSlotStart.getMinutes()))
+      .to.deep.equal([720, 735]);
+    expect(excluded.every(r => r.Excluded === 'Break')).to.equal(true);
+    // The 12:30 slot is partly worked, so full credit keeps it
+    expect(intervals.some(r => r.TimeSlotStart.getHours() === 12 && r.TimeSlotStart.getMinutes() === 30)).to.equal(true);
+  });
+
+  it('should take break minutes out of the fraction in proportional mode', () => {
+    const shifts = processClockData([{ ...row, 'Break Start': '12:00 PM', 'Break End': '12:40 PM' }]);
+    const intervals = expandToIntervals(shifts, 15, { creditMode: 'proportional' });
+    const slot = intervals.find(r => r.TimeSlotStart.getHours() === 12 && r.TimeSlotStart.getMinutes() === 30);
+
+    expect(slot.Fraction).to.be.closeTo(5 / 15, 1e-9);
+    expect(slot.BreakMinutes).to.equal(10);
+  });
+});
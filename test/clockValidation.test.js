@@ -0,0 +1,68 @@
+const { validateClockRecords, blockingIssues } = require('../src/clockValidation');
+
+const shift = (row, employee, timeIn, timeOut, extra = {}) => ({
+  SourceRow: row,
+  Employee: employee,
+  Department: 'Front of House',
+  Date: '2025-03-01',
+  TimeIn: timeIn,
+  TimeOut: timeOut,
+  ...extra
+});
+
+const at = (hour, minute = 0) => new Date(2025, 2, 1, hour, minute);
+
+describe('validateClockRecords', () => {
+  test('should pass clean shifts through without issues', () => {
+    const records = [shift(4, 'Ana Server', at(10), at(14)), shift(5, 'Ben Cook', at(10), at(14))];
+
+    expect(validateClockRecords(records)).toEqual({ records, issues: [] });
+  });
+
+  test('should exclude unusable shifts and report them with their source rows', () => {
+    const records = [
+      shift(4, 'Ana Server', new Date('not a date'), at(14)),
+      shift(5, 'Ben Cook', at(10), null),
+      shift(6, 'Cy Host', at(14), at(10)),
+      shift(7, 'Di Bar', at(10), at(12))
+    ];
+    const { records: kept, issues } = validateClockRecords(records);
+
+    expect(kept.map(r => r.Employee)).toEqual(['Di Bar']);
+    expect(issues.map(i => [i.Row, i.Issue, i.Action])).toEqual([
+      [4, 'UnparseableDate', 'Excluded'],
+      [5, 'MissingClockout', 'Excluded'],
+      [6, 'TimeOutBeforeTimeIn', 'Excluded']
+    ]);
+  });
+
+  test('should warn about imputed clock-outs', () => {
+    const { issues } = validateClockRecords([shift(4, 'Ana Server', at(10), at(14), { TimeOutImputed: true })]);
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ Issue: 'MissedClockout', Blocking: false, Action: 'Imputed' });
+  });
+
+  test('should flag shifts longer than the configured maximum', () => {
+    const records = [shift(4, 'Ana Server', at(8), at(20))];
+
+    expect(validateClockRecords(records).issues).toEqual([]);
+    expect(validateClockRecords(records, { maxShiftHours: 10 }).issues[0])
+      .toMatchObject({ Row: 4, Issue: 'ShiftTooLong', Blocking: true, Details: 'Shift is 12.00 hours (maximum 10)' });
+  });
+
+  test('should drop duplicate punches and flag overlapping shifts', () => {
+    const records = [
+      shift(4, 'Ana Server', at(10), at(14)),
+      shift(5, 'Ana Server', at(10), at(14)),
+      shift(6, 'Ana Server', at(13), at(18)),
+      shift(7, 'Ben Cook', at(13), at(18))
+    ];
+    const { records: kept, issues } = validateClockRecords(records);
+
+    expect(kept.map(r => r.SourceRow)).toEqual([4, 6, 7]);
+    expect(issues.map(i => [i.Row, i.Issue])).toEqual([[5, 'DuplicatePunch'], [6, 'OverlappingShift']]);
+    expect(issues[1].Details).toMatch(/^Overlaps row 4/);
+    expect(blockingIssues(issues).map(i => i.Row)).toEqual([6]);
+  });
+});
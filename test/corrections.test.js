@@ -0,0 +1,105 @@
+const {
+  validateCorrections,
+  applyCorrections,
+  buildCorrectionsTemplate
+} = require('../src/corrections');
+const { dateParsing } = require('../src/dateFormats');
+
+const at = (hour, minute = 0, day = 1) => new Date(2025, 2, day, hour, minute);
+
+const imputed = {
+  SourceRow: 4,
+  Employee: 'Ana Server',
+  Department: 'Front of House',
+  Date: '2025-03-01',
+  TimeIn: at(18),
+  TimeOut: at(23, 30),
+  TimeOutImputed: true,
+  Breaks: []
+};
+const punched = { ...imputed, SourceRow: 5, Employee: 'Ben Cook', TimeOut: at(22), TimeOutImputed: false };
+
+describe('validateCorrections', () => {
+  test('should read clock-outs, bare times and exclusions and skip blank template rows', () => {
+    const corrections = validateCorrections([
+      { Employee: 'Ana Server', TimeIn: '2025-03-01 18:00:00', CorrectedTimeOut: '1:15 AM', Note: 'closed late' },
+      { Employee: 'Ben Cook', TimeIn: '2025-03-01 18:00:00', Exclude: 'Yes' },
+      { Employee: 'Cy Host', TimeIn: '2025-03-01 18:00:00', CorrectedTimeOut: '', Exclude: '' }
+    ]);
+
+    expect(corrections).toEqual([
+      { Row: 1, Employee: 'Ana Server', TimeIn: at(18), CorrectedTimeOut: at(1, 15, 2), Exclude: false, Note: 'closed late' },
+      { Row: 2, Employee: 'Ben Cook', TimeIn: at(18), CorrectedTimeOut: null, Exclude: true, Note: '' }
+    ]);
+  });
+
+  test('should read dates the way the clock report writes them', () => {
+    const rows = [{ Employee: 'Ana Server', TimeIn: '01/03/2025 18:00', CorrectedTimeOut: '01/03/2025 22:05' }];
+
+    expect(validateCorrections(rows, null, dateParsing({ locale: 'en-GB' }))).toEqual([
+      { Row: 1, Employee: 'Ana Server', TimeIn: at(18), CorrectedTimeOut: at(22, 5), Exclude: false, Note: '' }
+    ]);
+    expect(validateCorrections(rows, 'Europe/London', dateParsing({ format: 'DD/MM/YYYY' }))[0].CorrectedTimeOut)
+      .toEqual(new Date('2025-03-01T22:05:00Z'));
+    // Month first by default, so the same text is January 3
+    expect(validateCorrections(rows)[0].TimeIn).toEqual(new Date(2025, 0, 3, 18));
+  });
+
+  test('should list every invalid row', () => {
+    expect(() => validateCorrections([
+      { Employee: '', TimeIn: '2025-03-01 18:00:00', CorrectedTimeOut: '10:00 PM' },
+      { Employee: 'Ana Server', TimeIn: 'yesterday', CorrectedTimeOut: '10:00 PM' },
+      { Employee: 'Ana Server', TimeIn: '2025-03-01 18:00:00', CorrectedTimeOut: 'late', SourceRow: 9 }
+    ])).toThrow(
+      'Invalid corrections file:\n' +
+      '  - Row 1: Employee is required\n' +
+      '  - Row 2: TimeIn "yesterday" is not a valid date and time\n' +
+      '  - Row 9: CorrectedTimeOut "late" is not a valid date or time'
+    );
+  });
+});
+
+describe('applyCorrections', () => {
+  test('should override the imputed clock-out and record the change', () => {
+    const { records, applied } = applyCorrections([imputed, punched], [
+      { Employee: 'Ana Server', TimeIn: at(18), CorrectedTimeOut: at(22, 45), Exclude: false, Note: 'per manager' }
+    ]);
+
+    expect(records[0]).toMatchObject({ TimeOut: at(22, 45), TimeOutImputed: false, TimeOutCorrected: true });
+    expect(records[1]).toBe(punched);
+    expect(applied).toEqual([{
+      Row: 4, Employee: 'Ana Server', Date: '2025-03-01', TimeIn: at(18), OriginalTimeOut: at(23, 30),
+      WasImputed: true, Note: 'per manager', Action: 'CorrectedTimeOut', NewTimeOut: at(22, 45)
+    }]);
+  });
+
+  test('should drop excluded shifts and report corrections that match nothing', () => {
+    const { records, applied } = applyCorrections([imputed, punched], [
+      { Employee: 'Ben Cook', TimeIn: at(18), CorrectedTimeOut: null, Exclude: true, Note: '' },
+      { Employee: 'Cy Host', TimeIn: at(18), CorrectedTimeOut: at(20), Exclude: false, Note: '' }
+    ]);
+
+    expect(records).toEqual([imputed]);
+    expect(applied.map(c => [c.Employee, c.Action])).toEqual([['Ben Cook', 'Excluded'], ['Cy Host', 'Unmatched']]);
+  });
+});
+
+describe('buildCorrectionsTemplate', () => {
+  test('should list imputed clock-outs with any correction already supplied', () => {
+    const template = buildCorrectionsTemplate([imputed, punched], [
+      { Employee: 'Ana Server', TimeIn: at(18), CorrectedTimeOut: at(22, 45), Exclude: false, Note: 'per manager' }
+    ]);
+
+    expect(template).toEqual([{
+      Row: 4,
+      Employee: 'Ana Server',
+      Department: 'Front of House',
+      Date: '2025-03-01',
+      TimeIn: '2025-03-01 18:00:00',
+      ImputedTimeOut: '2025-03-01 23:30:00',
+      CorrectedTimeOut: '2025-03-01 22:45:00',
+      Exclude: '',
+      Note: 'per manager'
+    }]);
+  });
+});
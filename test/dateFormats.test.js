@@ -0,0 +1,88 @@
+const {
+  compileDateFormat,
+  matchDate,
+  parseTimeOfDay,
+  dateOrderForLocale,
+  dateParsing,
+  parseDateTimeText
+} = require('../src/dateFormats');
+
+describe('dateFormats', () => {
+  test('should read dates in the order of the format', () => {
+    expect(matchDate('3/1/2025', compileDateFormat('M/D/YYYY'))).toEqual({ date: '2025-03-01', rest: '' });
+    expect(matchDate('03/01/2025', compileDateFormat('DD/MM/YYYY'))).toEqual({ date: '2025-01-03', rest: '' });
+    expect(matchDate('1.3.25 22:05', compileDateFormat('D.M.YY'))).toEqual({ date: '2025-03-01', rest: '22:05' });
+    expect(matchDate('01-mar-2025 6:05 PM', compileDateFormat('DD-MMM-YYYY'))).toEqual({ date: '2025-03-01', rest: '6:05 PM' });
+    expect(matchDate('2025-03-01T18:05:00', compileDateFormat('YYYY-MM-DD'))).toEqual({ date: '2025-03-01', rest: '18:05:00' });
+  });
+
+  test('should not match impossible dates or text in another layout', () => {
+    const format = compileDateFormat('M/D/YYYY');
+    expect(matchDate('2/30/2025', format)).toBeNull();
+    expect(matchDate('2025-03-01', format)).toBeNull();
+    expect(matchDate('3/1/20255', format)).toBeNull();
+    expect(matchDate('', format)).toBeNull();
+  });
+
+  test('should reject formats without a year, month and day', () => {
+    expect(() => compileDateFormat('MM/DD')).toThrow('Date format "MM/DD" needs a year (YYYY or YY)');
+  });
+
+  test('should read the time of formats that have one', () => {
+    expect(matchDate('01.03.2025 22:05', compileDateFormat('DD.MM.YYYY HH:mm'))).toEqual({ date: '2025-03-01', rest: '22:05:00' });
+    expect(matchDate('3/1/25 12:05:09 AM EST', compileDateFormat('M/D/YY h:mm:ss A')))
+      .toEqual({ date: '2025-03-01', rest: '00:05:09 EST' });
+    expect(matchDate('3/1/25 13:05 PM', compileDateFormat('M/D/YY h:mm A'))).toBeNull();
+    expect(() => compileDateFormat('YYYY-MM-DD hh:mm')).toThrow('must use AM/PM (A) with a 12-hour hour');
+    expect(() => compileDateFormat('YYYY-MM-DD HH')).toThrow('needs minutes (mm) with its hour');
+  });
+
+  test('should read 12- and 24-hour times with an optional zone', () => {
+    expect(parseTimeOfDay('22:05')).toEqual({ hour: 22, minute: 5, second: 0, millisecond: 0, offsetMinutes: null });
+    expect(parseTimeOfDay('10:05:30.25 pm')).toEqual({ hour: 22, minute: 5, second: 30, millisecond: 250, offsetMinutes: null });
+    expect(parseTimeOfDay('12 a.m.')).toMatchObject({ hour: 0, minute: 0 });
+    expect(parseTimeOfDay('10:05:00Z').offsetMinutes).toBe(0);
+    expect(parseTimeOfDay('10:05 AM CDT').offsetMinutes).toBe(-300);
+    expect(parseTimeOfDay('10:05:00+0530').offsetMinutes).toBe(330);
+    ['', '10', '24:00', '13:00 PM', '10:60', '10:05 CET'].forEach(text => expect(parseTimeOfDay(text)).toBeNull());
+  });
+
+  test('should take the day/month order from the locale', () => {
+    expect(dateOrderForLocale('en-US')).toBe('MDY');
+    expect(dateOrderForLocale('en-GB')).toBe('DMY');
+    expect(dateOrderForLocale('ja-JP')).toBe('YMD');
+    expect(() => dateOrderForLocale('xx-notreal')).toThrow('Unknown date locale "xx-notreal"');
+  });
+
+  test('should read dates in the order given and always accept ISO dates', () => {
+    const wall = (text, parsing) => {
+      const parts = parseDateTimeText(text, parsing);
+      return parts && `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute} ${parts.offsetMinutes}`;
+    };
+    expect(wall('02/03/2025 10:30 AM')).toBe('2025-2-3 10:30 null');
+    expect(wall('02/03/2025 10:30 AM', dateParsing({ locale: 'en-GB' }))).toBe('2025-3-2 10:30 null');
+    expect(wall('Mar 2, 2025 22:30')).toBe('2025-3-2 22:30 null');
+    expect(wall('2025-03-02T22:30:00-05:00', dateParsing({ format: 'DD/MM/YYYY' }))).toBe('2025-3-2 22:30 -300');
+    expect(wall('02/03/2025 10:30', dateParsing({ format: 'YYYY.MM.DD' }))).toBeNull();
+    expect(wall('2025-03-02')).toBeNull();
+    expect(dateParsing({ locale: 'de-DE' }).description).toBe('day/month/year dates');
+  });
+
+  test('should read two-digit years in the locale order, never as an ISO year', () => {
+    const day = (text, parsing) => {
+      const parts = parseDateTimeText(text, parsing);
+      return parts && `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+    };
+    const enGB = dateParsing({ locale: 'en-GB' });
+    expect(day('12/01/25 10:00')).toBe('2025-12-1 10:0');
+    expect(day('10/11/12 9:30')).toBe('2012-10-11 9:30');
+    expect(day('3-1-25 6:05 PM')).toBe('2025-3-1 18:5');
+    expect(day('12/01/25 10:00', enGB)).toBe('2025-1-12 10:0');
+    expect(day('10/11/12 9:30', enGB)).toBe('2012-11-10 9:30');
+    expect(day('1.3.25 22:05', enGB)).toBe('2025-3-1 22:5');
+    expect(day('13/01/25 9:30', enGB)).toBe('2025-1-13 9:30');
+    expect(day('13/01/25 9:30')).toBeNull();
+    expect(matchDate('12/01/25', compileDateFormat('YYYY/MM/DD'))).toBeNull();
+    expect(matchDate('3/1/25', compileDateFormat('M/D/YYYY'))).toBeNull();
+  });
+});
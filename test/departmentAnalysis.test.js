@@ -36,3 +36,27 @@ describe('DepartmentAnalysis', () => {
     });
   });
 });
+
+describe('DepartmentAnalysis with several roles per employee', () => {
+  let consoleLogStub;
+  beforeEach(() => { consoleLogStub = sinon.stub(console, 'log'); });
+  afterEach(() => { consoleLogStub.restore(); });
+
+  it('should keep every department and category an employee worked in', () => {
+    const { employeeDepts, employeeRoles, staffCategories } = analyzeDepartments([
+      { Employee: 'Ben Cook', Department: 'Back of House', Category: 'BOH' },
+      { Employee: 'Ben Cook', Department: 'Expo', Category: 'FOH' },
+      { Employee: 'Ben Cook', Department: 'Back of House', Category: 'BOH' },
+      { Employee: 'Ana Server', Department: 'Front of House' }
+    ]);
+
+    expect(employeeDepts['Ben Cook']).to.deep.equal(['Back of House', 'Expo']);
+    expect(employeeRoles['Ben Cook']).to.deep.equal([
+      { Department: 'Back of House', Category: 'BOH', Shifts: 2 },
+      { Department: 'Expo', Category: 'FOH', Shifts: 1 }
+    ]);
+    expect(employeeRoles['Ana Server']).to.deep.equal([{ Department: 'Front of House', Category: 'FOH', Shifts: 1 }]);
+    expect(staffCategories).to.include({ FOH: 2, BOH: 1 });
+    expect(consoleLogStub.calledWith('  Ben Cook: Back of House (BOH, 2 shifts), Expo (FOH, 1 shift)')).to.equal(true);
+  });
+});
@@ -1,8 +1,13 @@
 const { expect } = require('chai');
 const {
+  UNCLASSIFIED,
   categorizeByTitle,
   categorizeDepartment,
-  categorizeEmployee
+  categorizeEmployee,
+  validateClassificationRules,
+  categorizeByRules,
+  classifyRecords,
+  findUnclassified
 } = require('../src/employeeClassification');
 
 describe('EmployeeClassification', () => {
@@ -76,3 +81,84 @@ describe('EmployeeClassification', () => {
     });
   });
 });
+
+describe('EmployeeClassification with a rules file', () => {
+  const rules = validateClassificationRules({
+    departments: { 'Front of House': 'FOH', 'Back of House': 'BOH', 'Management': 'EXEC' },
+    patterns: [
+      { match: '^kitchen', flags: 'i', category: 'BOH' },
+      { match: '^(CEO|COO|CFO)$', field: 'Position', category: 'EXEC' }
+    ],
+    employees: { 'CJ Smith': 'FOH' }
+  });
+
+  it('should map exact department names', () => {
+    expect(categorizeByRules({ Employee: 'Ana', Department: 'Back of House' }, rules)).to.equal('BOH');
+  });
+
+  it('should not treat names or department substrings as executive markers', () => {
+    expect(categorizeByRules({ Employee: 'Al CJ', Department: 'Front of House' }, rules)).to.equal('FOH');
+    expect(categorizeByRules({ Employee: 'Bo', Department: 'Pagmenting' }, rules)).to.equal(UNCLASSIFIED);
+  });
+
+  it('should apply patterns in order to the configured field', () => {
+    expect(categorizeByRules({ Employee: 'Cy', Department: 'Kitchen Prep' }, rules)).to.equal('BOH');
+    expect(categorizeByRules({ Employee: 'Di', Department: 'Office', Position: 'CFO' }, rules)).to.equal('EXEC');
+  });
+
+  it('should let employee overrides win over department rules', () => {
+    expect(categorizeByRules({ Employee: 'CJ Smith', Department: 'Management' }, rules)).to.equal('FOH');
+  });
+
+  it('should match overrides by clock name or employee ID after names are relabelled', () => {
+    const byId = validateClassificationRules({ departments: { Management: 'EXEC' }, employees: { 'CJ Smith': 'FOH', 104: 'BOH' } });
+    expect(categorizeByRules({ Employee: 'CJ Smith (#101)', ClockName: 'CJ Smith', EmployeeId: '101', Department: 'Management' }, byId))
+      .to.equal('FOH');
+    expect(categorizeByRules({ Employee: 'Dee Jones', ClockName: 'Dee Jones', EmployeeId: '104', Department: 'Management' }, byId))
+      .to.equal('BOH');
+  });
+
+  it('should not take inherited object members for names or departments', () => {
+    expect(categorizeByRules({ Employee: 'constructor', Department: 'toString' }, rules)).to.equal(UNCLASSIFIED);
+    expect(categorizeByRules({ Employee: '__proto__', ClockName: 'hasOwnProperty', Department: 'Management' }, rules))
+      .to.equal('EXEC');
+  });
+
+  it('should list unclassified departments and their employees', () => {
+    const records = classifyRecords([
+      { Employee: 'Bo', Department: 'Pagmenting' },
+      { Employee: 'Ed', Department: 'Pagmenting' },
+      { Employee: 'Fa', Department: '' },
+      { Employee: 'Ana', Department: 'Front of House' }
+    ], rules);
+
+    expect(records.map(r => r.Category)).to.deep.equal([UNCLASSIFIED, UNCLASSIFIED, UNCLASSIFIED, 'FOH']);
+    expect(findUnclassified(records)).to.deep.equal([
+      { Department: '(blank)', Employees: ['Fa'] },
+      { Department: 'Pagmenting', Employees: ['Bo', 'Ed'] }
+    ]);
+  });
+
+  it('should fall back to the built-in matching without rules', () => {
+    const [record] = classifyRecords([{ Employee: 'Ana', Department: 'Back of House' }]);
+    expect(record.Category).to.equal('BOH');
+  });
+
+  it('should match the built-in keywords as whole words and not read titles from names', () => {
+    expect(categorizeEmployee({ Employee: 'CJ Smith', Department: 'Front of House' })).to.equal('FOH');
+    expect(categorizeEmployee({ Employee: 'Ana (CEO)', Department: 'Front of House' })).to.equal('EXEC');
+    expect(categorizeDepartment('Pagmenting')).to.equal('FOH');
+    expect(categorizeDepartment('Bohemian Bar')).to.equal('FOH');
+    expect(categorizeDepartment('GM')).to.equal('EXEC');
+    expect(categorizeDepartment('Executive Office')).to.equal('EXEC');
+    expect(categorizeDepartment('Kitchen BOH')).to.equal('BOH');
+  });
+
+  it('should reject invalid rules', () => {
+    expect(() => validateClassificationRules({
+      departments: { Bar: '' },
+      patterns: [{ match: '(', category: 'FOH' }, { match: 'x', category: 'FOH', field: 'Name' }]
+    })).to.throw(/Department "Bar"[\s\S]*Pattern #1 has an invalid regex[\s\S]*Pattern #2 field/);
+  });
+});
+
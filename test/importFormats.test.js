@@ -0,0 +1,145 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const {
+  IMPORT_SOURCES,
+  NATIVE_FORMAT,
+  validateImportFormat,
+  getImportFormat,
+  resolveImportFormat,
+  applyImportFormat
+} = require('../src/importFormats');
+const { processClockData } = require('../src/clockData');
+
+describe('importFormats', () => {
+  const NATIVE_CLOCK = ['First Name', 'Last Name', 'Date In', 'Time In'];
+  const NATIVE_TXN = ['TransDateTime', 'AmtTip'];
+  const records = (header, ...rows) => rows.map((row, idx) => ({
+    ...Object.fromEntries(header.map((col, i) => [col, row[i]])),
+    SourceRow: idx + 2
+  }));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should read format names, the native layout and custom format files', () => {
+    expect(getImportFormat(null, IMPORT_SOURCES.CLOCK)).toBeNull();
+    expect(getImportFormat('auto', IMPORT_SOURCES.CLOCK)).toBeNull();
+    expect(getImportFormat('Native', IMPORT_SOURCES.CLOCK)).toBe(NATIVE_FORMAT);
+    expect(getImportFormat('TOAST', IMPORT_SOURCES.TRANSACTIONS).name).toBe('Toast');
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'formats-')), 'pos.json');
+    fs.writeFileSync(file, JSON.stringify({
+      name: 'Our POS',
+      transactions: { columns: { TransDateTime: 'When', AmtTip: 'Gratuity' }, dateFormat: 'DD.MM.YYYY' }
+    }));
+    expect(getImportFormat(file, IMPORT_SOURCES.TRANSACTIONS).transactions.detect).toEqual(['When', 'Gratuity']);
+  });
+
+  test('should reject unknown formats and formats without the source', () => {
+    expect(() => getImportFormat('lightspeed', IMPORT_SOURCES.CLOCK)).toThrow('Unknown import format "lightspeed"');
+    expect(() => getImportFormat('7shifts', IMPORT_SOURCES.TRANSACTIONS)).toThrow('The 7shifts format has no transactions mapping');
+  });
+
+  test('should list every problem in a custom format', () => {
+    expect(() => validateImportFormat({
+      name: 'Broken',
+      clock: { columns: { Employee: 'Name', Shift: 'Shift', 'Time In': [] }, dateFormat: 'MM/YYYY' },
+      transactions: { columns: { AmtTip: 'Tip' }, values: { Approved: 'yes' } }
+    })).toThrow('Invalid import format "Broken":\n' +
+      '  - The clock format maps unknown column "Shift" (use Employee, First Name, Last Name, Employee ID, Department, ' +
+      'Position, ClockIn, ClockOut, Date In, Time In, Date Out, Time Out, Total Less Break, Break, Break Start, Break End, Location)\n' +
+      '  - The clock format column for "Time In" must be a column name or a list of them\n' +
+      '  - The clock format must map "ClockIn" or "Date In"\n' +
+      '  - The clock format date format "MM/YYYY" needs a year (YYYY or YY), a month (MM, M or MMM) and a day (DD or D)\n' +
+      '  - The transactions format must map "TransDateTime" or "TransDate"\n' +
+      '  - The transactions format values for "Approved" must map export values to internal ones');
+  });
+
+  test('should detect the native layout first, then the built-in exports by their header row', () => {
+    const native = [['Clocks Summary'], ['First Name', 'Last Name', 'Date In', 'Time In', 'Date Out', 'Time Out']];
+    expect(resolveImportFormat(native, IMPORT_SOURCES.CLOCK, null, NATIVE_CLOCK)).toEqual({
+      format: null, headerColumns: NATIVE_CLOCK
+    });
+
+    const square = [['date', 'time', 'Tip', 'Transaction ID', 'Event Type']];
+    const resolved = resolveImportFormat(square, IMPORT_SOURCES.TRANSACTIONS, null, NATIVE_TXN);
+    expect(resolved.format.name).toBe('Square');
+    expect(resolved.headerColumns).toEqual(['date', 'time', 'Tip', 'Transaction ID', 'Event Type']);
+
+    expect(() => resolveImportFormat([['When', 'Gratuity']], IMPORT_SOURCES.TRANSACTIONS, null, NATIVE_TXN))
+      .toThrow('Could not recognise the transactions columns (expected TransDateTime, AmtTip or a known export); pass --txn-format');
+    expect(() => resolveImportFormat(square, IMPORT_SOURCES.TRANSACTIONS, getImportFormat('toast', 'transactions'), NATIVE_TXN))
+      .toThrow('Could not find the Toast transactions header row (Payment Id, Paid Date, Tip, Status)');
+  });
+
+  test('should split Toast clock-in and clock-out columns and keep the full name', () => {
+    const toast = getImportFormat('toast', IMPORT_SOURCES.CLOCK);
+    const rows = applyImportFormat(records(
+      ['Location', 'Employee Id', 'Employee', 'Job Title', 'In Date', 'Out Date', 'Payable Hours'],
+      ['Downtown', '7', 'Ana Server', 'Server', '3/1/2025 4:00 PM', '3/2/2025 12:30 AM', '8.5'],
+      ['Downtown', '8', 'Ben Cook', 'Kitchen', '3/1/2025 5:00 PM', '', '4']
+    ), toast, IMPORT_SOURCES.CLOCK);
+
+    expect(rows).toEqual([
+      {
+        'First Name': 'Ana Server', 'Last Name': '', 'Employee ID': '7', Department: 'Server', Position: 'Server',
+        'Date In': '2025-03-01', 'Time In': '4:00 PM', 'Date Out': '2025-03-02', 'Time Out': '12:30 AM',
+        'Total Less Break': '8.5', Location: 'Downtown', SourceRow: 2
+      },
+      {
+        'First Name': 'Ben Cook', 'Last Name': '', 'Employee ID': '8', Department: 'Kitchen', Position: 'Kitchen',
+        'Date In': '2025-03-01', 'Time In': '5:00 PM', 'Date Out': '', 'Time Out': '',
+        'Total Less Break': '4', Location: 'Downtown', SourceRow: 3
+      }
+    ]);
+    expect(processClockData(rows, { timezone: 'UTC' }).map(r => [r.Employee, r.TimeOut.toISOString()])).toEqual([
+      ['Ana Server', '2025-03-02T00:30:00.000Z'],
+      ['Ben Cook', '2025-03-01T21:00:00.000Z']
+    ]);
+  });
+
+  test('should end shifts without a clock-out date on the next day when they run past midnight', () => {
+    const rows = applyImportFormat(records(
+      ['First name', 'Last name', 'Role', 'Date', 'Clock in', 'Clock out'],
+      ['Cy', 'Host', 'Host', '3/1/2025', '6:00 PM', '1:15 AM']
+    ), getImportFormat('homebase', IMPORT_SOURCES.CLOCK), IMPORT_SOURCES.CLOCK);
+
+    const [shift] = processClockData(rows, { timezone: 'UTC' });
+    expect(shift).toMatchObject({ Employee: 'Cy Host', Department: 'Host', Date: '2025-03-01' });
+    expect(shift.TimeOut.toISOString()).toBe('2025-03-02T01:15:00.000Z');
+  });
+
+  test('should join Square date and time columns and treat every payment as approved', () => {
+    const rows = applyImportFormat(records(
+      ['Date', 'Time', 'Net Sales', 'Tip', 'Fees', 'Event Type', 'Transaction ID', 'Payment ID', 'Staff Name'],
+      ['2025-03-01', '18:05:00', '$50.00', '$10.00', '-$1.75', 'Payment', 'T1', 'P1', 'Ana Server'],
+      ['2025-03-01', '21:30:00', '-$50.00', '-$10.00', '$0.00', 'Refund', 'T1', 'P2', 'Ana Server']
+    ), getImportFormat('square', IMPORT_SOURCES.TRANSACTIONS), IMPORT_SOURCES.TRANSACTIONS);
+
+    expect(rows.map(r => [r.TransDateTime, r.AmtTip, r.AmtFee, r.Type, r.CheckId, r.Approved])).toEqual([
+      ['2025-03-01 18:05:00', '$10.00', '-$1.75', 'Payment', 'T1', 'Yes'],
+      ['2025-03-01 21:30:00', '-$10.00', '$0.00', 'Refund', 'T1', 'Yes']
+    ]);
+  });
+
+  test('should translate approval values and month names in Clover exports', () => {
+    const rows = applyImportFormat(records(
+      ['Payment ID', 'Order ID', 'Payment Date', 'Result', 'Amount', 'Tip Amount', 'Employee'],
+      ['P1', 'O1', '01-Mar-2025 06:05 PM', 'SUCCESS', '40.00', '8.00', 'Ana'],
+      ['P2', 'O2', '01-Mar-2025 06:20 PM', 'fail', '10.00', '2.00', 'Ana'],
+      ['P3', 'O3', '2025-03-01 18:30', 'PENDING', '10.00', '2.00', 'Ana']
+    ), getImportFormat('clover', IMPORT_SOURCES.TRANSACTIONS), IMPORT_SOURCES.TRANSACTIONS);
+
+    expect(rows.map(r => [r.TransDateTime, r.Approved])).toEqual([
+      ['2025-03-01 06:05 PM', 'Yes'],
+      ['2025-03-01 06:20 PM', 'No'],
+      ['2025-03-01 18:30', 'PENDING']
+    ]);
+  });
+});
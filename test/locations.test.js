@@ -0,0 +1,125 @@
+const path = require('path');
+const {
+  locationDir,
+  splitByLocation,
+  validateLocationManifest,
+  consolidateLocations
+} = require('../src/locations');
+
+describe('locations', () => {
+  const clock = (name, location) => ({ 'First Name': name, Location: location, SourceRow: 4 });
+  const txn = (tip, location) => ({ AmtTip: tip, Location: location });
+
+  test('should leave single-location files alone', () => {
+    expect(splitByLocation({ clockRows: [{ 'First Name': 'Ana' }], transactionRows: [{ AmtTip: '1.00' }] })).toBeNull();
+    expect(splitByLocation({ clockRows: [clock('Ana', 'Downtown')], transactionRows: [txn('1.00', 'downtown')] })).toBeNull();
+  });
+
+  test('should split clock rows, transactions and cash tips by location, ignoring case', () => {
+    const split = splitByLocation({
+      clockRows: [clock('Ana', 'Downtown'), clock('Ben', 'Uptown'), clock('Ana', 'downtown ')],
+      transactionRows: [txn('5.00', 'Uptown'), txn('2.00', 'DOWNTOWN')],
+      cashTips: [{ Row: 2, AmountCents: 500, Location: 'Uptown' }]
+    });
+
+    expect(split.map(loc => [loc.name, loc.clockRows.length, loc.transactionRows.length, loc.cashTips.length])).toEqual([
+      ['Downtown', 2, 1, 0],
+      ['Uptown', 1, 1, 1]
+    ]);
+  });
+
+  test('should reject rows without a location and locations without clock data', () => {
+    expect(() => splitByLocation({ clockRows: [clock('Ana', 'Downtown'), clock('Ben', 'Uptown')], transactionRows: [{ AmtTip: '1.00' }] }))
+      .toThrow('The clock data have a Location column but the transactions do not');
+    expect(() => splitByLocation({
+      clockRows: [clock('Ana', 'Downtown'), clock('Cy', 'Uptown'), clock('Ben', '')],
+      transactionRows: [txn('1.00', 'Downtown'), txn('2.00', '')]
+    })).toThrow('Invalid location data:\n  - 1 clock rows have no Location (rows 4)\n  - 1 transactions have no Location (rows 2)');
+    expect(() => splitByLocation({ clockRows: [clock('Ana', 'Downtown')], transactionRows: [txn('1.00', 'Downtown'), txn('2.00', 'Airport')] }))
+      .toThrow('No clock data for location Airport');
+  });
+
+  test('should resolve manifest files relative to the manifest and keep only the zones and formats given', () => {
+    const [location] = validateLocationManifest({
+      locations: [{
+        name: 'Main St',
+        clock: 'main/clock.xlsx',
+        transactions: 'main/txn.csv',
+        timezone: 'America/Denver',
+        clockFormat: 'toast',
+        transactionsFormat: 'formats/pos.json',
+        transactionsDateFormat: 'DD/MM/YYYY',
+        cashTipsDateFormat: 'D.M.YYYY',
+        dateLocale: 'en-GB'
+      }]
+    }, '/data');
+
+    expect(location).toEqual({
+      name: 'Main St',
+      clockFile: path.resolve('/data/main/clock.xlsx'),
+      transactionsFile: path.resolve('/data/main/txn.csv'),
+      policyFile: null,
+      cashTipsFile: null,
+      clockFormat: 'toast',
+      transactionsFormat: path.resolve('/data/formats/pos.json'),
+      timezones: { location: 'America/Denver' },
+      dateFormats: { transactions: 'DD/MM/YYYY', cashTips: 'D.M.YYYY' },
+      dateLocale: 'en-GB'
+    });
+    expect(locationDir('Main St / East')).toBe('Main_St_East');
+  });
+
+  test('should list every problem in a manifest', () => {
+    expect(() => validateLocationManifest({})).toThrow('must have a "locations" list');
+    expect(() => validateLocationManifest({
+      locations: [
+        { name: 'Main', clock: 'a.csv' },
+        { name: 'main', clock: 'b.csv', transactions: 'b.csv', clockTimezone: 'Nowhere/Town', clockDateFormat: 'DD/MM' },
+        { name: 'Main St', clock: 'c.csv', transactions: 'c.csv' },
+        { name: 'Main_St', clock: 'd.csv', transactions: 'd.csv' }
+      ]
+    })).toThrow('Invalid location manifest:\n' +
+      '  - Location "Main" must have a "transactions" file\n' +
+      '  - Location "main" is listed more than once\n' +
+      '  - Location "main" clockTimezone "Nowhere/Town" is not an IANA zone such as America/Chicago\n' +
+      '  - Location "main" clockDateFormat: Date format "DD/MM" needs a year (YYYY or YY), a month (MM, M or MMM) and a day (DD or D)\n' +
+      '  - Locations "Main St" and "Main_St" would share the output folder Main_St');
+  });
+
+  test('should combine the tips of employees who worked at more than one location', () => {
+    const row = (employee, id, cents, cash = 0, house = false) => ({
+      Employee: employee, EmployeeId: id, House: house, TotalTipsCents: cents, CardTipsCents: cents - cash, CashTipsCents: cash
+    });
+    const result = (finalTotals, hours) => {
+      const totalTipsCents = finalTotals.reduce((acc, r) => acc + r.TotalTipsCents, 0);
+      return {
+        finalTotals,
+        dailyTotals: Object.entries(hours).map(([Employee, HoursWorked]) => ({ Employee, HoursWorked })),
+        summary: {
+          totalTipsCents, totalCardCents: totalTipsCents, totalCashCents: 0, totalHouseCents: 0, cardFeeCents: 0, balanced: true
+        }
+      };
+    };
+    const runs = [
+      { name: 'Downtown', result: result([row('Ana Server', '101', 3000, 500), row('Ben Busser', '102', 1000)], { 'Ana Server': 6 }) },
+      { name: 'Uptown', result: result([row('ana  server', '7', 2000), row('HOUSE (unclaimed)', '', 300, 0, true)], { 'ana  server': 4 }) }
+    ];
+
+    const consolidated = consolidateLocations(runs);
+    expect(consolidated.employees.map(e => [e.Employee, e.Locations, e.HoursWorked, e.ByLocationCents, e.TotalTipsCents, e.CashTipsCents]))
+      .toEqual([
+        ['Ana Server', ['Downtown', 'Uptown'], 10, { Downtown: 3000, Uptown: 2000 }, 5000, 500],
+        ['Ben Busser', ['Downtown'], 0, { Downtown: 1000 }, 1000, 0],
+        ['HOUSE (unclaimed)', ['Uptown'], 0, { Uptown: 300 }, 300, 0]
+      ]);
+    expect(consolidated.locations.map(loc => [loc.Location, loc.Employees, loc.TotalTipsCents])).toEqual([
+      ['Downtown', 2, 4000],
+      ['Uptown', 1, 2300]
+    ]);
+    expect(consolidated).toMatchObject({ totalTipsCents: 6300, balanced: true });
+
+    // With a roster, employee IDs are company-wide and decide who is who
+    expect(consolidateLocations(runs, { byEmployeeId: true }).employees.map(e => e.Employee))
+      .toEqual(['ana  server', 'Ana Server', 'Ben Busser', 'HOUSE (unclaimed)']);
+  });
+});
@@ -0,0 +1,68 @@
+const { toCents, fromCents, formatCents, allocateCents, sumCents } = require('../src/money');
+
+describe('toCents', () => {
+  test('should convert numbers and strings to integer cents', () => {
+    expect(toCents(12.34)).toBe(1234);
+    expect(toCents('0.1')).toBe(10);
+    expect(toCents('$1,234.50')).toBe(123450);
+    expect(toCents('-5.00')).toBe(-500);
+  });
+
+  test('should absorb floating point noise', () => {
+    expect(toCents(0.1 + 0.2)).toBe(30);
+  });
+
+  test('should return NaN for values that are not amounts', () => {
+    expect(toCents(undefined)).toBeNaN();
+    expect(toCents('')).toBeNaN();
+    expect(toCents('abc')).toBeNaN();
+  });
+});
+
+describe('formatCents', () => {
+  test('should format cents as a two-decimal dollar string', () => {
+    expect(formatCents(1234)).toBe('12.34');
+    expect(formatCents(5)).toBe('0.05');
+    expect(formatCents(-5)).toBe('-0.05');
+    expect(formatCents(0)).toBe('0.00');
+  });
+
+  test('should agree with fromCents', () => {
+    expect(fromCents(1999)).toBe(19.99);
+  });
+});
+
+describe('allocateCents', () => {
+  test('should always sum exactly to the total', () => {
+    [1, 7, 100, 9999, 12345].forEach(total => {
+      const shares = allocateCents(total, [1, 1, 1]);
+      expect(sumCents(shares)).toBe(total);
+    });
+  });
+
+  test('should give leftover cents to the largest remainders', () => {
+    // 100 * 0.85 = 85, 100 * 0.15 = 15
+    expect(allocateCents(100, [0.85, 0.15])).toEqual([85, 15]);
+    // 1001 split 85/15 = 850.85 / 150.15, the extra cent goes to the larger remainder
+    expect(allocateCents(1001, [0.85, 0.15])).toEqual([851, 150]);
+  });
+
+  test('should break ties deterministically in favour of earlier entries', () => {
+    expect(allocateCents(10, [1, 1, 1])).toEqual([4, 3, 3]);
+    expect(allocateCents(2, [1, 1, 1])).toEqual([1, 1, 0]);
+  });
+
+  test('should split negative totals symmetrically', () => {
+    expect(allocateCents(-10, [1, 1, 1])).toEqual([-4, -3, -3]);
+  });
+
+  test('should never give cents to zero weights', () => {
+    expect(allocateCents(5, [0, 1, 0])).toEqual([0, 5, 0]);
+  });
+
+  test('should return zeros when there is nothing to split', () => {
+    expect(allocateCents(100, [])).toEqual([]);
+    expect(allocateCents(100, [0, 0])).toEqual([0, 0]);
+    expect(allocateCents(0, [1, 1])).toEqual([0, 0]);
+  });
+});
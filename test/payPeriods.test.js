@@ -0,0 +1,92 @@
+const {
+  parsePayPeriod,
+  payPeriodFor,
+  summarizeDaily,
+  summarizePayPeriods
+} = require('../src/payPeriods');
+
+describe('parsePayPeriod', () => {
+  test('should default to weekly periods without an anchor', () => {
+    expect(parsePayPeriod()).toEqual({ type: 'weekly', anchor: null });
+  });
+
+  test('should reject unknown types, bad anchors and bi-weekly periods without an anchor', () => {
+    expect(() => parsePayPeriod('monthly')).toThrow('Pay period "monthly" must be one of: weekly, biweekly, semimonthly');
+    expect(() => parsePayPeriod('weekly', '03/01/2025')).toThrow('Pay period anchor "03/01/2025"');
+    expect(() => parsePayPeriod('biweekly')).toThrow('Bi-weekly pay periods need an anchor date');
+  });
+});
+
+describe('payPeriodFor', () => {
+  test('should start weekly periods on Monday by default', () => {
+    // 2025-03-01 is a Saturday
+    expect(payPeriodFor('2025-03-01', parsePayPeriod('weekly'))).toEqual({ PeriodStart: '2025-02-24', PeriodEnd: '2025-03-02' });
+  });
+
+  test('should start weekly periods on the anchor weekday', () => {
+    expect(payPeriodFor('2025-03-01', parsePayPeriod('weekly', '2025-01-01'))).toEqual({ PeriodStart: '2025-02-26', PeriodEnd: '2025-03-04' });
+  });
+
+  test('should count bi-weekly periods from the anchor, before and after it', () => {
+    const biweekly = parsePayPeriod('biweekly', '2025-03-03');
+    expect(payPeriodFor('2025-03-16', biweekly)).toEqual({ PeriodStart: '2025-03-03', PeriodEnd: '2025-03-16' });
+    expect(payPeriodFor('2025-03-17', biweekly)).toEqual({ PeriodStart: '2025-03-17', PeriodEnd: '2025-03-30' });
+    expect(payPeriodFor('2025-03-01', biweekly)).toEqual({ PeriodStart: '2025-02-17', PeriodEnd: '2025-03-02' });
+  });
+
+  test('should split semi-monthly periods on the 15th, including leap-year February', () => {
+    const semimonthly = parsePayPeriod('semimonthly');
+    expect(payPeriodFor('2024-02-15', semimonthly)).toEqual({ PeriodStart: '2024-02-01', PeriodEnd: '2024-02-15' });
+    expect(payPeriodFor('2024-02-20', semimonthly)).toEqual({ PeriodStart: '2024-02-16', PeriodEnd: '2024-02-29' });
+    expect(payPeriodFor('2025-03-31', semimonthly)).toEqual({ PeriodStart: '2025-03-16', PeriodEnd: '2025-03-31' });
+  });
+});
+
+describe('summarizeDaily and summarizePayPeriods', () => {
+  const shift = (employee, date, from, to, breaks = []) => ({
+    Employee: employee,
+    Date: date,
+    TimeIn: new Date(`${date}T${from}:00Z`),
+    TimeOut: new Date(`${date}T${to}:00Z`),
+    Breaks: breaks.map(([start, end]) => ({ Start: new Date(`${date}T${start}:00Z`), End: new Date(`${date}T${end}:00Z`) }))
+  });
+  const cleanedClock = [
+    shift('Ana', '2025-03-01', '10:00', '16:30', [['13:00', '13:30']]),
+    shift('Ana', '2025-03-03', '10:00', '14:00'),
+    shift('Ben', '2025-03-01', '10:00', '12:00')
+  ];
+  const individualTipShares = [
+    { Employee: 'Ana', Date: '2025-03-01', IndividualTipShareCents: 6000 },
+    { Employee: 'Ana', Date: '2025-03-03', IndividualTipShareCents: 2000 },
+    { Employee: 'Ben', Date: '2025-03-01', IndividualTipShareCents: 1000 }
+  ];
+  const redistribution = [
+    { Employee: 'Ben', Date: '2025-03-01', UnallocatedTipShareCents: 50 },
+    { Employee: 'HOUSE (unclaimed)', Date: '2025-03-02', UnallocatedTipShareCents: 700, House: true }
+  ];
+
+  test('should total hours and tips per employee per day with the tip rate', () => {
+    const daily = summarizeDaily(cleanedClock, individualTipShares, redistribution);
+
+    expect(daily.map(d => [d.Employee, d.Date, d.HoursWorked, d.TotalTipsCents, d.TipsPerHour])).toEqual([
+      ['Ana', '2025-03-01', 6, 6000, 10],
+      ['Ana', '2025-03-03', 4, 2000, 5],
+      ['Ben', '2025-03-01', 2, 1050, 5.25],
+      ['HOUSE (unclaimed)', '2025-03-02', 0, 700, null]
+    ]);
+  });
+
+  test('should roll days up into pay periods', () => {
+    const daily = summarizeDaily(cleanedClock, individualTipShares, redistribution);
+    const periods = summarizePayPeriods(daily, parsePayPeriod('weekly'));
+
+    expect(periods.map(p => [p.Employee, p.PeriodStart, p.Days, p.HoursWorked, p.TotalTipsCents, p.TipsPerHour])).toEqual([
+      ['Ana', '2025-02-24', 1, 6, 6000, 10],
+      ['Ana', '2025-03-03', 1, 4, 2000, 5],
+      ['Ben', '2025-02-24', 1, 2, 1050, 5.25],
+      ['HOUSE (unclaimed)', '2025-02-24', 1, 0, 700, null]
+    ]);
+    const biweekly = summarizePayPeriods(daily, parsePayPeriod('biweekly', '2025-02-24'));
+    expect(biweekly[0]).toMatchObject({ Employee: 'Ana', PeriodEnd: '2025-03-09', Days: 2, HoursWorked: 10, TotalTipsCents: 8000, TipsPerHour: 8 });
+  });
+});
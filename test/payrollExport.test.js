@@ -0,0 +1,98 @@
+const {
+  EXPORT_FORMATS,
+  validatePayrollIds,
+  buildPayrollExport
+} = require('../src/payrollExport');
+
+describe('payrollExport', () => {
+  const period = (employee, cents, extra = {}) => ({
+    Employee: employee,
+    PeriodStart: '2025-02-24',
+    PeriodEnd: '2025-03-02',
+    HoursWorked: 12.5,
+    TotalTipsCents: cents,
+    House: false,
+    ...extra
+  });
+  const payPeriodTotals = [
+    period('Ana Server', 12345),
+    period('Pedro De Dios', 500),
+    period('Gus Manager', 0),
+    period('HOUSE (unclaimed)', 700, { House: true })
+  ];
+  const payrollIds = { 'Ana Server': 'E100', 'Pedro De Dios': 'E101' };
+
+  test('should offer every provider layout', () => {
+    expect(EXPORT_FORMATS).toEqual(['gusto', 'adp', 'quickbooks', 'generic']);
+  });
+
+  test('should lay out Gusto rows with split names and leave out the house line and empty periods', () => {
+    const { columns, rows, unmapped } = buildPayrollExport('gusto', payPeriodTotals, { payrollIds });
+
+    expect(columns[0]).toBe('employee_id');
+    expect(rows).toEqual([
+      { employee_id: 'E100', last_name: 'Server', first_name: 'Ana', pay_period_start: '2025-02-24', pay_period_end: '2025-03-02', paycheck_tips: '123.45', cash_tips: '0.00' },
+      { employee_id: 'E101', last_name: 'De Dios', first_name: 'Pedro', pay_period_start: '2025-02-24', pay_period_end: '2025-03-02', paycheck_tips: '5.00', cash_tips: '0.00' }
+    ]);
+    expect(unmapped).toEqual([]);
+  });
+
+  test('should put the earning code in the ADP, QuickBooks and generic layouts', () => {
+    const adp = buildPayrollExport('adp', payPeriodTotals, { payrollIds, earningCode: 'CCT' });
+    expect(adp.rows[0]).toMatchObject({ 'File #': 'E100', 'Earnings Code': 'CCT', 'Earnings Amount': '123.45' });
+
+    const quickbooks = buildPayrollExport('quickbooks', payPeriodTotals, { payrollIds });
+    expect(quickbooks.rows[0]).toMatchObject({ 'Employee ID': 'E100', 'Pay Item': 'Tips - Credit Card', 'Amount': '123.45' });
+
+    const generic = buildPayrollExport('generic', payPeriodTotals, { payrollIds });
+    expect(generic.rows[1]).toEqual({
+      EmployeeId: 'E101', Employee: 'Pedro De Dios', EarningCode: 'Tips - Credit Card',
+      PeriodStart: '2025-02-24', PeriodEnd: '2025-03-02', Hours: '12.50', Amount: '5.00'
+    });
+  });
+
+  test('should report cash tips in Gusto\'s cash column and as their own earning line elsewhere', () => {
+    const totals = [period('Ana Server', 12345, { CashTipsCents: 2345 }), period('Pedro De Dios', 500, { CashTipsCents: 500 })];
+
+    const gusto = buildPayrollExport('gusto', totals, { payrollIds });
+    expect(gusto.rows.map(r => [r.employee_id, r.paycheck_tips, r.cash_tips])).toEqual([
+      ['E100', '100.00', '23.45'],
+      ['E101', '0.00', '5.00']
+    ]);
+
+    const adp = buildPayrollExport('adp', totals, { payrollIds, cashEarningCode: 'CSH' });
+    expect(adp.rows.map(r => [r['File #'], r['Earnings Code'], r['Earnings Amount']])).toEqual([
+      ['E100', 'Tips - Credit Card', '100.00'],
+      ['E100', 'CSH', '23.45'],
+      ['E101', 'CSH', '5.00']
+    ]);
+  });
+
+  test('should export employees without a payroll ID with a blank ID and list them', () => {
+    const { rows, unmapped } = buildPayrollExport('generic', payPeriodTotals, { payrollIds: { 'Ana Server': 'E100' } });
+    expect(rows[1].EmployeeId).toBe('');
+    expect(unmapped).toEqual(['Pedro De Dios']);
+  });
+
+  test('should look payroll IDs up by employee ID when the name is not mapped', () => {
+    const { rows } = buildPayrollExport('generic', [period('Ana Server (#101)', 100, { EmployeeId: '101' })], { payrollIds: { 101: 'P-9' } });
+    expect(rows[0].EmployeeId).toBe('P-9');
+  });
+
+  test('should reject an unknown format', () => {
+    expect(() => buildPayrollExport('paychex', payPeriodTotals)).toThrow('Export format "paychex" must be one of: gusto, adp, quickbooks, generic');
+  });
+
+  test('should validate the payroll ID mapping rows', () => {
+    expect(validatePayrollIds([
+      { Employee: 'Ana Server', PayrollId: 'E100' },
+      { Employee: '', PayrollId: '' }
+    ])).toEqual({ 'Ana Server': 'E100' });
+
+    expect(() => validatePayrollIds([
+      { SourceRow: 2, Employee: 'Ana Server', PayrollId: 'E100' },
+      { SourceRow: 3, Employee: 'Ana Server', PayrollId: 'E200' },
+      { SourceRow: 4, Employee: 'Ben Cook', PayrollId: '' }
+    ])).toThrow('Invalid payroll ID file:\n  - Row 3: "Ana Server" is mapped to both E100 and E200\n  - Row 4: PayrollId is required for "Ben Cook"');
+  });
+});
@@ -0,0 +1,553 @@
+const { runAllocation, validateAllocationOptions } = require('../src/pipeline');
+const { validateClassificationRules } = require('../src/employeeClassification');
+const { validateRoster } = require('../src/roster');
+const { buildPayrollExport } = require('../src/payrollExport');
+
+const clockRows = [
+  {
+    'First Name': 'Ana', 'Last Name': 'Server', 'Department': 'Front of House',
+    'Date In': '2025-03-01', 'Time In': '10:00 AM', 'Date Out': '2025-03-01', 'Time Out': '10:30 AM',
+    'Total Less Break': '0.5'
+  },
+  {
+    'First Name': 'Ben', 'Last Name': 'Cook', 'Department': 'Back of House',
+    'Date In': '2025-03-01', 'Time In': '10:00 AM', 'Date Out': '2025-03-01', 'Time Out': '10:30 AM',
+    'Total Less Break': '0.5'
+  }
+];
+
+const transactionRows = [
+  { TransDateTime: '2025-03-01T10:05:00', AmtTip: '10.00', Approved: 'Yes' },
+  { TransDateTime: '2025-03-01T10:20:00', AmtTip: '20.00', Approved: 'Yes' },
+  { TransDateTime: '2025-03-01T10:25:00', AmtTip: '99.00', Approved: 'No' }
+];
+
+describe('runAllocation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return every intermediate table', () => {
+    const result = runAllocation({ clockRows, transactionRows, convertTimezone: false });
+
+    expect(Object.keys(result)).toEqual(expect.arrayContaining([
+      'cleanedClock', 'intervals', 'tipsBySlot', 'tipPools', 'individualTipShares',
+      'unallocatedTips', 'redistribution', 'finalTotals', 'summary'
+    ]));
+    expect(result.cleanedClock).toHaveLength(2);
+    expect(result.tipsBySlot).toHaveLength(2);
+  });
+
+  test('should split tips between FOH and BOH and reconcile to the transaction total', () => {
+    const { finalTotals, summary } = runAllocation({ clockRows, transactionRows, convertTimezone: false });
+
+    const ana = finalTotals.find(r => r.Employee === 'Ana Server');
+    const ben = finalTotals.find(r => r.Employee === 'Ben Cook');
+    expect(ana.TotalTips).toBeCloseTo(25.5);
+    expect(ben.TotalTips).toBeCloseTo(4.5);
+    expect(summary.transactionTotal).toBeCloseTo(30);
+    expect(summary.balanced).toBe(true);
+  });
+
+  test('should count sales without a tip as no tip and report tips that are not amounts', () => {
+    const { tipsBySlot, validationIssues, summary } = runAllocation({
+      clockRows,
+      transactionRows: [
+        { TransDateTime: '2025-03-01T10:05:00', AmtTip: '', AmtSale: '20.00', Approved: 'Yes' },
+        { TransDateTime: '2025-03-01T10:10:00', AmtTip: '5.00', Approved: 'Yes' },
+        { TransDateTime: '2025-03-01T10:12:00', AmtTip: 'n/a', Approved: 'Yes', Server: 'Ana Server' }
+      ],
+      convertTimezone: false
+    });
+
+    expect(tipsBySlot.map(r => [r.AmtTipCents, r.GrossTipCents, r.AmtSaleCents])).toEqual([[500, 500, 2000]]);
+    expect(validationIssues).toEqual([{
+      Row: 3, Employee: 'Ana Server', Date: '2025-03-01', Issue: 'InvalidTip', Blocking: false,
+      Action: 'Counted as no tip', Details: 'Transaction record 3 has AmtTip "n/a", which is not an amount'
+    }]);
+    expect(summary.transactionTotalCents).toBe(500);
+    expect(summary.totalTipsCents).toBe(500);
+    expect(summary.balanced).toBe(true);
+  });
+
+  test('should apply the BOH percentage override', () => {
+    const { finalTotals } = runAllocation({ clockRows, transactionRows, convertTimezone: false, bohPct: 50 });
+
+    expect(finalTotals.find(r => r.Employee === 'Ben Cook').TotalTips).toBeCloseTo(15);
+  });
+
+  test('should block the run and list departments the rules do not cover', () => {
+    const classificationRules = validateClassificationRules({ departments: { 'Front of House': 'FOH' } });
+
+    expect(() => runAllocation({ clockRows, transactionRows, classificationRules }))
+      .toThrow(/not covered by the classification rules:\n  - Back of House: Ben Cook/);
+  });
+
+  test('should use the categories from the rules file', () => {
+    const classificationRules = validateClassificationRules({
+      departments: { 'Front of House': 'FOH', 'Back of House': 'FOH' }
+    });
+    const { cleanedClock, summary, finalTotals } = runAllocation({
+      clockRows, transactionRows, classificationRules, convertTimezone: false
+    });
+
+    expect(cleanedClock.map(r => r.Category)).toEqual(['FOH', 'FOH']);
+    expect(finalTotals.map(r => r.TotalTipsCents)).toEqual([1500, 1500]);
+    expect(summary.balanced).toBe(true);
+  });
+
+  test('should split a slot by the fraction worked in proportional credit mode', () => {
+    // Ben leaves at 10:20, so he works a third of the 10:15 slot
+    const partialRows = [clockRows[0], { ...clockRows[1], 'Time Out': '10:20 AM' }];
+    const policy = { groups: [{ name: 'ALL', percent: 100, categories: ['FOH', 'BOH'] }] };
+    const { individualTipShares, summary } = runAllocation({
+      clockRows: partialRows, transactionRows, policy, creditMode: 'proportional', convertTimezone: false
+    });
+
+    const lateSlot = individualTipShares.filter(r => r.TimeSlotStart.getUTCMinutes() === 15);
+    expect(lateSlot.map(r => [r.Employee, r.Fraction, r.IndividualTipShareCents])).toEqual([
+      ['Ana Server', 1, 1500],
+      ['Ben Cook', 1 / 3, 500]
+    ]);
+    expect(summary.creditMode).toBe('proportional');
+    expect(summary.balanced).toBe(true);
+  });
+
+  test('should not pay tip shares for slots spent on break', () => {
+    const breakRows = [
+      { ...clockRows[0], 'Time Out': '10:45 AM', 'Break Start': '10:15 AM', 'Break End': '10:30 AM' },
+      clockRows[1]
+    ];
+    const { individualTipShares, breakExclusions, summary } = runAllocation({
+      clockRows: breakRows, transactionRows, convertTimezone: false
+    });
+
+    expect(breakExclusions.map(r => [r.Employee, r.TimeSlotStart.getUTCMinutes()])).toEqual([['Ana Server', 15]]);
+    expect(individualTipShares.filter(r => r.TimeSlotStart.getUTCMinutes() === 15).map(r => r.Employee))
+      .toEqual(['Ben Cook']);
+    expect(summary.balanced).toBe(true);
+  });
+
+  test('should report clock data issues and abort on blocking ones in strict mode', () => {
+    const badRows = [...clockRows, { ...clockRows[1], 'Date In': 'someday' }];
+    const { validationIssues, summary } = runAllocation({ clockRows: badRows, transactionRows, convertTimezone: false });
+
+    expect(validationIssues.map(i => [i.Row, i.Issue])).toEqual([[3, 'UnparseableDate']]);
+    expect(summary.blockingIssueCount).toBe(1);
+    expect(summary.balanced).toBe(true);
+
+    let error;
+    try {
+      runAllocation({ clockRows: badRows, transactionRows, strict: true });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toMatch(/1 blocking issues \(strict mode\):\n  - Row 3 Ben Cook: UnparseableDate/);
+    expect(error.validationIssues).toHaveLength(1);
+  });
+
+  test('should apply manager corrections to a missed clockout', () => {
+    const missedRows = [{ ...clockRows[0], 'Date Out': 'Missed Clockout', 'Time Out': '-', 'Total Less Break': '8' }, clockRows[1]];
+    const corrections = [
+      // Punches are read in the location zone (America/New_York by default)
+      { Employee: 'Ana Server', TimeIn: new Date('2025-03-01T10:00:00-05:00'), CorrectedTimeOut: new Date('2025-03-01T10:30:00-05:00'), Exclude: false, Note: '' }
+    ];
+
+    const uncorrected = runAllocation({ clockRows: missedRows, transactionRows, convertTimezone: false });
+    expect(uncorrected.correctionsTemplate.map(r => [r.Employee, r.ImputedTimeOut]))
+      .toEqual([['Ana Server', '2025-03-01 18:00:00']]);
+
+    const { cleanedClock, correctionsApplied, summary } = runAllocation({
+      clockRows: missedRows, transactionRows, corrections, convertTimezone: false
+    });
+    expect(cleanedClock[0].TimeOut).toEqual(new Date('2025-03-01T10:30:00-05:00'));
+    expect(correctionsApplied.map(c => c.Action)).toEqual(['CorrectedTimeOut']);
+    expect(summary.correctionsApplied).toBe(1);
+    expect(summary.validationIssueCount).toBe(0);
+  });
+
+  test('should throw instead of exiting on invalid options', () => {
+    expect(() => runAllocation({ clockRows, transactionRows, intervalMinutes: 7 })).toThrow('must divide the day evenly');
+    expect(() => runAllocation({ clockRows, transactionRows, bohPct: 120 })).toThrow('between 0 and 100');
+    expect(() => runAllocation({ clockRows })).toThrow('requires clockRows and transactionRows');
+    expect(() => runAllocation({ clockRows, transactionRows, creditMode: 'half' })).toThrow('Credit mode "half"');
+    expect(() => runAllocation({ clockRows, transactionRows, redistributionStrategy: 'lottery' }))
+      .toThrow('Redistribution strategy "lottery"');
+  });
+
+  test('should hold tips from a day nobody worked on the house line so the totals still balance', () => {
+    const rows = [...transactionRows, { TransDateTime: '2025-03-02T12:00:00', AmtTip: '5.00', Approved: 'Yes' }];
+    const { redistribution, finalTotals, summary } = runAllocation({
+      clockRows, transactionRows: rows, convertTimezone: false, redistributionStrategy: 'hours'
+    });
+
+    expect(redistribution.map(r => [r.Date, r.Employee, r.Strategy, r.UnallocatedTipShareCents]))
+      .toEqual([['2025-03-02', 'HOUSE (unclaimed)', 'hours', 500]]);
+    expect(finalTotals[finalTotals.length - 1]).toMatchObject({ Employee: 'HOUSE (unclaimed)', House: true });
+    expect(summary.redistributionStrategy).toBe('hours');
+    expect(summary.totalHouseCents).toBe(500);
+    expect(summary.balanced).toBe(true);
+  });
+
+  test('should total each employee per day and per pay period', () => {
+    const { dailyTotals, payPeriodTotals, summary } = runAllocation({
+      clockRows, transactionRows, convertTimezone: false, payPeriod: 'semimonthly'
+    });
+
+    expect(dailyTotals.map(d => [d.Employee, d.Date, d.HoursWorked, d.TotalTipsCents, d.TipsPerHour])).toEqual([
+      ['Ana Server', '2025-03-01', 0.5, 2550, 51],
+      ['Ben Cook', '2025-03-01', 0.5, 450, 9]
+    ]);
+    expect(payPeriodTotals.map(p => [p.Employee, p.PeriodStart, p.PeriodEnd])).toEqual([
+      ['Ana Server', '2025-03-01', '2025-03-15'],
+      ['Ben Cook', '2025-03-01', '2025-03-15']
+    ]);
+    expect(summary.payPeriod).toBe('semimonthly');
+    expect(() => runAllocation({ clockRows, transactionRows, payPeriod: 'biweekly' })).toThrow('need an anchor date');
+  });
+
+  test('should credit each shift to its own role when a cook also works expo', () => {
+    const expo = { ...clockRows[1], 'Department': 'Expo', 'Time In': '11:00 AM', 'Time Out': '11:15 AM' };
+    const rows = [...clockRows, expo];
+    const moreTips = [...transactionRows, { TransDateTime: '2025-03-01T11:05:00', AmtTip: '6.00', Approved: 'Yes' }];
+    const { roleTotals, finalTotals, departmentAnalysis } = runAllocation({ clockRows: rows, transactionRows: moreTips, convertTimezone: false });
+
+    expect(roleTotals.filter(r => r.Employee === 'Ben Cook').map(r => [r.Category, r.Department, r.TotalTipsCents])).toEqual([
+      ['BOH', 'Back of House', 450],
+      ['FOH', 'Expo', 600]
+    ]);
+    expect(finalTotals.find(r => r.Employee === 'Ben Cook').ByCategoryCents).toEqual({ BOH: 450, FOH: 600 });
+    expect(departmentAnalysis.employeeDepts['Ben Cook']).toEqual(['Back of House', 'Expo']);
+  });
+
+  test('should pool declared cash tips with the card tips and total them separately', () => {
+    const cashTips = [{ Row: 2, Date: '2025-03-01', AmountCents: 1000, Employee: '', Start: '', End: '', Period: 'day' }];
+    const { finalTotals, dailyTotals, summary } = runAllocation({ clockRows, transactionRows, cashTips, convertTimezone: false });
+
+    const ana = finalTotals.find(r => r.Employee === 'Ana Server');
+    const ben = finalTotals.find(r => r.Employee === 'Ben Cook');
+    expect([ana.CardTipsCents, ana.CashTipsCents, ana.TotalTipsCents]).toEqual([2550, 850, 3400]);
+    expect([ben.CardTipsCents, ben.CashTipsCents, ben.TotalTipsCents]).toEqual([450, 150, 600]);
+    expect(dailyTotals.find(r => r.Employee === 'Ana Server')).toMatchObject({ CardTipsCents: 2550, CashTipsCents: 850 });
+    expect(summary).toMatchObject({ totalCardCents: 3000, totalCashCents: 1000, cashTipTotalCents: 1000, balanced: true });
+  });
+
+  test('should net a refund against the slot of the original sale', () => {
+    const rows = [
+      { ...transactionRows[0], TransactionId: 'T1' },
+      { ...transactionRows[1], TransactionId: 'T2' },
+      { TransDateTime: '2025-03-01T23:30:00', AmtTip: '5.00', Approved: 'Yes', Type: 'Refund', OriginalTransactionId: 'T2' }
+    ];
+    const { tipsBySlot, transactionAdjustments, summary } = runAllocation({ clockRows, transactionRows: rows, convertTimezone: false });
+
+    expect(tipsBySlot.map(s => s.AmtTipCents)).toEqual([1000, 1500]);
+    expect(transactionAdjustments).toHaveLength(1);
+    expect(transactionAdjustments[0]).toMatchObject({ Action: 'Applied', ChangeCents: -500, Date: '2025-03-01' });
+    expect(transactionAdjustments[0].TimeSlotStart).toEqual(tipsBySlot[1].TimeSlotStart);
+    expect(summary).toMatchObject({ totalTipsCents: 2500, adjustmentsApplied: 1, adjustmentTotalCents: -500, balanced: true });
+  });
+
+  test('should let servers keep their own tips less the tip-outs', () => {
+    const policy = {
+      attribution: 'server',
+      groups: [{ name: 'FOH', percent: 85 }, { name: 'BOH', percent: 15 }],
+      tipOuts: [{ name: 'Kitchen', percent: 10, categories: ['BOH'] }]
+    };
+    const rows = [
+      { ...transactionRows[0], Server: 'Ana Server' },
+      { ...transactionRows[1], Server: 'Ana Server' },
+      { TransDateTime: '2025-03-01T10:20:00', AmtTip: '5.00', Approved: 'Yes' }
+    ];
+    const { finalTotals, serverDays, tipPools, summary } = runAllocation({ clockRows, transactionRows: rows, policy, convertTimezone: false });
+
+    // Ana keeps $27 of her $30 and the $5 without a server is pooled 85/15
+    expect(finalTotals.map(r => [r.Employee, r.TotalTipsCents])).toEqual([['Ana Server', 3125], ['Ben Cook', 375]]);
+    expect(serverDays.map(d => [d.Employee || d.Server, d.Status, d.KeptCents, d.TipOutTotalCents])).toEqual([
+      ['', 'NoServer', 0, 0],
+      ['Ana Server', 'Attributed', 2700, 300]
+    ]);
+    expect(tipPools.map(p => [p.AmtTipCents, p.PooledTipCents, p.ServerTipsCents, p.TipOutCents])).toEqual([
+      [1000, 0, 900, 100],
+      [2500, 500, 1800, 200]
+    ]);
+    expect(summary).toMatchObject({ attribution: 'server', serverKeptCents: 2700, tipOutTotalCents: 300, balanced: true });
+  });
+
+  test('should count the sales of untipped checks in sales tip-outs', () => {
+    const policy = {
+      attribution: 'server',
+      groups: [{ name: 'FOH', percent: 85 }, { name: 'BOH', percent: 15 }],
+      tipOuts: [{ name: 'Bar', percent: 5, of: 'sales', salesCategories: ['alcohol'], categories: ['BOH'] }]
+    };
+    const sale = (time, tip, amount, category) => ({
+      TransDateTime: `2025-03-01T${time}:00`, AmtTip: tip, AmtSale: amount, SaleCategory: category, Approved: 'Yes', Server: 'Ana Server'
+    });
+    const rows = [
+      sale('10:05', '', '40.00', 'Alcohol'),
+      sale('10:10', '10.00', '60.00', 'Food'),
+      sale('10:20', '20.00', '20.00', 'alcohol')
+    ];
+    const { tipsBySlot, serverDays, tipPools, finalTotals, validationIssues, summary } = runAllocation({
+      clockRows, transactionRows: rows, policy, convertTimezone: false
+    });
+
+    // The $40 of alcohol on the untipped check is still owed its 5% to the bar
+    expect(tipsBySlot.map(s => [s.AmtTipCents, s.AmtSaleCents, s.SalesByCategory])).toEqual([
+      [1000, 10000, { alcohol: 4000, food: 6000 }],
+      [2000, 2000, { alcohol: 2000 }]
+    ]);
+    expect(serverDays.map(d => [d.Employee, d.SalesCents, d.SalesByCategory, d.TipOutsCents, d.KeptCents])).toEqual([
+      ['Ana Server', 12000, { alcohol: 6000, food: 6000 }, { Bar: 300 }, 2700]
+    ]);
+    // The tip-out follows the alcohol sales into the slots; what Ana keeps follows her tips
+    expect(tipPools.map(p => [p.ServerTipsCents, p.TipOutCents])).toEqual([[900, 200], [1800, 100]]);
+    expect(finalTotals.map(r => [r.Employee, r.TotalTipsCents])).toEqual([['Ana Server', 2700], ['Ben Cook', 300]]);
+    expect(validationIssues).toEqual([]);
+    expect(summary).toMatchObject({ serverKeptCents: 2700, tipOutTotalCents: 300, balanced: true });
+  });
+
+  test('should withhold the card processing fee before pooling', () => {
+    const cardFee = { type: 'flat', percent: 3 };
+    const { tipsBySlot, tipPools, summary } = runAllocation({ clockRows, transactionRows, cardFee, convertTimezone: false });
+
+    expect(tipsBySlot.map(s => [s.GrossTipCents, s.FeeCents, s.AmtTipCents])).toEqual([[1000, 30, 970], [2000, 60, 1940]]);
+    expect(tipPools.map(p => [p.GrossTipCents, p.FeeCents, p.AmtTipCents])).toEqual([[1000, 30, 970], [2000, 60, 1940]]);
+    expect(summary).toMatchObject({
+      grossCardTipsCents: 3000,
+      cardFeeCents: 90,
+      transactionTotalCents: 2910,
+      totalTipsCents: 2910,
+      cardFee: '3% of card tips',
+      balanced: true
+    });
+  });
+
+  test('should keep two people with the same name apart by their clock IDs', () => {
+    const sameName = [
+      { ...clockRows[0], 'Clock ID': '101' },
+      { ...clockRows[0], 'Clock ID': '102' },
+      { ...clockRows[1], 'Clock ID': '200' }
+    ];
+    const { finalTotals, identityIssues, summary } = runAllocation({ clockRows: sameName, transactionRows, convertTimezone: false });
+
+    expect(finalTotals.map(r => [r.Employee, r.EmployeeId, r.TotalTipsCents])).toEqual([
+      ['Ana Server (#101)', '101', 1275],
+      ['Ana Server (#102)', '102', 1275],
+      ['Ben Cook', '200', 450]
+    ]);
+    expect(identityIssues.map(i => i.Issue)).toEqual(['SharedName', 'SharedName']);
+    expect(summary.identityIssueCount).toBe(2);
+  });
+
+  test('should find payroll IDs by the clock name after a roster renames employees', () => {
+    const roster = validateRoster([
+      { EmployeeId: 'E1', LegalName: 'Ana Maria Server', Aliases: 'Ana Server' },
+      { EmployeeId: 'E2', LegalName: 'Ben Cook' }
+    ]);
+    const { payPeriodTotals } = runAllocation({ clockRows, transactionRows, roster, convertTimezone: false });
+    // The mapping file uses the clock system's names
+    const payrollIds = { 'Ana Server': 'P-1', 'Ben Cook': 'P-2' };
+    const { rows, unmapped } = buildPayrollExport('generic', payPeriodTotals, { payrollIds });
+
+    expect(payPeriodTotals.map(p => [p.Employee, p.ClockName, p.EmployeeId])).toEqual([
+      ['Ana Maria Server', 'Ana Server', 'E1'],
+      ['Ben Cook', 'Ben Cook', 'E2']
+    ]);
+    expect(rows.map(r => [r.EmployeeId, r.Employee])).toEqual([['P-1', 'Ana Maria Server'], ['P-2', 'Ben Cook']]);
+    expect(unmapped).toEqual([]);
+  });
+});
+
+describe('runAllocation across DST changes', () => {
+  const overnight = (dateIn, dateOut) => [{
+    'First Name': 'Ana', 'Last Name': 'Server', 'Department': 'Front of House',
+    'Date In': dateIn, 'Time In': '11:00 PM', 'Date Out': dateOut, 'Time Out': '3:00 AM'
+  }];
+  const options = {
+    intervalMinutes: 60,
+    creditMode: 'proportional',
+    timezones: { location: 'America/New_York', transactions: 'America/New_York' }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should credit three hours on the spring-forward night', () => {
+    const { intervals } = runAllocation({
+      ...options,
+      clockRows: overnight('2025-03-08', '2025-03-09'),
+      transactionRows: [{ TransDateTime: '2025-03-09 3:30 AM', AmtTip: '5.00', Approved: 'Yes' }]
+    });
+
+    expect(intervals.reduce((acc, r) => acc + r.Fraction, 0)).toBe(3);
+    expect(intervals.map(r => r.Date)).toEqual(['2025-03-08', '2025-03-09', '2025-03-09']);
+  });
+
+  test('should credit five hours and both 1 AM slots on the fall-back night', () => {
+    const { intervals, tipPools, summary } = runAllocation({
+      ...options,
+      clockRows: overnight('2025-11-01', '2025-11-02'),
+      transactionRows: [
+        { TransDateTime: '2025-11-02 1:30 AM', AmtTip: '5.00', Approved: 'Yes' },      // first 1 AM (EDT)
+        { TransDateTime: '2025-11-02T01:30:00-05:00', AmtTip: '7.00', Approved: 'Yes' } // second 1 AM (EST)
+      ]
+    });
+
+    expect(intervals).toHaveLength(5);
+    expect(tipPools.map(p => [p.TimeSlotStart.toISOString(), p.AmtTipCents])).toEqual([
+      ['2025-11-02T05:00:00.000Z', 500],
+      ['2025-11-02T06:00:00.000Z', 700]
+    ]);
+    expect(tipPools.every(p => p.FOHCount === 1)).toBe(true);
+    expect(summary.balanced).toBe(true);
+  });
+
+  test('should reject unknown time zones', () => {
+    expect(() => runAllocation({ clockRows, transactionRows, timezones: { location: 'Nowhere/Town' } }))
+      .toThrow('Unknown location time zone "Nowhere/Town"');
+  });
+});
+
+describe('runAllocation business day', () => {
+  const lateShift = [{
+    'First Name': 'Ana', 'Last Name': 'Server', 'Department': 'Front of House',
+    'Date In': '2025-03-07', 'Time In': '5:00 PM', 'Date Out': '2025-03-08', 'Time Out': '2:00 AM'
+  }];
+  const lateTips = [
+    { TransDateTime: '2025-03-07 9:00 PM', AmtTip: '4.00', Approved: 'Yes' },
+    { TransDateTime: '2025-03-08 1:30 AM', AmtTip: '6.00', Approved: 'Yes' }
+  ];
+  const options = {
+    clockRows: lateShift,
+    transactionRows: lateTips,
+    timezones: { location: 'America/New_York', transactions: 'America/New_York' }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should split after-midnight slots onto the calendar day by default', () => {
+    const { tipsBySlot, intervals } = runAllocation(options);
+
+    expect(tipsBySlot.map(r => r.Date)).toEqual(['2025-03-07', '2025-03-08']);
+    expect(new Set(intervals.map(r => r.Date))).toEqual(new Set(['2025-03-07', '2025-03-08']));
+  });
+
+  test('should keep the shift and its late tips on one business day', () => {
+    const { cleanedClock, tipsBySlot, intervals, summary } = runAllocation({ ...options, businessDayStart: '04:00' });
+
+    expect(cleanedClock[0].Date).toBe('2025-03-07');
+    expect(tipsBySlot.map(r => r.Date)).toEqual(['2025-03-07', '2025-03-07']);
+    expect(new Set(intervals.map(r => r.Date))).toEqual(new Set(['2025-03-07']));
+    expect(summary.businessDayStart).toBe('04:00');
+    expect(summary.balanced).toBe(true);
+  });
+
+  test('should reject an invalid business-day start', () => {
+    expect(() => runAllocation({ ...options, businessDayStart: 'late' })).toThrow('Business day start "late"');
+  });
+});
+
+describe('runAllocation date formats', () => {
+  const ukShift = [{
+    'First Name': 'Ana', 'Last Name': 'Server', 'Department': 'Front of House',
+    'Date In': '03/02/2025', 'Time In': '18:00', 'Date Out': '03/02/2025', 'Time Out': '19:00'
+  }];
+  const options = { clockRows: ukShift, convertTimezone: false, timezones: { location: 'Europe/London' } };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should read day-first dates with a locale or an explicit format per source', () => {
+    const transactionRows = [{ TransDateTime: '03/02/2025 18:20', AmtTip: '6.00', Approved: 'Yes' }];
+    const byLocale = runAllocation({ ...options, transactionRows, dateLocale: 'en-GB' });
+    const byFormat = runAllocation({
+      ...options,
+      transactionRows: [{ TransDateTime: '3.2.25 6:20 PM', AmtTip: '6.00', Approved: 'Yes' }],
+      dateFormats: { clock: 'DD/MM/YYYY', transactions: 'D.M.YY h:mm A' }
+    });
+
+    [byLocale, byFormat].forEach(({ cleanedClock, tipsBySlot, summary }) => {
+      expect(cleanedClock[0].TimeIn.toISOString()).toBe('2025-02-03T18:00:00.000Z');
+      expect(tipsBySlot.map(r => [r.Date, r.TimeSlotStart.toISOString()])).toEqual([['2025-02-03', '2025-02-03T18:15:00.000Z']]);
+      expect(summary.balanced).toBe(true);
+    });
+  });
+
+  test('should report clock punches that cannot be read instead of guessing', () => {
+    const { validationIssues, cleanedClock } = runAllocation({
+      ...options,
+      clockRows: [{ ...ukShift[0], 'Date In': '13/02/2025', 'Date Out': '13/02/2025' }],
+      transactionRows: []
+    });
+
+    expect(cleanedClock).toHaveLength(0);
+    expect(validationIssues.map(i => [i.Issue, i.Details])).toEqual([[
+      'UnparseableDate',
+      'Date In/Time In "13/02/2025 18:00" and Date Out/Time Out "13/02/2025 19:00" could not be read as month/day/year dates'
+    ]]);
+  });
+
+  test('should list every transaction whose time cannot be read', () => {
+    const transactionRows = [
+      { TransDateTime: '2025-02-03 18:20', AmtTip: '6.00', Approved: 'Yes' },
+      { TransDateTime: '30/02/2025 18:25', AmtTip: '1.00', Approved: 'Yes' },
+      { TransDateTime: '03/02/2025 6:40 PM CET', AmtTip: '2.00', Approved: 'Yes' },
+      { TransDateTime: 'someday', AmtTip: '3.00', Approved: 'No' },
+      { TransDateTime: '', AmtTip: '1.00', Type: 'Refund', OriginalTransactionId: 'T1' }
+    ];
+
+    let error;
+    try {
+      runAllocation({ ...options, transactionRows, dateLocale: 'en-GB' });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toBe(
+      'Could not read the TransDateTime of 3 transactions as day/month/year dates ' +
+      '(set --txn-date-format or --date-locale to match the export):\n' +
+      '  - Record 2: "30/02/2025 18:25"\n' +
+      '  - Record 3: "03/02/2025 6:40 PM CET"\n' +
+      '  - Record 5: no TransDateTime'
+    );
+    expect(error.unparseableDates.map(u => u.Record)).toEqual([2, 3, 5]);
+  });
+
+  test('should reject invalid date formats and locales', () => {
+    expect(() => runAllocation({ ...options, transactionRows: [], dateFormats: { transactions: 'DD/MM' } }))
+      .toThrow('Date format "DD/MM" needs a year');
+    expect(() => runAllocation({ ...options, transactionRows: [], dateLocale: 'not a locale' }))
+      .toThrow('Unknown date locale "not a locale"');
+  });
+});
+
+describe('validateAllocationOptions', () => {
+  test('should accept intervals that divide the day', () => {
+    expect(() => validateAllocationOptions(15, null)).not.toThrow();
+    expect(() => validateAllocationOptions(60, 0)).not.toThrow();
+  });
+
+  test('should reject non-numeric intervals', () => {
+    expect(() => validateAllocationOptions(NaN, null)).toThrow();
+  });
+});
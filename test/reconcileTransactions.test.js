@@ -0,0 +1,89 @@
+const { reconcileTransactions, ADJUSTMENT_ACTIONS } = require('../src/transactions');
+
+describe('reconcileTransactions', () => {
+  const parseTime = value => new Date(`${value}Z`);
+  const sale = (id, check, time, tip) => ({ TransactionId: id, CheckId: check, TransDateTime: time, AmtTip: tip, Approved: 'Yes' });
+  const adjust = (type, fields) => ({ Type: type, Approved: 'Yes', TransDateTime: '2025-03-01T23:00:00', ...fields });
+
+  test('should net refunds, voids and tip adjustments against the linked sale', () => {
+    const { sales, adjustments } = reconcileTransactions([
+      sale('T1', 'C1', '2025-03-01T12:05:00', '10.00'),
+      sale('T2', 'C2', '2025-03-01T18:20:00', '20.00'),
+      sale('T3', 'C3', '2025-03-01T19:00:00', '5.00'),
+      adjust('Tip Adjust', { TransactionId: 'T2A', CheckId: 'C2', AmtTip: '12.50' }),
+      adjust('Refund', { OriginalTransactionId: 'T1', AmtTip: '-4.00' }),
+      adjust('VOID', { CheckId: 'C3' })
+    ], parseTime);
+
+    expect(sales.map(s => s.tipCents)).toEqual([600, 1250, 0]);
+    expect(adjustments.map(a => [a.Type, a.LinkedId, a.TipBeforeCents, a.TipAfterCents, a.ChangeCents, a.Action])).toEqual([
+      ['tip-adjust', 'C2', 2000, 1250, -750, ADJUSTMENT_ACTIONS.APPLIED],
+      ['refund', 'T1', 1000, 600, -400, ADJUSTMENT_ACTIONS.APPLIED],
+      ['void', 'C3', 500, 0, -500, ADJUSTMENT_ACTIONS.APPLIED]
+    ]);
+  });
+
+  test('should apply adjustments in time order and never take a tip below zero', () => {
+    const { sales, adjustments } = reconcileTransactions([
+      sale('T1', '', '2025-03-01T12:00:00', '10.00'),
+      adjust('Refund', { OriginalTransactionId: 'T1', AmtTip: '8.00', TransDateTime: '2025-03-01T15:00:00' }),
+      adjust('Tip Adjust', { OriginalTransactionId: 'T1', AmtTip: '15.00', TransDateTime: '2025-03-01T13:00:00' })
+    ], parseTime);
+
+    expect(sales[0].tipCents).toBe(700);
+    expect(adjustments.map(a => [a.TipBeforeCents, a.TipAfterCents])).toEqual([[1000, 1500], [1500, 700]]);
+
+    const refunded = reconcileTransactions([
+      sale('T1', '', '2025-03-01T12:00:00', '3.00'),
+      adjust('Refund', { OriginalTransactionId: 'T1', AmtTip: '5.00' })
+    ], parseTime);
+    expect(refunded.sales[0].tipCents).toBe(0);
+  });
+
+  test('should net refunds and voids against the sale amount too', () => {
+    const { sales, adjustments } = reconcileTransactions([
+      { ...sale('T1', '', '2025-03-01T12:00:00', '10.00'), AmtSale: '50.00' },
+      { ...sale('T2', '', '2025-03-01T12:10:00', '5.00'), AmtSale: '30.00' },
+      { ...sale('T3', '', '2025-03-01T12:20:00', '2.00'), AmtSale: '20.00' },
+      adjust('Refund', { OriginalTransactionId: 'T1', AmtTip: '', AmtSale: '-12.00' }),
+      adjust('Void', { OriginalTransactionId: 'T2' }),
+      adjust('Refund', { OriginalTransactionId: 'T3', AmtTip: '', AmtSale: '' })
+    ], parseTime);
+
+    expect(sales.map(s => [s.tipCents, s.saleCents])).toEqual([[1000, 3800], [0, 0], [0, 0]]);
+    expect(adjustments.map(a => a.SaleChangeCents)).toEqual([-1200, -3000, -2000]);
+  });
+
+  test('should keep the sale amount of untipped sales next to tipped ones', () => {
+    const { sales, adjustments, invalidTips } = reconcileTransactions([
+      { ...sale('T1', '', '2025-03-01T12:00:00', ''), AmtSale: '40.00' },
+      { ...sale('T2', '', '2025-03-01T12:10:00', '6.00'), AmtSale: '30.00' },
+      { ...sale('T3', '', '2025-03-01T12:20:00', ''), AmtSale: '25.00' },
+      adjust('Refund', { OriginalTransactionId: 'T3', AmtTip: '', AmtSale: '-5.00' })
+    ], parseTime);
+
+    expect(sales.map(s => [s.tipCents, s.saleCents])).toEqual([[0, 4000], [600, 3000], [0, 2000]]);
+    expect(adjustments.map(a => [a.TipBeforeCents, a.TipAfterCents, a.SaleChangeCents])).toEqual([[0, 0, -500]]);
+    expect(invalidTips).toEqual([]);
+  });
+
+  test('should report adjustments it cannot apply without changing any tip', () => {
+    const { sales, adjustments } = reconcileTransactions([
+      sale('T1', 'C1', '2025-03-01T12:00:00', '10.00'),
+      sale('T2', 'C1', '2025-03-01T12:10:00', '5.00'),
+      { ...sale('T3', 'C3', '2025-03-01T12:20:00', '9.00'), Approved: 'No' },
+      adjust('Void', { CheckId: 'C1' }),
+      adjust('Void', { OriginalTransactionId: 'T3' }),
+      adjust('Refund', { OriginalTransactionId: 'T1', Approved: 'No' }),
+      adjust('Chargeback', { OriginalTransactionId: 'T1' })
+    ], parseTime);
+
+    expect(sales.map(s => s.tipCents)).toEqual([1000, 500]);
+    expect(adjustments.map(a => a.Action)).toEqual([
+      ADJUSTMENT_ACTIONS.AMBIGUOUS,
+      ADJUSTMENT_ACTIONS.UNMATCHED,
+      ADJUSTMENT_ACTIONS.DECLINED,
+      ADJUSTMENT_ACTIONS.UNKNOWN_TYPE
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+const {
+  employeeIdFromRow,
+  validateRoster,
+  resolveEmployees
+} = require('../src/roster');
+
+describe('roster', () => {
+  const record = (row, employee, employeeId = '', extra = {}) => ({
+    SourceRow: row, Employee: employee, EmployeeId: employeeId, Department: 'Front of House', Position: '', ...extra
+  });
+
+  test('should read the employee ID from the first ID column that has one', () => {
+    expect(employeeIdFromRow({ 'Employee Number': '', 'Clock ID': '149' })).toBe('149');
+    expect(employeeIdFromRow({ 'Employee ID': 'E7', 'Clock ID': '149' })).toBe('E7');
+    expect(employeeIdFromRow({ 'First Name': 'Ana' })).toBe('');
+  });
+
+  test('should reject roster rows without an ID or legal name and duplicate IDs', () => {
+    expect(() => validateRoster([
+      { SourceRow: 2, EmployeeId: 'E1', LegalName: 'Ana Server' },
+      { SourceRow: 3, EmployeeId: 'E1', LegalName: 'Ben Cook' },
+      { SourceRow: 4, EmployeeId: '', LegalName: 'Cat Host' }
+    ])).toThrow('Invalid roster file:\n  - Row 3: EmployeeId E1 is already used by "Ana Server"\n  - Row 4: EmployeeId is required for "Cat Host"');
+  });
+
+  describe('resolveEmployees', () => {
+    const roster = validateRoster([
+      { EmployeeId: 'E1', LegalName: 'Devon Daniels', Aliases: 'Dev Daniels; Dev D', DefaultRole: 'Budtender' },
+      { EmployeeId: 'E2', LegalName: 'Sam Lee', Aliases: '' },
+      { EmployeeId: 'E3', LegalName: 'Sam Lee', Aliases: 'Samantha Lee' }
+    ]);
+
+    test('should match clock names to roster IDs by legal name or alias, ignoring case', () => {
+      const { records, issues } = resolveEmployees([
+        record(2, 'DEV  daniels'), record(3, 'Samantha Lee'), record(4, 'Sam Lee', 'E2')
+      ], roster);
+
+      expect(records.map(r => [r.Employee, r.EmployeeId, r.ClockName, r.Position])).toEqual([
+        ['Devon Daniels', 'E1', 'DEV  daniels', 'Budtender'],
+        ['Sam Lee (#E3)', 'E3', 'Samantha Lee', ''],
+        ['Sam Lee (#E2)', 'E2', 'Sam Lee', '']
+      ]);
+      expect(issues.map(i => i.Issue)).toEqual(['SharedName', 'SharedName']);
+    });
+
+    test('should report unmatched and ambiguous names', () => {
+      const { records, issues } = resolveEmployees([record(2, 'Sam Lee'), record(3, 'Zed Nobody'), record(4, 'Zed Nobody')], roster);
+
+      expect(records.map(r => r.EmployeeId)).toEqual(['', '', '']);
+      expect(issues.map(i => [i.Issue, i.ClockName, i.Rows])).toEqual([
+        ['AmbiguousName', 'Sam Lee', [2]],
+        ['UnmatchedName', 'Zed Nobody', [3, 4]]
+      ]);
+      expect(issues[0].Details).toBe('Matches E2 (Sam Lee), E3 (Sam Lee)');
+    });
+
+    test('should prefer the clock ID, flag spellings the roster does not list and fall back to the name', () => {
+      const { records, issues } = resolveEmployees([record(2, 'Devvy Daniels', 'E1'), record(3, 'Dev Daniels', '149')], roster);
+
+      expect(records.map(r => [r.Employee, r.EmployeeId])).toEqual([['Devon Daniels', 'E1'], ['Devon Daniels', 'E1']]);
+      expect(issues.map(i => [i.Issue, i.ClockName])).toEqual([['NameVariant', 'Devvy Daniels']]);
+    });
+
+    test('should merge spellings of one ID and keep apart people who share a name without a roster', () => {
+      const { records, issues } = resolveEmployees([
+        record(2, 'Ana Server', '10'),
+        record(3, 'Anna Server', '10'),
+        record(4, 'Ben Cook', '20'),
+        record(5, 'Ben Cook', '21')
+      ]);
+
+      expect(records.map(r => r.Employee)).toEqual(['Ana Server', 'Ana Server', 'Ben Cook (#20)', 'Ben Cook (#21)']);
+      expect(issues.map(i => [i.Issue, i.ClockName, i.ClockId])).toEqual([
+        ['NameVariant', 'Anna Server', '10'],
+        ['SharedName', 'Ben Cook', '20'],
+        ['SharedName', 'Ben Cook', '21']
+      ]);
+    });
+
+    test('should leave records without IDs keyed by name when there is no roster', () => {
+      const { records, issues } = resolveEmployees([record(2, 'Ana Server')]);
+      expect(records[0]).toMatchObject({ Employee: 'Ana Server', EmployeeId: '', ClockName: 'Ana Server' });
+      expect(issues).toEqual([]);
+    });
+  });
+});
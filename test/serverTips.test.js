@@ -0,0 +1,88 @@
+const { ATTRIBUTION_STATUSES, attributeServerTips } = require('../src/serverTips');
+const { validateTipPolicy } = require('../src/tipPolicy');
+
+describe('serverTips', () => {
+  const at = time => new Date(`2025-03-01T${time}:00Z`);
+  const interval = (employee, time, category = 'FOH') => ({ Employee: employee, Category: category, Date: '2025-03-01', TimeSlotStart: at(time) });
+  // Ana serves 17:00-17:30, Ben buses 17:00-17:15
+  const intervals = [
+    interval('Ana Server', '17:00'),
+    interval('Ana Server', '17:15'),
+    interval('Ben Busser', '17:00', 'BUSSER')
+  ];
+  const slot = (time, serverTips) => ({
+    Date: '2025-03-01',
+    TimeSlotStart: at(time),
+    AmtTipCents: serverTips.reduce((acc, s) => acc + s.AmtTipCents, 0),
+    ServerTips: serverTips
+  });
+  const ana = (tipCents, saleCents = 0) => ({ Server: 'ana server', ServerId: '', AmtTipCents: tipCents, AmtSaleCents: saleCents });
+  const policy = tipOuts => validateTipPolicy({ attribution: 'server', groups: [{ name: 'FOH', percent: 100 }], tipOuts });
+
+  test('should let the server keep their tips less the tip-outs, taken in the slot they were made', () => {
+    const { ownTipsCents, tipOutSlots, pooledSlots, serverDays } = attributeServerTips(
+      [slot('17:00', [ana(1000)]), slot('17:15', [ana(2000)])],
+      intervals,
+      policy([{ name: 'Bussers', percent: 10, categories: ['BUSSER'] }])
+    );
+
+    expect(ownTipsCents).toEqual([900, 1800, 0]);
+    expect(tipOutSlots.map(s => s.PoolCents)).toEqual([{ Bussers: 100 }, { Bussers: 200 }]);
+    expect(pooledSlots.map(s => [s.AmtTipCents, s.ServerTipsCents, s.TipOutCents])).toEqual([[0, 900, 100], [0, 1800, 200]]);
+    expect(serverDays).toEqual([expect.objectContaining({
+      Employee: 'Ana Server', Status: ATTRIBUTION_STATUSES.ATTRIBUTED, TipsCents: 3000, TipOutTotalCents: 300, KeptCents: 2700
+    })]);
+  });
+
+  test('should credit checks closed after clocking out to the nearest interval that day', () => {
+    const { ownTipsCents } = attributeServerTips([slot('18:30', [ana(500)])], intervals, policy([]));
+    expect(ownTipsCents).toEqual([0, 500, 0]);
+  });
+
+  test('should cap sales-based tip-outs at the server\'s tips for the day', () => {
+    const { ownTipsCents, tipOutSlots, serverDays } = attributeServerTips(
+      [slot('17:00', [ana(300, 10000)]), slot('17:15', [ana(100, 10000)])],
+      intervals,
+      policy([{ name: 'Bussers', percent: 3, of: 'sales', categories: ['BUSSER'] }])
+    );
+
+    expect(ownTipsCents).toEqual([0, 0, 0]);
+    expect(tipOutSlots.map(s => s.PoolCents)).toEqual([{ Bussers: 200 }, { Bussers: 200 }]);
+    expect(serverDays[0]).toMatchObject({ TipOutTotalCents: 400, KeptCents: 0, Details: 'Tip-outs of $6.00 capped at the day\'s tips' });
+  });
+
+  test('should take a sales tip-out of only the sale categories it lists', () => {
+    const { tipOutSlots, serverDays } = attributeServerTips(
+      [slot('17:00', [{ ...ana(2000, 10000), SalesByCategory: { food: 6000, alcohol: 4000 } }])],
+      intervals,
+      policy([{ name: 'Bar', percent: 5, of: 'sales', salesCategories: ['Alcohol'], categories: ['BUSSER'] }])
+    );
+
+    expect(tipOutSlots.map(s => s.PoolCents)).toEqual([{ Bar: 200 }]);
+    expect(serverDays[0]).toMatchObject({ SalesCents: 10000, SalesByCategory: { food: 6000, alcohol: 4000 }, KeptCents: 1800 });
+  });
+
+  test('should pool the tips of unknown servers, servers who did not work and transactions without one', () => {
+    const { ownTipsCents, pooledSlots, serverDays } = attributeServerTips(
+      [
+        slot('17:00', [
+          { Server: 'Zoe Nobody', ServerId: '', AmtTipCents: 100, AmtSaleCents: 0 },
+          { Server: 'Ben Busser', ServerId: '', AmtTipCents: 200, AmtSaleCents: 0 },
+          { Server: '', ServerId: '', AmtTipCents: 300, AmtSaleCents: 0 }
+        ]),
+        { Date: '2025-03-02', TimeSlotStart: new Date('2025-03-02T17:00:00Z'), AmtTipCents: 400, ServerTips: [ana(400)] }
+      ],
+      intervals,
+      policy([])
+    );
+
+    expect(ownTipsCents).toEqual([0, 0, 200]);
+    expect(pooledSlots.map(s => s.AmtTipCents)).toEqual([400, 400]);
+    expect(serverDays.map(d => [d.Date, d.Server, d.Status])).toEqual([
+      ['2025-03-01', '', ATTRIBUTION_STATUSES.NO_SERVER],
+      ['2025-03-01', 'Ben Busser', ATTRIBUTION_STATUSES.ATTRIBUTED],
+      ['2025-03-01', 'Zoe Nobody', ATTRIBUTION_STATUSES.UNKNOWN_SERVER],
+      ['2025-03-02', 'ana server', ATTRIBUTION_STATUSES.NOT_CLOCKED_IN]
+    ]);
+  });
+});
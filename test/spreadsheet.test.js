@@ -0,0 +1,134 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+const {
+  isWorkbookFile,
+  readWorkbookRows,
+  readRows,
+  parseDelimitedRows,
+  findHeaderRow,
+  isTotalsRow,
+  rowsToRecords
+} = require('../src/spreadsheet');
+const { loadClockData, processClockData } = require('../src/clockData');
+
+const SAMPLE_WORKBOOK = path.join(
+  __dirname, '..', 'test-data', 'Clocks Summary_ Yerba Buena 2025-02-21 to 2025-05-31.xlsx'
+);
+
+describe('isWorkbookFile', () => {
+  test('should recognise Excel extensions case-insensitively', () => {
+    expect(isWorkbookFile('clock.xlsx')).toBe(true);
+    expect(isWorkbookFile('CLOCK.XLS')).toBe(true);
+    expect(isWorkbookFile('clock.csv')).toBe(false);
+    expect(isWorkbookFile(undefined)).toBe(false);
+  });
+});
+
+describe('readWorkbookRows', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workbook-'));
+
+  test('should read cells as text with dates and times in ISO form', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Payments');
+    sheet.addRow(['Payments 3/1/2025']);
+    sheet.mergeCells('A1:C1');
+    sheet.addRow(['Paid Date', 'Tip', 'Approved', 'Time']);
+    sheet.addRow([new Date(Date.UTC(2025, 2, 1, 18, 5)), 5.5, true, new Date(Date.UTC(1899, 11, 30, 22, 30))]);
+    sheet.addRow([new Date(Date.UTC(2025, 2, 2)), { formula: 'B3*2', result: 11 }, false, null]);
+    workbook.addWorksheet('Other').addRow(['ignored']);
+    const file = path.join(dir, 'payments.xlsx');
+    await workbook.xlsx.writeFile(file);
+
+    expect(await readWorkbookRows(file)).toEqual([
+      ['Payments 3/1/2025', '', '', ''],
+      ['Paid Date', 'Tip', 'Approved', 'Time'],
+      ['2025-03-01 18:05:00', '5.5', 'TRUE', '22:30:00'],
+      ['2025-03-02', '11', 'FALSE', '']
+    ]);
+    expect(await readRows(file)).toHaveLength(4);
+    expect(await readWorkbookRows(file, 'Other')).toEqual([['ignored']]);
+    await expect(readWorkbookRows(file, 'Missing')).rejects.toThrow(`Sheet "Missing" not found in ${file}`);
+  });
+
+  test('should ask for legacy .xls workbooks to be saved as .xlsx', async () => {
+    await expect(readRows('clock.xls')).rejects.toThrow('clock.xls is an Excel 97-2003 workbook; save it as .xlsx or CSV');
+  });
+});
+
+describe('rowsToRecords', () => {
+  const report = [
+    ['2025-02-21 to 2025-05-31', '', ''],
+    ['', '', ''],
+    ['First Name', 'Last Name', 'Date In'],
+    ['Dev', 'Daniels', '2025-02-21'],
+    ['', '', ''],
+    ['Pedro', 'De Dios', '2025-02-22'],
+    ['TOTALS:', '', ''],
+    ['trailing', 'junk', '']
+  ];
+
+  test('should locate the header row by its column names', () => {
+    expect(findHeaderRow(report, ['First Name', 'Date In'])).toBe(2);
+    expect(findHeaderRow(report, ['Missing'])).toBe(-1);
+  });
+
+  test('should recognise totals rows', () => {
+    expect(isTotalsRow(['TOTALS:', '', ''])).toBe(true);
+    expect(isTotalsRow(['', 'Total', ''])).toBe(true);
+    expect(isTotalsRow(['Totally', 'Real', 'Name'])).toBe(false);
+    expect(isTotalsRow(['', '', ''])).toBe(false);
+  });
+
+  test('should skip title rows, blank rows and stop at the totals row', () => {
+    const records = rowsToRecords(report, ['First Name', 'Date In']);
+    expect(records).toEqual([
+      { 'First Name': 'Dev', 'Last Name': 'Daniels', 'Date In': '2025-02-21' },
+      { 'First Name': 'Pedro', 'Last Name': 'De Dios', 'Date In': '2025-02-22' }
+    ]);
+  });
+
+  test('should throw when no header row is found', () => {
+    expect(() => rowsToRecords(report, ['TransDateTime'])).toThrow('Could not find a header row');
+  });
+
+  test('should work on parsed CSV text without a title row', () => {
+    const rows = parseDelimitedRows('First Name,Last Name,Date In\nDev,Daniels,2025-02-21\nTOTALS:,,\n');
+    expect(rowsToRecords(rows, ['First Name'])).toHaveLength(1);
+  });
+});
+
+describe('loadClockData with the Clocks Summary workbook', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should read clock rows directly from the .xlsx file', async () => {
+    const rows = await loadClockData(SAMPLE_WORKBOOK);
+
+    expect(rows.length).toBeGreaterThan(0);
+    expect(rows.some(r => r['First Name'] === 'TOTALS:')).toBe(false);
+    expect(rows[0]).toMatchObject({
+      'First Name': 'Dev',
+      'Last Name': 'Daniels',
+      'Department': 'Front of House',
+      'Date In': '2025-02-21',
+      'Time In': '10:00 AM',
+      'Time Out': '5:05 PM'
+    });
+  });
+
+  test('should produce rows that processClockData accepts', async () => {
+    const cleaned = processClockData(await loadClockData(SAMPLE_WORKBOOK));
+
+    expect(cleaned[0].Employee).toBe('Dev Daniels');
+    expect(cleaned[0].TimeIn.getHours()).toBe(10);
+    expect(cleaned[0].TimeOut.getHours()).toBe(17);
+  });
+});
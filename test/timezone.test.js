@@ -0,0 +1,118 @@
+const {
+  isValidTimeZone,
+  zoneOffsetMinutes,
+  zonedTimeToInstant,
+  parseInZone,
+  formatInZone,
+  localDateInZone,
+  businessDateInZone,
+  parseDayStart,
+  floorToIntervalInZone
+} = require('../src/timezone');
+
+const NY = 'America/New_York';
+
+describe('isValidTimeZone', () => {
+  test('should accept IANA zones and reject anything else', () => {
+    expect(isValidTimeZone('America/Chicago')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+});
+
+describe('parseInZone', () => {
+  test('should read wall clock time in the given zone regardless of the host zone', () => {
+    expect(parseInZone('2025-03-01 10:05 AM', NY).toISOString()).toBe('2025-03-01T15:05:00.000Z');
+    expect(parseInZone('2025-03-01 10:05 AM', 'America/Chicago').toISOString()).toBe('2025-03-01T16:05:00.000Z');
+    expect(parseInZone('2025-07-01T10:05:00', NY).toISOString()).toBe('2025-07-01T14:05:00.000Z');
+  });
+
+  test('should keep an explicit offset', () => {
+    expect(parseInZone('2025-03-01T10:05:00Z', NY).toISOString()).toBe('2025-03-01T10:05:00.000Z');
+    expect(parseInZone('2025-03-01T10:05:00+01:00', NY).toISOString()).toBe('2025-03-01T09:05:00.000Z');
+  });
+
+  test('should return an invalid date for unparseable text', () => {
+    expect(isNaN(parseInZone('not a date', NY))).toBe(true);
+    expect(isNaN(parseInZone(null, NY))).toBe(true);
+  });
+});
+
+describe('spring-forward night (2025-03-09, America/New_York)', () => {
+  test('should use the offset in force at each instant, not today\'s', () => {
+    expect(zoneOffsetMinutes(new Date('2025-03-09T06:59:00Z'), NY)).toBe(-300);
+    expect(zoneOffsetMinutes(new Date('2025-03-09T07:00:00Z'), NY)).toBe(-240);
+  });
+
+  test('should move readings inside the skipped hour forward', () => {
+    const instant = zonedTimeToInstant({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, NY);
+    expect(formatInZone(instant, NY)).toBe('2025-03-09 03:30:00');
+  });
+
+  test('should make 1:00 AM to 4:00 AM a two hour span', () => {
+    const start = parseInZone('2025-03-09 1:00 AM', NY);
+    const end = parseInZone('2025-03-09 4:00 AM', NY);
+    expect((end - start) / 3600000).toBe(2);
+  });
+
+  test('should floor slots on the local wall clock after the jump', () => {
+    const slot = floorToIntervalInZone(parseInZone('2025-03-09 3:10 AM', NY), 15, NY);
+    expect(formatInZone(slot, NY)).toBe('2025-03-09 03:00:00');
+  });
+});
+
+describe('fall-back night (2025-11-02, America/New_York)', () => {
+  test('should resolve an ambiguous reading to the first occurrence', () => {
+    expect(parseInZone('2025-11-02 1:30 AM', NY).toISOString()).toBe('2025-11-02T05:30:00.000Z');
+  });
+
+  test('should make 1:00 AM to 3:00 AM a three hour span', () => {
+    const start = parseInZone('2025-11-02 1:00 AM', NY);
+    const end = parseInZone('2025-11-02 3:00 AM', NY);
+    expect((end - start) / 3600000).toBe(3);
+  });
+
+  test('should keep the two 1:00 AM hours as separate slots', () => {
+    const first = floorToIntervalInZone(new Date('2025-11-02T05:40:00Z'), 60, NY);
+    const second = floorToIntervalInZone(new Date('2025-11-02T06:40:00Z'), 60, NY);
+
+    expect(first.toISOString()).toBe('2025-11-02T05:00:00.000Z');
+    expect(second.toISOString()).toBe('2025-11-02T06:00:00.000Z');
+    expect(formatInZone(first, NY)).toBe('2025-11-02 01:00:00');
+    expect(formatInZone(second, NY)).toBe('2025-11-02 01:00:00');
+  });
+
+  test('should report the local calendar date', () => {
+    expect(localDateInZone(new Date('2025-11-02T03:30:00Z'), NY)).toBe('2025-11-01');
+    expect(localDateInZone(new Date('2025-11-02T04:30:00Z'), NY)).toBe('2025-11-02');
+  });
+});
+
+describe('businessDateInZone', () => {
+  test('should keep times before the business-day start on the previous day', () => {
+    const lateTip = parseInZone('2025-03-08 1:30 AM', NY);
+
+    expect(businessDateInZone(lateTip, NY)).toBe('2025-03-08');
+    expect(businessDateInZone(lateTip, NY, 240)).toBe('2025-03-07');
+    expect(businessDateInZone(parseInZone('2025-03-08 4:00 AM', NY), NY, 240)).toBe('2025-03-08');
+  });
+
+  test('should step back one calendar day on DST nights', () => {
+    expect(businessDateInZone(parseInZone('2025-03-09 3:30 AM', NY), NY, 240)).toBe('2025-03-08');
+    expect(businessDateInZone(parseInZone('2025-11-02T01:30:00-05:00', NY), NY, 240)).toBe('2025-11-01');
+  });
+});
+
+describe('parseDayStart', () => {
+  test('should read hours and minutes after midnight', () => {
+    expect(parseDayStart('04:00')).toBe(240);
+    expect(parseDayStart('4:30')).toBe(270);
+    expect(parseDayStart('5')).toBe(300);
+    expect(parseDayStart(undefined)).toBe(0);
+  });
+
+  test('should reject values that are not a time of day', () => {
+    expect(() => parseDayStart('25:00')).toThrow('Business day start "25:00"');
+    expect(() => parseDayStart('4am')).toThrow();
+  });
+});
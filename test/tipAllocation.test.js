@@ -1,12 +1,16 @@
 const { expect } = require('chai');
 const {
+  REDISTRIBUTION_STRATEGIES,
+  HOUSE_LINE,
   countStaffPerSlot,
   computeTipPools,
   calculateIndividualTipShares,
   identifyUnallocatedTips,
   redistributeUnallocatedTips,
+  aggregateTipsByRole,
   aggregateFinalTips
 } = require('../src/tipAllocation');
+const { validateTipPolicy } = require('../src/tipPolicy');
 
 describe('TipAllocation', () => {
   describe('countStaffPerSlot', () => {
@@ -101,3 +105,261 @@ describe('TipAllocation', () => {
     });
   });
 });
+
+describe('TipAllocation integer-cent reconciliation', () => {
+  const slot = new Date('2025-03-01T18:00:00Z');
+  const slotEnd = new Date('2025-03-01T18:15:00Z');
+  const interval = (employee, department) => ({
+    Employee: employee,
+    Department: department,
+    Date: '2025-03-01',
+    TimeSlotStart: slot,
+    TimeSlotEnd: slotEnd
+  });
+  const intervals = [
+    interval('Ana', 'Front of House'),
+    interval('Cal', 'Front of House'),
+    interval('Bea', 'Front of House'),
+    interval('Ben', 'Back of House')
+  ];
+
+  let logStub;
+  beforeEach(() => { logStub = jest.spyOn(console, 'log').mockImplementation(() => {}); });
+  afterEach(() => { logStub.mockRestore(); });
+
+  it('should split pools in cents so they sum to the slot total', () => {
+    const staffMap = countStaffPerSlot(intervals, 15);
+    const [pool] = computeTipPools([{ Date: '2025-03-01', TimeSlotStart: slot, AmtTipCents: 1001 }], staffMap);
+
+    expect(pool.FOHTipPoolCents + pool.BOHTipPoolCents).to.equal(1001);
+    expect(pool.FOHTipPoolCents).to.equal(851);
+    expect(pool.FOHTipPool).to.equal(8.51);
+  });
+
+  it('should pay each pool out to the penny with deterministic leftover cents', () => {
+    const staffMap = countStaffPerSlot(intervals, 15);
+    const pools = computeTipPools([{ Date: '2025-03-01', TimeSlotStart: slot, AmtTipCents: 1001 }], staffMap);
+    const shares = calculateIndividualTipShares(intervals, pools, 15);
+
+    const byName = {};
+    shares.forEach(s => { byName[s.Employee] = s.IndividualTipShareCents; });
+    // 851 / 3 = 283.67: the extra cents go to the first names alphabetically
+    expect(byName).to.deep.equal({ Ana: 284, Bea: 284, Cal: 283, Ben: 150 });
+  });
+
+  it('should redistribute unallocated cents exactly and aggregate totals in cents', () => {
+    const unallocated = [{ Date: '2025-03-01', TimeSlotStart: slot, UnallocatedTipCents: 100 }];
+    const redistribution = redistributeUnallocatedTips(unallocated, intervals, 15);
+    expect(redistribution.reduce((acc, r) => acc + r.UnallocatedTipShareCents, 0)).to.equal(100);
+
+    const totals = aggregateFinalTips([], redistribution);
+    expect(totals.reduce((acc, r) => acc + r.TotalTipsCents, 0)).to.equal(100);
+  });
+});
+
+describe('TipAllocation with a tip policy', () => {
+  const slot = new Date('2025-03-01T18:00:00Z');
+  const tips = [{ Date: '2025-03-01', TimeSlotStart: slot, AmtTipCents: 10000 }];
+  const staffMapFor = staff => ({ [`2025-03-01|${slot.toISOString()}`]: { EXEC: 0, ...staff } });
+
+  let logStub;
+  beforeEach(() => { logStub = jest.spyOn(console, 'log').mockImplementation(() => {}); });
+  afterEach(() => { logStub.mockRestore(); });
+
+  const threeWay = validateTipPolicy({
+    name: 'Three pools',
+    groups: [
+      { name: 'FOH', percent: 70 },
+      { name: 'BAR', percent: 20 },
+      { name: 'BOH', percent: 10, whenAbsent: 'unallocated' }
+    ]
+  });
+
+  it('should split tips between every present group by percentage', () => {
+    const [pool] = computeTipPools(tips, staffMapFor({ FOH: 2, BAR: 1, BOH: 1 }), null, threeWay);
+    expect(pool.GroupPoolsCents).to.deep.equal({ FOH: 7000, BAR: 2000, BOH: 1000 });
+    expect(pool.UnallocatedCents).to.equal(0);
+  });
+
+  it('should hand an absent shareWithPresent group to the others proportionally', () => {
+    const [pool] = computeTipPools(tips, staffMapFor({ FOH: 2, BOH: 1 }), null, threeWay);
+    // BAR's 20% goes 70:10 to FOH and BOH
+    expect(pool.GroupPoolsCents.FOH).to.equal(8750);
+    expect(pool.GroupPoolsCents.BOH).to.equal(1250);
+    expect(pool.UnallocatedCents).to.equal(0);
+  });
+
+  it('should leave an absent unallocated group as unallocated tips', () => {
+    const pools = computeTipPools(tips, staffMapFor({ FOH: 2, BAR: 1 }), null, threeWay);
+    expect(pools[0].UnallocatedCents).to.equal(1000);
+    expect(identifyUnallocatedTips(pools, 15)[0].UnallocatedTipCents).to.equal(1000);
+  });
+
+  it('should leave the whole slot unallocated when only executives are present', () => {
+    const pools = computeTipPools(tips, staffMapFor({ EXEC: 1 }), null, threeWay);
+    expect(pools[0].UnallocatedCents).to.equal(10000);
+  });
+
+  it('should pay shares from the group pool the employee category belongs to', () => {
+    const policy = validateTipPolicy({ groups: [{ name: 'ALL', percent: 100, categories: ['FOH', 'BOH'] }] });
+    const intervals = [
+      { Employee: 'Ana', Department: 'Front of House', Date: '2025-03-01', TimeSlotStart: slot },
+      { Employee: 'Ben', Department: 'Back of House', Date: '2025-03-01', TimeSlotStart: slot }
+    ];
+    const pools = computeTipPools(tips, countStaffPerSlot(intervals, 15), null, policy);
+    const shares = calculateIndividualTipShares(intervals, pools, 15, policy);
+    expect(shares.map(s => s.IndividualTipShareCents)).to.deep.equal([5000, 5000]);
+  });
+
+  it('should divide a pool proportionally to role weights', () => {
+    const policy = validateTipPolicy({
+      groups: [{ name: 'FOH', percent: 85 }, { name: 'BOH', percent: 15 }],
+      weights: { roles: { Server: 1, Bartender: 1, Busser: 0.5, Host: 0.35 } }
+    });
+    const member = (name, position) => ({
+      Employee: name, Position: position, Department: 'Front of House', Date: '2025-03-01', TimeSlotStart: slot
+    });
+    const intervals = [member('Ana', 'Server'), member('Bob', 'Busser'), member('Cat', 'Host')];
+    const pools = computeTipPools(
+      [{ Date: '2025-03-01', TimeSlotStart: slot, AmtTipCents: 1850 }],
+      countStaffPerSlot(intervals, 15), null, policy
+    );
+    const shares = calculateIndividualTipShares(intervals, pools, 15, policy);
+
+    // 1850 over 1.85 points: 1000 / 500 / 350
+    expect(shares.map(s => s.Weight)).to.deep.equal([1, 0.5, 0.35]);
+    expect(shares.map(s => s.IndividualTipShareCents)).to.deep.equal([1000, 500, 350]);
+  });
+});
+
+describe('TipAllocation redistribution strategies', () => {
+  const at = time => new Date(`2025-03-01T${time}:00Z`);
+  const interval = (employee, department, time, extra = {}) => ({
+    Employee: employee, Department: department, Date: '2025-03-01', TimeSlotStart: at(time), ...extra
+  });
+  // Ana works four FOH slots, Cat one, Ben (BOH) two, and the GM is on all day
+  const intervals = [
+    interval('Ana', 'Front of House', '18:00'),
+    interval('Ana', 'Front of House', '18:15'),
+    interval('Ana', 'Front of House', '18:30'),
+    interval('Ana', 'Front of House', '18:45'),
+    interval('Cat', 'Front of House', '18:00'),
+    interval('Ben', 'Back of House', '20:00'),
+    interval('Ben', 'Back of House', '20:15'),
+    interval('Gus', 'Executive', '18:00')
+  ];
+  // BOH's 15% of an 18:00 slot and a whole 22:00 slot nobody pooled was on for
+  const unallocated = [
+    { Date: '2025-03-01', TimeSlotStart: at('18:00'), UnallocatedTipCents: 150, UnallocatedGroupCents: { BOH: 150 } },
+    { Date: '2025-03-01', TimeSlotStart: at('22:00'), UnallocatedTipCents: 1000, UnallocatedGroupCents: { FOH: 850, BOH: 150 } }
+  ];
+  const byEmployee = redistribution => {
+    const totals = {};
+    redistribution.forEach(r => { totals[r.Employee] = (totals[r.Employee] || 0) + r.UnallocatedTipShareCents; });
+    return totals;
+  };
+  const redistribute = (strategy, extra = {}) => redistributeUnallocatedTips(unallocated, intervals, 15, { strategy, ...extra });
+
+  it('should keep equal shares for everyone who worked that day by default', () => {
+    const redistribution = redistributeUnallocatedTips(unallocated, intervals, 15);
+    expect(byEmployee(redistribution)).to.deep.equal({ Ana: 288, Ben: 288, Cat: 287, Gus: 287 });
+    expect(redistribution.every(r => r.Strategy === 'equal')).to.equal(true);
+  });
+
+  it('should split in proportion to hours worked by pooled staff', () => {
+    // 1150 over 1.75 hours: Ana 1h, Ben 0.5h, Cat 0.25h; the GM is not pooled
+    expect(byEmployee(redistribute(REDISTRIBUTION_STRATEGIES.HOURS))).to.deep.equal({ Ana: 657, Ben: 329, Cat: 164 });
+  });
+
+  it('should split in proportion to tips already allocated that day', () => {
+    const individualTipShares = [
+      { Employee: 'Ana', Date: '2025-03-01', IndividualTipShareCents: 3000 },
+      { Employee: 'Ben', Date: '2025-03-01', IndividualTipShareCents: 1000 },
+      { Employee: 'Gus', Date: '2025-03-01', IndividualTipShareCents: 0 }
+    ];
+    expect(byEmployee(redistribute(REDISTRIBUTION_STRATEGIES.ALLOCATED_TIPS, { individualTipShares })))
+      .to.deep.equal({ Ana: 863, Ben: 287 });
+  });
+
+  it('should give each missing group share to the nearest slot that group staffed', () => {
+    const redistribution = redistribute(REDISTRIBUTION_STRATEGIES.NEAREST_SLOT);
+    // BOH's 150 at 18:00 and 150 at 22:00 go to Ben's 20:00 / 20:15 slots; FOH's 850 at 22:00 goes to Ana at 18:45
+    expect(byEmployee(redistribution)).to.deep.equal({ Ana: 850, Ben: 300 });
+    expect(redistribution.map(r => r.Group).sort()).to.deep.equal(['BOH', 'FOH']);
+  });
+
+  it('should keep missing group shares within that group, by hours worked', () => {
+    expect(byEmployee(redistribute(REDISTRIBUTION_STRATEGIES.MISSING_CATEGORY))).to.deep.equal({ Ana: 680, Ben: 300, Cat: 170 });
+  });
+
+  it('should hold everything on the house line under the house strategy', () => {
+    const redistribution = redistribute(REDISTRIBUTION_STRATEGIES.HOUSE);
+    expect(redistribution).to.have.length(1);
+    expect(redistribution[0]).to.include({ Employee: HOUSE_LINE, House: true, UnallocatedTipShareCents: 1150 });
+  });
+
+  it('should send tips nobody is eligible for to the house line instead of dropping them', () => {
+    const redistribution = redistributeUnallocatedTips(
+      [{ Date: '2025-03-02', TimeSlotStart: at('12:00'), UnallocatedTipCents: 500 }], intervals, 15
+    );
+    expect(redistribution).to.have.length(1);
+    expect(redistribution[0]).to.include({ Date: '2025-03-02', Employee: HOUSE_LINE, UnallocatedTipShareCents: 500 });
+
+    const totals = aggregateFinalTips([{ Employee: 'Ana', IndividualTipShareCents: 100 }], redistribution);
+    expect(totals.map(t => t.Employee)).to.deep.equal(['Ana', HOUSE_LINE]);
+  });
+
+  it('should reject an unknown strategy', () => {
+    expect(() => redistribute('lottery')).to.throw('Redistribution strategy "lottery" must be one of');
+  });
+
+  it('should record the unallocated share of each absent group in the tip pools', () => {
+    const policy = validateTipPolicy({
+      groups: [{ name: 'FOH', percent: 85 }, { name: 'BOH', percent: 15, whenAbsent: 'unallocated' }]
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const staffMap = countStaffPerSlot(intervals, 15);
+    const pools = computeTipPools([
+      { Date: '2025-03-01', TimeSlotStart: at('18:00'), AmtTipCents: 1000 },
+      { Date: '2025-03-01', TimeSlotStart: at('22:00'), AmtTipCents: 1000 }
+    ], staffMap, null, policy);
+    console.log.mockRestore();
+    expect(pools[0].UnallocatedGroupCents).to.deep.equal({ BOH: 150 });
+    expect(pools[1].UnallocatedGroupCents).to.deep.equal({ FOH: 850, BOH: 150 });
+  });
+});
+
+describe('TipAllocation totals by role', () => {
+  const at = time => new Date(`2025-03-01T${time}:00Z`);
+  // Ben cooks (BOH) for three slots then covers expo (FOH) for one
+  const intervals = [
+    { Employee: 'Ben', Department: 'Back of House', Category: 'BOH', Date: '2025-03-01', TimeSlotStart: at('17:00') },
+    { Employee: 'Ben', Department: 'Back of House', Category: 'BOH', Date: '2025-03-01', TimeSlotStart: at('17:15') },
+    { Employee: 'Ben', Department: 'Back of House', Category: 'BOH', Date: '2025-03-01', TimeSlotStart: at('17:30') },
+    { Employee: 'Ben', Department: 'Expo', Category: 'FOH', Date: '2025-03-01', TimeSlotStart: at('19:00') }
+  ];
+  const shares = [
+    { Employee: 'Ben', Department: 'Back of House', Category: 'BOH', Date: '2025-03-01', IndividualTipShareCents: 300 },
+    { Employee: 'Ben', Department: 'Expo', Category: 'FOH', Date: '2025-03-01', IndividualTipShareCents: 500 }
+  ];
+
+  it('should keep slot shares with the role of the shift and split redistribution by hours per role', () => {
+    const redistribution = [{ Date: '2025-03-01', Employee: 'Ben', Group: '', UnallocatedTipShareCents: 100 }];
+    const roles = aggregateTipsByRole(shares, redistribution, intervals, 15);
+
+    expect(roles.map(r => [r.Category, r.Department, r.AllocatedTipsCents, r.UnallocatedTipsCents, r.TotalTipsCents])).to.deep.equal([
+      ['BOH', 'Back of House', 300, 75, 375],
+      ['FOH', 'Expo', 500, 25, 525]
+    ]);
+
+    const [total] = aggregateFinalTips(shares, redistribution, { Ben: 'E7' }, roles);
+    expect(total).to.include({ EmployeeId: 'E7', TotalTipsCents: 900 });
+    expect(total.ByCategoryCents).to.deep.equal({ BOH: 375, FOH: 525 });
+  });
+
+  it('should keep a per-group redistributed share within that group', () => {
+    const redistribution = [{ Date: '2025-03-01', Employee: 'Ben', Group: 'FOH', UnallocatedTipShareCents: 100 }];
+    const roles = aggregateTipsByRole(shares, redistribution, intervals, 15);
+    expect(roles.map(r => r.UnallocatedTipsCents)).to.deep.equal([0, 100]);
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ABSENT_RULES,
+  ATTRIBUTION_MODES,
+  defaultTipPolicy,
+  validateTipPolicy,
+  loadTipPolicy,
+  groupForCategory,
+  weightFor
+} = require('../src/tipPolicy');
+
+describe('defaultTipPolicy', () => {
+  test('should split 85/15 between FOH and BOH', () => {
+    const policy = defaultTipPolicy();
+    expect(policy.groups.map(g => [g.name, g.percent])).toEqual([['FOH', 85], ['BOH', 15]]);
+    expect(policy.excludeExecutives).toBe(true);
+  });
+
+  test('should apply a BOH percentage override', () => {
+    expect(defaultTipPolicy(20).groups.map(g => g.percent)).toEqual([80, 20]);
+  });
+});
+
+describe('validateTipPolicy', () => {
+  test('should fill in defaults for optional fields', () => {
+    const policy = validateTipPolicy({
+      groups: [
+        { name: 'FOH', percent: 70 },
+        { name: 'BOH', percent: 30, whenAbsent: 'unallocated' }
+      ]
+    });
+    expect(policy.name).toBe('Custom policy');
+    expect(policy.excludeExecutives).toBe(true);
+    expect(policy.groups[0]).toEqual({
+      name: 'FOH', percent: 70, categories: ['FOH'], whenAbsent: ABSENT_RULES.SHARE_WITH_PRESENT
+    });
+    expect(policy.groups[1].whenAbsent).toBe(ABSENT_RULES.UNALLOCATED);
+  });
+
+  test('should use the policy-wide absent rule when a group has none', () => {
+    const policy = validateTipPolicy({
+      whenGroupAbsent: 'unallocated',
+      groups: [{ name: 'FOH', percent: 100 }]
+    });
+    expect(policy.groups[0].whenAbsent).toBe('unallocated');
+  });
+
+  test('should report every problem at once', () => {
+    expect(() => validateTipPolicy({
+      groups: [
+        { name: 'FOH', percent: 80, categories: ['FOH', 'EXEC'] },
+        { name: 'BOH', percent: 30, categories: ['FOH'], whenAbsent: 'keep' }
+      ]
+    })).toThrow(/includes EXEC[\s\S]*both "FOH" and "BOH"[\s\S]*whenAbsent[\s\S]*add up to 100/);
+  });
+
+  test('should require a group for executives when they are not excluded', () => {
+    expect(() => validateTipPolicy({
+      excludeExecutives: false,
+      groups: [{ name: 'FOH', percent: 100 }]
+    })).toThrow('no group includes the EXEC category');
+  });
+
+  test('should reject policies without groups', () => {
+    expect(() => validateTipPolicy({})).toThrow('at least one pool group');
+    expect(() => validateTipPolicy(null)).toThrow('must be an object');
+  });
+
+  test('should fill in tip-out defaults for server attribution', () => {
+    const policy = validateTipPolicy({
+      attribution: 'server',
+      groups: [{ name: 'FOH', percent: 100 }],
+      tipOuts: [{ name: 'BOH', percent: 10 }, { name: 'Bar', percent: 1.5, of: 'sales', categories: ['BAR'] }]
+    });
+    expect(policy.attribution).toBe(ATTRIBUTION_MODES.SERVER);
+    expect(policy.tipOuts).toEqual([
+      { name: 'BOH', percent: 10, of: 'tips', salesCategories: [], categories: ['BOH'] },
+      { name: 'Bar', percent: 1.5, of: 'sales', salesCategories: [], categories: ['BAR'] }
+    ]);
+    expect(validateTipPolicy({ groups: [{ name: 'FOH', percent: 100 }] }).attribution).toBe(ATTRIBUTION_MODES.POOLED);
+  });
+
+  test('should report every tip-out problem at once', () => {
+    expect(() => validateTipPolicy({
+      groups: [{ name: 'FOH', percent: 100 }],
+      tipOuts: [
+        { name: 'BOH', percent: 60 },
+        { name: 'Bar', percent: 50, categories: ['BOH'] },
+        { name: 'Host', percent: 1, of: 'covers' }
+      ]
+    })).toThrow(/both tip-outs "BOH" and "Bar"[\s\S]*"Host" "of" must be one of[\s\S]*more than 100[\s\S]*only apply when attribution is "server"/);
+  });
+});
+
+describe('loadTipPolicy', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tip-policy-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should load a YAML policy', () => {
+    const file = path.join(dir, 'policy.yaml');
+    fs.writeFileSync(file, [
+      'name: Downtown',
+      'groups:',
+      '  - name: FOH',
+      '    percent: 80',
+      '  - name: BOH',
+      '    percent: 20',
+      '    whenAbsent: unallocated'
+    ].join('\n'));
+
+    const policy = loadTipPolicy(file);
+    expect(policy.name).toBe('Downtown');
+    expect(policy.groups[1]).toMatchObject({ name: 'BOH', percent: 20, whenAbsent: 'unallocated' });
+  });
+
+  test('should load a JSON policy', () => {
+    const file = path.join(dir, 'policy.json');
+    fs.writeFileSync(file, JSON.stringify({ groups: [{ name: 'FOH', percent: 100, categories: ['FOH', 'BOH'] }] }));
+
+    expect(groupForCategory(loadTipPolicy(file), 'BOH').name).toBe('FOH');
+  });
+});
+
+describe('weightFor', () => {
+  const policy = validateTipPolicy({
+    groups: [{ name: 'FOH', percent: 100 }],
+    weights: {
+      default: 1,
+      roles: { Server: 1, Busser: 0.5, Host: 0.35, 'Back of House': 0.8 },
+      employees: { 'Jane Doe': 1.2 }
+    }
+  });
+
+  test('should prefer an employee override over the role weight', () => {
+    expect(weightFor(policy, { Employee: 'Jane Doe', Position: 'Busser' })).toBe(1.2);
+  });
+
+  test('should use the position, then the department, then the default', () => {
+    expect(weightFor(policy, { Employee: 'Al', Position: 'Host', Department: 'Front of House' })).toBe(0.35);
+    expect(weightFor(policy, { Employee: 'Bo', Position: 'Cook', Department: 'Back of House' })).toBe(0.8);
+    expect(weightFor(policy, { Employee: 'Cy', Position: 'Cook', Department: 'Kitchen' })).toBe(1);
+  });
+
+  test('should not take inherited object members for names or roles', () => {
+    expect(weightFor(policy, { Employee: 'constructor', Position: 'toString', Department: '__proto__' })).toBe(1);
+  });
+
+  test('should give everyone weight 1 under the default policy', () => {
+    expect(weightFor(defaultTipPolicy(), { Employee: 'Al', Position: 'Host' })).toBe(1);
+  });
+
+  test('should reject zero or non-numeric weights', () => {
+    expect(() => validateTipPolicy({
+      groups: [{ name: 'FOH', percent: 100 }],
+      weights: { roles: { Busser: 0, Host: 'lots' } }
+    })).toThrow(/role "Busser"[\s\S]*role "Host"/);
+  });
+});